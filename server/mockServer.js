@@ -0,0 +1,202 @@
+// Offline REST backend for VITE_API_MODE=http.
+// Serves the same resource routes the API services map in apiTransport.register(),
+// seeded from src/services/mockData. State lives in memory until the process exits
+// or POST /api/__reset is called.
+//
+// Contract shared with a real backend:
+//   GET    /api/<resource>?field=value   list, filtered by equality
+//   GET    /api/<resource>/:id           one record, 404 when missing
+//   POST   /api/<resource>               create; 201 with the stored record
+//   PUT    /api/<resource>/:id           merge into the record (PATCH is the same)
+//   DELETE /api/<resource>/:id           remove; 200 with the removed record
+// A POST carrying an idempotency key (Idempotency-Key header or an idempotencyKey
+// field) is stored once: repeating it answers 200 with the record stored the first
+// time, so a till can retry a sale whose response it never got.
+//
+// Usage: npm run mock-server            (listens on MOCK_API_PORT, default 4000)
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import aiGenerateHistory from '../src/services/mockData/aiGenerateHistory.js';
+
+const PORT = parseInt(process.env.MOCK_API_PORT) || 4000;
+const API_PREFIX = '/api';
+const mockDataDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/services/mockData');
+
+const loadJson = (fileName) => JSON.parse(readFileSync(path.join(mockDataDir, fileName), 'utf8'));
+
+// Route name -> seed data and the id field the matching service uses
+const resources = {
+  'orders': { seed: () => loadJson('orders.json'), idField: 'id', label: 'Order' },
+  'products': { seed: () => loadJson('products.json'), idField: 'id', label: 'Product' },
+  'pos-transactions': { seed: () => loadJson('posTransactions.json'), idField: 'id', label: 'Transaction' },
+  'delivery-personnel': { seed: () => loadJson('deliveryPersonnel.json'), idField: 'Id', label: 'Delivery personnel' },
+  'employees': { seed: () => loadJson('employees.json'), idField: 'Id', label: 'Employee' },
+  'attendance': { seed: () => loadJson('attendance.json'), idField: 'Id', label: 'Attendance record' },
+  'payroll': { seed: () => loadJson('payroll.json'), idField: 'Id', label: 'Payroll record' },
+  'chat-conversations': { seed: () => loadJson('chatConversations.json'), idField: 'Id', label: 'Conversation' },
+  'expenses': { seed: () => loadJson('expenses.json'), idField: 'Id', label: 'Expense' },
+  'vendors': { seed: () => loadJson('vendors.json'), idField: 'Id', label: 'Vendor' },
+  'vendor-payments': { seed: () => loadJson('vendorPayments.json'), idField: 'Id', label: 'Vendor payment' },
+  'ai-generations': { seed: () => JSON.parse(JSON.stringify(aiGenerateHistory)), idField: 'Id', label: 'Generation' }
+};
+
+let db = {};
+
+export const resetData = () => {
+  db = Object.fromEntries(Object.entries(resources).map(([name, resource]) => [name, resource.seed()]));
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization,Idempotency-Key'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    if (!raw) {
+      resolve({});
+      return;
+    }
+    try {
+      resolve(JSON.parse(raw));
+    } catch {
+      reject(new HttpError(400, 'Invalid JSON body'));
+    }
+  });
+  req.on('error', reject);
+});
+
+// Query params filter by equality; values are compared as strings
+const matchesQuery = (record, query) =>
+  [...query.entries()].every(([field, value]) => String(record[field]) === value);
+
+const findIndex = (records, idField, id) =>
+  records.findIndex(record => String(record[idField]) === String(id));
+
+const nextId = (records, idField) =>
+  records.reduce((max, record) => (record[idField] > max ? record[idField] : max), 0) + 1;
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204);
+    return;
+  }
+
+  if (!url.pathname.startsWith(API_PREFIX)) {
+    throw new HttpError(404, 'Not found');
+  }
+
+  const [name, id] = url.pathname.slice(API_PREFIX.length).split('/').filter(Boolean);
+
+  if (name === 'health') {
+    sendJson(res, 200, { status: 'ok', resources: Object.keys(resources) });
+    return;
+  }
+
+  if (name === '__reset' && req.method === 'POST') {
+    resetData();
+    sendJson(res, 200, { success: true });
+    return;
+  }
+
+  const resource = resources[name];
+  if (!resource) {
+    throw new HttpError(404, `Unknown resource: ${name}`);
+  }
+
+  const records = db[name];
+  const { idField, label } = resource;
+
+  if (!id) {
+    if (req.method === 'GET') {
+      sendJson(res, 200, records.filter(record => matchesQuery(record, url.searchParams)));
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const body = await readBody(req);
+      const idempotencyKey = req.headers['idempotency-key'] || body.idempotencyKey;
+      const existing = idempotencyKey && records.find(record => record.idempotencyKey === idempotencyKey);
+      if (existing) {
+        sendJson(res, 200, existing);
+        return;
+      }
+      const now = new Date().toISOString();
+      const created = {
+        ...body,
+        ...(idempotencyKey && { idempotencyKey }),
+        [idField]: nextId(records, idField),
+        createdAt: body.createdAt || now,
+        updatedAt: now
+      };
+      records.push(created);
+      sendJson(res, 201, created);
+      return;
+    }
+
+    throw new HttpError(405, `Method ${req.method} not allowed`);
+  }
+
+  const index = findIndex(records, idField, id);
+  if (index === -1) {
+    throw new HttpError(404, `${label} not found`);
+  }
+
+  switch (req.method) {
+    case 'GET':
+      sendJson(res, 200, records[index]);
+      return;
+    case 'PUT':
+    case 'PATCH': {
+      const body = await readBody(req);
+      records[index] = {
+        ...records[index],
+        ...body,
+        [idField]: records[index][idField],
+        updatedAt: new Date().toISOString()
+      };
+      sendJson(res, 200, records[index]);
+      return;
+    }
+    case 'DELETE': {
+      const [deleted] = records.splice(index, 1);
+      sendJson(res, 200, deleted);
+      return;
+    }
+    default:
+      throw new HttpError(405, `Method ${req.method} not allowed`);
+  }
+}
+
+export const createMockServer = () => {
+  resetData();
+  return http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      sendJson(res, error.status || 500, { error: error.message || 'Internal server error' });
+    });
+  });
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  createMockServer().listen(PORT, () => {
+    console.log(`FreshMart mock API listening on http://localhost:${PORT}${API_PREFIX}`);
+  });
+}
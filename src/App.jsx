@@ -27,6 +27,9 @@ import POS from "@/components/pages/POS";
 import Checkout from "@/components/pages/Checkout";
 import FinancialDashboard from "@/components/pages/FinancialDashboard";
 import Home from "@/components/pages/Home";
+import Login from "@/components/pages/Login";
+import ProtectedRoute from "@/components/organisms/ProtectedRoute";
+import { PERMISSIONS } from "@/services/api/authService";
 // Core components - direct import for immediate availability
 // Enhanced Loading component with timing and retry functionality
 const EnhancedLoading = ({ message = "Loading...", componentName = "" }) => {
@@ -149,7 +152,11 @@ const LazyFinancialDashboard = createLazyComponent(() => import('@/components/pa
 const LazyPOS = createLazyComponent(() => import('@/components/pages/POS'), 'POS');
 const LazyPaymentManagement = createLazyComponent(() => import('@/components/pages/PaymentManagement'), 'Payment Management');
 const LazyDeliveryTracking = createLazyComponent(() => import('@/components/pages/DeliveryTracking'), 'Delivery Tracking');
+const LazyDeliveryDashboard = createLazyComponent(() => import('@/components/pages/DeliveryDashboard'), 'Delivery Dashboard');
 const LazyAIGenerate = createLazyComponent(() => import('@/components/pages/AIGenerate'), 'AI Generate');
+const LazyPurchaseOrders = createLazyComponent(() => import('@/components/pages/PurchaseOrders'), 'Purchase Orders');
+const LazyPromotions = createLazyComponent(() => import('@/components/pages/Promotions'), 'Promotions');
+const LazyPicking = createLazyComponent(() => import('@/components/pages/Picking'), 'Pick & Pack');
 const LazyCategory = createLazyComponent(() => import('@/components/pages/Category'), 'Category');
 const LazyOrders = createLazyComponent(() => import('@/components/pages/Orders'), 'Orders');
 const LazyOrderTracking = createLazyComponent(() => import('@/components/pages/OrderTracking'), 'Order Tracking');
@@ -434,11 +441,18 @@ checkStatus();
                     <Cart />
                   </FastErrorBoundary>
                 } />
-                <Route path="checkout" element={
-                  <FastErrorBoundary componentName="Checkout">
-                    <Checkout />
+                <Route path="login" element={
+                  <FastErrorBoundary componentName="Login">
+                    <Login />
                   </FastErrorBoundary>
                 } />
+                <Route path="checkout" element={
+                  <ProtectedRoute permission={PERMISSIONS.ORDERS_PLACE}>
+                    <FastErrorBoundary componentName="Checkout">
+                      <Checkout />
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
+                } />
                 
                 {/* Lazy loaded routes */}
                 <Route path="category/:categoryName" element={
@@ -449,171 +463,244 @@ checkStatus();
                   </FastErrorBoundary>
                 } />
                 <Route path="orders" element={
-                  <FastErrorBoundary componentName="Orders">
-                    <Suspense fallback={<Loading type="page" />}>
-                      <LazyOrders />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute>
+                    <FastErrorBoundary componentName="Orders">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <LazyOrders />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 } />
                 <Route path="orders/:orderId" element={
-                  <FastErrorBoundary componentName="Order Tracking">
-                    <Suspense fallback={<Loading type="page" />}>
-                      <LazyOrderTracking />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute>
+                    <FastErrorBoundary componentName="Order Tracking">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <LazyOrderTracking />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 } />
                 <Route path="account" element={
-                  <FastErrorBoundary componentName="Account">
-                    <Suspense fallback={<Loading type="page" />}>
-                      <LazyAccount />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute>
+                    <FastErrorBoundary componentName="Account">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <LazyAccount />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 } />
                 
                 {/* Admin Routes with proper nesting */}
                 <Route path="admin" element={
-                  <FastErrorBoundary componentName="Admin Dashboard">
-                    <Suspense fallback={<EnhancedLoading message="Loading Admin Dashboard..." componentName="Admin Dashboard" />}>
-                      <LazyAdminDashboard />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute permission={PERMISSIONS.ADMIN_DASHBOARD}>
+                    <FastErrorBoundary componentName="Admin Dashboard">
+                      <Suspense fallback={<EnhancedLoading message="Loading Admin Dashboard..." componentName="Admin Dashboard" />}>
+                        <LazyAdminDashboard />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 }>
                   {/* Admin sub-routes */}
                   <Route path="manage-products" element={
-                    <FastErrorBoundary componentName="Product Management">
-                      <Suspense fallback={<EnhancedLoading message="Loading Product Management..." componentName="Product Management" />}>
-                        <LazyProductManagement />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.PRODUCTS_MANAGE}>
+                      <FastErrorBoundary componentName="Product Management">
+                        <Suspense fallback={<EnhancedLoading message="Loading Product Management..." componentName="Product Management" />}>
+                          <LazyProductManagement />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="view-orders" element={
-                    <FastErrorBoundary componentName="Orders">
-                      <Suspense fallback={<EnhancedLoading message="Loading Orders..." componentName="Orders" />}>
-                        <LazyOrders />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.ORDERS_MANAGE}>
+                      <FastErrorBoundary componentName="Orders">
+                        <Suspense fallback={<EnhancedLoading message="Loading Orders..." componentName="Orders" />}>
+                          <LazyOrders />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="ai-generate" element={
-                    <FastErrorBoundary componentName="AI Generate">
-                      <Suspense fallback={<EnhancedLoading message="Loading AI Generate..." componentName="AI Generate" />}>
-                        <LazyAIGenerate />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.AI_GENERATE}>
+                      <FastErrorBoundary componentName="AI Generate">
+                        <Suspense fallback={<EnhancedLoading message="Loading AI Generate..." componentName="AI Generate" />}>
+                          <LazyAIGenerate />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="payment-management" element={
-                    <FastErrorBoundary componentName="Payment Management">
-                      <Suspense fallback={<EnhancedLoading message="Loading Payment Management..." componentName="Payment Management" />}>
-                        <LazyPaymentManagement />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.PAYMENTS_MANAGE}>
+                      <FastErrorBoundary componentName="Payment Management">
+                        <Suspense fallback={<EnhancedLoading message="Loading Payment Management..." componentName="Payment Management" />}>
+                          <LazyPaymentManagement />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="analytics" element={
-                    <FastErrorBoundary componentName="Analytics">
-                      <Suspense fallback={<EnhancedLoading message="Loading Analytics..." componentName="Analytics" />}>
-                        <LazyAnalytics />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.ANALYTICS_VIEW}>
+                      <FastErrorBoundary componentName="Analytics">
+                        <Suspense fallback={<EnhancedLoading message="Loading Analytics..." componentName="Analytics" />}>
+                          <LazyAnalytics />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="financial-dashboard" element={
-                    <FastErrorBoundary componentName="Financial Dashboard">
-                      <Suspense fallback={<EnhancedLoading message="Loading Financial Dashboard..." componentName="Financial Dashboard" />}>
-                        <LazyFinancialDashboard />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.FINANCIAL_VIEW}>
+                      <FastErrorBoundary componentName="Financial Dashboard">
+                        <Suspense fallback={<EnhancedLoading message="Loading Financial Dashboard..." componentName="Financial Dashboard" />}>
+                          <LazyFinancialDashboard />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="payment-verification" element={
-                    <FastErrorBoundary componentName="Payment Management">
-                      <Suspense fallback={<EnhancedLoading message="Loading Payment Verification..." componentName="Payment Management" />}>
-                        <LazyPaymentManagement />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.PAYMENTS_MANAGE}>
+                      <FastErrorBoundary componentName="Payment Management">
+                        <Suspense fallback={<EnhancedLoading message="Loading Payment Verification..." componentName="Payment Management" />}>
+                          <LazyPaymentManagement />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="delivery-tracking" element={
-                    <FastErrorBoundary componentName="Delivery Tracking">
-                      <Suspense fallback={<EnhancedLoading message="Loading Delivery Tracking..." componentName="Delivery Tracking" />}>
-                        <LazyDeliveryTracking />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.DELIVERY_MANAGE}>
+                      <FastErrorBoundary componentName="Delivery Tracking">
+                        <Suspense fallback={<EnhancedLoading message="Loading Delivery Tracking..." componentName="Delivery Tracking" />}>
+                          <LazyDeliveryTracking />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="products" element={
-                    <FastErrorBoundary componentName="Product Management">
-                      <Suspense fallback={<EnhancedLoading message="Loading Product Management..." componentName="Product Management" />}>
-                        <LazyProductManagement />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.PRODUCTS_MANAGE}>
+                      <FastErrorBoundary componentName="Product Management">
+                        <Suspense fallback={<EnhancedLoading message="Loading Product Management..." componentName="Product Management" />}>
+                          <LazyProductManagement />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="payments" element={
-                    <FastErrorBoundary componentName="Payment Management">
-                      <Suspense fallback={<EnhancedLoading message="Loading Payment Management..." componentName="Payment Management" />}>
-                        <LazyPaymentManagement />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.PAYMENTS_MANAGE}>
+                      <FastErrorBoundary componentName="Payment Management">
+                        <Suspense fallback={<EnhancedLoading message="Loading Payment Management..." componentName="Payment Management" />}>
+                          <LazyPaymentManagement />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="pos" element={
-                    <FastErrorBoundary componentName="POS System">
-                      <Suspense fallback={<EnhancedLoading message="Loading POS System..." componentName="POS System" />}>
-                        <LazyPOS />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.POS_USE}>
+                      <FastErrorBoundary componentName="POS System">
+                        <Suspense fallback={<EnhancedLoading message="Loading POS System..." componentName="POS System" />}>
+                          <LazyPOS />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                   <Route path="delivery-dashboard" element={
-                    <FastErrorBoundary componentName="Delivery Tracking">
-                      <Suspense fallback={<EnhancedLoading message="Loading Delivery Tracking..." componentName="Delivery Tracking" />}>
-                        <LazyDeliveryTracking />
-                      </Suspense>
-                    </FastErrorBoundary>
+                    <ProtectedRoute permission={PERMISSIONS.DELIVERY_MANAGE}>
+                      <FastErrorBoundary componentName="Delivery Dashboard">
+                        <Suspense fallback={<EnhancedLoading message="Loading Delivery Dashboard..." componentName="Delivery Dashboard" />}>
+                          <LazyDeliveryDashboard />
+                        </Suspense>
+                      </FastErrorBoundary>
+                    </ProtectedRoute>
                   } />
                 </Route>
                 
                 {/* Legacy routes for backward compatibility */}
                 <Route path="analytics" element={
-                  <FastErrorBoundary componentName="Analytics">
-                    <Suspense fallback={<EnhancedLoading message="Loading Analytics..." componentName="Analytics" />}>
-                      <LazyAnalytics />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute permission={PERMISSIONS.ANALYTICS_VIEW}>
+                    <FastErrorBoundary componentName="Analytics">
+                      <Suspense fallback={<EnhancedLoading message="Loading Analytics..." componentName="Analytics" />}>
+                        <LazyAnalytics />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 } />
                 <Route path="financial" element={
-                  <FastErrorBoundary componentName="Financial Dashboard">
-                    <Suspense fallback={<EnhancedLoading message="Loading Financial Dashboard..." componentName="Financial Dashboard" />}>
-                      <LazyFinancialDashboard />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute permission={PERMISSIONS.FINANCIAL_VIEW}>
+                    <FastErrorBoundary componentName="Financial Dashboard">
+                      <Suspense fallback={<EnhancedLoading message="Loading Financial Dashboard..." componentName="Financial Dashboard" />}>
+                        <LazyFinancialDashboard />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 } />
                 <Route path="pos" element={
-                  <FastErrorBoundary componentName="POS System">
-                    <Suspense fallback={<EnhancedLoading message="Loading POS System..." componentName="POS System" />}>
-                      <LazyPOS />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute permission={PERMISSIONS.POS_USE}>
+                    <FastErrorBoundary componentName="POS System">
+                      <Suspense fallback={<EnhancedLoading message="Loading POS System..." componentName="POS System" />}>
+                        <LazyPOS />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 } />
                 <Route path="payments" element={
-                  <FastErrorBoundary componentName="Payment Management">
-                    <Suspense fallback={<EnhancedLoading message="Loading Payment Management..." componentName="Payment Management" />}>
-                      <LazyPaymentManagement />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute permission={PERMISSIONS.PAYMENTS_MANAGE}>
+                    <FastErrorBoundary componentName="Payment Management">
+                      <Suspense fallback={<EnhancedLoading message="Loading Payment Management..." componentName="Payment Management" />}>
+                        <LazyPaymentManagement />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 } />
                 <Route path="payroll" element={
-                  <FastErrorBoundary componentName="Payroll Management">
-                    <Suspense fallback={<EnhancedLoading message="Loading Payroll Management..." componentName="Payroll Management" />}>
-                      <LazyPayrollManagement />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute permission={PERMISSIONS.PAYROLL_MANAGE}>
+                    <FastErrorBoundary componentName="Payroll Management">
+                      <Suspense fallback={<EnhancedLoading message="Loading Payroll Management..." componentName="Payroll Management" />}>
+                        <LazyPayrollManagement />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
+                } />
+                <Route path="purchase-orders" element={
+                  <ProtectedRoute permission={PERMISSIONS.PURCHASING_MANAGE}>
+                    <FastErrorBoundary componentName="Purchase Orders">
+                      <Suspense fallback={<EnhancedLoading message="Loading Purchase Orders..." componentName="Purchase Orders" />}>
+                        <LazyPurchaseOrders />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
+                } />
+                <Route path="promotions" element={
+                  <ProtectedRoute permission={PERMISSIONS.PRODUCTS_MANAGE}>
+                    <FastErrorBoundary componentName="Promotions">
+                      <Suspense fallback={<EnhancedLoading message="Loading Promotions..." componentName="Promotions" />}>
+                        <LazyPromotions />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
+                } />
+                <Route path="picking" element={
+                  <ProtectedRoute permission={PERMISSIONS.ORDERS_MANAGE}>
+                    <FastErrorBoundary componentName="Pick & Pack">
+                      <Suspense fallback={<EnhancedLoading message="Loading Pick & Pack..." componentName="Pick & Pack" />}>
+                        <LazyPicking />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 } />
                 <Route path="delivery" element={
-                  <FastErrorBoundary componentName="Delivery Tracking">
-                    <Suspense fallback={<EnhancedLoading message="Loading Delivery Tracking..." componentName="Delivery Tracking" />}>
-                      <LazyDeliveryTracking />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute permission={PERMISSIONS.DELIVERY_VIEW}>
+                    <FastErrorBoundary componentName="Delivery Tracking">
+                      <Suspense fallback={<EnhancedLoading message="Loading Delivery Tracking..." componentName="Delivery Tracking" />}>
+                        <LazyDeliveryTracking />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 } />
                 <Route path="ai-generate" element={
-                  <FastErrorBoundary componentName="AI Generate">
-                    <Suspense fallback={<EnhancedLoading message="Loading AI Generate..." componentName="AI Generate" />}>
-                      <LazyAIGenerate />
-                    </Suspense>
-                  </FastErrorBoundary>
+                  <ProtectedRoute permission={PERMISSIONS.AI_GENERATE}>
+                    <FastErrorBoundary componentName="AI Generate">
+                      <Suspense fallback={<EnhancedLoading message="Loading AI Generate..." componentName="AI Generate" />}>
+                        <LazyAIGenerate />
+                      </Suspense>
+                    </FastErrorBoundary>
+                  </ProtectedRoute>
                 } />
               </Route>
             </Routes>
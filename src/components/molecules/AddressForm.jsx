@@ -0,0 +1,170 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import { ADDRESS_LABELS, validateAddress } from "@/services/api/customerService";
+
+const emptyAddress = {
+  label: 'Home',
+  name: '',
+  phone: '',
+  address: '',
+  city: '',
+  postalCode: '',
+  instructions: '',
+  coordinates: null,
+  isDefault: false
+};
+
+// Add/edit form for a saved delivery address, including its pin on the map
+const AddressForm = ({ address, onSubmit, onCancel, saving = false }) => {
+  const [form, setForm] = useState({ ...emptyAddress, ...address });
+  const [errors, setErrors] = useState({});
+  const [locating, setLocating] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleCoordinate = (axis, value) => {
+    setForm(prev => {
+      const coordinates = { lat: prev.coordinates?.lat ?? '', lng: prev.coordinates?.lng ?? '', [axis]: value };
+      // Both blank clears the pin; anything else is validated as a number
+      if (coordinates.lat === '' && coordinates.lng === '') {
+        return { ...prev, coordinates: null };
+      }
+      return { ...prev, coordinates: { lat: parseFloat(coordinates.lat), lng: parseFloat(coordinates.lng) } };
+    });
+  };
+
+  const handleLocate = () => {
+    if (!navigator.geolocation) {
+      toast.error('Location is not available in this browser');
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setForm(prev => ({
+          ...prev,
+          coordinates: {
+            lat: Number(position.coords.latitude.toFixed(6)),
+            lng: Number(position.coords.longitude.toFixed(6))
+          }
+        }));
+        setLocating(false);
+      },
+      () => {
+        toast.error('Could not get your location');
+        setLocating(false);
+      },
+      { timeout: 10000 }
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validation = validateAddress(form);
+    setErrors(validation);
+    if (Object.keys(validation).length > 0) return;
+    onSubmit(form);
+  };
+
+  const hasPin = typeof form.coordinates?.lat === 'number' && !Number.isNaN(form.coordinates.lat) &&
+    typeof form.coordinates?.lng === 'number' && !Number.isNaN(form.coordinates.lng);
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Label</label>
+        <div className="flex space-x-2">
+          {ADDRESS_LABELS.map(label => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => setForm(prev => ({ ...prev, label }))}
+              className={`px-3 py-1 rounded-full text-sm border ${
+                form.label === label ? 'border-primary bg-primary text-white' : 'border-gray-300 text-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input label="Recipient Name" name="name" value={form.name} onChange={handleChange} error={errors.name} required />
+        <Input label="Phone Number" name="phone" value={form.phone} onChange={handleChange} error={errors.phone} placeholder="03XXXXXXXXX" required />
+      </div>
+      <Input label="Address" name="address" value={form.address} onChange={handleChange} error={errors.address} required />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input label="City" name="city" value={form.city} onChange={handleChange} error={errors.city} required />
+        <Input label="Postal Code" name="postalCode" value={form.postalCode} onChange={handleChange} error={errors.postalCode} required />
+      </div>
+      <Input label="Delivery Instructions" name="instructions" value={form.instructions} onChange={handleChange} />
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-sm font-medium text-gray-700">Map Location</label>
+          <button type="button" onClick={handleLocate} className="flex items-center space-x-1 text-sm text-primary hover:text-primary-dark">
+            <ApperIcon name={locating ? 'Loader2' : 'LocateFixed'} size={14} className={locating ? 'animate-spin' : ''} />
+            <span>Use my location</span>
+          </button>
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <input
+            type="number"
+            step="any"
+            placeholder="Latitude"
+            value={form.coordinates?.lat ?? ''}
+            onChange={(e) => handleCoordinate('lat', e.target.value)}
+            className="input-field"
+          />
+          <input
+            type="number"
+            step="any"
+            placeholder="Longitude"
+            value={form.coordinates?.lng ?? ''}
+            onChange={(e) => handleCoordinate('lng', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        {errors.coordinates && <p className="text-sm text-red-600 mt-1">{errors.coordinates}</p>}
+        {hasPin && (
+          <a
+            href={`https://www.openstreetmap.org/?mlat=${form.coordinates.lat}&mlon=${form.coordinates.lng}#map=17/${form.coordinates.lat}/${form.coordinates.lng}`}
+            target="_blank"
+            rel="noreferrer"
+            className="inline-flex items-center space-x-1 text-xs text-primary hover:underline mt-2"
+          >
+            <ApperIcon name="Map" size={12} />
+            <span>Check the pin on the map</span>
+          </a>
+        )}
+        <p className="text-xs text-gray-500 mt-1">Riders are routed to the pin; without one they use the city zone</p>
+      </div>
+
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={form.isDefault}
+          onChange={(e) => setForm(prev => ({ ...prev, isDefault: e.target.checked }))}
+        />
+        <span>Use as my default delivery address</span>
+      </label>
+
+      <div className="flex justify-end space-x-3">
+        <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
+        <Button type="submit" loading={saving}>Save Address</Button>
+      </div>
+    </form>
+  );
+};
+
+export default AddressForm;
@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { useDispatch } from 'react-redux';
 import { Plus, Minus, Trash2 } from 'lucide-react';
-import { updateQuantity, removeFromCart, updateQuantityWithValidation } from '@/store/cartSlice.js';
+import { updateQuantity, removeFromCart, setSubstitution, updateQuantityWithValidation } from '@/store/cartSlice.js';
 import { toast } from 'react-toastify';
 import { addNotification } from "@/store/notificationSlice.js";
 import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
+import SubstitutionPicker from "@/components/molecules/SubstitutionPicker";
+import { formatQuantity, getUnitRule, lineAmount, stepQuantity } from "@/services/api/measureUnits";
 
 const CartItem = ({ item }) => {
   const dispatch = useDispatch();
@@ -21,7 +23,7 @@ const CartItem = ({ item }) => {
           productId: item.id, 
           quantity: newQuantity 
         })).unwrap();
-        toast.info(`${item.name} quantity updated to ${newQuantity}`);
+        toast.info(`${item.name} quantity updated to ${formatQuantity(newQuantity, item.unit)}`);
       } catch (error) {
         // Error already handled by the thunk with toast notification
       }
@@ -66,15 +68,19 @@ const CartItem = ({ item }) => {
             Out of stock
           </p>
         )}
+        <SubstitutionPicker
+          item={item}
+          onChange={(substitution) => dispatch(setSubstitution({ productId: item.id, substitution }))}
+        />
       </div>
       
       <div className="flex items-center space-x-1 sm:space-x-2">
         <button
-          onClick={() => handleQuantityChange(item.quantity - 1)}
-          disabled={item.quantity <= 1}
+          onClick={() => handleQuantityChange(stepQuantity(item.quantity, item.unit, -1))}
+          disabled={item.quantity <= getUnitRule(item.unit).min}
           className={`
             w-9 h-9 rounded-lg border-2 shadow-sm transition-all duration-200 flex items-center justify-center
-            ${item.quantity <= 1 
+            ${item.quantity <= getUnitRule(item.unit).min 
               ? 'bg-gray-100 border-gray-200 text-gray-400 cursor-not-allowed' 
               : 'bg-red-50 border-red-200 text-red-600 hover:bg-red-100 hover:border-red-300 hover:scale-110 hover:shadow-md active:scale-95'
             }
@@ -83,16 +89,16 @@ const CartItem = ({ item }) => {
           <ApperIcon name="Minus" size={16} />
         </button>
         
-        <span className={`w-10 text-center font-semibold text-lg transition-all duration-300 ${item.isUpdating ? 'scale-110 text-primary' : ''}`}>
-          {item.quantity}
+        <span className={`min-w-[2.5rem] text-center font-semibold text-lg transition-all duration-300 ${item.isUpdating ? 'scale-110 text-primary' : ''}`}>
+          {formatQuantity(item.quantity, item.unit)}
         </span>
         
         <button
-          onClick={() => handleQuantityChange(item.quantity + 1)}
-          disabled={item.quantity >= item.stock || item.stock === 0}
+          onClick={() => handleQuantityChange(stepQuantity(item.quantity, item.unit, 1))}
+          disabled={stepQuantity(item.quantity, item.unit, 1) > item.stock || item.stock === 0}
           className={`
             w-9 h-9 rounded-lg border-2 shadow-sm transition-all duration-200 flex items-center justify-center
-            ${item.quantity >= item.stock || item.stock === 0
+            ${stepQuantity(item.quantity, item.unit, 1) > item.stock || item.stock === 0
               ? 'bg-gray-100 border-gray-200 text-gray-400 cursor-not-allowed' 
               : 'bg-green-50 border-green-200 text-green-600 hover:bg-green-100 hover:border-green-300 hover:scale-110 hover:shadow-md active:scale-95'
             }
@@ -104,7 +110,7 @@ const CartItem = ({ item }) => {
       
       <div className="text-right min-w-0">
         <p className={`font-semibold text-lg gradient-text transition-all duration-300 ${item.isUpdating ? 'scale-105' : ''}`}>
-          Rs. {(item.price * item.quantity).toLocaleString()}
+          Rs. {lineAmount(item).toLocaleString()}
         </p>
         
         <Button
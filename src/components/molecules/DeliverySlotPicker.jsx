@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import { deliverySlotService, matchZoneForCity, toDateKey } from "@/services/api/deliverySlotService";
+
+const formatDay = (date) => {
+  const today = toDateKey();
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  if (date === today) return 'Today';
+  if (date === toDateKey(tomorrow)) return 'Tomorrow';
+  return format(new Date(`${date}T00:00:00`), 'EEE, MMM d');
+};
+
+// Zone and time window selection for checkout. Full and closed windows stay visible but disabled.
+const DeliverySlotPicker = ({ city = '', value = null, onChange, error, refreshKey = 0 }) => {
+  const [zones, setZones] = useState([]);
+  const [zone, setZone] = useState('');
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    deliverySlotService.getZones()
+      .then(setZones)
+      .catch(err => console.error('Failed to load delivery zones:', err));
+  }, []);
+
+  // Follow the typed city until the customer picks a zone themselves
+  useEffect(() => {
+    const matched = matchZoneForCity(city, zones);
+    if (matched && !value) {
+      setZone(matched);
+    }
+  }, [city, zones]);
+
+  useEffect(() => {
+    if (!zone) {
+      setSlots([]);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    deliverySlotService.getSlots(zone)
+      .then(result => {
+        if (cancelled) return;
+        setSlots(result);
+        if (value && !result.some(slot => slot.available && slot.windowId === value.windowId && slot.date === value.date)) {
+          onChange(null);
+        }
+      })
+      .catch(err => console.error('Failed to load delivery slots:', err))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [zone, refreshKey]);
+
+  const handleZoneChange = (e) => {
+    setZone(e.target.value);
+    onChange(null);
+  };
+
+  const days = [...new Set(slots.map(slot => slot.date))];
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Delivery Zone *</label>
+        <select value={zone} onChange={handleZoneChange} className="input-field">
+          <option value="">Select your area</option>
+          {zones.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </div>
+
+      {zone && (
+        loading ? (
+          <div className="py-4 text-center text-gray-500 text-sm">
+            <ApperIcon name="Loader2" size={20} className="animate-spin mx-auto mb-1" />
+            Checking rider availability...
+          </div>
+        ) : slots.length === 0 ? (
+          <p className="text-sm text-gray-600">No delivery windows are offered in {zone} yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {days.map(date => (
+              <div key={date}>
+                <p className="text-sm font-medium text-gray-700 mb-2">{formatDay(date)}</p>
+                <div className="grid grid-cols-2 gap-2">
+                  {slots.filter(slot => slot.date === date).map(slot => {
+                    const selected = value?.windowId === slot.windowId && value?.date === slot.date;
+                    return (
+                      <button
+                        key={`${slot.windowId}-${slot.date}`}
+                        type="button"
+                        disabled={!slot.available}
+                        onClick={() => onChange(slot)}
+                        className={`p-2 rounded-lg border text-left text-sm transition-colors ${
+                          selected
+                            ? 'border-primary bg-primary/10 text-primary'
+                            : slot.available
+                              ? 'border-gray-300 hover:border-primary'
+                              : 'border-gray-200 bg-gray-50 text-gray-400 cursor-not-allowed'
+                        }`}
+                      >
+                        <span className="block font-medium">{slot.label}</span>
+                        <span className="block text-xs">
+                          {slot.available
+                            ? slot.remaining <= 2 ? `Only ${slot.remaining} left` : 'Available'
+                            : slot.capacity > 0 && slot.booked >= slot.capacity ? 'Fully booked' : 'Unavailable'}
+                        </span>
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        )
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default DeliverySlotPicker;
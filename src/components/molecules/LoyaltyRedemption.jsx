@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { MAX_REDEEM_SHARE, MIN_REDEEM_POINTS, pointsValue } from "@/services/api/loyaltyService";
+
+// Checkout control to pay part of the goods with loyalty points
+const LoyaltyRedemption = ({ account, goodsTotal, points, onApply, onRemove }) => {
+  const maxPoints = Math.min(account.balance, Math.floor(goodsTotal * MAX_REDEEM_SHARE / pointsValue(1)));
+  const [input, setInput] = useState('');
+  const [error, setError] = useState('');
+  const [applying, setApplying] = useState(false);
+
+  const handleApply = async () => {
+    setApplying(true);
+    setError('');
+    try {
+      await onApply(parseInt(input) || 0);
+      setInput('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  if (points > 0) {
+    return (
+      <div className="flex items-center justify-between text-green-700">
+        <span className="flex items-center">
+          <ApperIcon name="Star" size={14} className="mr-1" />
+          {points.toLocaleString()} points
+          <button type="button" onClick={onRemove} className="ml-2 text-xs text-gray-500 hover:text-red-600">Remove</button>
+        </span>
+        <span>-Rs. {pointsValue(points).toLocaleString()}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border border-dashed border-gray-300 rounded-lg p-3">
+      <div className="flex items-center justify-between text-sm mb-2">
+        <span className="flex items-center font-medium text-gray-900">
+          <ApperIcon name="Star" size={14} className="mr-1 text-yellow-500" />
+          {account.balance.toLocaleString()} points ({account.tier.name})
+        </span>
+        <span className="text-gray-600">Worth Rs. {pointsValue(account.balance).toLocaleString()}</span>
+      </div>
+      {maxPoints >= MIN_REDEEM_POINTS ? (
+        <div className="flex space-x-2">
+          <input
+            type="number"
+            min={MIN_REDEEM_POINTS}
+            max={maxPoints}
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder={`${MIN_REDEEM_POINTS} - ${maxPoints}`}
+            className="input-field py-1 flex-1"
+          />
+          <Button type="button" size="small" variant="outline" onClick={() => setInput(String(maxPoints))}>Max</Button>
+          <Button type="button" size="small" loading={applying} disabled={!input} onClick={handleApply}>Use</Button>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">
+          Redeem from {MIN_REDEEM_POINTS} points, up to {MAX_REDEEM_SHARE * 100}% of your order
+        </p>
+      )}
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default LoyaltyRedemption;
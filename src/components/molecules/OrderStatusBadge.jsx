@@ -6,6 +6,10 @@ const OrderStatusBadge = ({ status }) => {
     switch (status?.toLowerCase()) {
       case 'pending':
         return { variant: 'warning', text: 'Pending' };
+      case 'payment_pending':
+        return { variant: 'warning', text: 'Awaiting Payment' };
+      case 'payment_rejected':
+        return { variant: 'danger', text: 'Payment Rejected' };
       case 'confirmed':
         return { variant: 'info', text: 'Confirmed' };
       case 'packed':
@@ -16,6 +20,10 @@ const OrderStatusBadge = ({ status }) => {
         return { variant: 'success', text: 'Delivered' };
       case 'cancelled':
         return { variant: 'danger', text: 'Cancelled' };
+      case 'refund_requested':
+        return { variant: 'warning', text: 'Refund Requested' };
+      case 'refunded':
+        return { variant: 'default', text: 'Refunded' };
       default:
         return { variant: 'default', text: status || 'Unknown' };
     }
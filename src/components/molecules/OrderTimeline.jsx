@@ -0,0 +1,59 @@
+import React from "react";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import { ORDER_STATUS_LABELS } from "@/services/api/orderLifecycle";
+
+const FIELD_CONFIG = {
+  status: { label: 'Order', icon: 'Package' },
+  deliveryStatus: { label: 'Delivery', icon: 'Truck' },
+  paymentStatus: { label: 'Payment', icon: 'CreditCard' },
+  verificationStatus: { label: 'Verification', icon: 'ShieldCheck' }
+};
+
+const formatValue = (field, value) => {
+  if (value == null) return '—';
+  if (field === 'status') return ORDER_STATUS_LABELS[value] || value;
+  return value.replace(/_/g, ' ');
+};
+
+// Audit trail of an order: every status change with who made it, when, and why
+const OrderTimeline = ({ timeline = [], compact = false }) => {
+  const entries = [...timeline].sort((a, b) => new Date(b.at) - new Date(a.at));
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-500">No history recorded</p>;
+  }
+
+  return (
+    <ol className={compact ? 'space-y-2' : 'space-y-4'}>
+      {entries.map(entry => {
+        const config = FIELD_CONFIG[entry.field] || FIELD_CONFIG.status;
+        return (
+          <li key={`${entry.Id}-${entry.at}`} className="flex items-start">
+            <div className="flex items-center justify-center w-8 h-8 rounded-full bg-gray-100 text-gray-600 mr-3 flex-shrink-0">
+              <ApperIcon name={config.icon} size={14} />
+            </div>
+            <div className="flex-1 text-sm">
+              <p className="text-gray-900">
+                <span className="font-medium">{config.label}:</span>{' '}
+                {entry.from == null ? (
+                  <span className="capitalize">{formatValue(entry.field, entry.to)}</span>
+                ) : (
+                  <span className="capitalize">
+                    {formatValue(entry.field, entry.from)} → {formatValue(entry.field, entry.to)}
+                  </span>
+                )}
+              </p>
+              {entry.reason && <p className="text-gray-600">{entry.reason}</p>}
+              <p className="text-xs text-gray-500">
+                {format(new Date(entry.at), 'MMM dd, yyyy • hh:mm a')} • {entry.actor}
+              </p>
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default OrderTimeline;
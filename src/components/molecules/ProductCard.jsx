@@ -8,6 +8,7 @@ import { useNavigate } from "react-router-dom";
 import ApperIcon from "@/components/ApperIcon";
 import Badge from "@/components/atoms/Badge";
 import Button from "@/components/atoms/Button";
+import StarRating from "@/components/molecules/StarRating";
 const ProductCard = React.memo(({ product }) => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
@@ -88,6 +89,13 @@ return (
         <h3 className="font-semibold text-lg text-gray-900 line-clamp-2">
           {product.name}
         </h3>
+
+        {product.reviewCount > 0 && (
+          <div className="flex items-center space-x-1 text-sm text-gray-600">
+            <StarRating value={product.rating} size={14} />
+            <span>{product.rating.toFixed(1)} ({product.reviewCount})</span>
+          </div>
+        )}
         
         <div className="flex items-center justify-between">
           <div className="flex items-center space-x-2">
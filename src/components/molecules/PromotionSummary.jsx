@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+
+// Applied promotions with the rule behind each saving, plus the coupon code entry.
+// Used by the cart, checkout and POS, which all price through evaluatePromotions.
+const PromotionSummary = ({ applied = [], coupon = null, couponCode = '', onApplyCoupon, onRemoveCoupon, compact = false }) => {
+  const [code, setCode] = useState('');
+  const [applying, setApplying] = useState(false);
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    if (!code.trim() || !onApplyCoupon) return;
+    try {
+      setApplying(true);
+      await onApplyCoupon(code.trim());
+      setCode('');
+    } catch (err) {
+      // The caller reports why the code was rejected
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className={compact ? 'space-y-2' : 'space-y-3'}>
+      {applied.length > 0 && (
+        <div className="space-y-1">
+          {applied.map(entry => (
+            <div key={entry.id} className="flex items-start justify-between text-sm text-green-700">
+              <span className="flex items-start">
+                <ApperIcon name={entry.couponCode ? 'Ticket' : 'Tag'} size={14} className="mr-1 mt-0.5 flex-shrink-0" />
+                <span>
+                  {entry.name}
+                  {entry.productName && <span className="text-green-600"> · {entry.productName}</span>}
+                  {!compact && <span className="block text-xs text-green-600">{entry.description}</span>}
+                </span>
+              </span>
+              <span className="font-medium whitespace-nowrap ml-2">
+                {entry.deliverySavings ? 'Free delivery' : `-Rs. ${entry.savings.toLocaleString()}`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {onApplyCoupon && (
+        couponCode ? (
+          <div className={`flex items-center justify-between rounded-lg p-2 text-sm ${coupon?.valid === false ? 'bg-yellow-50 text-yellow-800' : 'bg-green-50 text-green-700'}`}>
+            <span className="flex items-center">
+              <ApperIcon name="Ticket" size={14} className="mr-1" />
+              <span className="font-medium mr-1">{couponCode}</span>
+              {coupon?.valid === false && <span>· {coupon.message}</span>}
+            </span>
+            <button type="button" onClick={onRemoveCoupon} className="text-gray-400 hover:text-red-500">
+              <ApperIcon name="X" size={14} />
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleApply} className="flex space-x-2">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value.toUpperCase())}
+              placeholder="Coupon code"
+              className="input-field py-1 flex-1"
+            />
+            <Button type="submit" variant="outline" size="small" loading={applying}>
+              Apply
+            </Button>
+          </form>
+        )
+      )}
+    </div>
+  );
+};
+
+export default PromotionSummary;
@@ -0,0 +1,53 @@
+import React from "react";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import { rankRiders } from "@/services/api/dispatchService";
+
+// Riders ranked for an order by distance, zone and current load; the first eligible one is the suggestion
+const RiderSuggestionList = ({ order, personnel = [], orders = [], onSelect }) => {
+  const ranked = rankRiders(order, personnel, orders);
+
+  if (ranked.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <ApperIcon name="Users" size={48} className="text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-600">No delivery personnel</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2 max-h-72 overflow-y-auto">
+      {ranked.map((entry, index) => (
+        <button
+          key={entry.rider.Id}
+          type="button"
+          disabled={!entry.eligible}
+          onClick={() => onSelect(entry.rider.Id)}
+          className={`w-full flex items-center justify-between p-3 border rounded-lg text-left ${
+            entry.eligible ? 'hover:bg-gray-50' : 'opacity-50 cursor-not-allowed'
+          } ${index === 0 && entry.eligible ? 'border-primary' : 'border-gray-200'}`}
+        >
+          <div>
+            <p className="font-medium text-gray-900 flex items-center">
+              {entry.rider.name}
+              {index === 0 && entry.eligible && (
+                <Badge variant="success" size="small" className="ml-2">Best match</Badge>
+              )}
+            </p>
+            <p className="text-sm text-gray-600">
+              {entry.rider.zone} • {entry.rider.vehicleType}
+              {!entry.sameZone && <span className="text-yellow-600"> • other zone</span>}
+            </p>
+          </div>
+          <div className="text-right text-sm">
+            <p className="text-gray-900">{entry.distanceKm != null ? `${entry.distanceKm} km` : 'Unknown'}</p>
+            <p className="text-xs text-gray-500">{entry.reason || `${entry.load}/${entry.capacity} on board`}</p>
+          </div>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default RiderSuggestionList;
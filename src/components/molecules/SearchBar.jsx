@@ -34,6 +34,7 @@ const [searchTerm, setSearchTerm] = useState('');
     { value: 'name-desc', label: 'Name (Z-A)' },
     { value: 'price-low', label: 'Price: Low to High' },
     { value: 'price-high', label: 'Price: High to Low' },
+    { value: 'rating', label: 'Customer Rating' },
     { value: 'stock', label: 'Stock Level' }
   ], []);
 
@@ -46,11 +47,15 @@ const [searchTerm, setSearchTerm] = useState('');
     return () => clearTimeout(debounceTimer);
   }, [searchTerm, onSearch]);
 
+  // Report real filter changes only; parents often pass a new callback on every render
+  const onFiltersChangeRef = useRef(onFiltersChange);
+  onFiltersChangeRef.current = onFiltersChange;
+
   useEffect(() => {
-    if (onFiltersChange) {
-      onFiltersChange(filters);
+    if (onFiltersChangeRef.current) {
+      onFiltersChangeRef.current(filters);
     }
-  }, [filters, onFiltersChange]);
+  }, [filters]);
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -0,0 +1,26 @@
+import React from "react";
+import ApperIcon from "@/components/ApperIcon";
+
+// Five stars, filled to the rating; clickable when an onChange handler is given
+const StarRating = ({ value = 0, size = 16, onChange, className = '' }) => (
+  <div className={`flex items-center space-x-0.5 ${className}`} aria-label={`${value} out of 5 stars`}>
+    {[1, 2, 3, 4, 5].map(star => {
+      const icon = (
+        <ApperIcon
+          name="Star"
+          size={size}
+          className={star <= Math.round(value) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}
+        />
+      );
+      return onChange ? (
+        <button key={star} type="button" onClick={() => onChange(star)} aria-label={`${star} star${star > 1 ? 's' : ''}`}>
+          {icon}
+        </button>
+      ) : (
+        <span key={star}>{icon}</span>
+      );
+    })}
+  </div>
+);
+
+export default StarRating;
@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import productService from "@/services/api/productService";
+import {
+  DEFAULT_SUBSTITUTION,
+  findSimilarProducts,
+  SUBSTITUTION_LABELS,
+  SUBSTITUTION_MODES
+} from "@/services/api/pickingService";
+
+// Per-line choice of what the picker should do if the product has run out
+const SubstitutionPicker = ({ item, onChange }) => {
+  const substitution = item.substitution || DEFAULT_SUBSTITUTION;
+  const [alternatives, setAlternatives] = useState([]);
+
+  // Alternatives are only needed once the customer wants to choose one
+  useEffect(() => {
+    if (substitution.mode !== SUBSTITUTION_MODES.SPECIFIC || alternatives.length > 0) return;
+    productService.getAll()
+      .then(products => {
+        const options = findSimilarProducts(item, products, 5);
+        setAlternatives(options);
+        if (!substitution.alternativeId && options.length > 0) {
+          onChange({ ...substitution, alternativeId: options[0].id });
+        }
+      })
+      .catch(err => console.error('Error loading alternatives:', err));
+  }, [substitution.mode]);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+      <ApperIcon name="Repeat" size={12} className="text-gray-500" />
+      <select
+        value={substitution.mode}
+        onChange={(e) => onChange({ mode: e.target.value, alternativeId: null })}
+        className="border border-gray-300 rounded px-2 py-1 text-xs text-gray-700"
+        aria-label={`If ${item.name} is out of stock`}
+      >
+        {Object.values(SUBSTITUTION_MODES).map(mode => (
+          <option key={mode} value={mode}>{SUBSTITUTION_LABELS[mode]}</option>
+        ))}
+      </select>
+      {substitution.mode === SUBSTITUTION_MODES.SPECIFIC && (
+        alternatives.length > 0 ? (
+          <select
+            value={substitution.alternativeId || ''}
+            onChange={(e) => onChange({ ...substitution, alternativeId: parseInt(e.target.value) })}
+            className="border border-gray-300 rounded px-2 py-1 text-xs text-gray-700"
+            aria-label="Alternative product"
+          >
+            {alternatives.map(product => (
+              <option key={product.id} value={product.id}>
+                {product.name} (Rs. {product.price.toLocaleString()}/{product.unit})
+              </option>
+            ))}
+          </select>
+        ) : (
+          <span className="text-gray-500">No alternatives in stock, we will refund instead</span>
+        )
+      )}
+    </div>
+  );
+};
+
+export default SubstitutionPicker;
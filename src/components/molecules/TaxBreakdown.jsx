@@ -0,0 +1,36 @@
+import React from "react";
+
+// GST per tax class for a basket priced by calculateTax. With tax-inclusive prices the
+// amounts are informational; otherwise they are added to the total.
+const TaxBreakdown = ({ tax, compact = false }) => {
+  if (!tax || tax.breakdown.length === 0) return null;
+
+  const taxed = tax.breakdown.filter(entry => entry.rate > 0);
+  const untaxedNet = tax.breakdown
+    .filter(entry => entry.rate === 0)
+    .reduce((sum, entry) => sum + entry.net, 0);
+
+  return (
+    <div className={`${compact ? 'space-y-1' : 'space-y-2'} text-sm`}>
+      {taxed.map(entry => (
+        <div key={entry.taxClass} className="flex justify-between items-center">
+          <span className="text-gray-600">
+            GST {entry.rate}%{tax.pricesIncludeTax && ' (included)'}
+            {!compact && <span className="text-xs text-gray-500"> on Rs. {entry.net.toLocaleString()}</span>}
+          </span>
+          <span className={tax.pricesIncludeTax ? 'text-gray-600' : 'font-medium'}>
+            Rs. {entry.tax.toLocaleString()}
+          </span>
+        </div>
+      ))}
+      {untaxedNet > 0 && !compact && (
+        <div className="flex justify-between items-center text-xs text-gray-500">
+          <span>Exempt / zero-rated items</span>
+          <span>Rs. {untaxedNet.toLocaleString()}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaxBreakdown;
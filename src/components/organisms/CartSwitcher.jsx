@@ -0,0 +1,285 @@
+import React, { useEffect, useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import { authService, PERMISSIONS } from "@/services/api/authService";
+import { MAX_OPEN_CARTS, parkedSaleService } from "@/services/api/parkedSaleService";
+import { tenderLabel } from "@/services/api/posTenders";
+
+// Tabs for the carts open on this till, plus parking and resuming sales.
+// Alt+1..5 switches cart, Alt+N opens a new one and Alt+P parks the current sale.
+// Charges taken on a cart that was lost to a reload are listed here for refund.
+const CartSwitcher = ({ carts, activeCartId, registerId, onSwitch, onNew, onClose, onParked, onResume }) => {
+  const [parked, setParked] = useState([]);
+  const [unfinishedTenders, setUnfinishedTenders] = useState([]);
+  const [showParked, setShowParked] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [expiryMinutes, setExpiryMinutes] = useState('');
+  const canConfigure = authService.can(PERMISSIONS.PRODUCTS_MANAGE);
+  const activeCart = carts.find(cart => cart.id === activeCartId);
+
+  const loadParked = async () => {
+    try {
+      setParked(await parkedSaleService.getParked());
+    } catch (err) {
+      console.error('Error loading parked sales:', err);
+    }
+  };
+
+  const loadUnfinishedTenders = async () => {
+    try {
+      setUnfinishedTenders(await parkedSaleService.getUnfinishedTenders({
+        registerId,
+        openHoldIds: carts.flatMap(cart => (cart.tenders || []).map(tender => tender.holdId)).filter(Boolean)
+      }));
+    } catch (err) {
+      console.error('Error loading unfinished tenders:', err);
+    }
+  };
+
+  // Only on load or a new register: tenders taken from here on belong to the open carts
+  useEffect(() => {
+    loadUnfinishedTenders();
+  }, [registerId]);
+
+  useEffect(() => {
+    loadParked();
+    parkedSaleService.getSettings()
+      .then(settings => setExpiryMinutes(String(settings.expiryMinutes)))
+      .catch(err => console.error('Error loading park settings:', err));
+  }, []);
+
+  const handleSaveExpiry = async () => {
+    try {
+      const settings = await parkedSaleService.updateSettings({ expiryMinutes });
+      toast.success(`Sales parked from now on expire after ${settings.expiryMinutes} minutes`);
+    } catch (err) {
+      toast.error(err.message || 'Could not save the setting');
+    }
+  };
+
+  const handleNew = () => {
+    if (carts.length >= MAX_OPEN_CARTS) {
+      toast.error(`Up to ${MAX_OPEN_CARTS} carts can be open, park or finish one first`);
+      return;
+    }
+    onNew();
+  };
+
+  const handlePark = async () => {
+    if (!activeCart || activeCart.items.length === 0) {
+      toast.error('There is nothing in this cart to park');
+      return;
+    }
+    if (activeCart.tenders.length > 0) {
+      toast.error('Payment has started on this cart, complete it or remove the tenders before parking');
+      return;
+    }
+    const label = window.prompt('Label for the parked sale', activeCart.customer?.name || `Cart ${activeCart.number}`);
+    if (label === null) return;
+    try {
+      setWorking(true);
+      const sale = await parkedSaleService.park({
+        label,
+        items: activeCart.items,
+        couponCode: activeCart.couponCode,
+        customer: activeCart.customer,
+        registerId
+      });
+      onParked(activeCart.id);
+      await loadParked();
+      toast.success(`Sale parked as "${sale.label}"`);
+    } catch (err) {
+      toast.error(err.message || 'Could not park the sale');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleResume = async (sale) => {
+    const target = carts.find(cart => cart.items.length === 0);
+    if (!target && carts.length >= MAX_OPEN_CARTS) {
+      toast.error(`Up to ${MAX_OPEN_CARTS} carts can be open, park or finish one first`);
+      return;
+    }
+    try {
+      setWorking(true);
+      const resumed = await parkedSaleService.resume(sale.Id, { registerId });
+      onResume(resumed);
+      setShowParked(false);
+      toast.success(`Resumed "${resumed.label}"`);
+    } catch (err) {
+      toast.error(err.message || 'Could not resume the sale');
+    } finally {
+      setWorking(false);
+      await loadParked();
+    }
+  };
+
+  const handleDiscard = async (sale) => {
+    if (!window.confirm(`Discard the parked sale "${sale.label}"?`)) return;
+    try {
+      await parkedSaleService.discard(sale.Id);
+      await loadParked();
+    } catch (err) {
+      toast.error(err.message || 'Could not discard the sale');
+    }
+  };
+
+  const handleRefundTender = async (hold) => {
+    if (!window.confirm(`Refund Rs. ${hold.amount.toLocaleString()} to ${tenderLabel(hold.method)}?`)) return;
+    try {
+      setWorking(true);
+      await parkedSaleService.releaseHeldTender(hold.Id);
+      toast.success(`${tenderLabel(hold.method)} tender of Rs. ${hold.amount.toLocaleString()} refunded`);
+    } catch (err) {
+      toast.error(err.message || 'Could not refund the tender');
+    } finally {
+      setWorking(false);
+      await loadUnfinishedTenders();
+    }
+  };
+
+  const handleClose = (cart) => {
+    if (cart.tenders.length > 0) {
+      toast.error('Payment has started on this cart, complete it or remove the tenders first');
+      return;
+    }
+    if (cart.items.length > 0 && !window.confirm(`Clear cart ${cart.number} with ${cart.items.length} item(s)?`)) {
+      return;
+    }
+    onClose(cart.id);
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!event.altKey || event.ctrlKey || event.metaKey) return;
+      const key = event.key.toLowerCase();
+      if (/^[1-9]$/.test(key)) {
+        const cart = carts[Number(key) - 1];
+        if (cart) {
+          event.preventDefault();
+          onSwitch(cart.id);
+        }
+      } else if (key === 'n') {
+        event.preventDefault();
+        handleNew();
+      } else if (key === 'p') {
+        event.preventDefault();
+        handlePark();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [carts, activeCartId]);
+
+  return (
+    <div className="mb-4">
+      {unfinishedTenders.length > 0 && (
+        <div className="mb-3 space-y-2">
+          {unfinishedTenders.map(hold => (
+            <div key={hold.Id} className="flex items-center justify-between gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {tenderLabel(hold.method)} · Rs. {hold.amount.toLocaleString()}
+                </p>
+                <p className="text-red-700">
+                  Charged {formatDistanceToNow(new Date(hold.capturedAt), { addSuffix: true })}
+                  {hold.cashierName && ` by ${hold.cashierName}`} on a sale that was never completed
+                </p>
+              </div>
+              <Button variant="danger" size="small" icon="RotateCcw" disabled={working} onClick={() => handleRefundTender(hold)}>
+                Refund
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-2">
+        {carts.map((cart, index) => (
+          <div
+            key={cart.id}
+            className={`flex items-center rounded-lg border text-sm ${cart.id === activeCartId ? 'border-primary bg-primary text-white' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+          >
+            <button
+              onClick={() => onSwitch(cart.id)}
+              className="px-3 py-1"
+              title={`Alt+${index + 1}`}
+            >
+              {cart.customer?.name || `Cart ${cart.number}`}
+              {cart.items.length > 0 && ` (${cart.items.length})`}
+            </button>
+            {carts.length > 1 && (
+              <button onClick={() => handleClose(cart)} className="pr-2" aria-label={`Close cart ${cart.number}`}>
+                <ApperIcon name="X" size={12} />
+              </button>
+            )}
+          </div>
+        ))}
+        <Button variant="ghost" size="small" icon="Plus" onClick={handleNew} title="Alt+N">
+          New
+        </Button>
+      </div>
+      <div className="flex items-center gap-2 mt-2">
+        <Button variant="outline" size="small" icon="PauseCircle" disabled={working} onClick={handlePark} title="Alt+P">
+          Park Sale
+        </Button>
+        <Button
+          variant="outline"
+          size="small"
+          icon="ListRestart"
+          onClick={() => {
+            setShowParked(!showParked);
+            loadParked();
+          }}
+        >
+          Parked <Badge variant={parked.length > 0 ? 'warning' : 'default'} size="small">{parked.length}</Badge>
+        </Button>
+      </div>
+
+      {showParked && (
+        <div className="mt-3 border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-64 overflow-y-auto">
+          {parked.length === 0 ? (
+            <p className="p-3 text-sm text-gray-500">No parked sales</p>
+          ) : parked.map(sale => (
+            <div key={sale.Id} className="p-3 flex items-center justify-between gap-2 text-sm">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 truncate">{sale.label}</p>
+                <p className="text-xs text-gray-500">
+                  {sale.items.length} item(s) · {sale.registerId}{sale.registerId !== registerId && ' (other till)'}
+                  {' · '}expires {formatDistanceToNow(new Date(sale.expiresAt), { addSuffix: true })}
+                </p>
+              </div>
+              <div className="flex gap-1">
+                <Button variant="primary" size="small" icon="Play" disabled={working} onClick={() => handleResume(sale)}>
+                  Resume
+                </Button>
+                <Button variant="ghost" size="small" icon="Trash2" disabled={working} onClick={() => handleDiscard(sale)} />
+              </div>
+            </div>
+          ))}
+          {canConfigure && (
+            <div className="p-3 flex items-center gap-2 text-xs text-gray-600">
+              <span>Parked sales expire after</span>
+              <input
+                type="number"
+                min="5"
+                max="1440"
+                value={expiryMinutes}
+                onChange={(e) => setExpiryMinutes(e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1 w-16 text-xs"
+                aria-label="Parked sale expiry in minutes"
+              />
+              <span>minutes</span>
+              <Button variant="ghost" size="small" onClick={handleSaveExpiry}>Save</Button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CartSwitcher;
@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import { DEFAULT_ORDERS_PER_RIDER, deliverySlotService, formatSlotLabel } from "@/services/api/deliverySlotService";
+
+const emptyWindow = (zone) => ({ zone, startTime: '', endTime: '', ordersPerRider: String(DEFAULT_ORDERS_PER_RIDER) });
+
+// Admin setup for the delivery time windows offered at checkout in each zone
+const DeliveryWindowsPanel = ({ zones = [], personnel = [], onChange }) => {
+  const [zone, setZone] = useState(zones[0] || '');
+  const [windows, setWindows] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const riders = personnel.filter(person => person.zone === zone && person.isActive).length;
+
+  const loadWindows = async () => {
+    if (!zone) return;
+    try {
+      setWindows(await deliverySlotService.getWindows(zone));
+    } catch (err) {
+      console.error('Error loading delivery windows:', err);
+      toast.error('Failed to load delivery windows');
+    }
+  };
+
+  useEffect(() => {
+    if (!zone && zones.length > 0) {
+      setZone(zones[0]);
+    }
+  }, [zones]);
+
+  useEffect(() => {
+    setDraft(null);
+    loadWindows();
+  }, [zone]);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setSaving(true);
+      await action();
+      toast.success(successMessage);
+      setDraft(null);
+      await loadWindows();
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message || 'Action failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    runAction(
+      () => draft.Id ? deliverySlotService.updateWindow(draft.Id, draft) : deliverySlotService.createWindow(draft),
+      draft.Id ? 'Delivery window updated' : 'Delivery window added'
+    );
+  };
+
+  const handleDelete = (deliveryWindow) => {
+    if (!window.confirm(`Remove the ${formatSlotLabel(deliveryWindow)} window in ${deliveryWindow.zone}?`)) return;
+    runAction(() => deliverySlotService.deleteWindow(deliveryWindow.Id), 'Delivery window removed');
+  };
+
+  return (
+    <div className="card p-6 mt-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Delivery Windows</h2>
+          <p className="text-sm text-gray-600">
+            {riders} active {riders === 1 ? 'rider' : 'riders'} in this zone; capacity is riders × orders per rider
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select value={zone} onChange={(e) => setZone(e.target.value)} className="input-field py-1">
+            {zones.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <Button size="small" icon="Plus" onClick={() => setDraft(emptyWindow(zone))}>
+            Add Window
+          </Button>
+        </div>
+      </div>
+
+      {draft && (
+        <form onSubmit={handleSave} className="flex flex-wrap items-end gap-3 p-4 mb-4 bg-gray-50 rounded-lg">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+            <input
+              type="time"
+              value={draft.startTime}
+              onChange={(e) => setDraft(prev => ({ ...prev, startTime: e.target.value }))}
+              className="input-field py-1"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+            <input
+              type="time"
+              value={draft.endTime}
+              onChange={(e) => setDraft(prev => ({ ...prev, endTime: e.target.value }))}
+              className="input-field py-1"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Orders per rider</label>
+            <input
+              type="number"
+              min="1"
+              value={draft.ordersPerRider}
+              onChange={(e) => setDraft(prev => ({ ...prev, ordersPerRider: e.target.value }))}
+              className="input-field py-1 w-24"
+              required
+            />
+          </div>
+          <Button type="submit" size="small" icon="Save" loading={saving}>Save</Button>
+          <Button type="button" variant="ghost" size="small" onClick={() => setDraft(null)}>Cancel</Button>
+        </form>
+      )}
+
+      {windows.length === 0 ? (
+        <div className="text-center py-6 text-gray-500">
+          <ApperIcon name="Clock" size={32} className="mx-auto mb-2 text-gray-300" />
+          No delivery windows in {zone || 'this zone'} yet
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {windows.map(deliveryWindow => (
+            <div key={deliveryWindow.Id} className="flex items-center justify-between py-3">
+              <div className="flex items-center space-x-3">
+                <ApperIcon name="Clock" size={16} className="text-gray-400" />
+                <span className="font-medium text-gray-900">{formatSlotLabel(deliveryWindow)}</span>
+                <span className="text-sm text-gray-600">
+                  {deliveryWindow.ordersPerRider} per rider · {riders * deliveryWindow.ordersPerRider} orders
+                </span>
+                {!deliveryWindow.isActive && <Badge size="small">Inactive</Badge>}
+              </div>
+              <div className="flex items-center space-x-1">
+                <Button variant="ghost" size="small" icon="Edit" onClick={() => setDraft({ ...deliveryWindow })} />
+                <Button
+                  variant="ghost"
+                  size="small"
+                  icon={deliveryWindow.isActive ? 'Pause' : 'Play'}
+                  onClick={() => runAction(
+                    () => deliverySlotService.updateWindow(deliveryWindow.Id, { isActive: !deliveryWindow.isActive }),
+                    deliveryWindow.isActive ? 'Window paused' : 'Window reopened'
+                  )}
+                />
+                <Button variant="ghost" size="small" icon="Trash2" onClick={() => handleDelete(deliveryWindow)} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryWindowsPanel;
@@ -0,0 +1,201 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import { perishableService } from "@/services/api/perishableService";
+
+const WINDOW_OPTIONS = [1, 3, 7];
+
+// Expiring-soon report for perishable batches: mark near-expiry stock down, write expired stock off
+const ExpiryReportPanel = () => {
+  const [report, setReport] = useState(null);
+  const [withinDays, setWithinDays] = useState(3);
+  const [markdowns, setMarkdowns] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [workingId, setWorkingId] = useState(null);
+
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+      const data = await perishableService.getExpiringReport({ withinDays });
+      setReport(data);
+      setMarkdowns(Object.fromEntries(data.expiring.map(row => [row.Id, String(row.suggestedMarkdown || '')])));
+    } catch (err) {
+      console.error('Error loading expiry report:', err);
+      toast.error('Failed to load expiring stock');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReport();
+  }, [withinDays]);
+
+  const runAction = async (id, action, successMessage) => {
+    try {
+      setWorkingId(id);
+      const result = await action();
+      toast.success(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      await loadReport();
+    } catch (err) {
+      toast.error(err.message || 'Action failed');
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleMarkdown = (row) => runAction(
+    row.Id,
+    () => perishableService.applyMarkdown(row.Id, markdowns[row.Id]),
+    `${row.productName} marked down ${markdowns[row.Id]}% until ${new Date(row.expiryDate).toLocaleDateString()}`
+  );
+
+  const handleWriteOff = (row) => {
+    if (!window.confirm(`Write off ${row.remaining} ${row.unit} of ${row.productName} (lot ${row.lotNumber})?`)) return;
+    runAction(
+      row.Id,
+      () => perishableService.writeOffBatch(row.Id),
+      result => `Written off, Rs. ${result.amount.toLocaleString()} booked as expense`
+    );
+  };
+
+  const handleWriteOffAll = () => {
+    if (!window.confirm(`Write off all ${report.expired.length} expired batches?`)) return;
+    runAction(
+      'all',
+      () => perishableService.writeOffExpired(),
+      result => `${result.batches} batches written off, Rs. ${result.amount.toLocaleString()} booked as expense`
+    );
+  };
+
+  return (
+    <div className="card p-6 mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Expiring Stock</h2>
+          <p className="text-sm text-gray-600">Perishable batches expiring soon, earliest first</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={withinDays}
+            onChange={(e) => setWithinDays(parseInt(e.target.value))}
+            className="input-field py-1"
+          >
+            {WINDOW_OPTIONS.map(days => (
+              <option key={days} value={days}>Next {days} {days === 1 ? 'day' : 'days'}</option>
+            ))}
+          </select>
+          {report?.expired.length > 0 && (
+            <Button variant="danger" size="small" icon="Trash2" loading={workingId === 'all'} onClick={handleWriteOffAll}>
+              Write Off Expired
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {loading && !report ? (
+        <div className="py-8 text-center text-gray-500">
+          <ApperIcon name="Loader2" size={24} className="animate-spin mx-auto mb-2" />
+          Checking batch expiry dates...
+        </div>
+      ) : report.expiring.length === 0 && report.expired.length === 0 ? (
+        <div className="text-center py-8">
+          <ApperIcon name="CheckCircle" size={48} className="text-green-400 mx-auto mb-4" />
+          <p className="text-gray-600">No perishable stock expires in the next {withinDays} days</p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div className="bg-yellow-50 rounded-lg p-4">
+              <p className="text-sm text-yellow-700">Expiring soon (at cost)</p>
+              <p className="text-2xl font-bold text-yellow-800">Rs. {report.expiringCostValue.toLocaleString()}</p>
+            </div>
+            <div className="bg-red-50 rounded-lg p-4">
+              <p className="text-sm text-red-700">Expired, awaiting write-off</p>
+              <p className="text-2xl font-bold text-red-800">Rs. {report.expiredCostValue.toLocaleString()}</p>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Product</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Lot</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Expires</th>
+                  <th className="px-3 py-2 text-right font-medium text-gray-500">Remaining</th>
+                  <th className="px-3 py-2 text-right font-medium text-gray-500">Cost Value</th>
+                  <th className="px-3 py-2 text-right font-medium text-gray-500">Action</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {[...report.expired, ...report.expiring].map(row => (
+                  <tr key={row.Id} className={row.expired ? 'bg-red-50' : ''}>
+                    <td className="px-3 py-2">
+                      <span className="font-medium text-gray-900">{row.productName}</span>
+                      <p className="text-xs text-gray-500">{row.category}</p>
+                    </td>
+                    <td className="px-3 py-2 text-gray-600">{row.lotNumber}</td>
+                    <td className="px-3 py-2">
+                      {row.expired ? (
+                        <Badge variant="danger" size="small">Expired</Badge>
+                      ) : (
+                        <Badge variant={row.daysToExpiry <= 1 ? 'danger' : 'warning'} size="small">
+                          {row.daysToExpiry <= 0 ? 'Today' : `${row.daysToExpiry}d left`}
+                        </Badge>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right">{row.remaining} {row.unit}</td>
+                    <td className="px-3 py-2 text-right">Rs. {row.costValue.toLocaleString()}</td>
+                    <td className="px-3 py-2">
+                      <div className="flex items-center justify-end space-x-2">
+                        {row.expired ? (
+                          <Button
+                            variant="danger"
+                            size="small"
+                            icon="Trash2"
+                            loading={workingId === row.Id}
+                            onClick={() => handleWriteOff(row)}
+                          >
+                            Write Off
+                          </Button>
+                        ) : row.markdownPercent ? (
+                          <Badge variant="info" size="small">Marked down {row.markdownPercent}%</Badge>
+                        ) : (
+                          <>
+                            <input
+                              type="number"
+                              min="1"
+                              max="90"
+                              value={markdowns[row.Id] || ''}
+                              onChange={(e) => setMarkdowns(prev => ({ ...prev, [row.Id]: e.target.value }))}
+                              className="input-field w-16 py-1 text-right"
+                            />
+                            <span className="text-gray-500">%</span>
+                            <Button
+                              variant="outline"
+                              size="small"
+                              icon="Tag"
+                              loading={workingId === row.Id}
+                              onClick={() => handleMarkdown(row)}
+                            >
+                              Markdown
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExpiryReportPanel;
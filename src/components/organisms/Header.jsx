@@ -4,18 +4,37 @@ import { useSelector, useDispatch } from 'react-redux';
 import { ShoppingCart, User, Search, Menu, X, Bell } from 'lucide-react';
 import { showNotification, addNotification, markAsRead } from '@/store/notificationSlice.js';
 import { clearCart } from "@/store/cartSlice.js";
+import { logoutUser, selectCurrentUser, selectIsAuthenticated, selectUserRole } from "@/store/authSlice";
+import { ROLE_LABELS, canAccessPath } from "@/services/api/authService";
 import ApperIcon from "@/components/ApperIcon";
 import Badge from "@/components/atoms/Badge";
 import Button from "@/components/atoms/Button";
 import Orders from "@/components/pages/Orders";
 import Home from "@/components/pages/Home";
 import SearchBar from "@/components/molecules/SearchBar";
+
+const NAV_LINKS = [
+  { label: 'Home', to: '/' },
+  { label: 'Shop', to: '/category/All' },
+  { label: 'Orders', to: '/orders', requiresAuth: true },
+  { label: 'POS', to: '/pos' },
+  { label: 'Deliveries', to: '/delivery' },
+  { label: 'Admin', to: '/admin' }
+];
+
 const Header = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const location = useLocation();
   
   const cartCount = useSelector(state => state.cart?.items?.length || 0);
+  const currentUser = useSelector(selectCurrentUser);
+  const isAuthenticated = useSelector(selectIsAuthenticated);
+  const role = useSelector(selectUserRole);
+  // Only show links the current role can actually open
+  const navLinks = NAV_LINKS.filter(link =>
+    (!link.requiresAuth || isAuthenticated) && canAccessPath(role, link.to)
+  );
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [searchResults, setSearchResults] = useState([]);
   const [searchFilters, setSearchFilters] = useState({
@@ -31,11 +50,16 @@ const Header = () => {
     }
   };
 
+  const handleLogout = async () => {
+    await dispatch(logoutUser());
+    navigate('/');
+  };
+
   const handleFiltersChange = (filters) => {
     setSearchFilters(filters);
     // Apply filters to search results if needed
-    if (filters.category !== 'All') {
-      navigate(`/category/${filters.category}`);
+    if (filters.category !== 'All' || filters.sortBy !== 'name') {
+      navigate(`/category/${filters.category}${filters.sortBy !== 'name' ? `?sort=${filters.sortBy}` : ''}`);
     }
   };
   return (
@@ -52,18 +76,11 @@ const Header = () => {
 
           {/* Desktop Navigation */}
           <nav className="hidden md:flex items-center space-x-8">
-            <Link to="/" className="text-gray-700 hover:text-primary transition-colors">
-              Home
-            </Link>
-            <Link to="/category/All" className="text-gray-700 hover:text-primary transition-colors">
-              Shop
-            </Link>
-            <Link to="/orders" className="text-gray-700 hover:text-primary transition-colors">
-              Orders
-            </Link>
-            <Link to="/admin" className="text-gray-700 hover:text-primary transition-colors">
-              Admin
-            </Link>
+            {navLinks.map(link => (
+              <Link key={link.to} to={link.to} className="text-gray-700 hover:text-primary transition-colors">
+                {link.label}
+              </Link>
+            ))}
           </nav>
 
 {/* Search Bar - Desktop */}
@@ -91,12 +108,36 @@ const Header = () => {
             </Link>
 
             {/* Account */}
-            <Link 
-              to="/account" 
-              className="p-2 text-gray-700 hover:text-primary transition-colors"
-            >
-              <ApperIcon name="User" size={24} />
-            </Link>
+            {isAuthenticated ? (
+              <>
+                <Link 
+                  to="/account" 
+                  className="flex items-center space-x-2 p-2 text-gray-700 hover:text-primary transition-colors"
+                  title={`${currentUser?.name} (${ROLE_LABELS[role]})`}
+                >
+                  <ApperIcon name="User" size={24} />
+                  <span className="hidden lg:flex flex-col leading-tight">
+                    <span className="text-sm font-medium">{currentUser?.name}</span>
+                    <span className="text-xs text-gray-500">{ROLE_LABELS[role]}</span>
+                  </span>
+                </Link>
+                <button
+                  onClick={handleLogout}
+                  className="p-2 text-gray-700 hover:text-primary transition-colors"
+                  title="Sign out"
+                >
+                  <ApperIcon name="LogOut" size={22} />
+                </button>
+              </>
+            ) : (
+              <Link 
+                to="/login" 
+                className="flex items-center space-x-1 p-2 text-gray-700 hover:text-primary transition-colors"
+              >
+                <ApperIcon name="LogIn" size={22} />
+                <span className="hidden lg:inline text-sm font-medium">Sign In</span>
+              </Link>
+            )}
 
             {/* Mobile Menu Button */}
             <button
@@ -123,34 +164,16 @@ const Header = () => {
       {isMobileMenuOpen && (
         <div className="md:hidden bg-white border-t border-gray-200 shadow-lg">
           <nav className="px-4 py-2 space-y-2">
-            <Link 
-              to="/" 
-              className="block px-3 py-2 text-gray-700 hover:text-primary hover:bg-gray-50 rounded-lg transition-colors"
-              onClick={() => setIsMobileMenuOpen(false)}
-            >
-              Home
-            </Link>
-            <Link 
-              to="/category/All" 
-              className="block px-3 py-2 text-gray-700 hover:text-primary hover:bg-gray-50 rounded-lg transition-colors"
-              onClick={() => setIsMobileMenuOpen(false)}
-            >
-              Shop
-            </Link>
-            <Link 
-              to="/orders" 
-              className="block px-3 py-2 text-gray-700 hover:text-primary hover:bg-gray-50 rounded-lg transition-colors"
-              onClick={() => setIsMobileMenuOpen(false)}
-            >
-              Orders
-            </Link>
-            <Link 
-              to="/admin" 
-              className="block px-3 py-2 text-gray-700 hover:text-primary hover:bg-gray-50 rounded-lg transition-colors"
-              onClick={() => setIsMobileMenuOpen(false)}
-            >
-              Admin
-            </Link>
+            {navLinks.map(link => (
+              <Link 
+                key={link.to}
+                to={link.to} 
+                className="block px-3 py-2 text-gray-700 hover:text-primary hover:bg-gray-50 rounded-lg transition-colors"
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                {link.label}
+              </Link>
+            ))}
           </nav>
         </div>
       )}
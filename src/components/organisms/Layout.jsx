@@ -1,12 +1,20 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Outlet } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
 import Header from '@/components/organisms/Header';
 import Footer from '@/components/organisms/Footer';
 import ChatWidget from '@/components/molecules/ChatWidget';
+import { restoreSession } from '@/store/authSlice';
 
 const Layout = () => {
+  const dispatch = useDispatch();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
+  // Re-validate the persisted session before guarded routes render
+  useEffect(() => {
+    dispatch(restoreSession());
+  }, [dispatch]);
+
   return (
     <div className="min-h-screen bg-background">
       <Header 
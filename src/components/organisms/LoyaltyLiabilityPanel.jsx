@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from "react";
+import { endOfMonth, format, startOfMonth } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import { loyaltyService } from "@/services/api/loyaltyService";
+
+// Points still owed to customers, valued at redemption value, and how they moved in the month
+const LoyaltyLiabilityPanel = () => {
+  const [period, setPeriod] = useState(format(new Date(), 'yyyy-MM'));
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+      const monthStart = new Date(`${period}-01T00:00:00`);
+      setReport(await loyaltyService.getLiability({ from: startOfMonth(monthStart), to: endOfMonth(monthStart) }));
+    } catch (err) {
+      toast.error(err.message || 'Failed to load loyalty liability');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReport();
+  }, [period]);
+
+  if (loading || !report) {
+    return (
+      <div className="card p-6 py-8 text-center text-gray-500">
+        <ApperIcon name="Loader2" size={24} className="animate-spin mx-auto mb-2" />
+        Building report...
+      </div>
+    );
+  }
+
+  const movements = [
+    { label: 'Issued', points: report.period.issued, className: 'text-green-600' },
+    { label: 'Redeemed at checkout', points: report.period.redeemed, className: 'text-blue-600' },
+    { label: 'Converted to wallet', points: report.period.converted, className: 'text-blue-600' },
+    { label: 'Reversed on refunds', points: report.period.reversed, className: 'text-gray-700' },
+    { label: 'Expired', points: report.period.expired, className: 'text-red-600' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="card p-4">
+          <p className="text-sm text-gray-600">Points Liability</p>
+          <p className="text-xl font-bold text-gray-900">Rs. {report.liability.toLocaleString()}</p>
+          <p className="text-xs text-gray-500">{report.outstandingPoints.toLocaleString()} points outstanding</p>
+        </div>
+        <div className="card p-4">
+          <p className="text-sm text-gray-600">Members</p>
+          <p className="text-xl font-bold text-gray-900">{report.members}</p>
+        </div>
+        <div className="card p-4">
+          <p className="text-sm text-gray-600">Expiring in 30 days</p>
+          <p className="text-xl font-bold text-yellow-600">Rs. {report.expiring30.toLocaleString()}</p>
+        </div>
+        <div className="card p-4">
+          <p className="text-sm text-gray-600">Expiring in 90 days</p>
+          <p className="text-xl font-bold text-yellow-600">Rs. {report.expiring90.toLocaleString()}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="card p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Liability by Tier</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="py-2">Tier</th>
+                <th className="py-2 text-right">Members</th>
+                <th className="py-2 text-right">Points</th>
+                <th className="py-2 text-right">Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.byTier.map(tier => (
+                <tr key={tier.id} className="border-b border-gray-100">
+                  <td className="py-2 font-medium text-gray-900">{tier.name} <span className="text-gray-500">({tier.multiplier}x)</span></td>
+                  <td className="py-2 text-right">{tier.members}</td>
+                  <td className="py-2 text-right">{tier.points.toLocaleString()}</td>
+                  <td className="py-2 text-right">Rs. {tier.value.toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="card p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Points Movement</h3>
+            <input
+              type="month"
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              className="input-field w-44"
+            />
+          </div>
+          <div className="space-y-2 text-sm">
+            {movements.map(movement => (
+              <div key={movement.label} className="flex justify-between">
+                <span className="text-gray-600">{movement.label}</span>
+                <span className={`font-medium ${movement.className}`}>{movement.points.toLocaleString()} pts</span>
+              </div>
+            ))}
+            <div className="flex justify-between border-t border-gray-200 pt-2">
+              <span className="text-gray-600">Breakage rate</span>
+              <span className="font-medium text-gray-900">{report.period.breakageRate}%</span>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoyaltyLiabilityPanel;
@@ -0,0 +1,418 @@
+import React, { useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import BarcodeScanner from "@/components/molecules/BarcodeScanner";
+import { POS_RETURN_REASONS, posReturnService, REFUND_STATUS, REFUND_TO, RETURN_APPROVAL_THRESHOLD } from "@/services/api/posReturnService";
+import { TENDER_METHODS, tenderLabel } from "@/services/api/posTenders";
+import { formatQuantity, getUnitRule, isVariableMeasure } from "@/services/api/measureUnits";
+
+const rupees = (amount) => `Rs. ${amount.toLocaleString()}`;
+
+// Returns and exchanges against a receipt. The cashier scans the receipt (handheld
+// scanners type the code into the box), picks what comes back and anything taken in
+// exchange, reviews the balance and then refunds it or takes the difference.
+const PosReturnPanel = ({ products, registerSession, onCompleted, onClose }) => {
+  const [code, setCode] = useState('');
+  const [showScanner, setShowScanner] = useState(false);
+  const [sale, setSale] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  const [exchange, setExchange] = useState([]);
+  const [exchangeSearch, setExchangeSearch] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [refundTo, setRefundTo] = useState(REFUND_TO.ORIGINAL);
+  const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [tendered, setTendered] = useState('');
+  const [reason, setReason] = useState(POS_RETURN_REASONS[0]);
+  const [managerPin, setManagerPin] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const reset = () => {
+    setSale(null);
+    setQuantities({});
+    setExchange([]);
+    setExchangeSearch('');
+    setQuote(null);
+    setRefundTo(REFUND_TO.ORIGINAL);
+    setTendered('');
+    setManagerPin('');
+  };
+
+  const lookup = async (value = code) => {
+    if (!String(value).trim()) return;
+    try {
+      setWorking(true);
+      reset();
+      setSale(await posReturnService.findTransaction(value));
+      setCode('');
+    } catch (err) {
+      toast.error(err.message || 'Could not find that receipt');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Any change to the selection needs a fresh review before completing
+  const setLineQuantity = (index, value) => {
+    setQuantities({ ...quantities, [index]: value });
+    setQuote(null);
+  };
+
+  const addExchangeItem = (product) => {
+    if (!exchange.some(item => item.productId === product.id)) {
+      setExchange([...exchange, { productId: product.id, name: product.name, unit: product.unit, price: product.price, quantity: String(getUnitRule(product.unit).min) }]);
+    }
+    setExchangeSearch('');
+    setQuote(null);
+  };
+
+  const updateExchange = (productId, value) => {
+    setExchange(value === null
+      ? exchange.filter(item => item.productId !== productId)
+      : exchange.map(item => item.productId === productId ? { ...item, quantity: value } : item));
+    setQuote(null);
+  };
+
+  const selection = () => ({
+    transactionId: sale.transaction.id,
+    lines: Object.entries(quantities).map(([index, quantity]) => ({ index: Number(index), quantity })),
+    exchangeItems: exchange.map(item => ({ productId: item.productId, quantity: item.quantity }))
+  });
+
+  const handleReview = async () => {
+    try {
+      setWorking(true);
+      setQuote(await posReturnService.quote(selection()));
+    } catch (err) {
+      toast.error(err.message || 'Could not work out the return');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleComplete = async () => {
+    try {
+      setWorking(true);
+      const transaction = await posReturnService.processReturn({
+        ...selection(),
+        refundTo,
+        payment: quote.balance > 0 ? { method: paymentMethod, tendered: tendered === '' ? quote.balance : tendered } : null,
+        reason,
+        managerPin,
+        session: registerSession
+      });
+      if (transaction.total < 0) {
+        toast.success(`Refunded ${rupees(-transaction.total)} to ${transaction.refundTo === REFUND_TO.STORE_CREDIT ? 'store credit' : transaction.tenders.map(tender => tenderLabel(tender.method)).join(' and ')}`);
+      } else if (transaction.total > 0) {
+        toast.success(`Exchange completed, ${rupees(transaction.total)} taken`);
+      } else {
+        toast.success('Even exchange completed');
+      }
+      transaction.failedRefunds.forEach(refund => {
+        toast.warning(`Return booked, but the ${refund.label} refund of ${rupees(refund.amount)} failed: ${refund.error}. Retry it from the receipt.`);
+      });
+      if (transaction.pointsReversed) {
+        toast.info(`${transaction.pointsReversed} loyalty points taken back`);
+      }
+      onCompleted(transaction);
+      reset();
+    } catch (err) {
+      toast.error(err.message || 'Could not complete the return');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // The return is already booked; only the money still has to go back
+  const handleRetryRefunds = async (record) => {
+    setWorking(true);
+    try {
+      await posReturnService.retryRefunds(record.Id);
+      toast.success(`Refunds for ${record.reference} paid out`);
+    } catch (err) {
+      toast.error(err.message || 'Refund failed again');
+    }
+    try {
+      setSale(await posReturnService.findTransaction(sale.transaction.id));
+    } catch (err) {
+      toast.error(err.message || 'Could not reload the receipt');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const failedReturns = sale
+    ? sale.previousReturns.filter(record => record.refunds.some(refund => refund.status === REFUND_STATUS.FAILED))
+    : [];
+
+  const exchangeMatches = exchangeSearch.trim()
+    ? products.filter(product => product.name.toLowerCase().includes(exchangeSearch.toLowerCase())
+      || product.barcode === exchangeSearch.trim()).slice(0, 5)
+    : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">Returns &amp; Exchanges</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <ApperIcon name="X" size={24} />
+          </button>
+        </div>
+
+        {!registerSession && (
+          <p className="mb-4 p-3 rounded-lg bg-yellow-50 text-sm text-yellow-800">
+            Open the register before taking a return
+          </p>
+        )}
+
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            autoFocus
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && lookup()}
+            placeholder="Scan the receipt or type its number, e.g. RCP-12"
+            className="input-field flex-1"
+            aria-label="Receipt number"
+          />
+          <Button variant="outline" icon="ScanLine" onClick={() => setShowScanner(true)} />
+          <Button variant="primary" icon="Search" loading={working && !sale} onClick={() => lookup()}>
+            Find
+          </Button>
+        </div>
+
+        {sale && (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3 text-sm">
+              <div>
+                <p className="font-medium text-gray-900">{sale.receiptCode}</p>
+                <p className="text-gray-500">
+                  {format(new Date(sale.transaction.timestamp), 'MMM d, yyyy HH:mm')}
+                  {sale.transaction.cashierName && ` · ${sale.transaction.cashierName}`}
+                  {sale.transaction.customerName && ` · ${sale.transaction.customerName}`}
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-1">
+                {sale.tenders.map((tender, index) => (
+                  <Badge key={index} variant="info" size="small">
+                    {tenderLabel(tender.method)} {rupees(tender.amount)}
+                  </Badge>
+                ))}
+                {sale.previousReturns.length > 0 && (
+                  <Badge variant="warning" size="small">{sale.previousReturns.length} earlier return(s)</Badge>
+                )}
+              </div>
+            </div>
+
+            {failedReturns.map(record => (
+              <div key={record.Id} className="mb-3 p-3 rounded-lg bg-red-50 flex items-center justify-between gap-3 text-sm text-red-800">
+                <span>
+                  {record.reference}: {record.refunds.filter(refund => refund.status === REFUND_STATUS.FAILED)
+                    .map(refund => `${refund.label} ${rupees(refund.amount)}`).join(', ')} not refunded yet
+                </span>
+                <Button variant="danger" size="small" icon="RotateCcw" disabled={working} onClick={() => handleRetryRefunds(record)}>
+                  Retry
+                </Button>
+              </div>
+            ))}
+
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 mb-4">
+              {sale.lines.map(line => (
+                <div key={line.index} className="p-3 flex items-center justify-between gap-3 text-sm">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{line.name}</p>
+                    <p className="text-xs text-gray-500">
+                      Sold {formatQuantity(line.sold, line.unit)} for {rupees(line.value)}
+                      {line.returned > 0 && ` · ${formatQuantity(line.returned, line.unit)} already returned`}
+                    </p>
+                  </div>
+                  {line.returnable > 0 ? (
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max={line.returnable}
+                        step={getUnitRule(line.unit).step}
+                        value={quantities[line.index] ?? ''}
+                        onChange={(e) => setLineQuantity(line.index, e.target.value)}
+                        placeholder="0"
+                        className="input-field py-1 w-20"
+                        aria-label={`Quantity of ${line.name} returned`}
+                      />
+                      <Button variant="ghost" size="small" onClick={() => setLineQuantity(line.index, String(line.returnable))}>
+                        All
+                      </Button>
+                    </div>
+                  ) : (
+                    <Badge variant="default" size="small">Returned</Badge>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="mb-4">
+              <p className="text-sm font-medium text-gray-700 mb-2">Exchange for</p>
+              <input
+                type="text"
+                value={exchangeSearch}
+                onChange={(e) => setExchangeSearch(e.target.value)}
+                placeholder="Search or scan a product to give in exchange"
+                className="input-field w-full"
+              />
+              {exchangeMatches.length > 0 && (
+                <div className="border border-gray-200 rounded-lg mt-1 divide-y divide-gray-100">
+                  {exchangeMatches.map(product => (
+                    <button
+                      key={product.id}
+                      onClick={() => addExchangeItem(product)}
+                      className="w-full p-2 flex justify-between text-sm text-left hover:bg-gray-50"
+                    >
+                      <span>{product.name}</span>
+                      <span className="text-gray-500">{rupees(product.price)}{isVariableMeasure(product.unit) && `/${product.unit}`}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+              {exchange.map(item => (
+                <div key={item.productId} className="flex items-center justify-between gap-3 mt-2 text-sm">
+                  <span className="flex-1 truncate">{item.name}</span>
+                  <input
+                    type="number"
+                    min={getUnitRule(item.unit).min}
+                    step={getUnitRule(item.unit).step}
+                    value={item.quantity}
+                    onChange={(e) => updateExchange(item.productId, e.target.value)}
+                    className="input-field py-1 w-20"
+                    aria-label={`Quantity of ${item.name} given`}
+                  />
+                  <Button variant="ghost" size="small" icon="Trash2" onClick={() => updateExchange(item.productId, null)} />
+                </div>
+              ))}
+            </div>
+
+            {!quote ? (
+              <Button variant="outline" icon="Calculator" className="w-full" loading={working} onClick={handleReview}>
+                Review Return
+              </Button>
+            ) : (
+              <div className="space-y-3">
+                <div className="bg-gray-50 rounded-lg p-3 text-sm space-y-1">
+                  <div className="flex justify-between">
+                    <span>Returned goods</span>
+                    <span>-{rupees(quote.returnedValue)}</span>
+                  </div>
+                  {quote.exchange.items.length > 0 && (
+                    <div className="flex justify-between">
+                      <span>Exchange goods{quote.exchange.tax.taxAdded > 0 && ' incl. tax'}</span>
+                      <span>{rupees(quote.exchange.total)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between font-semibold text-base">
+                    <span>{quote.balance < 0 ? 'Refund due' : quote.balance > 0 ? 'Customer pays' : 'Even exchange'}</span>
+                    <span>{rupees(Math.abs(quote.balance))}</span>
+                  </div>
+                </div>
+
+                {quote.balance < 0 && (
+                  <div className="flex gap-4 text-sm">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        checked={refundTo === REFUND_TO.ORIGINAL}
+                        onChange={() => setRefundTo(REFUND_TO.ORIGINAL)}
+                      />
+                      Original tender
+                    </label>
+                    <label className={`flex items-center gap-2 ${sale.transaction.customerId ? '' : 'text-gray-400'}`}>
+                      <input
+                        type="radio"
+                        checked={refundTo === REFUND_TO.STORE_CREDIT}
+                        disabled={!sale.transaction.customerId}
+                        onChange={() => setRefundTo(REFUND_TO.STORE_CREDIT)}
+                      />
+                      Store credit{!sale.transaction.customerId && ' (walk-in sale, no customer to credit)'}
+                    </label>
+                  </div>
+                )}
+
+                {quote.balance > 0 && (
+                  <div className="flex gap-2">
+                    <select value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)} className="input-field flex-1">
+                      {TENDER_METHODS.map(method => (
+                        <option key={method.value} value={method.value}>{method.label}</option>
+                      ))}
+                    </select>
+                    {paymentMethod === 'cash' && (
+                      <input
+                        type="number"
+                        min={quote.balance}
+                        value={tendered}
+                        onChange={(e) => setTendered(e.target.value)}
+                        placeholder={String(quote.balance)}
+                        className="input-field w-32"
+                        aria-label="Cash tendered"
+                      />
+                    )}
+                  </div>
+                )}
+
+                <select value={reason} onChange={(e) => setReason(e.target.value)} className="input-field w-full">
+                  {POS_RETURN_REASONS.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+
+                {quote.needsApproval && (
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">
+                      Manager PIN, refunds over {rupees(RETURN_APPROVAL_THRESHOLD)} need approval
+                    </label>
+                    <input
+                      type="password"
+                      inputMode="numeric"
+                      autoComplete="off"
+                      value={managerPin}
+                      onChange={(e) => setManagerPin(e.target.value)}
+                      className="input-field w-32"
+                    />
+                  </div>
+                )}
+
+                <div className="flex gap-3">
+                  <Button variant="outline" className="flex-1" onClick={() => setQuote(null)}>
+                    Back
+                  </Button>
+                  <Button
+                    variant="primary"
+                    icon="Undo2"
+                    className="flex-1"
+                    loading={working}
+                    disabled={!registerSession}
+                    onClick={handleComplete}
+                  >
+                    {quote.balance < 0 ? 'Refund' : quote.balance > 0 ? 'Take Payment' : 'Complete Exchange'}
+                  </Button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <BarcodeScanner
+        isActive={showScanner}
+        onScan={(value) => {
+          setShowScanner(false);
+          lookup(value);
+        }}
+        onClose={() => setShowScanner(false)}
+      />
+    </div>
+  );
+};
+
+export default PosReturnPanel;
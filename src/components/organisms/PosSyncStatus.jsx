@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import { CONFLICT_RESOLUTIONS, OUTBOX_STATUS, posSyncService } from "@/services/api/posSyncService";
+
+// Connection state of the till, sales waiting to sync and any the server refused
+const PosSyncStatus = ({ onSynced }) => {
+  const [summary, setSummary] = useState(posSyncService.getSummary());
+  const [conflicts, setConflicts] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [workingKey, setWorkingKey] = useState(null);
+
+  const loadConflicts = async () => {
+    try {
+      const outbox = await posSyncService.getOutbox();
+      setConflicts(outbox.filter(entry => entry.status === OUTBOX_STATUS.CONFLICT));
+    } catch (err) {
+      console.error('Error loading POS outbox:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadConflicts();
+    return posSyncService.subscribe((next) => {
+      setSummary(next);
+      loadConflicts();
+    });
+  }, []);
+
+  const handleSync = async () => {
+    try {
+      setSyncing(true);
+      const result = await posSyncService.sync();
+      if (result.synced > 0) {
+        toast.success(`${result.synced} sale${result.synced === 1 ? '' : 's'} synced`);
+        onSynced?.();
+      } else if (result.pending > 0) {
+        toast.info('Still offline, sales will sync when the connection is back');
+      }
+    } catch (err) {
+      toast.error(err.message || 'Sync failed');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleResolve = async (entry, resolution) => {
+    let reason = '';
+    if (resolution === CONFLICT_RESOLUTIONS.VOID) {
+      reason = window.prompt(`Reason for voiding sale ${entry.localNumber}`);
+      if (reason === null) return;
+    } else if (!window.confirm(`Book the missing stock for sale ${entry.localNumber} as found and post the sale?`)) {
+      return;
+    }
+    try {
+      setWorkingKey(entry.key);
+      const resolved = await posSyncService.resolveConflict(entry.key, resolution, { reason });
+      if (resolved.status === OUTBOX_STATUS.SYNCED) {
+        toast.success(`Sale ${entry.localNumber} synced`);
+        onSynced?.();
+      } else if (resolved.status === OUTBOX_STATUS.VOIDED) {
+        toast.success(`Sale ${entry.localNumber} voided`);
+      } else {
+        toast.warning(resolved.lastError || `Sale ${entry.localNumber} still needs attention`);
+      }
+    } catch (err) {
+      toast.error(err.message || 'Could not resolve the sale');
+    } finally {
+      setWorkingKey(null);
+    }
+  };
+
+  return (
+    <div className="card p-4 mb-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <ApperIcon
+            name={summary.online ? 'Wifi' : 'WifiOff'}
+            size={20}
+            className={summary.online ? 'text-green-600' : 'text-red-600'}
+          />
+          <div>
+            <p className="font-medium text-gray-900">{summary.online ? 'Online' : 'Offline, selling from the cached catalog'}</p>
+            <p className="text-xs text-gray-500">
+              {summary.lastSyncedAt
+                ? `Last sync ${format(new Date(summary.lastSyncedAt), 'MMM d, HH:mm')}`
+                : 'Nothing synced from this till yet'}
+              {summary.cachedAt && ` · Catalog from ${format(new Date(summary.cachedAt), 'MMM d, HH:mm')}`}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <Badge variant={summary.pending > 0 ? 'warning' : 'success'} size="small">
+            {summary.pending} waiting to sync
+          </Badge>
+          {summary.conflicts > 0 && (
+            <Badge variant="danger" size="small">{summary.conflicts} need review</Badge>
+          )}
+          <Button
+            variant="outline"
+            size="small"
+            icon="RefreshCw"
+            loading={syncing}
+            disabled={summary.pending === 0 || !summary.online}
+            onClick={handleSync}
+          >
+            Sync now
+          </Button>
+        </div>
+      </div>
+
+      {conflicts.length > 0 && (
+        <div className="mt-4 space-y-2">
+          {conflicts.map(entry => (
+            <div key={entry.key} className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 p-3 bg-red-50 border border-red-200 rounded-lg">
+              <div className="text-sm">
+                <p className="font-medium text-gray-900">
+                  Sale {entry.localNumber} · Rs. {entry.transaction.total.toLocaleString()}
+                  <span className="text-gray-500 font-normal"> · {format(new Date(entry.createdAt), 'MMM d, HH:mm')}</span>
+                </p>
+                <p className="text-red-700">{entry.lastError}</p>
+                {entry.priceConflicts.length > 0 && (
+                  <p className="text-gray-600">
+                    Price changed since the sale: {entry.priceConflicts
+                      .map(line => `${line.name} Rs. ${line.tillPrice} → Rs. ${line.currentPrice}`)
+                      .join(', ')}
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <Button
+                  variant="secondary"
+                  size="small"
+                  icon="PackagePlus"
+                  disabled={workingKey === entry.key || entry.missingProducts?.length > 0}
+                  onClick={() => handleResolve(entry, CONFLICT_RESOLUTIONS.ADJUST_STOCK)}
+                >
+                  Adjust Stock & Post
+                </Button>
+                <Button
+                  variant="danger"
+                  size="small"
+                  icon="Ban"
+                  disabled={workingKey === entry.key}
+                  onClick={() => handleResolve(entry, CONFLICT_RESOLUTIONS.VOID)}
+                >
+                  Void
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PosSyncStatus;
@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import StarRating from "@/components/molecules/StarRating";
+import {
+  MAX_REVIEW_LENGTH,
+  MAX_REVIEW_PHOTOS,
+  REVIEW_STATUS,
+  REVIEW_STATUS_LABELS,
+  reviewService
+} from "@/services/api/reviewService";
+
+const ALLOWED_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = reject;
+  reader.readAsDataURL(file);
+});
+
+// Ratings summary, verified-buyer review form and published reviews for a product
+const ProductReviews = ({ productId }) => {
+  const [data, setData] = useState(null);
+  const [eligibility, setEligibility] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [rating, setRating] = useState(0);
+  const [title, setTitle] = useState('');
+  const [text, setText] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadReviews = async () => {
+    try {
+      const [reviews, canReview] = await Promise.all([
+        reviewService.getByProduct(productId),
+        reviewService.getEligibility(productId)
+      ]);
+      setData(reviews);
+      setEligibility(canReview);
+    } catch (err) {
+      console.error('Error loading reviews:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadReviews();
+  }, [productId]);
+
+  const handlePhotos = async (e) => {
+    const files = Array.from(e.target.files).slice(0, MAX_REVIEW_PHOTOS - photos.length);
+    e.target.value = '';
+    for (const file of files) {
+      if (!ALLOWED_PHOTO_TYPES.includes(file.type)) {
+        toast.error('Please upload a valid image file (JPEG, PNG, WebP)');
+        return;
+      }
+      if (file.size > 5 * 1024 * 1024) {
+        toast.error('File size should be less than 5MB');
+        return;
+      }
+    }
+    const added = await Promise.all(files.map(async file => ({ fileName: file.name, dataUrl: await readAsDataUrl(file) })));
+    setPhotos(prev => [...prev, ...added]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      await reviewService.create({ productId, rating, title, text, photos });
+      toast.success('Thanks! Your review will appear once it has been checked');
+      setShowForm(false);
+      setRating(0);
+      setTitle('');
+      setText('');
+      setPhotos([]);
+      await loadReviews();
+    } catch (err) {
+      toast.error(err.message || 'Failed to submit review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!data) return null;
+
+  const { summary, reviews, mine } = data;
+
+  return (
+    <div id="reviews" className="card p-6 mt-12">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6">
+        <h2 className="text-2xl font-semibold text-gray-900">Customer Reviews</h2>
+        {eligibility?.canReview && !showForm && (
+          <Button variant="outline" icon="PenLine" onClick={() => setShowForm(true)}>Write a Review</Button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-8 mb-6">
+        <div className="text-center md:border-r md:border-gray-200">
+          <p className="text-5xl font-bold text-gray-900">{summary.count > 0 ? summary.average.toFixed(1) : '–'}</p>
+          <StarRating value={summary.average} size={20} className="justify-center my-2" />
+          <p className="text-sm text-gray-600">{summary.count} review{summary.count === 1 ? '' : 's'}</p>
+        </div>
+        <div className="md:col-span-2 space-y-2">
+          {[5, 4, 3, 2, 1].map(star => {
+            const share = summary.count > 0 ? (summary.distribution[star] / summary.count) * 100 : 0;
+            return (
+              <div key={star} className="flex items-center space-x-3 text-sm">
+                <span className="w-12 text-gray-600">{star} star</span>
+                <div className="flex-1 bg-gray-200 rounded-full h-2">
+                  <div className="bg-yellow-400 h-2 rounded-full" style={{ width: `${share}%` }} />
+                </div>
+                <span className="w-8 text-right text-gray-600">{summary.distribution[star]}</span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {mine && mine.status !== REVIEW_STATUS.APPROVED && (
+        <div className="bg-gray-50 rounded-lg p-4 mb-6 text-sm">
+          <div className="flex items-center justify-between mb-1">
+            <span className="font-medium text-gray-900">Your review</span>
+            <Badge variant={mine.status === REVIEW_STATUS.REJECTED ? 'danger' : 'warning'} size="small">
+              {REVIEW_STATUS_LABELS[mine.status]}
+            </Badge>
+          </div>
+          <StarRating value={mine.rating} size={14} />
+          {mine.moderationNote && <p className="text-red-600 mt-1">{mine.moderationNote}</p>}
+        </div>
+      )}
+
+      {eligibility && !eligibility.canReview && !mine && (
+        <p className="text-sm text-gray-500 mb-6 flex items-center">
+          <ApperIcon name="Info" size={14} className="mr-1" />
+          {eligibility.reason}
+        </p>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Your rating</label>
+            <StarRating value={rating} size={28} onChange={setRating} />
+          </div>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Headline (optional)"
+            maxLength={100}
+            className="input-field"
+          />
+          <div>
+            <textarea
+              rows="4"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder="What did you like or dislike?"
+              maxLength={MAX_REVIEW_LENGTH}
+              className="input-field"
+            />
+            <p className="text-xs text-gray-500 text-right">{text.length}/{MAX_REVIEW_LENGTH}</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Photos (optional, up to {MAX_REVIEW_PHOTOS})
+            </label>
+            <div className="flex items-center space-x-3">
+              {photos.map((photo, index) => (
+                <div key={index} className="relative">
+                  <img src={photo.dataUrl} alt={photo.fileName} className="w-16 h-16 object-cover rounded-lg" />
+                  <button
+                    type="button"
+                    onClick={() => setPhotos(prev => prev.filter((_, i) => i !== index))}
+                    className="absolute -top-2 -right-2 bg-white rounded-full shadow text-gray-500 hover:text-red-600"
+                  >
+                    <ApperIcon name="X" size={14} />
+                  </button>
+                </div>
+              ))}
+              {photos.length < MAX_REVIEW_PHOTOS && (
+                <label className="w-16 h-16 border-2 border-dashed border-gray-300 rounded-lg flex items-center justify-center cursor-pointer hover:border-primary">
+                  <ApperIcon name="ImagePlus" size={20} className="text-gray-400" />
+                  <input type="file" accept={ALLOWED_PHOTO_TYPES.join(',')} multiple onChange={handlePhotos} className="hidden" />
+                </label>
+              )}
+            </div>
+          </div>
+          <div className="flex justify-end space-x-3">
+            <Button type="button" variant="outline" onClick={() => setShowForm(false)}>Cancel</Button>
+            <Button type="submit" loading={submitting} disabled={rating === 0}>Submit Review</Button>
+          </div>
+        </form>
+      )}
+
+      {reviews.length === 0 ? (
+        <p className="text-gray-600 text-center py-6">No reviews yet</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {reviews.map(review => (
+            <div key={review.Id} className="py-4">
+              <div className="flex items-center justify-between mb-1">
+                <div className="flex items-center space-x-2">
+                  <StarRating value={review.rating} size={14} />
+                  {review.title && <span className="font-medium text-gray-900">{review.title}</span>}
+                </div>
+                <span className="text-xs text-gray-500">{format(new Date(review.createdAt), 'MMM dd, yyyy')}</span>
+              </div>
+              <p className="text-xs text-gray-500 mb-2 flex items-center">
+                {review.customerName}
+                <ApperIcon name="BadgeCheck" size={12} className="ml-2 mr-1 text-green-600" />
+                Verified purchase
+              </p>
+              {review.text && <p className="text-gray-700 text-sm">{review.text}</p>}
+              {review.photos.length > 0 && (
+                <div className="flex space-x-2 mt-2">
+                  {review.photos.map((photo, index) => (
+                    <a key={index} href={photo.dataUrl} target="_blank" rel="noreferrer">
+                      <img src={photo.dataUrl} alt={photo.fileName} className="w-20 h-20 object-cover rounded-lg" />
+                    </a>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductReviews;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Link, Navigate, useLocation } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import ApperIcon from '@/components/ApperIcon';
+import Loading from '@/components/ui/Loading';
+import { ROLE_LABELS, hasPermission } from '@/services/api/authService';
+import { selectAuthStatus, selectIsAuthenticated, selectUserRole } from '@/store/authSlice';
+
+// Route guard: sends guests to /login and shows an access notice to
+// signed-in users whose role lacks the required permission.
+const ProtectedRoute = ({ permission, children }) => {
+  const location = useLocation();
+  const isAuthenticated = useSelector(selectIsAuthenticated);
+  const role = useSelector(selectUserRole);
+  const status = useSelector(selectAuthStatus);
+
+  if (isAuthenticated && status !== 'ready') {
+    return <Loading type="page" />;
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (!hasPermission(role, permission)) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[400px] p-8 text-center">
+        <div className="bg-gradient-to-br from-orange-50 to-orange-100 rounded-full p-6 mb-6">
+          <ApperIcon name="ShieldOff" size={48} className="text-orange-500" />
+        </div>
+        <h3 className="text-2xl font-bold text-gray-900 mb-2">Access Restricted</h3>
+        <p className="text-gray-600 mb-6 max-w-md leading-relaxed">
+          Your {ROLE_LABELS[role] || role} account does not have access to this page.
+        </p>
+        <Link to="/" className="btn-primary inline-flex items-center space-x-2">
+          <ApperIcon name="Home" size={20} />
+          <span>Back to Home</span>
+        </Link>
+      </div>
+    );
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,297 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import { authService, PERMISSIONS } from "@/services/api/authService";
+import {
+  CASH_MOVEMENT_LABELS,
+  CASH_MOVEMENT_TYPES,
+  countDenominations,
+  PKR_DENOMINATIONS,
+  registerSessionService
+} from "@/services/api/registerSessionService";
+
+const rupees = (amount) => `Rs. ${Math.round(amount).toLocaleString()}`;
+
+const reportRow = (label, value) => `<div class="row"><span>${label}</span><span>${value}</span></div>`;
+
+const renderSessionReport = (report) => `
+  <h2>${report.type} Report${report.zNumber ? ` #${report.zNumber}` : ''}</h2>
+  ${reportRow('Register', report.registerId)}
+  ${reportRow('Cashier', report.cashierName || report.cashierId)}
+  ${reportRow('Opened', format(new Date(report.openedAt), 'MMM d, yyyy HH:mm'))}
+  ${reportRow(report.closedAt ? 'Closed' : 'Printed', format(new Date(report.closedAt || report.generatedAt), 'MMM d, yyyy HH:mm'))}
+  <hr/>
+  <h3>Sales by tender</h3>
+  ${Object.entries(report.byTender).map(([method, tender]) =>
+    reportRow(`${method.toUpperCase()} (${tender.count})`, rupees(tender.total))).join('') || reportRow('No sales', rupees(0))}
+  ${reportRow(`<b>Total (${report.salesCount})</b>`, `<b>${rupees(report.totalSales)}</b>`)}
+  <hr/>
+  <h3>Cash drawer</h3>
+  ${reportRow('Opening float', rupees(report.openingFloat))}
+  ${reportRow('Cash sales', rupees(report.cashSales))}
+  ${reportRow('Pay-ins', rupees(report.payIns))}
+  ${reportRow('Pay-outs', `- ${rupees(report.payOuts)}`)}
+  ${reportRow('Cash drops', `- ${rupees(report.cashDrops)}`)}
+  ${reportRow('<b>Expected cash</b>', `<b>${rupees(report.expectedCash)}</b>`)}
+  ${report.type === 'Z' ? `
+    ${PKR_DENOMINATIONS.filter(({ value }) => report.denominations[value])
+      .map(({ value }) => reportRow(`&nbsp;&nbsp;${value} x ${report.denominations[value]}`, rupees(value * report.denominations[value]))).join('')}
+    ${reportRow('<b>Counted cash</b>', `<b>${rupees(report.countedCash)}</b>`)}
+    ${reportRow(`<b>${report.overShort >= 0 ? 'Over' : 'Short'}</b>`, `<b>${rupees(Math.abs(report.overShort))}</b>`)}
+    ${report.note ? `<p>Note: ${report.note}</p>` : ''}
+  ` : ''}
+  ${report.movements.length > 0 ? `
+    <hr/>
+    <h3>Drawer movements</h3>
+    ${report.movements.map(movement => reportRow(
+      `${format(new Date(movement.recordedAt), 'HH:mm')} ${CASH_MOVEMENT_LABELS[movement.type]}${movement.reason ? ` - ${movement.reason}` : ''}`,
+      rupees(movement.amount)
+    )).join('')}
+  ` : ''}
+`;
+
+const renderDayReport = (dayReport) => `
+  <h2>Day Report ${dayReport.date}</h2>
+  <p>By ${dayReport.groupBy}</p>
+  ${dayReport.groups.map(group => `
+    <hr/>
+    <h3>${group.label}</h3>
+    ${reportRow('Sessions', `${group.sessions}${group.openSessions ? ` (${group.openSessions} open)` : ''}`)}
+    ${reportRow(`Sales (${group.salesCount})`, rupees(group.totalSales))}
+    ${reportRow('Cash sales', rupees(group.cashSales))}
+    ${reportRow('Expected cash', rupees(group.expectedCash))}
+    ${reportRow('Counted cash', rupees(group.countedCash))}
+    ${reportRow('Over / short', rupees(group.overShort))}
+  `).join('') || '<p>No register sessions on this day</p>'}
+`;
+
+const printReport = (title, body) => {
+  const reportWindow = window.open('', '_blank', 'width=400,height=600');
+  if (!reportWindow) {
+    toast.error('Please allow pop-ups to print reports');
+    return;
+  }
+  reportWindow.document.write(`
+    <html>
+      <head>
+        <title>${title}</title>
+        <style>
+          body { font-family: 'Courier New', monospace; font-size: 12px; max-width: 320px; margin: 0 auto; padding: 10px; }
+          h2, h3 { text-align: center; margin: 6px 0; }
+          .row { display: flex; justify-content: space-between; margin: 2px 0; }
+          hr { border: none; border-top: 1px dashed #000; }
+        </style>
+      </head>
+      <body>${body}</body>
+    </html>
+  `);
+  reportWindow.document.close();
+  reportWindow.onload = () => reportWindow.print();
+};
+
+// Open, run and close the cash drawer session of this till
+const RegisterSessionPanel = ({ onSessionChange }) => {
+  const [session, setSession] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [closing, setClosing] = useState(false);
+  const [denominations, setDenominations] = useState({});
+  const [closeNote, setCloseNote] = useState('');
+  const canViewDayReport = authService.can(PERMISSIONS.FINANCIAL_VIEW);
+
+  const applySession = (next) => {
+    setSession(next);
+    onSessionChange?.(next);
+  };
+
+  useEffect(() => {
+    registerSessionService.getCurrentSession()
+      .then(applySession)
+      .catch(err => console.error('Error loading register session:', err))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const run = async (action) => {
+    try {
+      setWorking(true);
+      await action();
+    } catch (err) {
+      toast.error(err.message || 'Register action failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleOpen = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const opened = await registerSessionService.openSession({ openingFloat });
+      applySession(opened);
+      setOpeningFloat('');
+      toast.success(`Register ${opened.registerId} opened with ${rupees(opened.openingFloat)}`);
+    });
+  };
+
+  const handleMovement = (type) => {
+    const label = CASH_MOVEMENT_LABELS[type];
+    const amount = window.prompt(`${label} amount (Rs.)`);
+    if (amount === null) return;
+    const reason = type === CASH_MOVEMENT_TYPES.CASH_DROP
+      ? ''
+      : window.prompt(`Reason for the ${label.toLowerCase()}`);
+    if (reason === null) return;
+    run(async () => {
+      await registerSessionService.recordCashMovement(session.Id, { type, amount, reason });
+      applySession(await registerSessionService.getCurrentSession());
+      toast.success(`${label} of Rs. ${parseFloat(amount).toLocaleString()} recorded`);
+    });
+  };
+
+  const handleXReport = () => run(async () => {
+    const report = await registerSessionService.getXReport(session.Id);
+    printReport(`X Report ${report.registerId}`, renderSessionReport(report));
+  });
+
+  const handleClose = (e) => {
+    e.preventDefault();
+    const counted = countDenominations(denominations);
+    if (!window.confirm(`Close register ${session.registerId} with ${rupees(counted)} counted in the drawer?`)) return;
+    run(async () => {
+      const closed = await registerSessionService.closeSession(session.Id, { denominations, note: closeNote });
+      const { report } = closed;
+      printReport(`Z Report ${report.registerId} #${report.zNumber}`, renderSessionReport(report));
+      if (report.overShort === 0) {
+        toast.success('Register closed, the drawer balances');
+      } else {
+        toast.warning(`Register closed ${report.overShort > 0 ? 'over' : 'short'} by ${rupees(Math.abs(report.overShort))}`);
+      }
+      setClosing(false);
+      setDenominations({});
+      setCloseNote('');
+      applySession(null);
+    });
+  };
+
+  const handleDayReport = (groupBy) => run(async () => {
+    const dayReport = await registerSessionService.getDayReport(new Date(), { groupBy });
+    printReport(`Day Report by ${groupBy}`, renderDayReport(dayReport));
+  });
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <div className="card p-4 mb-6">
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <ApperIcon name="Landmark" size={20} className={session ? 'text-green-600' : 'text-gray-400'} />
+          {session ? (
+            <div>
+              <p className="font-medium text-gray-900">
+                Register {session.registerId} <Badge variant="success" size="small">Open</Badge>
+              </p>
+              <p className="text-xs text-gray-500">
+                {session.cashierName} since {format(new Date(session.openedAt), 'MMM d, HH:mm')} · Float {rupees(session.openingFloat)}
+                {session.movements.length > 0 && ` · ${session.movements.length} drawer movement${session.movements.length === 1 ? '' : 's'}`}
+              </p>
+            </div>
+          ) : (
+            <div>
+              <p className="font-medium text-gray-900">Register closed</p>
+              <p className="text-xs text-gray-500">Count the opening float into the drawer to start selling</p>
+            </div>
+          )}
+        </div>
+
+        {session ? (
+          <div className="flex flex-wrap gap-2">
+            <Button variant="outline" size="small" icon="ArrowDownToLine" disabled={working} onClick={() => handleMovement(CASH_MOVEMENT_TYPES.PAY_IN)}>
+              Pay-in
+            </Button>
+            <Button variant="outline" size="small" icon="ArrowUpFromLine" disabled={working} onClick={() => handleMovement(CASH_MOVEMENT_TYPES.PAY_OUT)}>
+              Pay-out
+            </Button>
+            <Button variant="outline" size="small" icon="PiggyBank" disabled={working} onClick={() => handleMovement(CASH_MOVEMENT_TYPES.CASH_DROP)}>
+              Cash Drop
+            </Button>
+            <Button variant="secondary" size="small" icon="FileText" disabled={working} onClick={handleXReport}>
+              X Report
+            </Button>
+            <Button variant="danger" size="small" icon="Lock" disabled={working} onClick={() => setClosing(!closing)}>
+              Close Register
+            </Button>
+          </div>
+        ) : (
+          <form onSubmit={handleOpen} className="flex items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={openingFloat}
+              onChange={(e) => setOpeningFloat(e.target.value)}
+              placeholder="Opening float (Rs.)"
+              className="input-field w-48"
+              required
+            />
+            <Button type="submit" size="small" icon="Unlock" loading={working}>
+              Open Register
+            </Button>
+          </form>
+        )}
+      </div>
+
+      {session && closing && (
+        <form onSubmit={handleClose} className="mt-4 border-t border-gray-200 pt-4">
+          <p className="text-sm font-medium text-gray-900 mb-3">Count the drawer</p>
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+            {PKR_DENOMINATIONS.map(({ value, kind }) => (
+              <label key={value} className="text-xs text-gray-600">
+                Rs. {value.toLocaleString()} {kind}
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={denominations[value] || ''}
+                  onChange={(e) => setDenominations({ ...denominations, [value]: e.target.value })}
+                  className="input-field mt-1"
+                />
+              </label>
+            ))}
+          </div>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3 mt-4">
+            <input
+              type="text"
+              value={closeNote}
+              onChange={(e) => setCloseNote(e.target.value)}
+              placeholder="Note for the Z report (optional)"
+              className="input-field flex-1"
+            />
+            <span className="font-semibold text-gray-900">Counted {rupees(countDenominations(denominations))}</span>
+            <Button type="submit" variant="danger" size="small" icon="Printer" loading={working}>
+              Close & Print Z Report
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {canViewDayReport && (
+        <div className="flex flex-wrap items-center gap-2 mt-3 text-xs text-gray-500">
+          <span>Today's sessions:</span>
+          <Button variant="ghost" size="small" icon="Printer" disabled={working} onClick={() => handleDayReport('register')}>
+            By Register
+          </Button>
+          <Button variant="ghost" size="small" icon="Printer" disabled={working} onClick={() => handleDayReport('cashier')}>
+            By Cashier
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RegisterSessionPanel;
@@ -0,0 +1,306 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import { financialService } from "@/services/api/financialService";
+import { replenishmentService, URGENCY } from "@/services/api/replenishmentService";
+
+const URGENCY_BADGES = {
+  [URGENCY.CRITICAL]: { variant: 'danger', label: 'Critical' },
+  [URGENCY.REORDER]: { variant: 'warning', label: 'Reorder' },
+  [URGENCY.OK]: { variant: 'success', label: 'OK' }
+};
+
+// Reorder suggestions for the admin dashboard; selected rows become draft purchase orders
+const ReplenishmentPanel = () => {
+  const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+
+  const loadSuggestions = async () => {
+    try {
+      setLoading(true);
+      const [rows, vendorList, currentSettings] = await Promise.all([
+        replenishmentService.getSuggestions(),
+        financialService.getVendors(),
+        replenishmentService.getSettings()
+      ]);
+      setSuggestions(rows);
+      setVendors(vendorList);
+      setSettings(currentSettings);
+      setSelected(Object.fromEntries(rows.map(row => [row.productId, {
+        checked: row.urgency === URGENCY.CRITICAL,
+        quantity: String(row.suggestedQuantity),
+        purchasePrice: String(row.purchasePrice || ''),
+        vendorId: row.vendorId ? String(row.vendorId) : ''
+      }])));
+    } catch (err) {
+      console.error('Error loading replenishment suggestions:', err);
+      toast.error('Failed to load reorder suggestions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSuggestions();
+  }, []);
+
+  const updateSelection = (productId, field, value) => {
+    setSelected(prev => ({ ...prev, [productId]: { ...prev[productId], [field]: value } }));
+  };
+
+  const handleVendorChange = async (productId, vendorId) => {
+    updateSelection(productId, 'vendorId', vendorId);
+    try {
+      await replenishmentService.setProductVendor(productId, vendorId);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleCreateDrafts = async () => {
+    const selections = suggestions
+      .filter(row => selected[row.productId]?.checked)
+      .map(row => ({
+        productId: row.productId,
+        productName: row.productName,
+        quantity: selected[row.productId].quantity,
+        purchasePrice: selected[row.productId].purchasePrice,
+        vendorId: selected[row.productId].vendorId
+      }));
+
+    if (selections.length === 0) {
+      toast.error('Select the products to reorder');
+      return;
+    }
+
+    try {
+      setCreating(true);
+      const created = await replenishmentService.createDraftPurchaseOrders(selections);
+      toast.success(`Created ${created.map(po => po.poNumber).join(', ')} as draft`);
+      await loadSuggestions();
+    } catch (err) {
+      toast.error(err.message || 'Failed to create purchase orders');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleSettingsSave = async () => {
+    try {
+      await replenishmentService.updateSettings(settings);
+      for (const [vendorId, vendorSettings] of Object.entries(settings.vendorSettings)) {
+        await replenishmentService.updateVendorSettings(vendorId, vendorSettings);
+      }
+      toast.success('Replenishment settings saved');
+      setShowSettings(false);
+      await loadSuggestions();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const vendorSettingFor = (vendorId) => settings?.vendorSettings[vendorId] || {
+    leadTimeDays: settings?.defaultLeadTimeDays ?? 3,
+    safetyStockDays: settings?.defaultSafetyStockDays ?? 2
+  };
+
+  const updateVendorSetting = (vendorId, field, value) => {
+    setSettings(prev => ({
+      ...prev,
+      vendorSettings: {
+        ...prev.vendorSettings,
+        [vendorId]: { ...vendorSettingFor(vendorId), [field]: value }
+      }
+    }));
+  };
+
+  return (
+    <div className="card p-6 mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Reorder Suggestions</h2>
+          {settings && (
+            <p className="text-sm text-gray-600">
+              Based on sales over the last {settings.velocityWindowDays} days, covering lead time, safety stock and {settings.reviewPeriodDays} days of demand
+            </p>
+          )}
+        </div>
+        <div className="flex items-center space-x-2">
+          <Button variant="ghost" size="small" icon="Settings" onClick={() => setShowSettings(!showSettings)}>
+            Settings
+          </Button>
+          <Button variant="outline" size="small" icon="ClipboardList" onClick={() => navigate('/purchase-orders')}>
+            Purchase Orders
+          </Button>
+          <Button size="small" icon="FilePlus" loading={creating} onClick={handleCreateDrafts}>
+            Create Draft POs
+          </Button>
+        </div>
+      </div>
+
+      {showSettings && settings && (
+        <div className="bg-gray-50 rounded-lg p-4 mb-4 space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {[
+              ['velocityWindowDays', 'Sales window (days)'],
+              ['reviewPeriodDays', 'Order cover (days)'],
+              ['defaultLeadTimeDays', 'Default lead time'],
+              ['defaultSafetyStockDays', 'Default safety stock']
+            ].map(([field, label]) => (
+              <label key={field} className="text-sm text-gray-700">
+                {label}
+                <input
+                  type="number"
+                  min="0"
+                  value={settings[field]}
+                  onChange={(e) => setSettings(prev => ({ ...prev, [field]: e.target.value }))}
+                  className="input-field mt-1"
+                />
+              </label>
+            ))}
+          </div>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1">Vendor</th>
+                <th className="py-1">Lead time (days)</th>
+                <th className="py-1">Safety stock (days)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {vendors.map(vendor => (
+                <tr key={vendor.Id}>
+                  <td className="py-1 text-gray-900">{vendor.name}</td>
+                  <td className="py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      value={vendorSettingFor(vendor.Id).leadTimeDays}
+                      onChange={(e) => updateVendorSetting(vendor.Id, 'leadTimeDays', e.target.value)}
+                      className="input-field w-24"
+                    />
+                  </td>
+                  <td className="py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      value={vendorSettingFor(vendor.Id).safetyStockDays}
+                      onChange={(e) => updateVendorSetting(vendor.Id, 'safetyStockDays', e.target.value)}
+                      className="input-field w-24"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex justify-end">
+            <Button size="small" icon="Save" onClick={handleSettingsSave}>Save Settings</Button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-8 text-center text-gray-500">
+          <ApperIcon name="Loader2" size={24} className="animate-spin mx-auto mb-2" />
+          Calculating sales velocity...
+        </div>
+      ) : suggestions.length === 0 ? (
+        <div className="text-center py-8">
+          <ApperIcon name="CheckCircle" size={48} className="text-green-400 mx-auto mb-4" />
+          <p className="text-gray-600">Stock covers projected demand for every product</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2"></th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Product</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-500">Available</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-500">On Order</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-500">Sold / Day</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-500">Days of Cover</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Vendor</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-500">Order Qty</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-500">Unit Cost</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {suggestions.map(row => {
+                const selection = selected[row.productId] || {};
+                return (
+                  <tr key={row.productId}>
+                    <td className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(selection.checked)}
+                        onChange={(e) => updateSelection(row.productId, 'checked', e.target.checked)}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <div className="flex items-center space-x-2">
+                        <span className="font-medium text-gray-900">{row.productName}</span>
+                        <Badge variant={URGENCY_BADGES[row.urgency].variant} size="small">
+                          {URGENCY_BADGES[row.urgency].label}
+                        </Badge>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        Reorder point {row.reorderPoint} · lead {row.leadTimeDays}d · safety {row.safetyStockDays}d
+                      </p>
+                    </td>
+                    <td className="px-3 py-2 text-right">{row.available} {row.unit}</td>
+                    <td className="px-3 py-2 text-right">{row.onOrder}</td>
+                    <td className="px-3 py-2 text-right">{row.velocity}</td>
+                    <td className="px-3 py-2 text-right">{row.daysOfCover === null ? 'No sales' : row.daysOfCover}</td>
+                    <td className="px-3 py-2">
+                      <select
+                        value={selection.vendorId || ''}
+                        onChange={(e) => handleVendorChange(row.productId, e.target.value)}
+                        className="input-field py-1"
+                      >
+                        <option value="">Choose vendor</option>
+                        {vendors.map(vendor => (
+                          <option key={vendor.Id} value={vendor.Id}>{vendor.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <input
+                        type="number"
+                        min="1"
+                        value={selection.quantity || ''}
+                        onChange={(e) => updateSelection(row.productId, 'quantity', e.target.value)}
+                        className="input-field w-20 py-1 text-right"
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={selection.purchasePrice || ''}
+                        onChange={(e) => updateSelection(row.productId, 'purchasePrice', e.target.value)}
+                        className="input-field w-24 py-1 text-right"
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReplenishmentPanel;
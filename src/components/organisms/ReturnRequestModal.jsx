@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { REFUND_METHODS, RETURN_REASONS, returnService } from "@/services/api/returnService";
+
+const ALLOWED_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = reject;
+  reader.readAsDataURL(file);
+});
+
+// Customer form to send back some or all of an order's lines
+const ReturnRequestModal = ({ order, onClose, onSubmitted }) => {
+  const [lines, setLines] = useState([]);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [note, setNote] = useState('');
+  const [photo, setPhoto] = useState(null);
+  const [refundMethod, setRefundMethod] = useState(REFUND_METHODS.ORIGINAL);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    returnService.getReturnableLines(order.id)
+      .then(setLines)
+      .catch(err => toast.error(err.message || 'Failed to load order items'));
+  }, [order.id]);
+
+  const total = lines.reduce((sum, line) => sum + (quantities[line.productId] || 0) * line.price, 0);
+
+  const handlePhoto = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (!ALLOWED_PHOTO_TYPES.includes(file.type)) {
+      toast.error('Please upload a valid image file (JPEG, PNG, WebP)');
+      return;
+    }
+    if (file.size > 5 * 1024 * 1024) {
+      toast.error('File size should be less than 5MB');
+      return;
+    }
+    setPhoto({ fileName: file.name, fileSize: file.size, dataUrl: await readAsDataUrl(file) });
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const rma = await returnService.requestReturn({
+        orderId: order.id,
+        lines: Object.entries(quantities).map(([productId, quantity]) => ({ productId: parseInt(productId), quantity })),
+        reason,
+        note,
+        photo,
+        refundMethod
+      });
+      toast.success(`Return ${rma.reference} requested`);
+      onSubmitted?.(rma);
+    } catch (err) {
+      toast.error(err.message || 'Failed to request return');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-lg w-full m-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Return Items from Order #{order.id}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-3 mb-4">
+          {lines.map(line => (
+            <div key={line.productId} className="flex items-center justify-between">
+              <div>
+                <p className="font-medium text-gray-900">{line.name}</p>
+                <p className="text-xs text-gray-500">
+                  Rs. {line.price.toLocaleString()} each • {line.returnable} of {line.ordered} returnable
+                </p>
+              </div>
+              <input
+                type="number"
+                min="0"
+                max={line.returnable}
+                disabled={line.returnable === 0}
+                value={quantities[line.productId] || 0}
+                onChange={(e) => setQuantities(prev => ({
+                  ...prev,
+                  [line.productId]: Math.min(line.returnable, Math.max(0, parseInt(e.target.value) || 0))
+                }))}
+                className="input-field w-20 text-center"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+            <select value={reason} onChange={(e) => setReason(e.target.value)} className="input-field">
+              <option value="">Select a reason</option>
+              {RETURN_REASONS.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Details (optional)</label>
+            <textarea
+              rows="2"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              className="input-field"
+              placeholder="Tell us what went wrong"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Photo</label>
+            <input type="file" accept="image/*" onChange={handlePhoto} className="text-sm" />
+            {photo && <img src={photo.dataUrl} alt="Return evidence" className="mt-2 w-24 h-20 object-cover rounded-lg border" />}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Refund to</label>
+            <div className="space-y-2 text-sm">
+              <label className="flex items-center space-x-2">
+                <input
+                  type="radio"
+                  checked={refundMethod === REFUND_METHODS.ORIGINAL}
+                  onChange={() => setRefundMethod(REFUND_METHODS.ORIGINAL)}
+                />
+                <span className="capitalize">Original payment method ({order.paymentMethod.replace('_', ' ')})</span>
+              </label>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="radio"
+                  checked={refundMethod === REFUND_METHODS.WALLET}
+                  onChange={() => setRefundMethod(REFUND_METHODS.WALLET)}
+                />
+                <span>Store wallet</span>
+              </label>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between mt-6">
+          <p className="text-gray-900">Refund: <span className="font-bold">Rs. {total.toLocaleString()}</span></p>
+          <div className="flex space-x-3">
+            <Button variant="outline" onClick={onClose}>Cancel</Button>
+            <Button icon="Undo2" loading={submitting} disabled={total === 0} onClick={handleSubmit}>
+              Request Return
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReturnRequestModal;
@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import { REFUND_METHODS, RETURN_STATUS, RETURN_STATUS_LABELS, returnService } from "@/services/api/returnService";
+
+const STATUS_VARIANTS = {
+  [RETURN_STATUS.REQUESTED]: 'warning',
+  [RETURN_STATUS.APPROVED]: 'info',
+  [RETURN_STATUS.REJECTED]: 'danger',
+  [RETURN_STATUS.RECEIVED]: 'info',
+  [RETURN_STATUS.REFUNDED]: 'success'
+};
+
+// Return requests queue: approve or reject, receive the goods, then refund
+const ReturnsPanel = ({ onChange }) => {
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [busyId, setBusyId] = useState(null);
+
+  const loadReturns = async () => {
+    try {
+      setLoading(true);
+      setReturns(await returnService.getAll());
+    } catch (err) {
+      toast.error('Failed to load returns');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReturns();
+  }, []);
+
+  const runAction = async (rma, action, successMessage) => {
+    setBusyId(rma.Id);
+    try {
+      await action();
+      toast.success(successMessage);
+      await loadReturns();
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message || 'Failed to update return');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = (rma) => {
+    const reason = window.prompt(`Why is ${rma.reference} being rejected?`);
+    if (reason === null) return;
+    runAction(rma, () => returnService.rejectReturn(rma.Id, reason), `${rma.reference} rejected`);
+  };
+
+  const visible = returns.filter(rma => {
+    if (statusFilter === 'open') {
+      return ![RETURN_STATUS.REJECTED, RETURN_STATUS.REFUNDED].includes(rma.status);
+    }
+    return statusFilter === 'all' || rma.status === statusFilter;
+  });
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Returns & Refunds</h3>
+          <p className="text-sm text-gray-600">Customer return requests, from approval to refund</p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="input-field w-44"
+        >
+          <option value="open">Open</option>
+          <option value="all">All</option>
+          {Object.values(RETURN_STATUS).map(status => (
+            <option key={status} value={status}>{RETURN_STATUS_LABELS[status]}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="py-8 text-center text-gray-500">
+          <ApperIcon name="Loader2" size={24} className="animate-spin mx-auto mb-2" />
+          Loading returns...
+        </div>
+      ) : visible.length === 0 ? (
+        <div className="text-center py-8">
+          <ApperIcon name="CheckCircle" size={48} className="text-green-400 mx-auto mb-4" />
+          <p className="text-gray-600">No returns to show</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {visible.map(rma => (
+            <div key={rma.Id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="flex-1">
+                  <div className="flex items-center space-x-2 mb-1">
+                    <span className="font-semibold text-gray-900">{rma.reference}</span>
+                    <Badge variant={STATUS_VARIANTS[rma.status]} size="small">{RETURN_STATUS_LABELS[rma.status]}</Badge>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    <Link to={`/orders/${rma.orderId}`} className="text-primary hover:underline">Order #{rma.orderId}</Link>
+                    {' '}• {rma.customerName} • {format(new Date(rma.requestedAt), 'MMM dd, yyyy hh:mm a')}
+                  </p>
+                  <p className="text-sm text-gray-900 mt-2">
+                    <span className="font-medium">{rma.reason}</span>
+                    {rma.note && <span className="text-gray-600"> — {rma.note}</span>}
+                  </p>
+                  <ul className="mt-2 text-sm text-gray-700 space-y-1">
+                    {rma.lines.map(line => (
+                      <li key={line.productId} className="flex items-center">
+                        {line.quantity}x {line.name} • Rs. {line.amount.toLocaleString()}
+                        {line.restocked === true && <span className="ml-2 text-xs text-green-600">restocked</span>}
+                        {line.restocked === false && <span className="ml-2 text-xs text-yellow-700">perishable, not restocked</span>}
+                      </li>
+                    ))}
+                  </ul>
+                  {rma.reviewNote && <p className="text-xs text-gray-500 mt-2">Review note: {rma.reviewNote}</p>}
+                </div>
+
+                {rma.photo?.dataUrl && (
+                  <a href={rma.photo.dataUrl} target="_blank" rel="noreferrer" className="flex-shrink-0">
+                    <img src={rma.photo.dataUrl} alt="Return evidence" className="w-24 h-20 object-cover rounded-lg border border-gray-200" />
+                  </a>
+                )}
+
+                <div className="text-right flex-shrink-0">
+                  <p className="text-lg font-bold text-gray-900">Rs. {rma.amount.toLocaleString()}</p>
+                  <p className="text-xs text-gray-500 mb-3">
+                    {rma.status === RETURN_STATUS.REFUNDED
+                      ? `Refunded to ${rma.refundedTo === REFUND_METHODS.WALLET ? 'store wallet' : rma.refundedTo}`
+                      : `To ${rma.refundMethod === REFUND_METHODS.WALLET ? 'store wallet' : `original method (${rma.paymentMethod})`}`}
+                  </p>
+                  <div className="flex flex-wrap justify-end gap-2">
+                    {rma.status === RETURN_STATUS.REQUESTED && (
+                      <Button
+                        size="small"
+                        icon="Check"
+                        loading={busyId === rma.Id}
+                        onClick={() => runAction(rma, () => returnService.approveReturn(rma.Id), `${rma.reference} approved`)}
+                      >
+                        Approve
+                      </Button>
+                    )}
+                    {[RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED].includes(rma.status) && (
+                      <Button size="small" variant="danger" icon="X" disabled={busyId === rma.Id} onClick={() => handleReject(rma)}>
+                        Reject
+                      </Button>
+                    )}
+                    {rma.status === RETURN_STATUS.APPROVED && (
+                      <Button
+                        size="small"
+                        variant="secondary"
+                        icon="PackageCheck"
+                        loading={busyId === rma.Id}
+                        onClick={() => runAction(rma, () => returnService.receiveReturn(rma.Id), `${rma.reference} received`)}
+                      >
+                        Mark Received
+                      </Button>
+                    )}
+                    {rma.status === RETURN_STATUS.RECEIVED && (
+                      <Button
+                        size="small"
+                        icon="RefreshCw"
+                        loading={busyId === rma.Id}
+                        onClick={() => runAction(rma, () => returnService.refundReturn(rma.Id), `Refunded Rs. ${rma.amount.toLocaleString()}`)}
+                      >
+                        Issue Refund
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReturnsPanel;
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import StarRating from "@/components/molecules/StarRating";
+import { REVIEW_STATUS, REVIEW_STATUS_LABELS, reviewService } from "@/services/api/reviewService";
+
+const STATUS_VARIANTS = {
+  [REVIEW_STATUS.PENDING]: 'warning',
+  [REVIEW_STATUS.APPROVED]: 'success',
+  [REVIEW_STATUS.REJECTED]: 'danger'
+};
+
+// Moderation queue for product reviews: nothing is published until approved here
+const ReviewModerationPanel = () => {
+  const [status, setStatus] = useState(REVIEW_STATUS.PENDING);
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [workingId, setWorkingId] = useState(null);
+
+  const loadQueue = async () => {
+    try {
+      setLoading(true);
+      setReviews(await reviewService.getQueue(status));
+    } catch (err) {
+      console.error('Error loading reviews:', err);
+      toast.error('Failed to load reviews');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadQueue();
+  }, [status]);
+
+  const runAction = async (review, action, successMessage) => {
+    try {
+      setWorkingId(review.Id);
+      await action();
+      toast.success(successMessage);
+      await loadQueue();
+    } catch (err) {
+      toast.error(err.message || 'Action failed');
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleApprove = (review) => runAction(
+    review,
+    () => reviewService.approve(review.Id),
+    `Review of ${review.productName} published`
+  );
+
+  const handleReject = (review) => {
+    const note = window.prompt('Reason for rejecting this review (shown to the customer)');
+    if (note === null) return;
+    runAction(review, () => reviewService.reject(review.Id, note), 'Review rejected');
+  };
+
+  return (
+    <div className="card p-6 mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Product Reviews</h2>
+          <p className="text-sm text-gray-600">Reviews from verified buyers, oldest first</p>
+        </div>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="input-field w-48">
+          {Object.values(REVIEW_STATUS).map(value => (
+            <option key={value} value={value}>{REVIEW_STATUS_LABELS[value]}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="py-6 text-center text-gray-500">
+          <ApperIcon name="Loader2" size={24} className="animate-spin mx-auto" />
+        </div>
+      ) : reviews.length === 0 ? (
+        <p className="text-gray-600 text-center py-6">No reviews here</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {reviews.map(review => (
+            <div key={review.Id} className="py-4 flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+              <div className="flex-1">
+                <div className="flex items-center space-x-2 mb-1">
+                  <span className="font-medium text-gray-900">{review.productName}</span>
+                  <StarRating value={review.rating} size={14} />
+                  <Badge variant={STATUS_VARIANTS[review.status]} size="small">{REVIEW_STATUS_LABELS[review.status]}</Badge>
+                </div>
+                <p className="text-xs text-gray-500 mb-2">
+                  {review.customerName} • Order #{review.orderId} • {format(new Date(review.createdAt), 'MMM dd, yyyy')}
+                </p>
+                {review.title && <p className="font-medium text-gray-900 text-sm">{review.title}</p>}
+                {review.text && <p className="text-gray-700 text-sm">{review.text}</p>}
+                {review.photos.length > 0 && (
+                  <div className="flex space-x-2 mt-2">
+                    {review.photos.map((photo, index) => (
+                      <a key={index} href={photo.dataUrl} target="_blank" rel="noreferrer">
+                        <img src={photo.dataUrl} alt={photo.fileName} className="w-16 h-16 object-cover rounded-lg" />
+                      </a>
+                    ))}
+                  </div>
+                )}
+                {review.moderationNote && (
+                  <p className="text-xs text-red-600 mt-2">Rejected: {review.moderationNote}</p>
+                )}
+              </div>
+              <div className="flex space-x-2">
+                {review.status !== REVIEW_STATUS.APPROVED && (
+                  <Button
+                    size="small"
+                    icon="Check"
+                    loading={workingId === review.Id}
+                    onClick={() => handleApprove(review)}
+                  >
+                    Approve
+                  </Button>
+                )}
+                {review.status !== REVIEW_STATUS.REJECTED && (
+                  <Button
+                    size="small"
+                    variant="outline"
+                    icon="X"
+                    disabled={workingId === review.Id}
+                    onClick={() => handleReject(review)}
+                  >
+                    Reject
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewModerationPanel;
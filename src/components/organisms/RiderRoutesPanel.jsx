@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import { dispatchService } from "@/services/api/dispatchService";
+
+// Each rider's batch in optimised stop order with the estimated arrival at every stop
+const RiderRoutesPanel = ({ refreshKey = 0 }) => {
+  const [routes, setRoutes] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    dispatchService.getRiderRoutes()
+      .then(result => !cancelled && setRoutes(result))
+      .catch(err => {
+        console.error('Error planning routes:', err);
+        toast.error('Failed to plan rider routes');
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  return (
+    <div className="card p-6 mt-8">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Rider Routes</h2>
+      <p className="text-sm text-gray-600 mb-4">Stops ordered for the shortest drive, with estimated arrival times</p>
+
+      {loading ? (
+        <div className="py-8 text-center text-gray-500">
+          <ApperIcon name="Loader2" size={24} className="animate-spin mx-auto mb-2" />
+          Planning routes...
+        </div>
+      ) : routes.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <ApperIcon name="Route" size={40} className="mx-auto mb-2 text-gray-300" />
+          No riders have orders on board
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {routes.map(route => (
+            <div key={route.rider.Id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-3">
+                <div>
+                  <p className="font-medium text-gray-900">{route.rider.name}</p>
+                  <p className="text-xs text-gray-500">{route.rider.zone} • {route.rider.vehicleType}</p>
+                </div>
+                <div className="text-right text-sm text-gray-600">
+                  <p>{route.totalKm} km</p>
+                  <p className="text-xs">Done by {format(new Date(route.finishAt), 'hh:mm a')}</p>
+                </div>
+              </div>
+              <ol className="space-y-2">
+                {route.stops.map(stop => (
+                  <li key={stop.order.id} className="flex items-start text-sm">
+                    <span className="bg-primary text-white rounded-full w-5 h-5 flex items-center justify-center text-xs mr-2 flex-shrink-0">
+                      {stop.sequence}
+                    </span>
+                    <div className="flex-1">
+                      <p className="text-gray-900">
+                        Order #{stop.order.id} · {stop.order.deliveryAddress?.name}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {stop.legKm} km{stop.approximate && ' (zone estimate)'}
+                        {stop.order.deliverySlot && ` · slot ${stop.order.deliverySlot.label}`}
+                      </p>
+                    </div>
+                    <div className="text-right ml-2">
+                      <p className="font-medium text-gray-900">{format(new Date(stop.eta), 'hh:mm a')}</p>
+                      {stop.late && <Badge variant="danger" size="small">Late</Badge>}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+              {route.unlocated.length > 0 && (
+                <p className="text-xs text-yellow-700 mt-3">
+                  No location for {route.unlocated.map(order => `#${order.id}`).join(', ')}, not routed
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiderRoutesPanel;
@@ -0,0 +1,308 @@
+import React, { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { endOfMonth, format, startOfMonth } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import { financialService } from "@/services/api/financialService";
+import productService from "@/services/api/productService";
+import { ROUNDING_LEVELS, taxService } from "@/services/api/taxService";
+import { hasPermission, PERMISSIONS } from "@/services/api/authService";
+import { selectUserRole } from "@/store/authSlice";
+
+// Monthly sales tax return figures plus the GST setup the engine runs on
+const SalesTaxPanel = () => {
+  const canManage = hasPermission(useSelector(selectUserRole), PERMISSIONS.TAX_MANAGE);
+  const [period, setPeriod] = useState(format(new Date(), 'yyyy-MM'));
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [settings, setSettings] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+      const monthStart = new Date(`${period}-01T00:00:00`);
+      setReport(await financialService.getSalesTaxReport({ from: startOfMonth(monthStart), to: endOfMonth(monthStart) }));
+    } catch (err) {
+      toast.error(err.message || 'Failed to load sales tax report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSettings = async () => {
+    try {
+      const [taxSettings, products] = await Promise.all([taxService.getSettings(), productService.getAll()]);
+      setSettings(taxSettings);
+      setCategories([...new Set([
+        ...products.map(product => product.category).filter(Boolean),
+        ...Object.keys(taxSettings.categoryClasses)
+      ])].sort());
+    } catch (err) {
+      toast.error('Failed to load tax settings');
+    }
+  };
+
+  useEffect(() => {
+    loadReport();
+  }, [period]);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const updateField = (field, value) => setSettings(prev => ({ ...prev, [field]: value }));
+
+  const updateRate = (classId, rate) => setSettings(prev => ({
+    ...prev,
+    classes: prev.classes.map(taxClass => taxClass.id === classId ? { ...taxClass, rate: parseFloat(rate) || 0 } : taxClass)
+  }));
+
+  const updateCategoryClass = (category, classId) => setSettings(prev => ({
+    ...prev,
+    categoryClasses: { ...prev.categoryClasses, [category]: classId }
+  }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setSettings(await taxService.updateSettings(settings));
+      toast.success('Tax settings saved');
+      await loadReport();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save tax settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Sales Tax Payable</h3>
+            <p className="text-sm text-gray-600">Output tax on orders and POS sales, less credit notes for refunded returns</p>
+          </div>
+          <input
+            type="month"
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="input-field w-44"
+          />
+        </div>
+
+        {loading || !report ? (
+          <div className="py-8 text-center text-gray-500">
+            <ApperIcon name="Loader2" size={24} className="animate-spin mx-auto mb-2" />
+            Building report...
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              <div className="bg-gray-50 rounded-lg p-4">
+                <p className="text-sm text-gray-600">Taxable Sales</p>
+                <p className="text-xl font-bold text-gray-900">Rs. {report.taxableSales.toLocaleString()}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-4">
+                <p className="text-sm text-gray-600">Exempt / Zero-rated</p>
+                <p className="text-xl font-bold text-gray-900">Rs. {report.exemptSales.toLocaleString()}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-4">
+                <p className="text-sm text-gray-600">Output Tax</p>
+                <p className="text-xl font-bold text-gray-900">Rs. {report.outputTax.toLocaleString()}</p>
+                {report.returnsTax > 0 && (
+                  <p className="text-xs text-red-600">- Rs. {report.returnsTax.toLocaleString()} credit notes</p>
+                )}
+              </div>
+              <div className="bg-primary/10 rounded-lg p-4">
+                <p className="text-sm text-gray-600">Net Payable</p>
+                <p className="text-xl font-bold text-primary">Rs. {report.netPayable.toLocaleString()}</p>
+              </div>
+            </div>
+
+            {report.rows.length === 0 ? (
+              <p className="text-center text-gray-600 py-6">No taxed sales in this period</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-200 text-left text-gray-600">
+                      <th className="py-2 pr-4">Tax Class</th>
+                      <th className="py-2 pr-4 text-right">Rate</th>
+                      <th className="py-2 pr-4 text-right">Sales (net)</th>
+                      <th className="py-2 pr-4 text-right">Output Tax</th>
+                      <th className="py-2 pr-4 text-right">Returns Tax</th>
+                      <th className="py-2 text-right">Payable</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.map(row => (
+                      <tr key={row.taxClass} className="border-b border-gray-100">
+                        <td className="py-2 pr-4 font-medium text-gray-900">{row.name}</td>
+                        <td className="py-2 pr-4 text-right">{row.rate}%</td>
+                        <td className="py-2 pr-4 text-right">Rs. {row.salesNet.toLocaleString()}</td>
+                        <td className="py-2 pr-4 text-right">Rs. {row.outputTax.toLocaleString()}</td>
+                        <td className="py-2 pr-4 text-right text-red-600">
+                          {row.returnsTax > 0 ? `- Rs. ${row.returnsTax.toLocaleString()}` : '—'}
+                        </td>
+                        <td className="py-2 text-right font-semibold">Rs. {row.payable.toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="flex flex-wrap gap-2 mt-4 text-xs">
+              <Badge variant="info" size="small">{report.documents.orders} orders</Badge>
+              <Badge variant="info" size="small">{report.documents.posSales} POS sales</Badge>
+              <Badge variant="default" size="small">{report.documents.creditNotes} credit notes</Badge>
+              {report.documents.untaxed > 0 && (
+                <Badge variant="warning" size="small">
+                  {report.documents.untaxed} sales recorded before GST tracking, not included
+                </Badge>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {settings && (
+        <form onSubmit={handleSave} className="card p-6">
+          <div className="flex items-center justify-between mb-6">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">GST Settings</h3>
+              <p className="text-sm text-gray-600">Registration printed on invoices and the rules every checkout is taxed with</p>
+            </div>
+            {!canManage && <Badge variant="default" size="small">Read only</Badge>}
+          </div>
+
+          <fieldset disabled={!canManage} className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">NTN</label>
+                <input
+                  value={settings.ntn}
+                  onChange={(e) => updateField('ntn', e.target.value)}
+                  className="input-field"
+                  placeholder="1234567-8"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">STRN</label>
+                <input
+                  value={settings.strn}
+                  onChange={(e) => updateField('strn', e.target.value)}
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Prices</label>
+                <select
+                  value={settings.pricesIncludeTax ? 'inclusive' : 'exclusive'}
+                  onChange={(e) => updateField('pricesIncludeTax', e.target.value === 'inclusive')}
+                  className="input-field"
+                >
+                  <option value="inclusive">Shelf prices include GST</option>
+                  <option value="exclusive">GST added at checkout</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Round Tax Per</label>
+                <select
+                  value={settings.roundingLevel}
+                  onChange={(e) => updateField('roundingLevel', e.target.value)}
+                  className="input-field"
+                >
+                  <option value={ROUNDING_LEVELS.LINE}>Invoice line</option>
+                  <option value={ROUNDING_LEVELS.INVOICE}>Invoice total</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Round To</label>
+                <select
+                  value={String(settings.roundingIncrement)}
+                  onChange={(e) => updateField('roundingIncrement', Number(e.target.value))}
+                  className="input-field"
+                >
+                  <option value="0.01">Nearest paisa</option>
+                  <option value="1">Nearest rupee</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Delivery Charge Class</label>
+                <select
+                  value={settings.deliveryClass}
+                  onChange={(e) => updateField('deliveryClass', e.target.value)}
+                  className="input-field"
+                >
+                  {settings.classes.map(taxClass => (
+                    <option key={taxClass.id} value={taxClass.id}>{taxClass.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-900 mb-3">Tax Classes</h4>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {settings.classes.map(taxClass => (
+                  <div key={taxClass.id}>
+                    <label className="block text-sm text-gray-700 mb-1">{taxClass.name} (%)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.5"
+                      value={taxClass.rate}
+                      onChange={(e) => updateRate(taxClass.id, e.target.value)}
+                      className="input-field"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-900 mb-3">Category Classes</h4>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {categories.map(category => (
+                  <div key={category} className="flex items-center justify-between gap-3">
+                    <span className="text-sm text-gray-700">{category}</span>
+                    <select
+                      value={settings.categoryClasses[category] || settings.defaultClass}
+                      onChange={(e) => updateCategoryClass(category, e.target.value)}
+                      className="input-field w-40 py-1"
+                    >
+                      {settings.classes.map(taxClass => (
+                        <option key={taxClass.id} value={taxClass.id}>{taxClass.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              {Object.keys(settings.productClasses || {}).length > 0 && (
+                <p className="text-xs text-gray-500 mt-3">
+                  {Object.keys(settings.productClasses).length} products override their category class
+                </p>
+              )}
+            </div>
+          </fieldset>
+
+          {canManage && (
+            <div className="flex justify-end mt-6">
+              <Button type="submit" icon="Save" loading={saving}>Save Settings</Button>
+            </div>
+          )}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SalesTaxPanel;
@@ -1,18 +1,79 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { toast } from 'react-toastify';
 import ApperIcon from '@/components/ApperIcon';
+import Badge from '@/components/atoms/Badge';
 import Button from '@/components/atoms/Button';
 import Input from '@/components/atoms/Input';
+import Loading from '@/components/ui/Loading';
+import Error from '@/components/ui/Error';
+import AddressForm from '@/components/molecules/AddressForm';
+import OrderStatusBadge from '@/components/molecules/OrderStatusBadge';
+import { customerService } from '@/services/api/customerService';
+import { paymentService } from '@/services/api/paymentService';
+import { RETURN_STATUS_LABELS } from '@/services/api/returnService';
+import { loyaltyService, MIN_CONVERT_POINTS, pointsValue } from '@/services/api/loyaltyService';
+
+const PREFERENCE_OPTIONS = [
+  { key: 'emailNotifications', title: 'Email Notifications', description: 'Receive order updates via email' },
+  { key: 'smsNotifications', title: 'SMS Notifications', description: 'Receive order updates via SMS' },
+  { key: 'whatsappNotifications', title: 'WhatsApp Notifications', description: 'Receive order updates on WhatsApp' },
+  { key: 'marketingEmails', title: 'Marketing Emails', description: 'Receive promotional offers and updates' }
+];
 
 const Account = () => {
   const [activeTab, setActiveTab] = useState('profile');
-  const [formData, setFormData] = useState({
-    name: 'John Doe',
-    email: 'john@example.com',
-    phone: '+92 300 1234567',
-    address: '123 Main Street, Lahore',
-    city: 'Lahore',
-    postalCode: '54000'
-  });
+  const [profile, setProfile] = useState(null);
+  const [formData, setFormData] = useState({ name: '', email: '', phone: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [editingAddress, setEditingAddress] = useState(null);
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    loadProfile();
+  }, []);
+
+  useEffect(() => {
+    if (['orders', 'returns', 'wallet', 'points'].includes(activeTab) && !history) {
+      loadHistory();
+    }
+  }, [activeTab]);
+
+  const loadProfile = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [data, methods] = await Promise.all([
+        customerService.getProfile(),
+        paymentService.getAvailablePaymentMethods()
+      ]);
+      setProfile(data);
+      setFormData({ name: data.name, email: data.email, phone: data.phone });
+      setPaymentMethods(methods.filter(method => method.enabled));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadHistory = async () => {
+    try {
+      const [orders, returns, wallet, loyalty] = await Promise.all([
+        customerService.getOrderHistory(),
+        customerService.getReturns(),
+        customerService.getWalletActivity(),
+        loyaltyService.getAccount()
+      ]);
+      setHistory({ orders, returns, wallet, loyalty });
+    } catch (err) {
+      toast.error(err.message || 'Failed to load your history');
+    }
+  };
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -22,30 +83,104 @@ const Account = () => {
     }));
   };
 
-  const handleSave = () => {
-    // Handle save logic here
-    console.log('Saving profile:', formData);
+  const saveProfile = async (changes, successMessage) => {
+    try {
+      setSaving(true);
+      setProfile(await customerService.updateProfile(changes));
+      toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.message || 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => saveProfile(formData, 'Profile updated');
+
+  const runAddressAction = async (action, successMessage) => {
+    try {
+      setSaving(true);
+      await action();
+      setProfile(await customerService.getProfile());
+      setEditingAddress(null);
+      toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update address');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddressSubmit = (address) => {
+    if (address.Id) {
+      runAddressAction(() => customerService.updateAddress(address.Id, address), 'Address updated');
+    } else {
+      runAddressAction(() => customerService.addAddress(address), 'Address added');
+    }
+  };
+
+  const handleDeleteAddress = (address) => {
+    if (!window.confirm(`Remove your ${address.label} address?`)) return;
+    runAddressAction(() => customerService.deleteAddress(address.Id), 'Address removed');
+  };
+
+  const handleConvertPoints = async () => {
+    const input = window.prompt(
+      `Points to convert to wallet credit (minimum ${MIN_CONVERT_POINTS}, you have ${history.loyalty.balance})`,
+      String(history.loyalty.balance)
+    );
+    if (input === null) return;
+    try {
+      setSaving(true);
+      const result = await loyaltyService.convertToWallet(parseInt(input));
+      toast.success(`Rs. ${result.credit.toLocaleString()} added to your wallet`);
+      await loadHistory();
+    } catch (err) {
+      toast.error(err.message || 'Failed to convert points');
+    } finally {
+      setSaving(false);
+    }
   };
 
   const tabs = [
     { id: 'profile', label: 'Profile', icon: 'User' },
     { id: 'addresses', label: 'Addresses', icon: 'MapPin' },
+    { id: 'orders', label: 'Orders', icon: 'Package' },
+    { id: 'returns', label: 'Returns', icon: 'Undo2' },
+    { id: 'wallet', label: 'Wallet', icon: 'Wallet' },
+    { id: 'points', label: 'Points', icon: 'Star' },
     { id: 'settings', label: 'Settings', icon: 'Settings' }
   ];
 
+  if (loading) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Loading type="default" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Error message={error} onRetry={loadProfile} />
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <h1 className="text-3xl font-bold text-gray-900 mb-8">My Account</h1>
 
       {/* Tabs */}
-      <div className="border-b border-gray-200 mb-8">
+      <div className="border-b border-gray-200 mb-8 overflow-x-auto">
         <nav className="flex space-x-8">
           {tabs.map((tab) => (
             <button
               key={tab.id}
               onClick={() => setActiveTab(tab.id)}
               className={`
-                flex items-center space-x-2 py-4 px-1 border-b-2 font-medium text-sm
+                flex items-center space-x-2 py-4 px-1 border-b-2 font-medium text-sm whitespace-nowrap
                 ${activeTab === tab.id
                   ? 'border-primary text-primary'
                   : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
@@ -63,7 +198,7 @@ const Account = () => {
       {activeTab === 'profile' && (
         <div className="card p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-6">Profile Information</h2>
-          
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <Input
               label="Full Name"
@@ -72,7 +207,7 @@ const Account = () => {
               onChange={handleInputChange}
               icon="User"
             />
-            
+
             <Input
               label="Email Address"
               name="email"
@@ -81,44 +216,20 @@ const Account = () => {
               onChange={handleInputChange}
               icon="Mail"
             />
-            
+
             <Input
               label="Phone Number"
               name="phone"
               type="tel"
               value={formData.phone}
               onChange={handleInputChange}
+              placeholder="03XXXXXXXXX"
               icon="Phone"
             />
-            
-            <Input
-              label="City"
-              name="city"
-              value={formData.city}
-              onChange={handleInputChange}
-              icon="MapPin"
-            />
-            
-            <Input
-              label="Address"
-              name="address"
-              value={formData.address}
-              onChange={handleInputChange}
-              icon="Home"
-              className="md:col-span-2"
-            />
-            
-            <Input
-              label="Postal Code"
-              name="postalCode"
-              value={formData.postalCode}
-              onChange={handleInputChange}
-              icon="Hash"
-            />
           </div>
-          
+
           <div className="mt-6 flex justify-end">
-            <Button variant="primary" onClick={handleSave}>
+            <Button variant="primary" loading={saving} onClick={handleSave}>
               Save Changes
             </Button>
           </div>
@@ -130,113 +241,296 @@ const Account = () => {
           <div className="card p-6">
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-xl font-semibold text-gray-900">Saved Addresses</h2>
-              <Button variant="primary" size="small" icon="Plus">
-                Add Address
-              </Button>
+              {!editingAddress && (
+                <Button
+                  variant="primary"
+                  size="small"
+                  icon="Plus"
+                  onClick={() => setEditingAddress({ name: profile.name, phone: profile.phone })}
+                >
+                  Add Address
+                </Button>
+              )}
             </div>
-            
-            <div className="space-y-4">
-              <div className="border border-gray-200 rounded-lg p-4">
-                <div className="flex items-center justify-between mb-2">
-                  <span className="font-medium text-gray-900">Home</span>
-                  <div className="flex space-x-2">
-                    <button className="text-primary hover:text-primary-dark">
-                      <ApperIcon name="Edit" size={16} />
-                    </button>
-                    <button className="text-red-600 hover:text-red-700">
-                      <ApperIcon name="Trash2" size={16} />
-                    </button>
+
+            {editingAddress ? (
+              <AddressForm
+                address={editingAddress}
+                saving={saving}
+                onSubmit={handleAddressSubmit}
+                onCancel={() => setEditingAddress(null)}
+              />
+            ) : profile.addresses.length === 0 ? (
+              <p className="text-gray-600 text-center py-6">No saved addresses yet. Add one to check out faster.</p>
+            ) : (
+              <div className="space-y-4">
+                {profile.addresses.map(address => (
+                  <div key={address.Id} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-2">
+                      <div className="flex items-center space-x-2">
+                        <span className="font-medium text-gray-900">{address.label}</span>
+                        {address.isDefault && <Badge variant="success" size="small">Default</Badge>}
+                        {address.coordinates && (
+                          <Badge variant="info" size="small">
+                            <ApperIcon name="MapPin" size={10} className="mr-1 inline" />
+                            Pinned
+                          </Badge>
+                        )}
+                      </div>
+                      <div className="flex space-x-2">
+                        {!address.isDefault && (
+                          <button
+                            onClick={() => runAddressAction(() => customerService.setDefaultAddress(address.Id), `${address.label} is now your default address`)}
+                            className="text-sm text-gray-600 hover:text-gray-900"
+                          >
+                            Make default
+                          </button>
+                        )}
+                        <button onClick={() => setEditingAddress(address)} className="text-primary hover:text-primary-dark">
+                          <ApperIcon name="Edit" size={16} />
+                        </button>
+                        <button onClick={() => handleDeleteAddress(address)} className="text-red-600 hover:text-red-700">
+                          <ApperIcon name="Trash2" size={16} />
+                        </button>
+                      </div>
+                    </div>
+                    <p className="text-gray-600">{address.address}, {address.city} {address.postalCode}</p>
+                    <p className="text-sm text-gray-500">{address.name} • {address.phone}</p>
+                    {address.instructions && <p className="text-xs text-gray-500 mt-1">{address.instructions}</p>}
                   </div>
-                </div>
-                <p className="text-gray-600">123 Main Street, Lahore, Punjab 54000</p>
+                ))}
               </div>
-              
-              <div className="border border-gray-200 rounded-lg p-4">
-                <div className="flex items-center justify-between mb-2">
-                  <span className="font-medium text-gray-900">Office</span>
-                  <div className="flex space-x-2">
-                    <button className="text-primary hover:text-primary-dark">
-                      <ApperIcon name="Edit" size={16} />
-                    </button>
-                    <button className="text-red-600 hover:text-red-700">
-                      <ApperIcon name="Trash2" size={16} />
-                    </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {['orders', 'returns', 'wallet', 'points'].includes(activeTab) && !history && (
+        <Loading type="default" />
+      )}
+
+      {activeTab === 'orders' && history && (
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Order History</h2>
+          {history.orders.length === 0 ? (
+            <p className="text-gray-600 text-center py-6">You have not placed any orders yet</p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {history.orders.map(order => (
+                <Link
+                  key={order.id}
+                  to={`/orders/${order.id}`}
+                  className="flex items-center justify-between py-3 hover:bg-gray-50 -mx-2 px-2 rounded"
+                >
+                  <div>
+                    <p className="font-medium text-gray-900">Order #{order.id}</p>
+                    <p className="text-sm text-gray-600">
+                      {format(new Date(order.createdAt), 'MMM dd, yyyy')} • {order.items?.length || 0} items
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-4">
+                    <OrderStatusBadge status={order.status} />
+                    <span className="font-semibold text-gray-900">Rs. {(order.total || 0).toLocaleString()}</span>
+                  </div>
+                </Link>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'returns' && history && (
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Returns</h2>
+          {history.returns.length === 0 ? (
+            <p className="text-gray-600 text-center py-6">No returns requested</p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {history.returns.map(rma => (
+                <div key={rma.Id} className="flex items-center justify-between py-3">
+                  <div>
+                    <p className="font-medium text-gray-900">{rma.reference}</p>
+                    <p className="text-sm text-gray-600">
+                      <Link to={`/orders/${rma.orderId}`} className="text-primary hover:underline">Order #{rma.orderId}</Link>
+                      {' '}• {format(new Date(rma.requestedAt), 'MMM dd, yyyy')} • {rma.reason}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="font-semibold text-gray-900">Rs. {rma.amount.toLocaleString()}</p>
+                    <p className="text-xs text-gray-500">{RETURN_STATUS_LABELS[rma.status]}</p>
                   </div>
                 </div>
-                <p className="text-gray-600">456 Business Center, Karachi, Sindh 75000</p>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'wallet' && history && (
+        <div className="card p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Wallet Activity</h2>
+            <div className="text-right">
+              <p className="text-sm text-gray-600">Balance</p>
+              <p className="text-xl font-bold gradient-text">Rs. {history.wallet.balance.toLocaleString()}</p>
+            </div>
+          </div>
+          {history.wallet.transactions.length === 0 ? (
+            <p className="text-gray-600 text-center py-6">No wallet activity yet</p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {history.wallet.transactions.map(transaction => {
+                const credit = transaction.type === 'deposit';
+                return (
+                  <div key={transaction.Id} className="flex items-center justify-between py-3">
+                    <div className="flex items-center space-x-3">
+                      <ApperIcon
+                        name={credit ? 'ArrowDownLeft' : 'ArrowUpRight'}
+                        size={18}
+                        className={credit ? 'text-green-600' : 'text-red-600'}
+                      />
+                      <div>
+                        <p className="font-medium text-gray-900">{transaction.description || transaction.type}</p>
+                        <p className="text-xs text-gray-500">{format(new Date(transaction.timestamp), 'MMM dd, yyyy hh:mm a')}</p>
+                      </div>
+                    </div>
+                    <span className={`font-semibold ${credit ? 'text-green-600' : 'text-red-600'}`}>
+                      {credit ? '+' : '-'}Rs. {Math.abs(transaction.amount).toLocaleString()}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'points' && history && (
+        <div className="space-y-6">
+          <div className="card p-6">
+            <div className="flex items-start justify-between">
+              <div>
+                <p className="text-sm text-gray-600">Points balance</p>
+                <p className="text-3xl font-bold gradient-text">{history.loyalty.balance.toLocaleString()}</p>
+                <p className="text-sm text-gray-600">Worth Rs. {history.loyalty.value.toLocaleString()}</p>
               </div>
+              <Badge variant="info">{history.loyalty.tier.name} member</Badge>
+            </div>
+            {history.loyalty.nextTier ? (
+              <p className="text-sm text-gray-600 mt-4">
+                Earn {history.loyalty.pointsToNextTier.toLocaleString()} more points within 12 months to reach {history.loyalty.nextTier.name}
+                {' '}({history.loyalty.nextTier.multiplier}x points)
+              </p>
+            ) : (
+              <p className="text-sm text-gray-600 mt-4">You are on our top tier and earn {history.loyalty.tier.multiplier}x points</p>
+            )}
+            {history.loyalty.expiringSoon > 0 && (
+              <p className="flex items-center text-sm text-yellow-700 mt-2">
+                <ApperIcon name="Clock" size={14} className="mr-1" />
+                {history.loyalty.expiringSoon.toLocaleString()} points expire in the next 30 days
+              </p>
+            )}
+            <div className="flex items-center justify-between border-t border-gray-100 mt-4 pt-4">
+              <p className="text-sm text-gray-600">
+                Use points at checkout, or turn {MIN_CONVERT_POINTS}+ points into wallet credit at Rs. {pointsValue(1)} each
+              </p>
+              <Button
+                size="small"
+                variant="outline"
+                icon="Wallet"
+                loading={saving}
+                disabled={history.loyalty.balance < MIN_CONVERT_POINTS}
+                onClick={handleConvertPoints}
+              >
+                Convert
+              </Button>
             </div>
           </div>
+
+          <div className="card p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Points History</h2>
+            {history.loyalty.history.length === 0 ? (
+              <p className="text-gray-600 text-center py-6">Shop with us to start earning points</p>
+            ) : (
+              <div className="divide-y divide-gray-100">
+                {history.loyalty.history.map(entry => (
+                  <div key={entry.Id} className="flex items-center justify-between py-3">
+                    <div>
+                      <p className="font-medium text-gray-900 capitalize">{entry.type} <span className="text-gray-500 normal-case">• {entry.reference}</span></p>
+                      <p className="text-xs text-gray-500">
+                        {format(new Date(entry.createdAt), 'MMM dd, yyyy')}
+                        {entry.remaining > 0 && ` • ${entry.remaining} left, expires ${format(new Date(entry.expiresAt), 'MMM dd, yyyy')}`}
+                      </p>
+                    </div>
+                    <span className={`font-semibold ${entry.points > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {entry.points > 0 ? '+' : ''}{entry.points.toLocaleString()}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
       )}
 
       {activeTab === 'settings' && (
         <div className="space-y-6">
+          <div className="card p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-6">Default Payment Method</h2>
+            <select
+              value={profile.defaultPaymentMethod || 'cash'}
+              onChange={(e) => saveProfile({ defaultPaymentMethod: e.target.value }, 'Default payment method saved')}
+              disabled={saving}
+              className="input-field"
+            >
+              {paymentMethods.map(method => (
+                <option key={method.id} value={method.id}>{method.name}</option>
+              ))}
+            </select>
+            <p className="text-sm text-gray-600 mt-2">Preselected at checkout</p>
+          </div>
+
           <div className="card p-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-6">Preferences</h2>
-            
+
             <div className="space-y-6">
-              <div className="flex items-center justify-between">
-                <div>
-                  <h3 className="font-medium text-gray-900">Email Notifications</h3>
-                  <p className="text-sm text-gray-600">Receive order updates via email</p>
-                </div>
-                <div className="relative">
-                  <input
-                    type="checkbox"
-                    className="sr-only"
-                    defaultChecked
-                  />
-                  <div className="w-11 h-6 bg-gray-200 rounded-full shadow-inner"></div>
-                  <div className="absolute w-4 h-4 bg-white rounded-full shadow -left-px -top-px transition-transform"></div>
-                </div>
-              </div>
-              
-              <div className="flex items-center justify-between">
-                <div>
-                  <h3 className="font-medium text-gray-900">SMS Notifications</h3>
-                  <p className="text-sm text-gray-600">Receive order updates via SMS</p>
-                </div>
-                <div className="relative">
-                  <input
-                    type="checkbox"
-                    className="sr-only"
-                    defaultChecked
-                  />
-                  <div className="w-11 h-6 bg-gray-200 rounded-full shadow-inner"></div>
-                  <div className="absolute w-4 h-4 bg-white rounded-full shadow -left-px -top-px transition-transform"></div>
-                </div>
-              </div>
-              
-              <div className="flex items-center justify-between">
-                <div>
-                  <h3 className="font-medium text-gray-900">Marketing Emails</h3>
-                  <p className="text-sm text-gray-600">Receive promotional offers and updates</p>
-                </div>
-                <div className="relative">
-                  <input
-                    type="checkbox"
-                    className="sr-only"
-                  />
-                  <div className="w-11 h-6 bg-gray-200 rounded-full shadow-inner"></div>
-                  <div className="absolute w-4 h-4 bg-white rounded-full shadow -left-px -top-px transition-transform"></div>
-                </div>
-              </div>
+              {PREFERENCE_OPTIONS.map(option => (
+                <label key={option.key} className="flex items-center justify-between cursor-pointer">
+                  <div>
+                    <h3 className="font-medium text-gray-900">{option.title}</h3>
+                    <p className="text-sm text-gray-600">{option.description}</p>
+                  </div>
+                  <div className="relative">
+                    <input
+                      type="checkbox"
+                      className="sr-only"
+                      checked={Boolean(profile.preferences?.[option.key])}
+                      disabled={saving}
+                      onChange={(e) => saveProfile(
+                        { preferences: { [option.key]: e.target.checked } },
+                        'Preferences saved'
+                      )}
+                    />
+                    <div className={`w-11 h-6 rounded-full shadow-inner transition-colors ${profile.preferences?.[option.key] ? 'bg-primary' : 'bg-gray-200'}`}></div>
+                    <div className={`absolute w-4 h-4 bg-white rounded-full shadow top-1 left-1 transition-transform ${profile.preferences?.[option.key] ? 'translate-x-5' : ''}`}></div>
+                  </div>
+                </label>
+              ))}
             </div>
           </div>
-          
+
           <div className="card p-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-6">Account Actions</h2>
-            
+
             <div className="space-y-4">
               <Button variant="outline" className="w-full justify-start" icon="Key">
                 Change Password
               </Button>
-              
+
               <Button variant="outline" className="w-full justify-start" icon="Download">
                 Export Data
               </Button>
-              
+
               <Button variant="danger" className="w-full justify-start" icon="Trash2">
                 Delete Account
               </Button>
@@ -248,4 +542,4 @@ const Account = () => {
   );
 };
 
-export default Account;
\ No newline at end of file
+export default Account;
@@ -11,16 +11,23 @@ import Button from "@/components/atoms/Button";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Orders from "@/components/pages/Orders";
+import ExpiryReportPanel from "@/components/organisms/ExpiryReportPanel";
+import ReplenishmentPanel from "@/components/organisms/ReplenishmentPanel";
+import ReviewModerationPanel from "@/components/organisms/ReviewModerationPanel";
 import { orderService } from "@/services/api/orderService";
 import productService from "@/services/api/productService";
 import { notificationService } from "@/services/api/notificationService";
 import { paymentService } from "@/services/api/paymentService";
+import { persistentStore } from "@/services/storage/persistentStore";
+import { canAccessPath, hasPermission, PERMISSIONS } from "@/services/api/authService";
+import { selectUserRole } from "@/store/authSlice";
 // Create service instances
 // productService is already imported as an instance above
 
 const AdminDashboard = () => {
   const dispatch = useDispatch();
   const notificationCounts = useSelector(state => state.notifications.counts);
+  const userRole = useSelector(selectUserRole);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -41,6 +48,8 @@ const AdminDashboard = () => {
   const [walletLoading, setWalletLoading] = useState(false);
   const [recentOrders, setRecentOrders] = useState([]);
   const [revenueBreakdown, setRevenueBreakdown] = useState([]);
+  const [storageStatus, setStorageStatus] = useState(null);
+  const [resettingData, setResettingData] = useState(false);
   const pollingRef = useRef(null);
   
   const loadDashboardData = async () => {
@@ -99,6 +108,8 @@ const AdminDashboard = () => {
         todayRevenue: todayRevenueAmount || 0
       });
 
+      setStorageStatus(await persistentStore.getStatus())
+
 } catch (error) {
       console.error('Error loading dashboard data:', error);
       
@@ -214,6 +225,23 @@ const handleWalletAction = async (action, amount = 0) => {
     }
   };
 
+  const handleResetDemoData = async () => {
+    if (!window.confirm('Reset all orders, products, POS sales and wallet data back to the demo seed?')) {
+      return;
+    }
+
+    setResettingData(true);
+    try {
+      await persistentStore.resetDemoData();
+      toast.success('Demo data has been reset');
+      loadDashboardData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to reset demo data');
+    } finally {
+      setResettingData(false);
+    }
+  };
+
 const quickActions = [
     { label: 'Dashboard', tabKey: 'dashboard', path: '/admin', icon: 'Home', color: 'from-slate-500 to-gray-500', notificationKey: 'dashboard' },
     { label: 'Manage Products', tabKey: 'products', path: '/admin/products', icon: 'Package', color: 'from-blue-500 to-cyan-500', notificationKey: 'products' },
@@ -223,6 +251,9 @@ const quickActions = [
     { label: 'AI Generate', tabKey: 'ai', path: '/admin/ai-generate', icon: 'Brain', color: 'from-purple-500 to-indigo-500', notificationKey: 'ai' },
     { label: 'Payment Verification', tabKey: 'verification', path: '/admin/payments?tab=verification', icon: 'Shield', color: 'from-orange-500 to-red-500', notificationKey: 'verification' },
     { label: 'Payment Management', tabKey: 'payments', path: '/admin/payments', icon: 'CreditCard', color: 'from-teal-500 to-cyan-500', notificationKey: 'payments' },
+    { label: 'Purchase Orders', tabKey: 'purchasing', path: '/purchase-orders', icon: 'ClipboardList', color: 'from-sky-500 to-blue-500', notificationKey: 'purchasing' },
+    { label: 'Promotions', tabKey: 'promotions', path: '/promotions', icon: 'Ticket', color: 'from-rose-500 to-pink-500', notificationKey: 'promotions' },
+    { label: 'Pick & Pack', tabKey: 'picking', path: '/picking', icon: 'PackageCheck', color: 'from-lime-500 to-green-500', notificationKey: 'picking' },
     { label: 'Delivery Tracking', tabKey: 'delivery', path: '/admin/delivery-dashboard', icon: 'MapPin', color: 'from-indigo-500 to-purple-500', notificationKey: 'delivery' },
     { label: 'Analytics', tabKey: 'analytics', path: '/admin/analytics', icon: 'TrendingUp', color: 'from-amber-500 to-orange-500', notificationKey: 'analytics' }
   ];
@@ -239,7 +270,7 @@ return (
         <div className="mb-8">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Quick Actions</h2>
           <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-4">
-            {quickActions.map((action) => {
+            {quickActions.filter(action => canAccessPath(userRole, action.path)).map((action) => {
               const badgeCount = notificationCounts[action.notificationKey] || 0;
               const isActive = activeTab === action.tabKey;
               
@@ -427,6 +458,12 @@ return (
           )}
         </div>
       </div>
+      {/* Replenishment Suggestions */}
+      {hasPermission(userRole, PERMISSIONS.PURCHASING_MANAGE) && <ReplenishmentPanel />}
+
+      {hasPermission(userRole, PERMISSIONS.PRODUCTS_MANAGE) && <ExpiryReportPanel />}
+
+      {hasPermission(userRole, PERMISSIONS.REVIEWS_MODERATE) && <ReviewModerationPanel />}
 {/* Wallet Management */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
         {/* Wallet Actions */}
@@ -537,7 +574,18 @@ return (
 
       {/* System Status */}
       <div className="card p-6 mt-8">
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">System Status</h2>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">System Status</h2>
+          <Button
+            variant="outline"
+            size="small"
+            icon="RotateCcw"
+            loading={resettingData}
+            onClick={handleResetDemoData}
+          >
+            Reset Demo Data
+          </Button>
+        </div>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="flex items-center space-x-3">
             <div className="bg-green-100 p-2 rounded-lg">
@@ -545,7 +593,10 @@ return (
             </div>
             <div>
               <p className="font-medium text-gray-900">Database</p>
-              <p className="text-sm text-green-600">Connected</p>
+              <p className="text-sm text-green-600">
+                {storageStatus?.backend === 'memory' ? 'In-memory (not persisted)' : 'IndexedDB'}
+                {storageStatus ? ` · ${storageStatus.collections.length} collections` : ''}
+              </p>
             </div>
           </div>
           
@@ -3,19 +3,29 @@ import { useDispatch, useSelector } from "react-redux";
 import { Link, useNavigate } from "react-router-dom";
 import { ArrowLeft, Minus, Plus, ShoppingBag, Trash2 } from "lucide-react";
 import { toast } from "react-toastify";
-import { clearCart, removeFromCart, selectCartItemCount, selectCartItems, selectCartTotal, updateQuantity, validateCartPrices } from "@/store/cartSlice";
+import { applyCouponCode, clearCart, loadPromotions, loadTaxSettings, removeCouponCode, removeFromCart, selectCartCouponCode, selectCartDeals, selectCartItemCount, selectCartItems, selectCartTax, selectCartTotal, updateQuantity, validateCartPrices } from "@/store/cartSlice";
 import { addNotification } from "@/store/notificationSlice";
 import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
 import Empty from "@/components/ui/Empty";
 import Checkout from "@/components/pages/Checkout";
 import CartItem from "@/components/molecules/CartItem";
+import PromotionSummary from "@/components/molecules/PromotionSummary";
+import TaxBreakdown from "@/components/molecules/TaxBreakdown";
 const Cart = () => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
   const cart = useSelector(selectCartItems);
   const cartTotal = useSelector(selectCartTotal);
   const cartCount = useSelector(selectCartItemCount);
+  const deals = useSelector(selectCartDeals);
+  const couponCode = useSelector(selectCartCouponCode);
+  const tax = useSelector(selectCartTax);
+
+  useEffect(() => {
+    dispatch(loadPromotions());
+    dispatch(loadTaxSettings());
+  }, [dispatch]);
 
   // Validate cart prices on component mount
   useEffect(() => {
@@ -34,10 +44,10 @@ if (cart.length === 0) {
     );
   }
 
-  // Use validated cart total for accurate calculations
-  const subtotal = cartTotal;
-  const deliveryCharge = subtotal >= 2000 ? 0 : 150; // Free delivery over Rs. 2000
-  const total = subtotal + deliveryCharge;
+  // Cart total already has promotion savings taken off; delivery comes from the same evaluation
+  const subtotal = cartTotal + deals.totalSavings;
+  const deliveryCharge = deals.deliveryCharge ?? 0;
+  const total = cartTotal + deliveryCharge + (tax?.taxAdded || 0);
   
   return (
 <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -85,6 +95,14 @@ if (cart.length === 0) {
                 <span className="font-medium transition-all duration-300">Rs. {subtotal.toLocaleString()}</span>
               </div>
               
+              <PromotionSummary
+                applied={deals.appliedDeals}
+                coupon={deals.coupon}
+                couponCode={couponCode}
+                onApplyCoupon={(code) => dispatch(applyCouponCode(code)).unwrap()}
+                onRemoveCoupon={() => dispatch(removeCouponCode())}
+              />
+
               <div className="flex justify-between items-center">
                 <span className="text-gray-600">Delivery Charge</span>
                 <span className="font-medium">
@@ -92,20 +110,8 @@ if (cart.length === 0) {
                 </span>
               </div>
               
-              {subtotal >= 2000 && deliveryCharge === 150 && (
-                <div className="flex justify-between items-center text-green-600">
-                  <span className="text-sm">Free delivery bonus!</span>
-                  <span className="text-sm font-medium">-Rs. 150</span>
-                </div>
-              )}
-              
-              {subtotal >= 2000 && deliveryCharge === 0 && (
-                <div className="flex justify-between items-center text-green-600">
-                  <span className="text-sm">🎉 Free delivery applied!</span>
-                  <span className="text-sm font-medium">Rs. 0</span>
-                </div>
-              )}
-              
+              <TaxBreakdown tax={tax} compact />
+
               <div className="border-t border-gray-200 pt-4">
                 <div className="flex justify-between items-center">
                   <span className="text-lg font-semibold text-gray-900">Total</span>
@@ -23,6 +23,7 @@ const productService = ProductService;
     { value: 'name', label: 'Name' },
     { value: 'price-low', label: 'Price: Low to High' },
     { value: 'price-high', label: 'Price: High to Low' },
+    { value: 'rating', label: 'Customer Rating' },
     { value: 'stock', label: 'Stock' }
   ];
 
@@ -41,6 +42,10 @@ const productService = ProductService;
     if (search) {
       setSearchTerm(search);
     }
+    const sort = searchParams.get('sort');
+    if (sort && sortOptions.some(option => option.value === sort)) {
+      setSortBy(sort);
+    }
   }, [searchParams]);
 
   useEffect(() => {
@@ -83,6 +88,9 @@ const productService = ProductService;
           return a.price - b.price;
         case 'price-high':
           return b.price - a.price;
+        case 'rating':
+          // Best rated first; more reviews break ties, unrated products go last
+          return (b.rating || 0) - (a.rating || 0) || (b.reviewCount || 0) - (a.reviewCount || 0);
         case 'stock':
           return b.stock - a.stock;
         case 'name':
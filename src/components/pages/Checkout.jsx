@@ -1,9 +1,9 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import { ArrowLeft, CheckCircle, CreditCard, MapPin, Phone, User } from "lucide-react";
 import { toast } from "react-hot-toast";
-import { clearCart } from "@/store/cartSlice";
+import { applyCouponCode, clearCart, loadPromotions, loadTaxSettings, removeCouponCode, selectCartTaxSettings, setSubstitution } from "@/store/cartSlice";
 import { addNotification } from "@/store/notificationSlice";
 import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
@@ -12,15 +12,30 @@ import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Account from "@/components/pages/Account";
 import PaymentMethod from "@/components/molecules/PaymentMethod";
+import DeliverySlotPicker from "@/components/molecules/DeliverySlotPicker";
+import PromotionSummary from "@/components/molecules/PromotionSummary";
+import TaxBreakdown from "@/components/molecules/TaxBreakdown";
+import LoyaltyRedemption from "@/components/molecules/LoyaltyRedemption";
+import SubstitutionPicker from "@/components/molecules/SubstitutionPicker";
 import { orderService } from "@/services/api/orderService";
 import productService from "@/services/api/productService";
 import { paymentService } from "@/services/api/paymentService";
+import { inventoryService } from "@/services/api/inventoryService";
+import { CHANNELS, DEFAULT_DELIVERY_CHARGE, evaluatePromotions, promotionService } from "@/services/api/promotionService";
+import { calculateTax, taxService } from "@/services/api/taxService";
+import { invoiceService } from "@/services/api/invoiceService";
+import { customerService } from "@/services/api/customerService";
+import { loyaltyService, pointsValue } from "@/services/api/loyaltyService";
+import { DEFAULT_SUBSTITUTION } from "@/services/api/pickingService";
+import { formatQuantity, lineAmount } from "@/services/api/measureUnits";
 
 // Service instances are already created in the service files
 function Checkout() {
   const navigate = useNavigate()
   const dispatch = useDispatch()
   const cart = useSelector(state => state.cart.items) || []
+  const { promotions = [], couponCode = '', customerSegments = [], customerUsage = {} } = useSelector(state => state.cart)
+  const taxSettings = useSelector(selectCartTaxSettings)
   const [loading, setLoading] = useState(false)
   const [paymentMethod, setPaymentMethod] = useState('cash')
   const [availablePaymentMethods, setAvailablePaymentMethods] = useState([])
@@ -37,62 +52,140 @@ function Checkout() {
   const [paymentProof, setPaymentProof] = useState(null)
   const [transactionId, setTransactionId] = useState('')
   const [errors, setErrors] = useState({})
+  const [reservation, setReservation] = useState(null)
+  const [reservationExpired, setReservationExpired] = useState(false)
+  const [deliverySlot, setDeliverySlot] = useState(null)
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0)
+  const [customerProfile, setCustomerProfile] = useState(null)
+  const [selectedAddressId, setSelectedAddressId] = useState(null)
+  const [saveNewAddress, setSaveNewAddress] = useState(false)
+  const [loyaltyAccount, setLoyaltyAccount] = useState(null)
+  const [redeemPoints, setRedeemPoints] = useState(0)
+  const reservationRef = useRef(null)
+  const cartSignature = cart.map(item => `${item.id}:${item.quantity}`).join(',')
 
-// Calculate totals with validated pricing and deals
+// Calculate totals through the shared promotion engine
   const calculateCartTotals = () => {
-    let subtotal = 0;
-    let totalSavings = 0;
-    
-    cart.forEach(item => {
-      const itemTotal = item.price * item.quantity;
-      subtotal += itemTotal;
-      
-      // Calculate deal savings
-      if (item.dealType && item.dealValue) {
-        if (item.dealType === 'BOGO' && item.quantity >= 2) {
-          const freeItems = Math.floor(item.quantity / 2);
-          totalSavings += freeItems * item.price;
-        } else if (item.dealType === 'Bundle' && item.quantity >= 3) {
-          const [buyQty, payQty] = item.dealValue.split('for').map(x => parseInt(x.trim()));
-          if (buyQty && payQty && item.quantity >= buyQty) {
-            const bundleSets = Math.floor(item.quantity / buyQty);
-            const freeItems = bundleSets * (buyQty - payQty);
-            totalSavings += freeItems * item.price;
-          }
-        }
-      }
+    const evaluation = evaluatePromotions(cart, promotions, {
+      channel: CHANNELS.ONLINE,
+      couponCode,
+      segments: customerSegments,
+      customerUsage,
+      deliveryCharge: DEFAULT_DELIVERY_CHARGE
     });
-    
-const discountedSubtotal = subtotal - totalSavings;
-    const deliveryCharge = discountedSubtotal >= 2000 ? 0 : 150;
-    
+    const discountedSubtotal = evaluation.subtotal - evaluation.discountTotal;
+    const loyaltyDiscount = pointsValue(redeemPoints);
+    // Points are a store discount on the whole basket, so they also lower the taxable value
+    const tax = calculateTax(cart, taxSettings, {
+      applied: loyaltyDiscount > 0 ? [...evaluation.applied, { name: 'Loyalty points', savings: loyaltyDiscount }] : evaluation.applied,
+      deliveryCharge: evaluation.deliveryCharge
+    });
+
     return {
-      originalSubtotal: subtotal,
-      dealSavings: totalSavings,
+      evaluation,
+      tax,
+      originalSubtotal: evaluation.subtotal,
+      dealSavings: evaluation.discountTotal,
       subtotal: discountedSubtotal,
-      deliveryCharge,
-      total: discountedSubtotal + deliveryCharge + calculateGatewayFee(discountedSubtotal)
+      loyaltyDiscount,
+      deliveryCharge: evaluation.deliveryCharge,
+      total: discountedSubtotal - loyaltyDiscount + evaluation.deliveryCharge + tax.taxAdded + calculateGatewayFee(discountedSubtotal)
     };
   };
 
   const totals = calculateCartTotals();
-  const { originalSubtotal, dealSavings, subtotal, deliveryCharge, total } = totals;
+  const { evaluation, tax, originalSubtotal, dealSavings, subtotal, deliveryCharge, total } = totals;
   const gatewayFee = calculateGatewayFee(subtotal);
 
 // Load available payment methods from admin configuration
   React.useEffect(() => {
-    loadPaymentMethods()
+    loadCustomerProfile().then(profile => loadPaymentMethods(profile?.defaultPaymentMethod))
+    dispatch(loadPromotions())
+    dispatch(loadTaxSettings())
   }, [])
 
-  async function loadPaymentMethods() {
+  // Hold the cart's stock while the customer checks out; released on leave or timeout
+  useEffect(() => {
+    if (cart.length === 0) return
+    let cancelled = false
+
+    inventoryService.reserve(
+      cart.map(item => ({ productId: item.id, name: item.name, quantity: item.quantity })),
+      { reference: 'Online checkout' }
+    )
+      .then(result => {
+        if (cancelled) {
+          inventoryService.releaseReservation(result.Id)
+          return
+        }
+        reservationRef.current = result
+        setReservation(result)
+      })
+      .catch(error => {
+        toast.error(error.message)
+      })
+
+    return () => {
+      cancelled = true
+      if (reservationRef.current) {
+        inventoryService.releaseReservation(reservationRef.current.Id)
+        reservationRef.current = null
+      }
+    }
+  }, [cartSignature])
+
+  useEffect(() => {
+    if (!reservation) return
+    setReservationExpired(false)
+    const remaining = new Date(reservation.expiresAt).getTime() - Date.now()
+    const timer = setTimeout(() => {
+      setReservationExpired(true)
+      toast.error('Your stock reservation expired. Availability will be rechecked when you place the order.')
+    }, Math.max(remaining, 0))
+    return () => clearTimeout(timer)
+  }, [reservation])
+
+  // Signed-in customers start from their default saved address; guests fill the form
+  async function loadCustomerProfile() {
+    try {
+      const profile = await customerService.getProfile()
+      setCustomerProfile(profile)
+      const defaultAddress = profile.addresses.find(address => address.isDefault)
+      if (defaultAddress) {
+        selectSavedAddress(defaultAddress, profile)
+      }
+      setLoyaltyAccount(await loyaltyService.getAccount(profile.customerId))
+      return profile
+    } catch (error) {
+      return null
+    }
+  }
+
+  function selectSavedAddress(address, profile = customerProfile) {
+    setSelectedAddressId(address.Id)
+    setFormData(prev => ({
+      name: address.name,
+      phone: address.phone,
+      email: prev.email || profile?.email || '',
+      address: address.address,
+      city: address.city,
+      postalCode: address.postalCode,
+      instructions: address.instructions || ''
+    }))
+    setErrors({})
+  }
+
+  async function loadPaymentMethods(preferredMethod = null) {
     try {
       const methods = await paymentService.getAvailablePaymentMethods()
       const config = await paymentService.getGatewayConfig()
       setAvailablePaymentMethods(methods.filter(method => method.enabled))
       setGatewayConfig(config)
       
-      // Set default payment method to first enabled method
-      if (methods.length > 0) {
+      // Start from the customer's default method, otherwise the first one
+      if (preferredMethod && methods.some(method => method.id === preferredMethod && method.enabled)) {
+        setPaymentMethod(preferredMethod)
+      } else if (methods.length > 0) {
         setPaymentMethod(methods[0].id)
       }
     } catch (error) {
@@ -117,6 +210,10 @@ const discountedSubtotal = subtotal - totalSavings;
       ...prev,
       [name]: value
     }))
+    // Editing the location means the saved address (and its map pin) no longer applies
+    if (['address', 'city', 'postalCode'].includes(name)) {
+      setSelectedAddressId(null)
+    }
     // Clear error when user starts typing
     if (errors[name]) {
       setErrors(prev => ({
@@ -169,6 +266,10 @@ function handleFileUpload(e) {
       }
     })
 
+    if (!deliverySlot) {
+      newErrors.deliverySlot = 'Please choose a delivery slot'
+    }
+
     // Validate phone number
     if (formData.phone && !/^03[0-9]{9}$/.test(formData.phone)) {
       newErrors.phone = 'Please enter a valid Pakistani phone number (03XXXXXXXXX)'
@@ -268,9 +369,12 @@ async function completeOrder(paymentResult) {
           validatedItems.push({
             id: item.id,
             name: item.name,
+            category: currentProduct.category,
+            unit: currentProduct.unit,
             price: currentProduct.price, // Use validated current price
             quantity: item.quantity,
             image: item.image,
+            substitution: item.substitution || DEFAULT_SUBSTITUTION,
             validatedAt: new Date().toISOString()
           });
         } catch (error) {
@@ -283,34 +387,30 @@ async function completeOrder(paymentResult) {
         throw new Error('Please review cart items and try again');
       }
 
-// Recalculate totals with validated prices and deals
-      let validatedSubtotal = 0;
-      let validatedDealSavings = 0;
-      
-      validatedItems.forEach(item => {
-        const itemTotal = item.price * item.quantity;
-        validatedSubtotal += itemTotal;
-        
-        // Recalculate deal savings with current validated data
-        const originalItem = cart.find(cartItem => cartItem.id === item.id);
-        if (originalItem?.dealType && originalItem?.dealValue) {
-          if (originalItem.dealType === 'BOGO' && item.quantity >= 2) {
-            const freeItems = Math.floor(item.quantity / 2);
-            validatedDealSavings += freeItems * item.price;
-          } else if (originalItem.dealType === 'Bundle' && item.quantity >= 3) {
-            const [buyQty, payQty] = originalItem.dealValue.split('for').map(x => parseInt(x.trim()));
-            if (buyQty && payQty && item.quantity >= buyQty) {
-              const bundleSets = Math.floor(item.quantity / buyQty);
-              const freeItems = bundleSets * (buyQty - payQty);
-              validatedDealSavings += freeItems * item.price;
-            }
-          }
-        }
+// Re-price with validated prices against the current promotion rules
+      const customerId = promotionService.getCurrentCustomerId();
+      const pricing = await promotionService.evaluate(validatedItems, {
+        channel: CHANNELS.ONLINE,
+        couponCode,
+        customerId,
+        deliveryCharge: DEFAULT_DELIVERY_CHARGE
       });
-      
-const finalSubtotal = validatedSubtotal - validatedDealSavings;
-      const validatedDeliveryCharge = finalSubtotal >= 2000 ? 0 : 150;
-      const validatedTotal = finalSubtotal + validatedDeliveryCharge + calculateGatewayFee(finalSubtotal);
+      if (pricing.coupon && !pricing.coupon.valid) {
+        throw new Error(`Coupon ${pricing.coupon.code}: ${pricing.coupon.message}`);
+      }
+
+      const validatedSubtotal = pricing.subtotal;
+      const validatedDealSavings = pricing.discountTotal;
+      const finalSubtotal = validatedSubtotal - validatedDealSavings;
+      const validatedDeliveryCharge = pricing.deliveryCharge;
+      const validatedLoyaltyDiscount = pointsValue(redeemPoints);
+      const validatedTax = await taxService.calculate(validatedItems, {
+        applied: validatedLoyaltyDiscount > 0
+          ? [...pricing.applied, { name: 'Loyalty points', savings: validatedLoyaltyDiscount }]
+          : pricing.applied,
+        deliveryCharge: validatedDeliveryCharge
+      });
+      const validatedTotal = finalSubtotal - validatedLoyaltyDiscount + validatedDeliveryCharge + validatedTax.taxAdded + calculateGatewayFee(finalSubtotal);
 
 const orderData = {
         items: validatedItems,
@@ -318,6 +418,11 @@ const orderData = {
         dealSavings: validatedDealSavings,
         subtotal: finalSubtotal,
         deliveryCharge: validatedDeliveryCharge,
+        tax: validatedTax,
+        promotions: pricing.applied,
+        couponCode: pricing.coupon?.code || null,
+        loyaltyRedemption: redeemPoints > 0 ? { points: redeemPoints, discount: validatedLoyaltyDiscount } : null,
+        customerId,
         gatewayFee,
         total: validatedTotal,
         paymentMethod,
@@ -337,20 +442,56 @@ paymentStatus: paymentMethod === 'cash' ? 'pending' : 'pending_verification',
           address: formData.address,
           city: formData.city,
           postalCode: formData.postalCode,
-          instructions: formData.instructions
+          instructions: formData.instructions,
+          coordinates: customerProfile?.addresses.find(address => address.Id === selectedAddressId)?.coordinates || null
         },
         status: paymentMethod === 'cash' ? 'confirmed' : 'payment_pending',
         verificationStatus: paymentMethod === 'cash' ? null : 'pending',
-        priceValidatedAt: new Date().toISOString()
+        priceValidatedAt: new Date().toISOString(),
+        reservationId: reservationRef.current?.Id || null,
+        deliverySlot: { windowId: deliverySlot.windowId, date: deliverySlot.date }
       }
 
 const order = await orderService.create(orderData)
+      // Number the invoice at the point of sale so the sequence follows order time
+      try {
+        await invoiceService.issue(order.id)
+      } catch (error) {
+        // The order is placed; the invoice is numbered when it is first downloaded instead
+        console.error('Failed to issue invoice:', error)
+        toast(`Order #${order.id} is placed, but its invoice could not be issued. You can download it from your orders.`, { icon: '⚠️' })
+      }
+      if (customerProfile && !selectedAddressId && saveNewAddress) {
+        try {
+          await customerService.addAddress({
+            label: 'Other',
+            name: formData.name,
+            phone: formData.phone,
+            address: formData.address,
+            city: formData.city,
+            postalCode: formData.postalCode,
+            instructions: formData.instructions
+          })
+        } catch (error) {
+          // The order is placed; a bad address only stays out of the address book
+          console.error('Failed to save address:', error)
+        }
+      }
+      // The reservation was converted into sale entries, nothing left to release
+      reservationRef.current = null
+      await promotionService.recordRedemptions(pricing, {
+        reference: `Order #${order.id}`,
+        customerId,
+        channel: CHANNELS.ONLINE
+      })
       dispatch(clearCart())
       toast.success('Order placed successfully!')
       navigate('/orders')
       return order
     } catch (error) {
       toast.error('Failed to create order: ' + error.message)
+      // Slot availability may have changed while the customer was paying
+      setSlotRefreshKey(key => key + 1)
       throw error
     }
   }
@@ -461,6 +602,14 @@ if (paymentMethod === 'card') {
 <div className="order-2 lg:order-1">
             <div className="card p-6 mb-6">
               <h2 className="text-xl font-semibold mb-4">Order Summary</h2>
+              {reservation && (
+                <div className={`flex items-center text-sm rounded-lg p-3 mb-4 ${reservationExpired ? 'bg-yellow-50 text-yellow-800' : 'bg-green-50 text-green-700'}`}>
+                  <ApperIcon name={reservationExpired ? 'AlertTriangle' : 'Clock'} size={16} className="mr-2" />
+                  {reservationExpired
+                    ? 'Stock reservation expired, availability will be rechecked'
+                    : `Items reserved until ${new Date(reservation.expiresAt).toLocaleTimeString()}`}
+                </div>
+              )}
               <div className="space-y-4">
                 {cart.map(item => (
                   <div key={item.id} className="flex items-center justify-between py-2 border-b">
@@ -475,11 +624,15 @@ if (paymentMethod === 'card') {
                       />
                       <div>
                         <h3 className="font-medium">{item.name}</h3>
-                        <p className="text-sm text-gray-600">Qty: {item.quantity}</p>
+                        <p className="text-sm text-gray-600">Qty: {formatQuantity(item.quantity, item.unit)}</p>
+                        <SubstitutionPicker
+                          item={item}
+                          onChange={(substitution) => dispatch(setSubstitution({ productId: item.id, substitution }))}
+                        />
                       </div>
                     </div>
                     <span className="font-semibold">
-                      Rs. {(item.price * item.quantity).toLocaleString()}
+                      Rs. {lineAmount(item).toLocaleString()}
                     </span>
                   </div>
                 ))}
@@ -488,23 +641,34 @@ if (paymentMethod === 'card') {
                     <span>Original Subtotal:</span>
                     <span>Rs. {originalSubtotal.toLocaleString()}</span>
                   </div>
-                  {dealSavings > 0 && (
-                    <div className="flex justify-between text-green-600">
-                      <span className="flex items-center">
-                        <ApperIcon name="Gift" size={16} className="mr-1" />
-                        Deal Savings:
-                      </span>
-                      <span>-Rs. {dealSavings.toLocaleString()}</span>
-                    </div>
-                  )}
+                  <PromotionSummary
+                    applied={evaluation.applied}
+                    coupon={evaluation.coupon}
+                    couponCode={couponCode}
+                    onApplyCoupon={(code) => dispatch(applyCouponCode(code)).unwrap()}
+                    onRemoveCoupon={() => dispatch(removeCouponCode())}
+                  />
                   <div className="flex justify-between font-medium">
-                    <span>Subtotal after deals:</span>
+                    <span>Subtotal after promotions:</span>
                     <span>Rs. {subtotal.toLocaleString()}</span>
                   </div>
+                  {loyaltyAccount && (loyaltyAccount.balance > 0 || redeemPoints > 0) && (
+                    <LoyaltyRedemption
+                      account={loyaltyAccount}
+                      goodsTotal={subtotal}
+                      points={redeemPoints}
+                      onApply={async (points) => {
+                        await loyaltyService.checkRedemption(loyaltyAccount.customerId, points, subtotal)
+                        setRedeemPoints(points)
+                      }}
+                      onRemove={() => setRedeemPoints(0)}
+                    />
+                  )}
                   <div className="flex justify-between">
                     <span>Delivery Charge:</span>
                     <span>Rs. {deliveryCharge.toLocaleString()}</span>
                   </div>
+                  <TaxBreakdown tax={tax} />
                   {gatewayFee > 0 && (
                     <div className="flex justify-between">
                       <span>Gateway Fee:</span>
@@ -533,6 +697,44 @@ if (paymentMethod === 'card') {
               {/* Delivery Information */}
               <div className="card p-6">
                 <h2 className="text-xl font-semibold mb-4">Delivery Information</h2>
+                {customerProfile?.addresses.length > 0 && (
+                  <div className="space-y-2 mb-6">
+                    {customerProfile.addresses.map(address => (
+                      <label
+                        key={address.Id}
+                        className={`flex items-start space-x-3 border rounded-lg p-3 cursor-pointer ${
+                          selectedAddressId === address.Id ? 'border-primary bg-primary/5' : 'border-gray-200'
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name="savedAddress"
+                          checked={selectedAddressId === address.Id}
+                          onChange={() => selectSavedAddress(address)}
+                          className="mt-1"
+                        />
+                        <div className="text-sm">
+                          <p className="font-medium text-gray-900">
+                            {address.label}
+                            {address.isDefault && <span className="ml-2 text-xs text-gray-500">Default</span>}
+                          </p>
+                          <p className="text-gray-600">{address.address}, {address.city} {address.postalCode}</p>
+                        </div>
+                      </label>
+                    ))}
+                    <label className={`flex items-center space-x-3 border rounded-lg p-3 cursor-pointer ${
+                      selectedAddressId === null ? 'border-primary bg-primary/5' : 'border-gray-200'
+                    }`}>
+                      <input
+                        type="radio"
+                        name="savedAddress"
+                        checked={selectedAddressId === null}
+                        onChange={() => setSelectedAddressId(null)}
+                      />
+                      <span className="text-sm font-medium text-gray-900">Deliver to a new address</span>
+                    </label>
+                  </div>
+                )}
                 <div className="space-y-4">
                   <div>
                     <Input
@@ -602,9 +804,36 @@ if (paymentMethod === 'card') {
                       placeholder="Special instructions for delivery..."
                     />
                   </div>
+                  {customerProfile && selectedAddressId === null && (
+                    <label className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={saveNewAddress}
+                        onChange={(e) => setSaveNewAddress(e.target.checked)}
+                      />
+                      <span>Save this address to my account</span>
+                    </label>
+                  )}
                 </div>
               </div>
 
+              {/* Delivery Slot */}
+              <div className="card p-6">
+                <h2 className="text-xl font-semibold mb-4">Delivery Slot</h2>
+                <DeliverySlotPicker
+                  city={formData.city}
+                  value={deliverySlot}
+                  refreshKey={slotRefreshKey}
+                  error={errors.deliverySlot}
+                  onChange={(slot) => {
+                    setDeliverySlot(slot)
+                    if (slot && errors.deliverySlot) {
+                      setErrors(prev => ({ ...prev, deliverySlot: '' }))
+                    }
+                  }}
+                />
+              </div>
+
 {/* Payment Method */}
               <div className="card p-6">
                 <h2 className="text-xl font-semibold mb-4">Payment Method</h2>
@@ -5,8 +5,14 @@ import Button from "@/components/atoms/Button";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Orders from "@/components/pages/Orders";
+import DeliveryWindowsPanel from "@/components/organisms/DeliveryWindowsPanel";
+import RiderRoutesPanel from "@/components/organisms/RiderRoutesPanel";
+import RiderSuggestionList from "@/components/molecules/RiderSuggestionList";
 import { orderService } from "@/services/api/orderService";
 import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { deliverySlotService, toDateKey } from "@/services/api/deliverySlotService";
+import { dispatchService } from "@/services/api/dispatchService";
+import { AWAITING_RIDER_STATUSES } from "@/services/api/orderLifecycle";
 
 function DeliveryDashboard() {
 const [orders, setOrders] = useState([]);
@@ -16,6 +22,11 @@ const [orders, setOrders] = useState([]);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [assignModalOpen, setAssignModalOpen] = useState(false);
   const [mapCenter, setMapCenter] = useState({ lat: 31.5204, lng: 74.3587 });
+  const [slotDate, setSlotDate] = useState(toDateKey());
+  const [zones, setZones] = useState([]);
+  const [slots, setSlots] = useState([]);
+  const [autoAssigning, setAutoAssigning] = useState(false);
+  const [routesKey, setRoutesKey] = useState(0);
 
   // Memoized data loader to prevent unnecessary re-renders
   const loadData = useCallback(async () => {
@@ -23,20 +34,28 @@ const [orders, setOrders] = useState([]);
       setLoading(true);
       setError(null);
       
-      const [ordersData, personnelData] = await Promise.all([
+      const [ordersData, personnelData, zoneList] = await Promise.all([
         orderService.getDeliveryOrders(),
-        deliveryPersonnelService.getAll()
+        deliveryPersonnelService.getAll(),
+        deliverySlotService.getZones()
       ]);
+      // Capacity of every window on the selected day, across all zones
+      const slotLists = await Promise.all(
+        zoneList.map(zone => deliverySlotService.getSlots(zone, { days: 1, from: new Date(`${slotDate}T00:00:00`) }))
+      );
       
       setOrders(ordersData);
       setPersonnel(personnelData);
+      setZones(zoneList);
+      setSlots(slotLists.flat());
+      setRoutesKey(key => key + 1);
     } catch (err) {
       console.error('Error loading delivery data:', err);
       setError('Failed to load delivery data. Please try again.');
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [slotDate]);
 
   // Consolidated useEffect to prevent hook order issues
   useEffect(() => {
@@ -45,12 +64,35 @@ const [orders, setOrders] = useState([]);
 // Memoized handlers to prevent unnecessary re-renders
   const handleAssignDelivery = useCallback(async (orderId, personnelId) => {
     try {
-      await orderService.assignDelivery(orderId, personnelId);
+      await orderService.assignDeliveryPersonnel(orderId, personnelId);
       toast.success('Delivery assigned successfully');
+      setAssignModalOpen(false);
+      setSelectedOrder(null);
       loadData(); // Refresh data
     } catch (err) {
       console.error('Error assigning delivery:', err);
-      toast.error('Failed to assign delivery');
+      toast.error(err.message || 'Failed to assign delivery');
+    }
+  }, [loadData]);
+
+  const handleAutoAssign = useCallback(async () => {
+    try {
+      setAutoAssigning(true);
+      const result = await dispatchService.autoAssign();
+      if (result.assigned.length === 0 && result.unassigned.length === 0) {
+        toast.info('No orders are waiting for a rider');
+      } else {
+        toast.success(`${result.assigned.length} orders assigned automatically`);
+        if (result.unassigned.length > 0) {
+          toast.warning(`${result.unassigned.length} orders still need a rider: no spare capacity`);
+        }
+      }
+      loadData();
+    } catch (err) {
+      console.error('Error auto-assigning deliveries:', err);
+      toast.error(err.message || 'Failed to auto-assign deliveries');
+    } finally {
+      setAutoAssigning(false);
     }
   }, [loadData]);
 
@@ -61,7 +103,7 @@ const [orders, setOrders] = useState([]);
       loadData(); // Refresh data
     } catch (err) {
       console.error('Error updating status:', err);
-      toast.error('Failed to update status');
+      toast.error(err.message || 'Failed to update status');
     }
   }, [loadData]);
 
@@ -69,6 +111,7 @@ const [orders, setOrders] = useState([]);
   const getStatusColor = useMemo(() => (status) => {
     const colors = {
       'pending_assignment': 'bg-yellow-100 text-yellow-800',
+      'ready_for_dispatch': 'bg-teal-100 text-teal-800',
       'assigned': 'bg-blue-100 text-blue-800',
       'picked_up': 'bg-purple-100 text-purple-800',
       'out_for_delivery': 'bg-orange-100 text-orange-800',
@@ -86,6 +129,28 @@ const [orders, setOrders] = useState([]);
     return colors[status] || 'bg-gray-100 text-gray-800';
   }, []);
 
+  // Orders booked into each window on the selected day; orders without a slot are listed last
+  const slotGroups = useMemo(() => {
+    const groups = slots
+      .map(slot => ({
+        key: `${slot.zone}-${slot.windowId}`,
+        slot,
+        orders: orders.filter(order =>
+          order.deliverySlot?.windowId === slot.windowId && order.deliverySlot?.date === slotDate
+        )
+      }))
+      .filter(group => group.orders.length > 0)
+      .sort((a, b) => a.slot.startTime.localeCompare(b.slot.startTime) || a.slot.zone.localeCompare(b.slot.zone));
+
+    const unscheduled = orders.filter(order => !order.deliverySlot);
+    if (unscheduled.length > 0) {
+      groups.push({ key: 'unscheduled', slot: null, orders: unscheduled });
+    }
+    return groups;
+  }, [orders, slots, slotDate]);
+
+  const otherDayCount = orders.filter(order => order.deliverySlot && order.deliverySlot.date !== slotDate).length;
+
   if (loading) {
     return <Loading message="Loading delivery dashboard..." />;
   }
@@ -99,9 +164,14 @@ if (error) {
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-      <div className="mb-8">
-        <h1 className="text-3xl font-bold text-gray-900 mb-2">Delivery Dashboard</h1>
-        <p className="text-gray-600">Track and manage deliveries in real-time</p>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Delivery Dashboard</h1>
+          <p className="text-gray-600">Track and manage deliveries in real-time</p>
+        </div>
+        <Button icon="Zap" loading={autoAssigning} onClick={handleAutoAssign}>
+          Auto-assign Riders
+        </Button>
       </div>
 
       {/* Stats Cards */}
@@ -109,9 +179,9 @@ if (error) {
         <div className="card p-6 bg-gradient-to-r from-blue-500 to-cyan-500 text-white">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-blue-100 text-sm font-medium">Pending Assignment</p>
+              <p className="text-blue-100 text-sm font-medium">Awaiting Rider</p>
               <p className="text-3xl font-bold">
-                {orders.filter(o => o.deliveryStatus === 'pending_assignment').length}
+                {orders.filter(o => AWAITING_RIDER_STATUSES.includes(o.deliveryStatus)).length}
               </p>
             </div>
             <div className="bg-white/20 p-3 rounded-lg">
@@ -226,7 +296,20 @@ if (error) {
 
       {/* Orders List */}
       <div className="card p-6 mt-8">
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">Active Orders</h2>
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Active Orders by Delivery Slot</h2>
+            {otherDayCount > 0 && (
+              <p className="text-sm text-gray-600">{otherDayCount} more orders are booked on other days</p>
+            )}
+          </div>
+          <input
+            type="date"
+            value={slotDate}
+            onChange={(e) => e.target.value && setSlotDate(e.target.value)}
+            className="input-field py-1 w-auto"
+          />
+        </div>
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
@@ -249,93 +332,128 @@ if (error) {
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {orders.map((order) => {
-                const assignedPersonnel = personnel.find(p => p.Id === order.deliveryPersonId);
-                return (
-                  <tr key={order.id}>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center">
-                        <div className="bg-primary p-2 rounded-lg">
-                          <ApperIcon name="Package" size={16} className="text-white" />
-                        </div>
-                        <div className="ml-3">
-                          <p className="text-sm font-medium text-gray-900">Order #{order.id}</p>
-                          <p className="text-sm text-gray-500">Rs. {order.total.toLocaleString()}</p>
-                        </div>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div>
-                        <p className="text-sm font-medium text-gray-900">{order.deliveryAddress.name}</p>
-                        <p className="text-sm text-gray-500">{order.deliveryAddress.city}</p>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(order.deliveryStatus)}`}>
-                        {order.deliveryStatus.replace('_', ' ')}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      {assignedPersonnel ? (
-                        <div>
-                          <p className="text-sm font-medium text-gray-900">{assignedPersonnel.name}</p>
-                          <p className="text-sm text-gray-500">{assignedPersonnel.phone}</p>
+              {slotGroups.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-6 py-8 text-center text-gray-500">
+                    No deliveries booked for this day
+                  </td>
+                </tr>
+              )}
+              {slotGroups.map(group => (
+                <React.Fragment key={group.key}>
+                  <tr className="bg-gray-50">
+                    <td colSpan={5} className="px-6 py-2">
+                      {group.slot ? (
+                        <div className="flex items-center justify-between text-sm">
+                          <span className="flex items-center font-medium text-gray-900">
+                            <ApperIcon name="Clock" size={14} className="mr-2 text-gray-500" />
+                            {group.slot.label} · {group.slot.zone}
+                          </span>
+                          <span className={group.slot.booked >= group.slot.capacity ? 'text-red-600' : 'text-gray-600'}>
+                            {group.slot.booked} / {group.slot.capacity} booked · {group.slot.riders} riders
+                          </span>
                         </div>
                       ) : (
-                        <span className="text-sm text-gray-500">Not assigned</span>
+                        <span className="flex items-center text-sm font-medium text-gray-600">
+                          <ApperIcon name="CalendarX" size={14} className="mr-2" />
+                          No slot booked
+                        </span>
                       )}
                     </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      <div className="flex space-x-2">
-                        {!order.deliveryPersonId && (
-                          <Button
-                            variant="outline"
-                            size="sm"
-                            onClick={() => {
-                              setSelectedOrder(order);
-                              setAssignModalOpen(true);
-                            }}
-                          >
-                            Assign
-                          </Button>
-                        )}
-                        {order.deliveryStatus === 'assigned' && (
-                          <Button
-                            variant="outline"
-                            size="sm"
-                            onClick={() => handleStatusUpdate(order.id, 'picked_up')}
-                          >
-                            Picked Up
-                          </Button>
-                        )}
-                        {order.deliveryStatus === 'picked_up' && (
-                          <Button
-                            variant="outline"
-                            size="sm"
-                            onClick={() => handleStatusUpdate(order.id, 'out_for_delivery')}
-                          >
-                            Out for Delivery
-                          </Button>
-                        )}
-                        {order.deliveryStatus === 'out_for_delivery' && (
-                          <Button
-                            variant="primary"
-                            size="sm"
-                            onClick={() => handleStatusUpdate(order.id, 'delivered')}
-                          >
-                            Mark Delivered
-                          </Button>
-                        )}
-                      </div>
-                    </td>
                   </tr>
-                );
-              })}
+                  {group.orders.map((order) => {
+                    const assignedPersonnel = personnel.find(p => p.Id === order.deliveryPersonId);
+                    return (
+                      <tr key={order.id}>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center">
+                            <div className="bg-primary p-2 rounded-lg">
+                              <ApperIcon name="Package" size={16} className="text-white" />
+                            </div>
+                            <div className="ml-3">
+                              <p className="text-sm font-medium text-gray-900">Order #{order.id}</p>
+                              <p className="text-sm text-gray-500">Rs. {order.total.toLocaleString()}</p>
+                            </div>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">{order.deliveryAddress.name}</p>
+                            <p className="text-sm text-gray-500">{order.deliveryAddress.city}</p>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(order.deliveryStatus)}`}>
+                            {order.deliveryStatus.replace(/_/g, ' ')}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          {assignedPersonnel ? (
+                            <div>
+                              <p className="text-sm font-medium text-gray-900">{assignedPersonnel.name}</p>
+                              <p className="text-sm text-gray-500">{assignedPersonnel.phone}</p>
+                            </div>
+                          ) : (
+                            <span className="text-sm text-gray-500">Not assigned</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <div className="flex space-x-2">
+                            {!order.deliveryPersonId && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => {
+                                  setSelectedOrder(order);
+                                  setAssignModalOpen(true);
+                                }}
+                              >
+                                Assign
+                              </Button>
+                            )}
+                            {order.deliveryStatus === 'assigned' && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => handleStatusUpdate(order.id, 'picked_up')}
+                              >
+                                Picked Up
+                              </Button>
+                            )}
+                            {order.deliveryStatus === 'picked_up' && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => handleStatusUpdate(order.id, 'out_for_delivery')}
+                              >
+                                Out for Delivery
+                              </Button>
+                            )}
+                            {order.deliveryStatus === 'out_for_delivery' && (
+                              <Button
+                                variant="primary"
+                                size="sm"
+                                onClick={() => handleStatusUpdate(order.id, 'delivered')}
+                              >
+                                Mark Delivered
+                              </Button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </React.Fragment>
+              ))}
             </tbody>
           </table>
         </div>
       </div>
 
+      <RiderRoutesPanel refreshKey={routesKey} />
+
+      <DeliveryWindowsPanel zones={zones} personnel={personnel} onChange={loadData} />
+
       {/* Assignment Modal */}
       {assignModalOpen && selectedOrder && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -346,26 +464,12 @@ if (error) {
             <p className="text-sm text-gray-600 mb-4">
               Order #{selectedOrder.id} to {selectedOrder.deliveryAddress.city}
             </p>
-            <div className="space-y-2 max-h-60 overflow-y-auto">
-              {personnel.filter(p => p.status === 'available').map((person) => (
-                <div
-                  key={person.Id}
-                  className="flex items-center justify-between p-3 border rounded-lg hover:bg-gray-50 cursor-pointer"
-                  onClick={() => handleAssignDelivery(selectedOrder.id, person.Id)}
-                >
-                  <div>
-                    <p className="font-medium text-gray-900">{person.name}</p>
-                    <p className="text-sm text-gray-600">{person.zone} • {person.vehicleType}</p>
-                  </div>
-                  <div className="text-right">
-                    <div className="flex items-center space-x-1">
-                      <ApperIcon name="Star" size={14} className="text-yellow-400" />
-                      <span className="text-sm text-gray-600">{person.rating}</span>
-                    </div>
-                  </div>
-                </div>
-              ))}
-            </div>
+            <RiderSuggestionList
+              order={selectedOrder}
+              personnel={personnel}
+              orders={orders}
+              onSelect={(personnelId) => handleAssignDelivery(selectedOrder.id, personnelId)}
+            />
             <div className="flex justify-end space-x-2 mt-6">
               <Button
                 variant="outline"
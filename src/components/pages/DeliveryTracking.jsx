@@ -9,6 +9,7 @@ import Error from '@/components/ui/Error';
 import Badge from '@/components/atoms/Badge';
 import { orderService } from '@/services/api/orderService';
 import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+import RiderSuggestionList from '@/components/molecules/RiderSuggestionList';
 
 const DeliveryTracking = () => {
   const [orders, setOrders] = useState([]);
@@ -24,6 +25,7 @@ const DeliveryTracking = () => {
   const deliveryStatuses = [
     { value: 'all', label: 'All Statuses', color: 'gray' },
     { value: 'pending', label: 'Pending Assignment', color: 'orange' },
+    { value: 'ready_for_dispatch', label: 'Ready for Dispatch', color: 'info' },
     { value: 'assigned', label: 'Assigned', color: 'blue' },
     { value: 'picked_up', label: 'Picked Up', color: 'purple' },
     { value: 'in_transit', label: 'In Transit', color: 'yellow' },
@@ -63,7 +65,7 @@ const DeliveryTracking = () => {
       setSelectedOrder(null);
       toast.success('Delivery personnel assigned successfully');
     } catch (err) {
-      toast.error('Failed to assign delivery personnel');
+      toast.error(err.message || 'Failed to assign delivery personnel');
     }
   };
 
@@ -73,7 +75,7 @@ const DeliveryTracking = () => {
       await loadData();
       toast.success('Delivery status updated successfully');
     } catch (err) {
-      toast.error('Failed to update delivery status');
+      toast.error(err.message || 'Failed to update delivery status');
     }
   };
 
@@ -93,7 +95,6 @@ const DeliveryTracking = () => {
     return matchesStatus && matchesZone && matchesSearch;
   });
 
-  const availablePersonnel = personnel.filter(p => p.status === 'available' && p.isActive);
   const zones = [...new Set(orders.map(order => order.deliveryZone).filter(Boolean))];
 
   if (loading) {
@@ -279,6 +280,7 @@ const DeliveryTracking = () => {
                               className="text-sm border border-gray-300 rounded px-2 py-1 focus:ring-2 focus:ring-primary focus:border-primary"
                             >
                               <option value="pending">Pending</option>
+                              <option value="ready_for_dispatch">Ready for Dispatch</option>
                               <option value="assigned">Assigned</option>
                               <option value="picked_up">Picked Up</option>
                               <option value="in_transit">In Transit</option>
@@ -331,36 +333,12 @@ const DeliveryTracking = () => {
               </p>
             </div>
 
-            <div className="space-y-3 max-h-60 overflow-y-auto">
-              {availablePersonnel.map((person) => (
-                <div
-                  key={person.Id}
-                  className="flex items-center justify-between p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer"
-                  onClick={() => handleAssignDelivery(selectedOrder.id, person.Id)}
-                >
-                  <div className="flex items-center space-x-3">
-                    <div className="bg-green-100 p-2 rounded-lg">
-                      <ApperIcon name="User" size={16} className="text-green-600" />
-                    </div>
-                    <div>
-                      <p className="text-sm font-medium text-gray-900">{person.name}</p>
-                      <p className="text-sm text-gray-500">{person.phone}</p>
-                      <p className="text-xs text-gray-400">Zone {person.zone}</p>
-                    </div>
-                  </div>
-                  <Badge variant="green" className="text-xs">
-                    Available
-                  </Badge>
-                </div>
-              ))}
-            </div>
-
-            {availablePersonnel.length === 0 && (
-              <div className="text-center py-8">
-                <ApperIcon name="Users" size={48} className="text-gray-400 mx-auto mb-4" />
-                <p className="text-gray-600">No available personnel</p>
-              </div>
-            )}
+            <RiderSuggestionList
+              order={selectedOrder}
+              personnel={personnel}
+              orders={orders}
+              onSelect={(deliveryPersonId) => handleAssignDelivery(selectedOrder.id, deliveryPersonId)}
+            />
           </div>
         </div>
       )}
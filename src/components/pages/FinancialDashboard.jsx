@@ -9,6 +9,8 @@ import Badge from "@/components/atoms/Badge";
 import Button from "@/components/atoms/Button";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
+import SalesTaxPanel from "@/components/organisms/SalesTaxPanel";
+import LoyaltyLiabilityPanel from "@/components/organisms/LoyaltyLiabilityPanel";
 import Analytics from "@/components/pages/Analytics";
 import Category from "@/components/pages/Category";
 import { orderService } from "@/services/api/orderService";
@@ -302,11 +304,18 @@ const [selectedView, setSelectedView] = useState('overview');
       });
     });
 
+    // Refunds for the period are netted off by the financial service
+    const totalRefunds = data.financialMetrics?.summary?.totalRefunds || 0;
+    totalRevenue -= totalRefunds;
+    totalCost -= data.financialMetrics?.summary?.refundedCost || 0;
+    totalProfit = totalRevenue - totalCost;
+
     const profitMargin = totalRevenue > 0 ? (totalProfit / totalRevenue) * 100 : 0;
     const roi = totalCost > 0 ? (totalProfit / totalCost) * 100 : 0;
 
     return {
       totalRevenue,
+      totalRefunds,
       totalCost,
       totalProfit,
       profitMargin,
@@ -570,6 +579,28 @@ const [selectedView, setSelectedView] = useState('overview');
             <ApperIcon name="Users" size={16} className="mr-2 inline" />
             Vendor Payments
           </button>
+          <button
+            onClick={() => setSelectedView('tax')}
+            className={`py-2 px-1 border-b-2 font-medium text-sm whitespace-nowrap ${
+              selectedView === 'tax'
+                ? 'border-primary text-primary'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <ApperIcon name="Percent" size={16} className="mr-2 inline" />
+            Sales Tax
+          </button>
+          <button
+            onClick={() => setSelectedView('loyalty')}
+            className={`py-2 px-1 border-b-2 font-medium text-sm whitespace-nowrap ${
+              selectedView === 'loyalty'
+                ? 'border-primary text-primary'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <ApperIcon name="Award" size={16} className="mr-2 inline" />
+            Loyalty Points
+          </button>
         </nav>
       </div>
 
@@ -585,7 +616,9 @@ const [selectedView, setSelectedView] = useState('overview');
                   <p className="text-3xl font-bold">Rs. {metrics.totalRevenue.toLocaleString()}</p>
                   <div className="flex items-center mt-2">
                     <ApperIcon name="TrendingUp" size={12} className="mr-1" />
-                    <span className="text-xs text-green-100">Real-time</span>
+                    <span className="text-xs text-green-100">
+                      {metrics.totalRefunds > 0 ? `Net of Rs. ${metrics.totalRefunds.toLocaleString()} refunds` : 'Real-time'}
+                    </span>
                   </div>
                 </div>
                 <div className="bg-white/20 p-3 rounded-lg">
@@ -1843,6 +1876,10 @@ const [selectedView, setSelectedView] = useState('overview');
         </>
       )}
 
+      {selectedView === 'tax' && <SalesTaxPanel />}
+
+      {selectedView === 'loyalty' && <LoyaltyLiabilityPanel />}
+
       {/* Expense Form Modal */}
       {showExpenseForm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import { ROLES, ROLE_LABELS, canAccessPath } from '@/services/api/authService';
+import { clearAuthError, loginUser, selectAuthError, selectAuthLoading, selectIsAuthenticated } from '@/store/authSlice';
+
+// Where each role lands after signing in when no page was requested
+const ROLE_HOME = {
+  [ROLES.CUSTOMER]: '/',
+  [ROLES.CASHIER]: '/pos',
+  [ROLES.DELIVERY_RIDER]: '/delivery',
+  [ROLES.FINANCE_MANAGER]: '/admin',
+  [ROLES.ADMIN]: '/admin'
+};
+
+const DEMO_ACCOUNTS = [
+  { role: ROLES.CUSTOMER, email: 'customer@freshmart.pk', password: 'customer123' },
+  { role: ROLES.CASHIER, email: 'cashier@freshmart.pk', password: 'cashier123' },
+  { role: ROLES.DELIVERY_RIDER, email: 'rider@freshmart.pk', password: 'rider123' },
+  { role: ROLES.FINANCE_MANAGER, email: 'finance@freshmart.pk', password: 'finance123', pin: '4321' },
+  { role: ROLES.ADMIN, email: 'admin@freshmart.pk', password: 'admin123', pin: '1234' }
+];
+
+const Login = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const isAuthenticated = useSelector(selectIsAuthenticated);
+  const loading = useSelector(selectAuthLoading);
+  const error = useSelector(selectAuthError);
+  const [formData, setFormData] = useState({ email: '', password: '' });
+
+  const requestedPath = location.state?.from
+    ? `${location.state.from.pathname}${location.state.from.search || ''}`
+    : null;
+
+  useEffect(() => {
+    dispatch(clearAuthError());
+  }, [dispatch]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const result = await dispatch(loginUser(formData));
+
+    if (loginUser.fulfilled.match(result)) {
+      const { user } = result.payload;
+      toast.success(`Welcome back, ${user.name}`);
+      const destination = requestedPath && canAccessPath(user.role, requestedPath)
+        ? requestedPath
+        : ROLE_HOME[user.role] || '/';
+      navigate(destination, { replace: true });
+    }
+  };
+
+  if (isAuthenticated) {
+    return <Navigate to="/" replace />;
+  }
+
+  return (
+    <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <div className="card p-8">
+        <div className="text-center mb-8">
+          <div className="bg-gradient-to-r from-primary to-accent p-3 rounded-lg inline-flex mb-4">
+            <ApperIcon name="LogIn" size={28} className="text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900">Sign in to FreshMart</h1>
+          {requestedPath && (
+            <p className="text-sm text-gray-600 mt-2">Please sign in to continue to {requestedPath}</p>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <Input
+            label="Email Address"
+            name="email"
+            type="email"
+            value={formData.email}
+            onChange={handleInputChange}
+            icon="Mail"
+            required
+          />
+          <Input
+            label="Password"
+            name="password"
+            type="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            icon="Lock"
+            required
+          />
+
+          {error && (
+            <p className="text-sm text-red-600 flex items-center space-x-2">
+              <ApperIcon name="AlertCircle" size={16} />
+              <span>{error}</span>
+            </p>
+          )}
+
+          <Button type="submit" className="w-full" loading={loading}>
+            Sign In
+          </Button>
+        </form>
+
+        <div className="mt-8 border-t border-gray-200 pt-6">
+          <p className="text-sm font-medium text-gray-700 mb-3">Demo accounts</p>
+          <div className="space-y-2">
+            {DEMO_ACCOUNTS.map(account => (
+              <button
+                key={account.role}
+                type="button"
+                onClick={() => setFormData({ email: account.email, password: account.password })}
+                className="w-full flex items-center justify-between p-2 text-sm rounded-lg border border-gray-200 hover:border-primary hover:bg-primary/5 transition-colors"
+              >
+                <span className="font-medium text-gray-900">{ROLE_LABELS[account.role]}</span>
+                <span className="text-gray-500">
+                  {account.email}
+                  {account.pin && <span className="ml-2 text-xs">PIN {account.pin}</span>}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
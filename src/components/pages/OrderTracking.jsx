@@ -1,12 +1,21 @@
 import React, { useEffect, useState } from "react";
 import { useNavigate, useParams } from "react-router-dom";
 import { format } from "date-fns";
+import { toast } from "react-toastify";
 import ApperIcon from "@/components/ApperIcon";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Orders from "@/components/pages/Orders";
 import OrderStatusBadge from "@/components/molecules/OrderStatusBadge";
+import OrderTimeline from "@/components/molecules/OrderTimeline";
+import TaxBreakdown from "@/components/molecules/TaxBreakdown";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import ReturnRequestModal from "@/components/organisms/ReturnRequestModal";
 import { orderService } from "@/services/api/orderService";
+import { invoiceService, saveFile } from "@/services/api/invoiceService";
+import { RETURN_STATUS, RETURN_STATUS_LABELS, RETURN_WINDOW_DAYS, returnService } from "@/services/api/returnService";
+import { describeLineQuantity, lineAmount } from "@/services/api/measureUnits";
 
 const OrderTracking = () => {
   const { orderId } = useParams();
@@ -14,6 +23,9 @@ const OrderTracking = () => {
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [returns, setReturns] = useState([]);
+  const [showReturnModal, setShowReturnModal] = useState(false);
+  const [downloadingInvoice, setDownloadingInvoice] = useState(false);
 
   useEffect(() => {
     loadOrder();
@@ -23,8 +35,12 @@ const OrderTracking = () => {
     try {
       setLoading(true);
       setError(null);
-      const data = await orderService.getById(parseInt(orderId));
+      const [data, orderReturns] = await Promise.all([
+        orderService.getById(parseInt(orderId)),
+        returnService.getByOrder(orderId)
+      ]);
       setOrder(data);
+      setReturns(orderReturns);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -32,6 +48,18 @@ const OrderTracking = () => {
     }
   };
 
+  const handleDownloadInvoice = async () => {
+    setDownloadingInvoice(true);
+    try {
+      const invoice = await invoiceService.generate(order.id);
+      saveFile(invoice.blob, invoice.fileName);
+    } catch (err) {
+      toast.error(err.message || 'Failed to generate invoice');
+    } finally {
+      setDownloadingInvoice(false);
+    }
+  };
+
   const getStatusSteps = () => {
     const steps = [
       { key: 'pending', label: 'Order Placed', icon: 'ShoppingCart' },
@@ -41,7 +69,14 @@ const OrderTracking = () => {
       { key: 'delivered', label: 'Delivered', icon: 'Home' }
     ];
 
-    const currentIndex = steps.findIndex(step => step.key === order?.status?.toLowerCase());
+    // Orders waiting on payment sit at "Order Placed"; refunds happen after delivery
+    const stepKey = {
+      payment_pending: 'pending',
+      payment_rejected: 'pending',
+      refund_requested: 'delivered',
+      refunded: 'delivered'
+    }[order?.status] || order?.status?.toLowerCase();
+    const currentIndex = steps.findIndex(step => step.key === stepKey);
     
     return steps.map((step, index) => ({
       ...step,
@@ -75,6 +110,7 @@ const OrderTracking = () => {
   }
 
   const statusSteps = getStatusSteps();
+  const canRequestReturn = !returnService.getEligibilityError(order);
 
 return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -87,6 +123,14 @@ return (
             <span>Back to Orders</span>
         </button>
         <div className="flex items-center space-x-4">
+            <Button
+                variant="outline"
+                size="small"
+                icon="FileDown"
+                loading={downloadingInvoice}
+                onClick={handleDownloadInvoice}>
+                Invoice
+            </Button>
             <button
                 className="flex items-center space-x-2 text-blue-600 hover:text-blue-700 transition-colors">
                 <ApperIcon name="MessageCircle" size={16} />
@@ -138,6 +182,40 @@ return (
                 </div>
             )}
         </div>
+        {order.status === "cancelled" && <div className="mt-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            This order was cancelled{order.cancellationReason && `: ${order.cancellationReason}`}
+        </div>}
+    </div>
+    {/* Returns */}
+    {(canRequestReturn || returns.length > 0) && <div className="card p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Returns</h2>
+            {canRequestReturn && <Button size="small" variant="outline" icon="Undo2" onClick={() => setShowReturnModal(true)}>
+                Request Return
+            </Button>}
+        </div>
+        {returns.length === 0 ? <p className="text-sm text-gray-600">Something wrong with your order? You can return items within {RETURN_WINDOW_DAYS} days of delivery.</p> : <div className="space-y-3">
+            {returns.map(rma => <div key={rma.Id} className="flex items-start justify-between border-b border-gray-100 pb-3 last:border-0 last:pb-0">
+                <div>
+                    <p className="font-medium text-gray-900">{rma.reference} • {rma.reason}</p>
+                    <p className="text-sm text-gray-600">
+                        {rma.lines.map(line => `${line.quantity}x ${line.name}`).join(", ")}
+                    </p>
+                    {rma.status === RETURN_STATUS.REJECTED && rma.reviewNote && <p className="text-sm text-red-600">{rma.reviewNote}</p>}
+                </div>
+                <div className="text-right">
+                    <p className="font-medium">Rs. {rma.amount.toLocaleString()}</p>
+                    <Badge
+                        variant={rma.status === RETURN_STATUS.REFUNDED ? "success" : rma.status === RETURN_STATUS.REJECTED ? "danger" : "warning"}
+                        size="small">{RETURN_STATUS_LABELS[rma.status]}</Badge>
+                </div>
+            </div>)}
+        </div>}
+    </div>}
+    {/* Status History */}
+    <div className="card p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Order History</h2>
+        <OrderTimeline timeline={order.timeline} />
     </div>
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Order Items */}
@@ -149,10 +227,10 @@ return (
                         <div className="flex-1">
                             <p className="font-medium text-gray-900">{item?.name || "Unknown Item"}</p>
                             <p className="text-sm text-gray-600">
-                                {item?.quantity || 0}x Rs. {(item?.price || 0).toLocaleString()}
+                                {describeLineQuantity({ quantity: item?.quantity || 0, price: item?.price || 0, unit: item?.unit })}
                             </p>
                         </div>
-                        <p className="font-medium">Rs. {((item?.quantity || 0) * (item?.price || 0)).toLocaleString()}
+                        <p className="font-medium">Rs. {lineAmount({ quantity: item?.quantity || 0, price: item?.price || 0 }).toLocaleString()}
                         </p>
                     </div>
                 )}
@@ -160,18 +238,28 @@ return (
             <div className="border-t border-gray-200 pt-4 mt-4">
                 <div className="flex justify-between mb-2">
                     <span className="text-gray-600">Subtotal</span>
-                    <span className="font-medium">Rs. {((order?.total || 0) - (order?.deliveryCharge || 0)).toLocaleString()}</span>
+                    <span className="font-medium">Rs. {((order?.total || 0) - (order?.deliveryCharge || 0) - (order?.tax?.taxAdded || 0)).toLocaleString()}</span>
                 </div>
                 <div className="flex justify-between mb-2">
                     <span className="text-gray-600">Delivery Charge</span>
                     <span className="font-medium">Rs. {(order?.deliveryCharge || 0).toLocaleString()}</span>
                 </div>
+                {order?.tax && (
+                    <div className="mb-2">
+                        <TaxBreakdown tax={order.tax} />
+                    </div>
+                )}
                 <div
                     className="flex justify-between items-center border-t border-gray-200 pt-2">
                     <span className="text-lg font-semibold text-gray-900">Total</span>
                     <span className="text-lg font-bold gradient-text">Rs. {(order?.total || 0).toLocaleString()}
                     </span>
                 </div>
+                {order?.tax?.registration && (
+                    <p className="text-xs text-gray-500 mt-3">
+                        Sales tax invoice • NTN {order.tax.registration.ntn} • STRN {order.tax.registration.strn}
+                    </p>
+                )}
             </div>
         </div>
         {/* Delivery Information */}
@@ -205,6 +293,12 @@ return (
                         <ApperIcon name="MessageSquare" size={16} className="text-gray-500 mt-1" />
                         <p className="text-gray-900">{order.deliveryAddress.instructions}</p>
                     </div>}
+                    {order.deliverySlot && <div className="flex items-center space-x-3">
+                        <ApperIcon name="Clock" size={16} className="text-gray-500" />
+                        <span className="text-gray-900">
+                            {format(new Date(order.deliverySlot.start), "EEE, MMM dd")} • {order.deliverySlot.label}
+                        </span>
+                    </div>}
                 </div>
             </div>
             {/* Payment Information */}
@@ -259,6 +353,13 @@ return (
             </div>
         </div>
     </div>
+    {showReturnModal && <ReturnRequestModal
+        order={order}
+        onClose={() => setShowReturnModal(false)}
+        onSubmitted={() => {
+            setShowReturnModal(false);
+            loadOrder();
+        }} />}
 </div>
   );
 };
@@ -1,17 +1,35 @@
 import React, { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
 import { Link } from "react-router-dom";
-import { format } from "date-fns";
+import { format, startOfMonth } from "date-fns";
+import { toast } from "react-toastify";
 import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
 import Empty from "@/components/ui/Empty";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import OrderStatusBadge from "@/components/molecules/OrderStatusBadge";
+import OrderTimeline from "@/components/molecules/OrderTimeline";
 import { orderService } from "@/services/api/orderService";
+import { invoiceService, saveFile } from "@/services/api/invoiceService";
+import { getAvailableTransitions, ORDER_STATUS_LABELS } from "@/services/api/orderLifecycle";
+import { formatQuantity, isVariableMeasure } from "@/services/api/measureUnits";
+import { hasPermission, PERMISSIONS } from "@/services/api/authService";
+import { selectUserRole } from "@/store/authSlice";
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [expandedOrderId, setExpandedOrderId] = useState(null);
+  const [updatingOrderId, setUpdatingOrderId] = useState(null);
+  const [invoiceOrderId, setInvoiceOrderId] = useState(null);
+  const [exportRange, setExportRange] = useState({
+    from: format(startOfMonth(new Date()), 'yyyy-MM-dd'),
+    to: format(new Date(), 'yyyy-MM-dd')
+  });
+  const [exporting, setExporting] = useState(false);
+  const canManage = hasPermission(useSelector(selectUserRole), PERMISSIONS.ORDERS_MANAGE);
 
   useEffect(() => {
     loadOrders();
@@ -32,6 +50,50 @@ const Orders = () => {
     }
   };
 
+  const handleTransition = async (order, status) => {
+    const reason = window.prompt(`Reason for moving order #${order.id} to ${ORDER_STATUS_LABELS[status]}:`);
+    if (reason === null) return;
+
+    setUpdatingOrderId(order.id);
+    try {
+      const updated = await orderService.updateOrderStatus(order.id, status, reason.trim());
+      setOrders(prev => prev.map(o => o.id === updated.id ? updated : o));
+      toast.success(`Order #${order.id} is now ${ORDER_STATUS_LABELS[status]}`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update order status');
+    } finally {
+      setUpdatingOrderId(null);
+    }
+  };
+
+  const handleDownloadInvoice = async (order) => {
+    setInvoiceOrderId(order.id);
+    try {
+      const invoice = await invoiceService.generate(order.id);
+      saveFile(invoice.blob, invoice.fileName);
+    } catch (err) {
+      toast.error(err.message || 'Failed to generate invoice');
+    } finally {
+      setInvoiceOrderId(null);
+    }
+  };
+
+  const handleExportInvoices = async () => {
+    setExporting(true);
+    try {
+      const archive = await invoiceService.exportRange({
+        from: new Date(`${exportRange.from}T00:00:00`),
+        to: new Date(`${exportRange.to}T00:00:00`)
+      });
+      saveFile(archive.blob, archive.fileName);
+      toast.success(`Exported ${archive.count} invoices`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to export invoices');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -72,6 +134,36 @@ const Orders = () => {
         </Link>
       </div>
 
+      {canManage && (
+        <div className="card p-4 mb-6 flex flex-col md:flex-row md:items-end gap-4">
+          <div className="flex-1">
+            <h2 className="text-sm font-semibold text-gray-900">Export Invoices</h2>
+            <p className="text-xs text-gray-600">PDF invoices for every order placed in the range, as one ZIP</p>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              value={exportRange.from}
+              onChange={(e) => setExportRange(prev => ({ ...prev, from: e.target.value }))}
+              className="input-field py-1"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              value={exportRange.to}
+              onChange={(e) => setExportRange(prev => ({ ...prev, to: e.target.value }))}
+              className="input-field py-1"
+            />
+          </div>
+          <Button size="small" icon="FileArchive" loading={exporting} onClick={handleExportInvoices}>
+            Download ZIP
+          </Button>
+        </div>
+      )}
+
       <div className="space-y-6">
         {orders.map((order) => (
           <div key={order.id} className="card p-6 hover:shadow-premium transition-shadow duration-300">
@@ -222,10 +314,13 @@ const Orders = () => {
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
                 {order.items.slice(0, 3).map((item, index) => (
                   <div key={index} className="flex items-center space-x-2">
-                    <span className="text-sm text-gray-600">{item.quantity}x</span>
+                    <span className="text-sm text-gray-600">{isVariableMeasure(item.unit) ? formatQuantity(item.quantity, item.unit) : `${item.quantity}x`}</span>
                     <span className="text-sm font-medium text-gray-900 truncate">
                       {item.name}
                     </span>
+                    {item.substituteFor && (
+                      <span className="text-xs text-blue-600">(substitute)</span>
+                    )}
                   </div>
                 ))}
                 {order.items.length > 3 && (
@@ -236,6 +331,15 @@ const Orders = () => {
               </div>
             </div>
 
+            {order.picking?.settlement && order.picking.settlement.type !== 'none' && (
+              <p className="text-sm text-gray-600 mb-4 flex items-center">
+                <ApperIcon name="Repeat" size={14} className="mr-1" />
+                {order.picking.settlement.type === 'refund'
+                  ? `Some items were unavailable: Rs. ${order.picking.settlement.amount.toLocaleString()} ${order.picking.settlement.collectOnDelivery ? 'less to pay on delivery' : 'refunded'}`
+                  : `Substitutes cost more: Rs. ${order.picking.settlement.amount.toLocaleString()} ${order.picking.settlement.collectOnDelivery ? 'more to pay on delivery' : 'charged'}`}
+              </p>
+            )}
+
             {/* Order Actions */}
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
               <div className="flex items-center space-x-4 text-sm text-gray-600">
@@ -257,6 +361,15 @@ const Orders = () => {
                   <ApperIcon name="Eye" size={16} />
                   <span>View Details</span>
                 </Link>
+
+                <button
+                  onClick={() => handleDownloadInvoice(order)}
+                  disabled={invoiceOrderId === order.id}
+                  className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 transition-colors disabled:opacity-50"
+                >
+                  <ApperIcon name={invoiceOrderId === order.id ? 'Loader2' : 'FileDown'} size={16} className={invoiceOrderId === order.id ? 'animate-spin' : ''} />
+                  <span>Invoice</span>
+                </button>
                 
 <button className="flex items-center space-x-2 text-blue-600 hover:text-blue-700 transition-colors">
                   <ApperIcon name="MessageCircle" size={16} />
@@ -269,8 +382,48 @@ const Orders = () => {
                     <span>Reorder</span>
                   </button>
                 )}
+
+                {canManage && (
+                  <button
+                    onClick={() => setExpandedOrderId(expandedOrderId === order.id ? null : order.id)}
+                    className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 transition-colors"
+                  >
+                    <ApperIcon name="History" size={16} />
+                    <span>{expandedOrderId === order.id ? 'Hide History' : 'History'}</span>
+                  </button>
+                )}
               </div>
             </div>
+
+            {/* Admin: status history and the moves the lifecycle allows from here */}
+            {canManage && expandedOrderId === order.id && (
+              <div className="border-t border-gray-200 mt-4 pt-4 grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="lg:col-span-2">
+                  <h4 className="text-sm font-medium text-gray-900 mb-3">Status History</h4>
+                  <OrderTimeline timeline={order.timeline} compact />
+                </div>
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900 mb-3">Move Order To</h4>
+                  {getAvailableTransitions(order).length === 0 ? (
+                    <p className="text-sm text-gray-500">No further status changes are allowed</p>
+                  ) : (
+                    <div className="flex flex-wrap gap-2">
+                      {getAvailableTransitions(order).map(status => (
+                        <Button
+                          key={status}
+                          size="small"
+                          variant={status === 'cancelled' ? 'danger' : 'outline'}
+                          loading={updatingOrderId === order.id}
+                          onClick={() => handleTransition(order, status)}
+                        >
+                          {ORDER_STATUS_LABELS[status]}
+                        </Button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
           </div>
         ))}
       </div>
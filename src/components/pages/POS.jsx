@@ -15,13 +15,39 @@ import Category from "@/components/pages/Category";
 import SearchBar from "@/components/molecules/SearchBar";
 import PaymentMethod from "@/components/molecules/PaymentMethod";
 import BarcodeScanner from "@/components/molecules/BarcodeScanner";
+import PromotionSummary from "@/components/molecules/PromotionSummary";
+import TaxBreakdown from "@/components/molecules/TaxBreakdown";
+import PosSyncStatus from "@/components/organisms/PosSyncStatus";
+import RegisterSessionPanel from "@/components/organisms/RegisterSessionPanel";
+import CartSwitcher from "@/components/organisms/CartSwitcher";
+import PosReturnPanel from "@/components/organisms/PosReturnPanel";
 import { posService } from "@/services/api/posService";
-import productService from "@/services/api/productService";
-import { paymentService } from "@/services/api/paymentService";
+import { inventoryService, MOVEMENT_TYPES } from "@/services/api/inventoryService";
+import { CHANNELS, evaluatePromotions, promotionService, segmentsFor } from "@/services/api/promotionService";
+import { calculateTax, DEFAULT_TAX_SETTINGS } from "@/services/api/taxService";
+import { loyaltyService } from "@/services/api/loyaltyService";
+import { captureTender, cashTender, paymentTypeFor, releaseTender, SPLIT_PAYMENT, summarizeTenders, TENDER_METHODS, tenderLabel, transactionTenders } from "@/services/api/posTenders";
+import { createOpenCart, parkedSaleService } from "@/services/api/parkedSaleService";
+import { isConnectivityError, isOnline, OFFLINE_PAYMENT_TYPES, OUTBOX_STATUS, posSyncService } from "@/services/api/posSyncService";
+import { code39Svg, receiptCodeFor } from "@/services/api/receiptCodes";
+import { describeLineQuantity, formatQuantity, isVariableMeasure, lineAmount, normalizeQuantity, roundQuantity, stepQuantity } from "@/services/api/measureUnits";
 const POS = () => {
   const [products, setProducts] = useState([]);
   const [filteredProducts, setFilteredProducts] = useState([]);
-  const [cart, setCart] = useState([]);
+  // Several sales can be open at once; the cart, coupon, customer and tenders below
+  // all belong to whichever one is active
+  const [carts, setCarts] = useState(() => [createOpenCart(1)]);
+  const [activeCartId, setActiveCartId] = useState(() => carts[0].id);
+  const activeCart = carts.find(c => c.id === activeCartId) || carts[0];
+  const updateActiveCart = (changes) => setCarts(prev => prev.map(c => c.id === activeCart.id ? { ...c, ...changes } : c));
+  const cart = activeCart.items;
+  const setCart = (items) => updateActiveCart({ items });
+  const couponCode = activeCart.couponCode;
+  const setCouponCode = (code) => updateActiveCart({ couponCode: code });
+  const tenders = activeCart.tenders;
+  const setTenders = (next) => updateActiveCart({ tenders: next });
+  const selectedCustomer = activeCart.customer;
+  const setSelectedCustomer = (customer) => updateActiveCart({ customer });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
@@ -29,6 +55,10 @@ const POS = () => {
   const [customerPaid, setCustomerPaid] = useState('');
   const [processingPayment, setProcessingPayment] = useState(false);
   const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
+  const [promotions, setPromotions] = useState([]);
+  const [taxSettings, setTaxSettings] = useState(DEFAULT_TAX_SETTINGS);
+  const [registerSession, setRegisterSession] = useState(null);
+  const [showReturns, setShowReturns] = useState(false);
   
 // Receipt configuration state
   const [receiptConfig, setReceiptConfig] = useState({
@@ -55,7 +85,7 @@ const POS = () => {
   const [salesSummary, setSalesSummary] = useState({});
   const [paymentBreakdown, setPaymentBreakdown] = useState({});
   const [customers, setCustomers] = useState([]);
-  const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [customerLoyalty, setCustomerLoyalty] = useState(null);
   const [showCustomerModal, setShowCustomerModal] = useState(false);
   const [showAnalyticsModal, setShowAnalyticsModal] = useState(false);
   const [showInventoryModal, setShowInventoryModal] = useState(false);
@@ -76,10 +106,21 @@ useEffect(() => {
     loadDashboardData();
   }, []);
 
+  // Sales rung up offline are posted as soon as the connection is back
+  useEffect(() => posSyncService.startBackgroundSync(), []);
+
   useEffect(() => {
     filterProducts();
   }, [products, searchTerm]);
 
+  useEffect(() => {
+    setCustomerLoyalty(null);
+    if (!selectedCustomer) return;
+    loyaltyService.getAccount(`pos-${selectedCustomer.Id}`)
+      .then(setCustomerLoyalty)
+      .catch(err => console.error('Error loading loyalty points:', err));
+  }, [selectedCustomer]);
+
   useEffect(() => {
     checkStockAlerts();
   }, [products]);
@@ -88,8 +129,11 @@ useEffect(() => {
     try {
       setLoading(true);
       setError(null);
-      const data = await productService.getAll();
-      setProducts(data.filter(p => p.isActive && p.stock > 0));
+      // Falls back to the till's cached catalog when the server cannot be reached
+      const catalog = await posSyncService.getCatalog();
+      setProducts(catalog.products.filter(p => p.isActive && p.stock > 0));
+      setPromotions(catalog.promotions);
+      setTaxSettings(catalog.taxSettings);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -169,13 +213,19 @@ useEffect(() => {
       for (const productId of selectedProducts) {
         const product = products.find(p => p.id === productId);
         if (product) {
-          let newStock = product.stock;
-          
-          if (bulkAction === 'add10') newStock += 10;
-          else if (bulkAction === 'subtract10') newStock = Math.max(0, newStock - 10);
-          else if (bulkAction === 'setZero') newStock = 0;
-          
-          await productService.update(productId, { ...product, stock: newStock });
+          // Stock changes go through the inventory ledger instead of overwriting product.stock
+          if (bulkAction === 'add10') {
+            await inventoryService.recordMovement({
+              productId,
+              type: MOVEMENT_TYPES.RESTOCK,
+              quantity: 10,
+              reference: 'POS bulk restock'
+            });
+          } else if (bulkAction === 'subtract10') {
+            await inventoryService.adjustTo(productId, Math.max(0, product.stock - 10), { reference: 'POS bulk adjustment' });
+          } else if (bulkAction === 'setZero') {
+            await inventoryService.adjustTo(productId, 0, { reference: 'POS bulk adjustment' });
+          }
         }
       }
       
@@ -184,7 +234,7 @@ useEffect(() => {
       setBulkAction('');
       toast.success(`Bulk action applied to ${selectedProducts.length} products`);
     } catch (error) {
-      toast.error('Error updating stock');
+      toast.error(error.message || 'Error updating stock');
     }
   };
 
@@ -218,35 +268,41 @@ const filterProducts = () => {
 
   const handleBarcodeScan = async (barcode) => {
     try {
-      const product = await productService.getByBarcode(barcode);
+      const product = await posSyncService.findByBarcode(barcode);
       if (product) {
-        addToCart(product);
-        toast.success(`${product.name} added to cart`);
+        // Scale labels carry the weighed quantity in their price
+        const quantity = product.scaleLabel?.quantity || 1;
+        if (addToCart(product, quantity)) {
+          toast.success(`${formatQuantity(quantity, product.unit)} ${product.name} added to cart`);
+        }
       } else {
         toast.error('Product not found');
       }
     } catch (err) {
-      toast.error('Error finding product');
+      toast.error(err.message || 'Error finding product');
     }
     setShowBarcodeScanner(false);
   };
 
-  const addToCart = (product) => {
+  const addToCart = (product, quantity = 1) => {
     const existingItem = cart.find(item => item.id === product.id);
-    
+    const newQuantity = roundQuantity((existingItem?.quantity || 0) + quantity, product.unit);
+
+    if (newQuantity > product.stock) {
+      toast.error('Insufficient stock');
+      return false;
+    }
     if (existingItem) {
-      if (existingItem.quantity >= product.stock) {
-        toast.error('Insufficient stock');
-        return;
-      }
       setCart(cart.map(item =>
         item.id === product.id
-          ? { ...item, quantity: item.quantity + 1 }
+          ? { ...item, quantity: newQuantity }
           : item
       ));
     } else {
-      setCart([...cart, { ...product, quantity: 1 }]);
+      const { scaleLabel, ...cartProduct } = product;
+      setCart([...cart, { ...cartProduct, quantity: newQuantity }]);
     }
+    return true;
   };
 
   const updateQuantity = (productId, newQuantity) => {
@@ -272,85 +328,284 @@ const filterProducts = () => {
     setCart(cart.filter(item => item.id !== productId));
   };
 
+  // Walk-in customers only get promotions that are not segment targeted
+  const getCustomerSegments = () => selectedCustomer
+    ? segmentsFor({ orderCount: selectedCustomer.totalPurchases > 0 ? 1 : 0, totalSpent: selectedCustomer.totalPurchases })
+    : [];
+
+  const getPricing = () => evaluatePromotions(cart, promotions, {
+    channel: CHANNELS.POS,
+    couponCode,
+    segments: getCustomerSegments()
+  });
+
+  const getTax = (pricing = getPricing()) => calculateTax(cart, taxSettings, { applied: pricing.applied });
+
   const getTotal = () => {
-    return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+    const pricing = getPricing();
+    return pricing.total + getTax(pricing).taxAdded;
+  };
+
+  const handleApplyCoupon = async (code) => {
+    try {
+      const validCode = await promotionService.validateCoupon(code, cart, {
+        channel: CHANNELS.POS,
+        segments: getCustomerSegments()
+      });
+      setCouponCode(validCode);
+      toast.success(`Coupon ${validCode} applied`);
+    } catch (err) {
+      toast.error(err.message);
+      throw err;
+    }
   };
 
+  const switchCart = (cartId) => {
+    setActiveCartId(cartId);
+    setCustomerPaid('');
+  };
+
+  const openNewCart = () => {
+    const next = createOpenCart(Math.max(...carts.map(c => c.number)) + 1);
+    setCarts(prev => [...prev, next]);
+    switchCart(next.id);
+  };
+
+  const emptyCart = (cartId) => {
+    setCarts(prev => prev.map(c => c.id === cartId ? { ...createOpenCart(c.number), id: c.id } : c));
+    setCustomerPaid('');
+  };
+
+  // The last open cart is only emptied, never removed
+  const closeCart = (cartId) => {
+    if (carts.length === 1) {
+      emptyCart(cartId);
+      return;
+    }
+    const remaining = carts.filter(c => c.id !== cartId);
+    setCarts(remaining);
+    if (cartId === activeCart.id) {
+      switchCart(remaining[0].id);
+    }
+  };
+
+  // A resumed sale goes into an empty cart, opening one if every cart is in use. A cart
+  // holding tenders is not empty: they were captured and must not be dropped.
+  // Prices are refreshed from the current catalog; anything no longer sold is left out.
+  const resumeParkedSale = (sale) => {
+    const items = sale.items
+      .map(item => {
+        const product = products.find(p => p.id === item.id);
+        return product ? { ...item, price: product.price, stock: product.stock } : null;
+      })
+      .filter(Boolean);
+    if (items.length < sale.items.length) {
+      toast.warning(`${sale.items.length - items.length} item(s) from "${sale.label}" are no longer available`);
+    }
+    const resumed = { items, couponCode: sale.couponCode || '', customer: sale.customer, tenders: [] };
+    const target = carts.find(c => c.items.length === 0 && (c.tenders || []).length === 0);
+    if (target) {
+      setCarts(prev => prev.map(c => c.id === target.id ? { ...c, ...resumed } : c));
+      switchCart(target.id);
+    } else {
+      const next = { ...createOpenCart(Math.max(...carts.map(c => c.number)) + 1), ...resumed };
+      setCarts(prev => [...prev, next]);
+      switchCart(next.id);
+    }
+  };
+
+  // Remaining due and change update as tenders are added or the basket changes
+  const getTenderSummary = () => summarizeTenders(tenders, getTotal());
+
+  // Change from a cash amount still being typed in
   const getChange = () => {
-    const total = getTotal();
     const paid = parseFloat(customerPaid) || 0;
-    return Math.max(0, paid - total);
+    return paymentType === 'cash' ? Math.max(0, paid - getTenderSummary().remaining) : 0;
   };
 
-const processPayment = async () => {
+  // Checks that apply before any money is taken; returns the sale's pricing
+  const validateSale = () => {
     if (cart.length === 0) {
       toast.error('Cart is empty');
+      return null;
+    }
+
+    if (!registerSession) {
+      toast.error('Open the register before taking payments');
+      return null;
+    }
+
+    const pricing = getPricing();
+    const tax = getTax(pricing);
+    if (pricing.coupon && !pricing.coupon.valid) {
+      toast.error(`Coupon ${pricing.coupon.code}: ${pricing.coupon.message}`);
+      return null;
+    }
+    return { pricing, tax, total: pricing.total + tax.taxAdded };
+  };
+
+  // Make sure the stock is still there before charging the customer
+  const checkStock = async () => {
+    try {
+      await inventoryService.checkAvailability(
+        cart.map(item => ({ productId: item.id, name: item.name, quantity: item.quantity }))
+      );
+      return true;
+    } catch (stockError) {
+      // Offline the cached stock, already less unsynced sales, is the best we have
+      const shortItem = isConnectivityError(stockError) &&
+        cart.find(item => item.quantity > (products.find(p => p.id === item.id)?.stock ?? 0));
+      if (!isConnectivityError(stockError) || shortItem) {
+        toast.error(shortItem ? `Insufficient stock for ${shortItem.name}` : stockError.message);
+        return false;
+      }
+      return true;
+    }
+  };
+
+  // Takes the amount entered (or the rest due when blank) with the selected method.
+  // Returns the tenders including the new one, or null when nothing was taken.
+  const addTender = async () => {
+    const sale = validateSale();
+    if (!sale) return null;
+
+    const { remaining } = summarizeTenders(tenders, sale.total);
+    if (remaining <= 0) {
+      toast.info('Nothing left to pay');
+      return null;
+    }
+    const amount = customerPaid === '' ? remaining : parseFloat(customerPaid);
+    if (!(amount > 0)) {
+      toast.error('Enter the amount for this tender');
+      return null;
+    }
+
+    let tender;
+    if (paymentType === 'cash') {
+      tender = cashTender(amount, remaining);
+    } else {
+      if (!isOnline() && !OFFLINE_PAYMENT_TYPES.includes(paymentType)) {
+        toast.error('The till is offline, only cash can be taken until the connection is back');
+        return null;
+      }
+      if (amount > remaining) {
+        toast.error(`Only Rs. ${remaining.toLocaleString()} is due, only cash can be over-tendered`);
+        return null;
+      }
+      try {
+        setProcessingPayment(true);
+        if (tenders.length === 0 && !(await checkStock())) {
+          return null;
+        }
+        const captured = await captureTender(paymentType, amount, `POS-${Date.now()}`);
+        // On disk straight away, so a reload before the sale completes can still refund it
+        try {
+          tender = await parkedSaleService.holdTender(captured, {
+            cartId: activeCart.id,
+            registerId: registerSession.registerId
+          });
+        } catch (holdError) {
+          // A charge nothing keeps track of is given back rather than left behind
+          await releaseTender(captured, `POS-${Date.now()}`);
+          throw holdError;
+        }
+      } catch (paymentError) {
+        // Tenders already captured stay on the sale; the cashier can try another method
+        toast.error(`${tenderLabel(paymentType)}: ${paymentError.message}`);
+        return null;
+      } finally {
+        setProcessingPayment(false);
+      }
+    }
+
+    const next = [...tenders, tender];
+    setTenders(next);
+    setCustomerPaid('');
+    return next;
+  };
+
+  // Non-cash tenders have already been charged, so removing one refunds it
+  const removeTender = async (index) => {
+    const tender = tenders[index];
+    if (tender.method !== 'cash' &&
+      !window.confirm(`Refund Rs. ${tender.amount.toLocaleString()} to ${tenderLabel(tender.method)}?`)) {
       return;
     }
+    try {
+      setProcessingPayment(true);
+      if (tender.holdId) {
+        await parkedSaleService.releaseHeldTender(tender.holdId);
+      } else {
+        await releaseTender(tender, `POS-${Date.now()}`);
+      }
+      setTenders(tenders.filter((_, i) => i !== index));
+      toast.info(`${tenderLabel(tender.method)} tender of Rs. ${tender.amount.toLocaleString()} removed`);
+    } catch (err) {
+      toast.error(err.message || 'Could not remove the tender');
+    } finally {
+      setProcessingPayment(false);
+    }
+  };
 
-    const total = getTotal();
-    const paid = parseFloat(customerPaid) || 0;
+const processPayment = async () => {
+    const sale = validateSale();
+    if (!sale) return;
+    const { pricing, tax, total } = sale;
 
-    if (paymentType === 'cash' && paid < total) {
-      toast.error('Insufficient payment amount');
+    let captured = tenders;
+    if (summarizeTenders(captured, total).paid > total) {
+      toast.error('The tenders add up to more than the total, remove one first');
       return;
     }
+    // Whatever is entered in the payment box is taken as the last tender
+    if (summarizeTenders(captured, total).remaining > 0) {
+      captured = await addTender();
+      if (!captured) return;
+      const { remaining } = summarizeTenders(captured, total);
+      if (remaining > 0) {
+        toast.info(`Rs. ${remaining.toLocaleString()} still due, add another tender`);
+        return;
+      }
+    }
 
     try {
       setProcessingPayment(true);
 
-      // Process payment based on payment type
-      let paymentResult = null;
-      
-      if (paymentType !== 'cash') {
-        try {
-          if (paymentType === 'card') {
-            // For POS, we'll simulate card payment without form
-            const mockCardData = {
-              cardNumber: '4*** **** **** ****',
-              expiryDate: '12/25',
-              cvv: '***',
-              cardholderName: 'Customer'
-            };
-            paymentResult = await paymentService.processCardPayment(mockCardData, total, `POS-${Date.now()}`);
-          } else if (['jazzcash', 'easypaisa', 'sadapay'].includes(paymentType)) {
-            paymentResult = await paymentService.processDigitalWalletPayment(paymentType, total, `POS-${Date.now()}`, '03001234567');
-          } else if (paymentType === 'bank') {
-            paymentResult = await paymentService.processBankTransfer(total, `POS-${Date.now()}`, {});
-          }
-        } catch (paymentError) {
-          toast.error(paymentError.message);
-          setProcessingPayment(false);
-          return;
-        }
+      if (!(await checkStock())) {
+        return;
       }
 
+      const payment = summarizeTenders(captured, total);
 const transactionData = {
         items: cart.map(item => ({
           productId: item.id,
           name: item.name,
+          category: item.category,
           price: item.price,
-          quantity: item.quantity
+          quantity: item.quantity,
+          unit: item.unit
         })),
+        subtotal: pricing.subtotal,
+        discount: pricing.discountTotal,
+        tax,
+        promotions: pricing.applied,
+        couponCode: pricing.coupon?.code || null,
         total,
-        paymentType,
-        cashierId: 'admin', // In real app, this would be the logged-in user
-        customerPaid: paymentType === 'cash' ? paid : total,
-        change: paymentType === 'cash' ? getChange() : 0,
-        paymentResult: paymentResult || null,
+        tenders: captured,
+        paymentType: paymentTypeFor(captured),
+        sessionId: registerSession.Id,
+        registerId: registerSession.registerId,
+        cashierId: registerSession.cashierId,
+        cashierName: registerSession.cashierName,
+        customerPaid: payment.tendered,
+        change: payment.change,
         customerId: selectedCustomer ? selectedCustomer.Id : null,
         customerName: selectedCustomer ? selectedCustomer.name : null
       };
-      await posService.createTransaction(transactionData);
-
-      // Update product stock
-      for (const item of cart) {
-        const product = products.find(p => p.id === item.id);
-        await productService.update(item.id, {
-          ...product,
-          stock: product.stock - item.quantity
-        });
-      }
+      // Goes through the till's outbox: posted now when online (stock movements and
+      // promotion redemptions included), otherwise kept until the connection is back
+      const sale = await posSyncService.recordSale(transactionData);
+      await parkedSaleService.settleTenders(captured);
 
 // Update customer purchase history
       if (selectedCustomer) {
@@ -365,21 +620,35 @@ const transactionData = {
 
       // Reset
       setCart([]);
+      setTenders([]);
       setCustomerPaid('');
+      setPaymentType('cash');
+      setCouponCode('');
       await loadProducts();
       await loadDashboardData(); // Refresh dashboard data
       
-      if (paymentType === 'cash') {
+      if (captured.length > 1) {
+        toast.success(`Split payment processed: ${captured.map(tender => `${tenderLabel(tender.method)} Rs. ${tender.amount.toLocaleString()}`).join(', ')}`);
+      } else if (captured[0].method === 'cash') {
         toast.success('Payment processed successfully!');
       } else {
-        toast.success(`${paymentType.toUpperCase()} payment processed successfully!`);
+        toast.success(`${tenderLabel(captured[0].method)} payment processed successfully!`);
+      }
+      if (sale.status === OUTBOX_STATUS.PENDING) {
+        toast.warning(`Sale saved on this till as ${sale.localNumber}, it will sync when the connection is back`);
+      } else if (sale.status === OUTBOX_STATUS.CONFLICT) {
+        toast.warning(`Sale ${sale.localNumber} needs a manager to review: ${sale.lastError}`);
+      }
+      if (sale.pointsEarned) {
+        toast.info(`${selectedCustomer.name} earned ${sale.pointsEarned} loyalty points`);
       }
       
       // Handle receipt printing based on configuration
+      const receipt = { ...transactionData, id: sale.serverId, localNumber: sale.localNumber };
       if (receiptConfig.autoPrint) {
-        printReceipt(transactionData);
+        printReceipt(receipt);
       } else {
-        showReceiptPreviewModal(transactionData);
+        showReceiptPreviewModal(receipt);
       }
     } catch (err) {
       toast.error('Payment processing failed');
@@ -389,8 +658,13 @@ const transactionData = {
   };
 
 const generateReceiptHTML = (transaction) => {
-    const receiptNumber = `RCP-${Date.now()}`;
+    // Receipts carry the transaction's own code so a return can scan it back
+    const receiptNumber = receiptCodeFor(transaction) || `RCP-${Date.now()}`;
+    const isReturn = transaction.type === 'return';
     const currentDate = new Date().toLocaleString();
+    // Older transactions and previews carry no tax snapshot, so price them with today's rules
+    const tax = transaction.tax || calculateTax(transaction.items, taxSettings, { applied: transaction.promotions || [] });
+    const registration = tax.registration || taxSettings;
     
     const receiptStyles = receiptConfig.receiptFormat === 'thermal' ? `
       <style>
@@ -424,6 +698,7 @@ const generateReceiptHTML = (transaction) => {
         .total-row { display: flex; justify-content: space-between; font-weight: bold; }
         .footer { text-align: center; margin-top: 10px; font-size: 10px; }
         .receipt-number { font-size: 10px; text-align: center; margin-top: 5px; }
+        .barcode { text-align: center; margin-top: 8px; }
       </style>
     ` : `
       <style>
@@ -460,6 +735,7 @@ const generateReceiptHTML = (transaction) => {
         .footer { text-align: center; margin-top: 20px; padding-top: 15px; border-top: 1px solid #eee; }
         .footer-message { font-style: italic; color: #666; }
         .receipt-number { font-size: 10px; color: #999; margin-top: 10px; }
+        .barcode { text-align: center; margin-top: 10px; }
       </style>
     `;
 
@@ -477,17 +753,20 @@ const generateReceiptHTML = (transaction) => {
             <div class="store-info">
               ${receiptConfig.storeAddress}<br>
               ${receiptConfig.storePhone}<br>
-              ${receiptConfig.storeEmail}
+              ${receiptConfig.storeEmail}<br>
+              NTN: ${registration.ntn} • STRN: ${registration.strn}
             </div>
           </div>
 
           <div class="divider"></div>
 
           <div class="transaction-info">
+            ${isReturn ? `<div><strong>RETURN${transaction.exchangeValue > 0 ? ' / EXCHANGE' : ''}</strong> against ${transaction.originalReceipt}</div>` : ''}
             <div>Receipt #: ${receiptNumber}</div>
             <div>Date: ${currentDate}</div>
-            <div>Cashier: ${transaction.cashierId}</div>
-            <div>Payment: ${transaction.paymentType.toUpperCase()}</div>
+            <div>Cashier: ${transaction.cashierName || transaction.cashierId}</div>
+            <div>Payment: ${transaction.paymentType === SPLIT_PAYMENT ? 'SPLIT' : tenderLabel(transaction.paymentType).toUpperCase()}</div>
+            ${transaction.approvedBy ? `<div>Approved by: ${transaction.approvedBy}</div>` : ''}
           </div>
 
           <div class="divider"></div>
@@ -496,32 +775,48 @@ const generateReceiptHTML = (transaction) => {
             ${transaction.items.map(item => `
               <div class="item-row">
                 <div class="item-details">
-                  <div class="item-name">${item.name}</div>
-                  <div class="item-subtitle">${item.quantity} x Rs. ${item.price.toLocaleString()}</div>
+                  <div class="item-name">${item.returned ? 'Returned: ' : ''}${item.name}</div>
+                  <div class="item-subtitle">${describeLineQuantity(item)}</div>
                 </div>
-                <div class="item-price">Rs. ${(item.price * item.quantity).toLocaleString()}</div>
+                <div class="item-price">${item.returned ? `-Rs. ${item.refund.toLocaleString()}` : `Rs. ${lineAmount(item).toLocaleString()}`}</div>
               </div>
             `).join('')}
           </div>
 
           <div class="total-section">
+            ${isReturn ? `
+              <div class="total-row">
+                <span>Returned goods:</span>
+                <span>-Rs. ${transaction.returnedValue.toLocaleString()}</span>
+              </div>
+            ` : ''}
             <div class="total-row">
-              <span>Subtotal:</span>
-              <span>Rs. ${transaction.total.toLocaleString()}</span>
-            </div>
-            <div class="total-row">
-              <span>Tax (0%):</span>
-              <span>Rs. 0</span>
+              <span>${isReturn ? 'Exchange goods' : 'Subtotal'}:</span>
+              <span>Rs. ${(transaction.subtotal ?? transaction.total).toLocaleString()}</span>
             </div>
+            ${(transaction.promotions || []).filter(promotion => promotion.savings > 0).map(promotion => `
+              <div class="total-row">
+                <span>${promotion.name}${promotion.productName ? ` (${promotion.productName})` : ''}:</span>
+                <span>-Rs. ${promotion.savings.toLocaleString()}</span>
+              </div>
+            `).join('')}
+            ${tax.breakdown.map(entry => `
+              <div class="total-row">
+                <span>${entry.rate > 0 ? `GST ${entry.rate}%${tax.pricesIncludeTax ? ' incl.' : ''}` : entry.name} on Rs. ${entry.net.toLocaleString()}:</span>
+                <span>Rs. ${entry.tax.toLocaleString()}</span>
+              </div>
+            `).join('')}
             <div class="total-row final-total">
-              <span>Total:</span>
-              <span>Rs. ${transaction.total.toLocaleString()}</span>
+              <span>${transaction.total < 0 ? 'Refund' : 'Total'}:</span>
+              <span>Rs. ${Math.abs(transaction.total).toLocaleString()}</span>
             </div>
-            ${transaction.paymentType === 'cash' ? `
+            ${transactionTenders(transaction).filter(tender => tender.amount !== 0).map(tender => `
               <div class="total-row">
-                <span>Paid:</span>
-                <span>Rs. ${transaction.customerPaid.toLocaleString()}</span>
+                <span>${tender.amount < 0 ? 'Refunded to ' : ''}${tenderLabel(tender.method)}${tender.result?.cardLast4 ? ` ****${tender.result.cardLast4}` : ''}:</span>
+                <span>Rs. ${Math.abs(tender.tendered ?? tender.amount).toLocaleString()}</span>
               </div>
+            `).join('')}
+            ${transaction.change > 0 ? `
               <div class="total-row">
                 <span>Change:</span>
                 <span>Rs. ${transaction.change.toLocaleString()}</span>
@@ -532,6 +827,7 @@ const generateReceiptHTML = (transaction) => {
           <div class="footer">
             <div class="footer-message">${receiptConfig.footerMessage}</div>
             <div class="receipt-number">Receipt #: ${receiptNumber}</div>
+            ${receiptConfig.includeBarcode ? `<div class="barcode">${code39Svg(receiptNumber)}</div>` : ''}
           </div>
         </body>
       </html>
@@ -588,6 +884,18 @@ const generateReceiptHTML = (transaction) => {
     }
   };
 
+  // A return or exchange has been booked: stock and takings changed, and the customer gets a receipt
+  const completeReturn = async (transaction) => {
+    setShowReturns(false);
+    await loadProducts();
+    await loadDashboardData();
+    if (receiptConfig.autoPrint) {
+      printReceipt(transaction);
+    } else {
+      showReceiptPreviewModal(transaction);
+    }
+  };
+
   const reprintLastReceipt = () => {
     if (lastTransaction) {
       printReceipt(lastTransaction);
@@ -652,6 +960,9 @@ return (
         </div>
       </div>
 
+      <RegisterSessionPanel onSessionChange={setRegisterSession} />
+      <PosSyncStatus onSynced={() => { loadProducts(); loadDashboardData(); }} />
+
       {/* Stock Alerts */}
       {stockAlerts.length > 0 && (
         <div className="bg-warning bg-opacity-10 border border-warning rounded-lg p-4 mb-6">
@@ -737,7 +1048,22 @@ return (
         {/* Cart Section */}
         <div className="lg:col-span-1">
           <div className="card p-6 sticky top-6">
-            <h2 className="text-xl font-semibold text-gray-900 mb-4">Cart</h2>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-900">Cart</h2>
+              <Button variant="outline" size="small" icon="Undo2" onClick={() => setShowReturns(true)}>
+                Returns
+              </Button>
+            </div>
+            <CartSwitcher
+              carts={carts}
+              activeCartId={activeCart.id}
+              registerId={registerSession?.registerId || posSyncService.terminalId}
+              onSwitch={switchCart}
+              onNew={openNewCart}
+              onClose={closeCart}
+              onParked={emptyCart}
+              onResume={resumeParkedSale}
+            />
 
             {cart.length === 0 ? (
               <div className="text-center py-8">
@@ -751,18 +1077,37 @@ return (
                     <div key={item.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg">
                       <div className="flex-1">
                         <p className="font-medium text-sm text-gray-900">{item.name}</p>
-                        <p className="text-xs text-gray-600">Rs. {item.price.toLocaleString()}</p>
+                        <p className="text-xs text-gray-600">
+                          Rs. {item.price.toLocaleString()}{isVariableMeasure(item.unit) ? `/${item.unit} • Rs. ${lineAmount(item).toLocaleString()}` : ''}
+                        </p>
                       </div>
                       <div className="flex items-center space-x-2">
                         <button
-                          onClick={() => updateQuantity(item.id, item.quantity - 1)}
+                          onClick={() => updateQuantity(item.id, stepQuantity(item.quantity, item.unit, -1))}
                           className="p-1 rounded hover:bg-gray-200"
                         >
                           <ApperIcon name="Minus" size={14} />
                         </button>
-                        <span className="w-8 text-center text-sm">{item.quantity}</span>
+                        {isVariableMeasure(item.unit) ? (
+                          // Weight off the counter scale, snapped to the unit's increments
+                          <input
+                            key={item.quantity}
+                            type="number"
+                            min="0"
+                            step="any"
+                            defaultValue={item.quantity}
+                            onBlur={(e) => {
+                              const value = Number(e.target.value);
+                              if (value !== item.quantity) updateQuantity(item.id, normalizeQuantity(value, item.unit));
+                            }}
+                            className="w-16 text-center text-sm border border-gray-300 rounded px-1 py-0.5"
+                            aria-label={`${item.name} quantity in ${item.unit}`}
+                          />
+                        ) : (
+                          <span className="w-8 text-center text-sm">{item.quantity}</span>
+                        )}
                         <button
-                          onClick={() => updateQuantity(item.id, item.quantity + 1)}
+                          onClick={() => updateQuantity(item.id, stepQuantity(item.quantity, item.unit, 1))}
                           className="p-1 rounded hover:bg-gray-200"
                         >
                           <ApperIcon name="Plus" size={14} />
@@ -779,6 +1124,23 @@ return (
                 </div>
 
                 <div className="border-t border-gray-200 pt-4 mb-6">
+                  <div className="flex justify-between items-center mb-2 text-sm text-gray-600">
+                    <span>Subtotal</span>
+                    <span>Rs. {getPricing().subtotal.toLocaleString()}</span>
+                  </div>
+                  <div className="mb-4">
+                    <PromotionSummary
+                      compact
+                      applied={getPricing().applied}
+                      coupon={getPricing().coupon}
+                      couponCode={couponCode}
+                      onApplyCoupon={handleApplyCoupon}
+                      onRemoveCoupon={() => setCouponCode('')}
+                    />
+                  </div>
+                  <div className="mb-4">
+                    <TaxBreakdown tax={getTax()} compact />
+                  </div>
                   <div className="flex justify-between items-center mb-4">
                     <span className="text-xl font-bold text-gray-900">Total</span>
                     <span className="text-2xl font-bold gradient-text">
@@ -787,6 +1149,44 @@ return (
                   </div>
 
                   <div className="space-y-4">
+                    {tenders.length > 0 && (
+                      <div className="space-y-2">
+                        {tenders.map((tender, index) => (
+                          <div key={index} className="flex items-center justify-between p-2 bg-green-50 rounded-lg text-sm">
+                            <div>
+                              <p className="font-medium">{tenderLabel(tender.method)}</p>
+                              {tender.change > 0 && (
+                                <p className="text-xs text-gray-600">
+                                  Tendered Rs. {tender.tendered.toLocaleString()} · Change Rs. {tender.change.toLocaleString()}
+                                </p>
+                              )}
+                            </div>
+                            <div className="flex items-center space-x-2">
+                              <span className="font-semibold">Rs. {tender.amount.toLocaleString()}</span>
+                              <Button
+                                variant="ghost"
+                                size="small"
+                                icon="X"
+                                disabled={processingPayment}
+                                onClick={() => removeTender(index)}
+                              />
+                            </div>
+                          </div>
+                        ))}
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600">Paid</span>
+                          <span className="font-semibold">Rs. {getTenderSummary().paid.toLocaleString()}</span>
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm font-medium text-gray-700">Remaining Due</span>
+                      <span className={`font-bold ${getTenderSummary().remaining > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        Rs. {getTenderSummary().remaining.toLocaleString()}
+                      </span>
+                    </div>
+
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">
                         Payment Method
@@ -796,36 +1196,42 @@ return (
                         onChange={(e) => setPaymentType(e.target.value)}
                         className="input-field"
                       >
-                        <option value="cash">Cash</option>
-                        <option value="card">Credit/Debit Card</option>
-                        <option value="jazzcash">JazzCash</option>
-                        <option value="easypaisa">EasyPaisa</option>
-                        <option value="sadapay">SadaPay</option>
-                        <option value="bank">Bank Transfer</option>
+                        {TENDER_METHODS.map(method => (
+                          <option key={method.value} value={method.value}>{method.label}</option>
+                        ))}
                       </select>
                     </div>
 
-                    {paymentType === 'cash' && (
-                      <div>
-                        <Input
-                          label="Customer Paid"
-                          type="number"
-                          step="0.01"
-                          value={customerPaid}
-                          onChange={(e) => setCustomerPaid(e.target.value)}
-                          icon="Banknote"
-                        />
-                        {customerPaid && (
-                          <div className="mt-2 text-sm">
-                            <p className="text-gray-600">
-                              Change: <span className="font-semibold text-green-600">
-                                Rs. {getChange().toLocaleString()}
-                              </span>
-                            </p>
-                          </div>
-                        )}
-                      </div>
-                    )}
+                    <div>
+                      <Input
+                        label={paymentType === 'cash' ? 'Customer Paid' : 'Amount'}
+                        type="number"
+                        step="0.01"
+                        value={customerPaid}
+                        onChange={(e) => setCustomerPaid(e.target.value)}
+                        placeholder={`Rs. ${getTenderSummary().remaining.toLocaleString()} (rest due)`}
+                        icon="Banknote"
+                      />
+                      {paymentType === 'cash' && customerPaid && (
+                        <div className="mt-2 text-sm">
+                          <p className="text-gray-600">
+                            Change: <span className="font-semibold text-green-600">
+                              Rs. {getChange().toLocaleString()}
+                            </span>
+                          </p>
+                        </div>
+                      )}
+                      <Button
+                        variant="outline"
+                        size="small"
+                        icon="SplitSquareHorizontal"
+                        onClick={addTender}
+                        disabled={processingPayment || getTenderSummary().remaining <= 0}
+                        className="w-full mt-2"
+                      >
+                        Add Tender
+                      </Button>
+                    </div>
 {/* Customer Selection */}
                     <div className="mb-4">
                       <div className="flex items-center justify-between mb-2">
@@ -887,7 +1293,7 @@ return (
                       loading={processingPayment}
                       className="w-full"
                     >
-                      Process Payment
+                      {tenders.length > 0 && getTenderSummary().remaining <= 0 ? 'Complete Sale' : 'Process Payment'}
                     </Button>
                     
                     {printStatus && (
@@ -1112,6 +1518,15 @@ return (
         onClose={() => setShowBarcodeScanner(false)}
       />
 
+      {showReturns && (
+        <PosReturnPanel
+          products={products}
+          registerSession={registerSession}
+          onCompleted={completeReturn}
+          onClose={() => setShowReturns(false)}
+        />
+      )}
+
       {/* Receipt Preview Modal */}
       {showReceiptPreview && previewTransaction && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1135,37 +1550,39 @@ return (
               
               <div className="border-t border-gray-300 pt-3 mb-3">
                 <p className="text-sm">Date: {new Date().toLocaleString()}</p>
-                <p className="text-sm">Payment: {previewTransaction.paymentType.toUpperCase()}</p>
+                <p className="text-sm">Payment: {previewTransaction.paymentType === SPLIT_PAYMENT ? 'SPLIT' : tenderLabel(previewTransaction.paymentType).toUpperCase()}</p>
               </div>
               
               <div className="space-y-2 mb-3">
                 {previewTransaction.items.map((item, index) => (
                   <div key={index} className="flex justify-between text-sm">
                     <div>
-                      <div className="font-medium">{item.name}</div>
-                      <div className="text-gray-600">{item.quantity} x Rs. {item.price.toLocaleString()}</div>
+                      <div className="font-medium">{item.returned && 'Returned: '}{item.name}</div>
+                      <div className="text-gray-600">{describeLineQuantity(item)}</div>
+                    </div>
+                    <div className="font-medium">
+                      {item.returned ? `-Rs. ${item.refund.toLocaleString()}` : `Rs. ${lineAmount(item).toLocaleString()}`}
                     </div>
-                    <div className="font-medium">Rs. {(item.price * item.quantity).toLocaleString()}</div>
                   </div>
                 ))}
               </div>
               
               <div className="border-t border-gray-300 pt-3">
                 <div className="flex justify-between font-bold text-lg text-primary">
-                  <span>Total:</span>
-                  <span>Rs. {previewTransaction.total.toLocaleString()}</span>
+                  <span>{previewTransaction.total < 0 ? 'Refund' : 'Total'}:</span>
+                  <span>Rs. {Math.abs(previewTransaction.total).toLocaleString()}</span>
                 </div>
-                {previewTransaction.paymentType === 'cash' && (
-                  <>
-                    <div className="flex justify-between text-sm">
-                      <span>Paid:</span>
-                      <span>Rs. {previewTransaction.customerPaid.toLocaleString()}</span>
-                    </div>
-                    <div className="flex justify-between text-sm">
-                      <span>Change:</span>
-                      <span>Rs. {previewTransaction.change.toLocaleString()}</span>
-                    </div>
-                  </>
+                {transactionTenders(previewTransaction).filter(tender => tender.amount !== 0).map((tender, index) => (
+                  <div key={index} className="flex justify-between text-sm">
+                    <span>{tender.amount < 0 && 'Refunded to '}{tenderLabel(tender.method)}:</span>
+                    <span>Rs. {Math.abs(tender.tendered ?? tender.amount).toLocaleString()}</span>
+                  </div>
+                ))}
+                {previewTransaction.change > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span>Change:</span>
+                    <span>Rs. {previewTransaction.change.toLocaleString()}</span>
+                  </div>
                 )}
               </div>
               
@@ -1406,6 +1823,15 @@ return (
                     <p className="text-lg font-semibold">{selectedCustomer.lastVisit}</p>
                     <p className="text-sm text-gray-600">Last Visit</p>
                   </div>
+                  {customerLoyalty && (
+                    <div className="text-center col-span-2">
+                      <p className="text-lg font-semibold">
+                        {customerLoyalty.balance.toLocaleString()} points
+                        <span className="ml-2 text-sm font-normal text-gray-600">{customerLoyalty.tier.name} tier</span>
+                      </p>
+                      <p className="text-sm text-gray-600">Loyalty Balance</p>
+                    </div>
+                  )}
                 </div>
 
                 <div className="flex space-x-2">
@@ -7,8 +7,10 @@ import Button from "@/components/atoms/Button";
 import Input from "@/components/atoms/Input";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
+import ReturnsPanel from "@/components/organisms/ReturnsPanel";
 import { orderService } from "@/services/api/orderService";
 import { paymentService } from "@/services/api/paymentService";
+import { returnService } from "@/services/api/returnService";
 
 // Payment Gateway Management Component
 const PaymentGatewayManagement = ({ paymentMethods, onGatewayUpdate }) => {
@@ -349,10 +351,6 @@ const [stats, setStats] = useState({
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 const [filterMethod, setFilterMethod] = useState('all');
-  const [selectedTransactionId, setSelectedTransactionId] = useState(null);
-  const [refundAmount, setRefundAmount] = useState('');
-  const [refundReason, setRefundReason] = useState('');
-  const [processingRefund, setProcessingRefund] = useState(false);
   const [showImageModal, setShowImageModal] = useState(false);
   const [selectedImage, setSelectedImage] = useState(null);
   const [showRejectionModal, setShowRejectionModal] = useState(false);
@@ -378,11 +376,10 @@ const [filterMethod, setFilterMethod] = useState('all');
       setLoading(true);
       setError(null);
 
-      const [allTransactions, walletTxns, methods, orders, verifications] = await Promise.all([
+      const [allTransactions, walletTxns, methods, verifications] = await Promise.all([
         paymentService.getAllTransactions(),
         paymentService.getWalletTransactions(),
         paymentService.getAvailablePaymentMethods(),
-        orderService.getAll(),
         orderService.getPendingVerifications()
       ]);
 
@@ -392,7 +389,7 @@ const [filterMethod, setFilterMethod] = useState('all');
       const successfulTxns = allTransactions.filter(t => t.status === 'completed');
       const failedTxns = allTransactions.filter(t => t.status === 'failed');
       const totalRevenue = successfulTxns.reduce((sum, t) => sum + t.amount, 0);
-      const pendingRefunds = orders.filter(o => o.refundRequested).length;
+      const pendingRefunds = await returnService.getOpenCount();
       const pendingVerificationsCount = verifications.length;
 
       setStats({
@@ -441,27 +438,6 @@ useEffect(() => {
       toast.error('Failed to copy transaction ID');
     }
   };
-  const handleRefundProcess = async (orderId) => {
-    if (!refundAmount || !refundReason) {
-      toast.error('Please provide refund amount and reason');
-      return;
-    }
-
-    setProcessingRefund(true);
-    try {
-      await orderService.processRefund(parseInt(orderId), parseFloat(refundAmount), refundReason);
-      toast.success('Refund processed successfully');
-      setRefundAmount('');
-      setRefundReason('');
-      setSelectedTransactionId(null);
-      loadPaymentData();
-} catch (error) {
-      toast.error(error.message || 'Failed to process refund');
-    } finally {
-      setProcessingRefund(false);
-    }
-  };
-
 const handleVerificationAction = async (orderId, action, notes = '') => {
     if (action === 'reject') {
       // Open rejection reason modal
@@ -888,82 +864,7 @@ const handleVerificationAction = async (orderId, action, notes = '') => {
         )}
 
         {activeTab === 'refunds' && (
-          <div className="card p-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-6">Process Refunds</h3>
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-              <div>
-                <h4 className="font-medium text-gray-900 mb-4">Refund Request</h4>
-                <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Order ID
-                    </label>
-                    <Input
-                      placeholder="Enter order ID"
-                      value={selectedTransactionId || ''}
-                      onChange={(e) => setSelectedTransactionId(e.target.value)}
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Refund Amount
-                    </label>
-                    <Input
-                      type="number"
-                      placeholder="Enter refund amount"
-                      value={refundAmount}
-                      onChange={(e) => setRefundAmount(e.target.value)}
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Reason
-                    </label>
-                    <textarea
-                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
-                      rows="3"
-                      placeholder="Enter refund reason"
-                      value={refundReason}
-                      onChange={(e) => setRefundReason(e.target.value)}
-                    />
-                  </div>
-                  <Button
-                    onClick={() => handleRefundProcess(selectedTransactionId)}
-                    disabled={processingRefund || !selectedTransactionId || !refundAmount || !refundReason}
-                    className="w-full"
-                  >
-                    {processingRefund ? (
-                      <>
-                        <ApperIcon name="Loader" size={16} className="mr-2 animate-spin" />
-                        Processing...
-                      </>
-                    ) : (
-                      <>
-                        <ApperIcon name="RefreshCw" size={16} className="mr-2" />
-                        Process Refund
-                      </>
-                    )}
-                  </Button>
-                </div>
-              </div>
-              <div>
-                <h4 className="font-medium text-gray-900 mb-4">Recent Refunds</h4>
-                <div className="space-y-3">
-                  {stats.pendingRefunds > 0 ? (
-                    <div className="text-center py-8">
-                      <ApperIcon name="RefreshCw" size={48} className="text-orange-400 mx-auto mb-4" />
-                      <p className="text-gray-600">{stats.pendingRefunds} pending refunds</p>
-                    </div>
-                  ) : (
-                    <div className="text-center py-8">
-                      <ApperIcon name="CheckCircle" size={48} className="text-green-400 mx-auto mb-4" />
-                      <p className="text-gray-600">No pending refunds</p>
-                    </div>
-                  )}
-                </div>
-              </div>
-            </div>
-</div>
+          <ReturnsPanel onChange={loadPaymentData} />
         )}
 
         {activeTab === 'verification' && (
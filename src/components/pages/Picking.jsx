@@ -0,0 +1,380 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import Error from "@/components/ui/Error";
+import Loading from "@/components/ui/Loading";
+import BarcodeScanner from "@/components/molecules/BarcodeScanner";
+import { formatQuantity, isVariableMeasure, isWeighed } from "@/services/api/measureUnits";
+import {
+  PICK_STATUS,
+  PICK_STATUS_LABELS,
+  pickingService,
+  SUBSTITUTION_LABELS,
+  SUBSTITUTION_MODES
+} from "@/services/api/pickingService";
+
+const STATUS_VARIANTS = {
+  [PICK_STATUS.PENDING]: 'default',
+  [PICK_STATUS.PICKED]: 'success',
+  [PICK_STATUS.SUBSTITUTED]: 'info',
+  [PICK_STATUS.MISSING]: 'danger'
+};
+
+const formatMoney = (value) => `Rs. ${Math.round(value).toLocaleString()}`;
+
+// One order line of the pick list with the picker's draft quantity and substitute
+const PickLine = ({ line, working, onUpdate, onScan }) => {
+  const weighed = isWeighed(line);
+  const [quantity, setQuantity] = useState(line.pickedQuantity || line.orderedQuantity);
+  const [substituteId, setSubstituteId] = useState(line.substitute?.productId || line.alternatives[0]?.id || '');
+  const [substituteQuantity, setSubstituteQuantity] = useState(line.substitute?.quantity || Math.ceil(line.orderedQuantity - (line.pickedQuantity || 0)));
+  const canSubstitute = line.substitution.mode !== SUBSTITUTION_MODES.REFUND && line.alternatives.length > 0;
+  const preferred = line.substitution.mode === SUBSTITUTION_MODES.SPECIFIC && line.alternatives[0];
+
+  return (
+    <div className="py-4 space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="font-medium text-gray-900">
+            {line.name}
+            <span className="ml-2 text-xs font-normal text-gray-500">Order #{line.orderId}</span>
+          </p>
+          <p className="text-sm text-gray-600">
+            {formatQuantity(line.orderedQuantity, line.unit)} × {formatMoney(line.price)}
+            {weighed && <span className="ml-2 text-xs text-amber-600">Weigh at the scale</span>}
+          </p>
+          <p className="text-xs text-gray-500 mt-1 flex items-center">
+            <ApperIcon name="Repeat" size={12} className="mr-1" />
+            {SUBSTITUTION_LABELS[line.substitution.mode]}{preferred ? `: ${preferred.name}` : ''}
+          </p>
+        </div>
+        <Badge variant={STATUS_VARIANTS[line.status]} size="small">{PICK_STATUS_LABELS[line.status]}</Badge>
+      </div>
+
+      {line.status !== PICK_STATUS.PENDING && (
+        <p className="text-sm text-gray-700">
+          {line.pickedQuantity > 0 && `Picked ${formatQuantity(line.pickedQuantity, line.unit)} of ${line.orderedQuantity}`}
+          {line.substitute && `${line.pickedQuantity > 0 ? ' + ' : ''}${formatQuantity(line.substitute.quantity, line.substitute.unit)} ${line.substitute.name} at ${formatMoney(line.substitute.price)}`}
+          {line.status === PICK_STATUS.MISSING && 'None available, customer will be refunded'}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Button
+          size="small"
+          icon="ScanLine"
+          disabled={working}
+          onClick={() => onScan(line)}
+        >
+          Scan
+        </Button>
+        <input
+          type="number"
+          min="0"
+          step={isVariableMeasure(line.unit) ? '0.01' : '1'}
+          value={quantity}
+          onChange={(e) => setQuantity(e.target.value)}
+          className="input-field w-24"
+          aria-label={`Picked quantity of ${line.name}`}
+        />
+        <Button
+          size="small"
+          variant="outline"
+          icon="Check"
+          disabled={working}
+          onClick={() => onUpdate(line, { status: PICK_STATUS.PICKED, pickedQuantity: quantity })}
+        >
+          Picked
+        </Button>
+        <Button
+          size="small"
+          variant="outline"
+          icon="PackageX"
+          disabled={working}
+          onClick={() => onUpdate(line, { status: PICK_STATUS.MISSING })}
+        >
+          Missing
+        </Button>
+      </div>
+
+      {canSubstitute && (
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={substituteId}
+            onChange={(e) => setSubstituteId(parseInt(e.target.value))}
+            className="input-field w-auto"
+            disabled={line.substitution.mode === SUBSTITUTION_MODES.SPECIFIC}
+            aria-label={`Substitute for ${line.name}`}
+          >
+            {line.alternatives.map(product => (
+              <option key={product.id} value={product.id}>
+                {product.name} ({formatMoney(product.price)}/{product.unit}, {product.stock} in stock)
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={substituteQuantity}
+            onChange={(e) => setSubstituteQuantity(e.target.value)}
+            className="input-field w-24"
+            aria-label="Substitute quantity"
+          />
+          <Button
+            size="small"
+            variant="secondary"
+            icon="Repeat"
+            disabled={working}
+            onClick={() => onUpdate(line, {
+              status: PICK_STATUS.SUBSTITUTED,
+              // Any of the original already in the basket stays alongside the substitute
+              pickedQuantity: line.status === PICK_STATUS.PICKED ? line.pickedQuantity : 0,
+              substitute: { productId: substituteId, quantity: Number(substituteQuantity) }
+            })}
+          >
+            Substitute
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const describeSettlement = (settlement) => {
+  if (settlement.type === 'refund') {
+    return `${formatMoney(settlement.amount)} ${settlement.collectOnDelivery ? 'less to collect on delivery' : `refunded via ${settlement.method}`}`;
+  }
+  if (settlement.type === 'charge') {
+    return `${formatMoney(settlement.amount)} ${settlement.collectOnDelivery ? 'more to collect on delivery' : `charged via ${settlement.method}`}`;
+  }
+  return 'no price change';
+};
+
+// Store pickers batch confirmed orders into one walk of the shop, aisle by aisle,
+// confirming each line by barcode. Orders pack themselves once every line is done.
+const Picking = () => {
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [batchIds, setBatchIds] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [scanLine, setScanLine] = useState(null);
+
+  const loadQueue = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setQueue(await pickingService.getQueue());
+    } catch (err) {
+      console.error('Error loading picking queue:', err);
+      setError(err.message || 'Failed to load picking queue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadBatch = async (orderIds) => {
+    try {
+      setBatch(await pickingService.getBatch(orderIds));
+    } catch (err) {
+      toast.error(err.message || 'Failed to load pick list');
+    }
+  };
+
+  useEffect(() => {
+    loadQueue();
+  }, []);
+
+  useEffect(() => {
+    if (batchIds.length > 0) {
+      loadBatch(batchIds);
+    } else {
+      setBatch(null);
+    }
+  }, [batchIds]);
+
+  const toggleSelected = (orderId) => {
+    setSelectedIds(prev => prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]);
+  };
+
+  const handleStartBatch = () => {
+    setBatchIds([...selectedIds]);
+    setSelectedIds([]);
+  };
+
+  // Packed orders drop out of the batch and the queue
+  const handleResult = async ({ order }) => {
+    if (order) {
+      toast.success(`Order #${order.id} packed and ready for dispatch: ${describeSettlement(order.picking.settlement)}`);
+      setBatchIds(prev => prev.filter(id => id !== order.id));
+      await loadQueue();
+    } else {
+      await loadBatch(batchIds);
+    }
+  };
+
+  const runLineAction = async (action) => {
+    try {
+      setWorking(true);
+      await handleResult(await action());
+    } catch (err) {
+      toast.error(err.message || 'Failed to update line');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleUpdate = (line, update) => runLineAction(() =>
+    pickingService.updateLine(line.orderId, line.productId, update)
+  );
+
+  const handleScan = (barcode) => {
+    const line = scanLine;
+    setScanLine(null);
+    let weight = null;
+    if (isWeighed(line)) {
+      weight = window.prompt(`Weight of ${line.name} on the scale (${line.unit})`, line.orderedQuantity);
+      if (weight === null) return;
+    }
+    runLineAction(() => pickingService.scanLine(line.orderId, line.productId, barcode, { weight }));
+  };
+
+  if (loading) {
+    return <Loading type="default" />;
+  }
+
+  if (error) {
+    return <Error message={error} onRetry={loadQueue} />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Pick & Pack</h1>
+        <p className="text-gray-600">Batch confirmed orders, pick them aisle by aisle and pack them for dispatch</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="card p-4 lg:col-span-1 self-start">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-semibold text-gray-900">To Pick ({queue.length})</h2>
+            {queue.length > 0 && (
+              <button
+                onClick={() => setSelectedIds(selectedIds.length === queue.length ? [] : queue.map(order => order.id))}
+                className="text-sm text-primary hover:underline"
+              >
+                {selectedIds.length === queue.length ? 'Clear' : 'Select all'}
+              </button>
+            )}
+          </div>
+          {queue.length === 0 ? (
+            <div className="py-8 text-center text-gray-500">
+              <ApperIcon name="PackageCheck" size={40} className="mx-auto mb-3 text-gray-300" />
+              <p>No confirmed orders waiting</p>
+            </div>
+          ) : (
+            <>
+              <div className="space-y-2 mb-4">
+                {queue.map(order => (
+                  <label
+                    key={order.id}
+                    className={`flex items-start space-x-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+                      batchIds.includes(order.id) ? 'border-primary bg-primary/5' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(order.id)}
+                      onChange={() => toggleSelected(order.id)}
+                      className="mt-1"
+                    />
+                    <div className="flex-1">
+                      <div className="flex items-center justify-between">
+                        <span className="font-medium text-gray-900">Order #{order.id}</span>
+                        <span className="text-xs text-gray-600">{order.linesDone}/{order.linesTotal} lines</span>
+                      </div>
+                      <p className="text-sm text-gray-600">{order.deliveryAddress?.name || 'Customer'}</p>
+                      {order.deliverySlot && (
+                        <p className="text-xs text-gray-500">
+                          {format(new Date(order.deliverySlot.start), 'EEE, MMM dd')} • {order.deliverySlot.label}
+                        </p>
+                      )}
+                    </div>
+                  </label>
+                ))}
+              </div>
+              <Button
+                icon="ClipboardList"
+                className="w-full"
+                disabled={selectedIds.length === 0}
+                onClick={handleStartBatch}
+              >
+                Pick {selectedIds.length || ''} Selected
+              </Button>
+            </>
+          )}
+        </div>
+
+        <div className="card p-6 lg:col-span-2">
+          {!batch || batch.orders.length === 0 ? (
+            <div className="py-12 text-center text-gray-500">
+              <ApperIcon name="ClipboardCheck" size={48} className="mx-auto mb-4 text-gray-300" />
+              <p>Select orders to start a pick list</p>
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-6">
+                {batch.orders.map(({ order, totals, linesDone, linesTotal }) => (
+                  <div key={order.id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="font-medium text-gray-900">Order #{order.id}</span>
+                      <span className="text-gray-600">{linesDone}/{linesTotal} lines</span>
+                    </div>
+                    <p className="text-gray-600 capitalize">Paid by {order.paymentMethod}</p>
+                    <p className={totals.adjustment < 0 ? 'text-green-600' : totals.adjustment > 0 ? 'text-orange-600' : 'text-gray-600'}>
+                      Goods {formatMoney(totals.ordered)} → {formatMoney(totals.picked)}
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              {batch.groups.map(group => (
+                <div key={`${group.aisle}-${group.category}`} className="mb-4">
+                  <h3 className="flex items-center text-sm font-semibold text-gray-700 uppercase bg-gray-50 rounded px-3 py-2">
+                    <ApperIcon name="MapPin" size={14} className="mr-2" />
+                    {group.aisle} • {group.category}
+                  </h3>
+                  <div className="divide-y divide-gray-100">
+                    {group.lines.map(line => (
+                      <PickLine
+                        key={`${line.orderId}-${line.productId}-${line.status}`}
+                        line={line}
+                        working={working}
+                        onUpdate={handleUpdate}
+                        onScan={setScanLine}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+
+      <BarcodeScanner
+        isActive={Boolean(scanLine)}
+        onScan={handleScan}
+        onClose={() => setScanLine(null)}
+      />
+    </div>
+  );
+};
+
+export default Picking;
@@ -11,13 +11,26 @@ import Button from "@/components/atoms/Button";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Cart from "@/components/pages/Cart";
+import StarRating from "@/components/molecules/StarRating";
+import ProductReviews from "@/components/organisms/ProductReviews";
 import productService from "@/services/api/productService";
+import { CHANNELS, describePromotion, evaluatePromotions, PROMOTION_TYPES, promotionService } from "@/services/api/promotionService";
+import { formatQuantity, getUnitRule, stepQuantity } from "@/services/api/measureUnits";
+
+const PROMOTION_ICONS = {
+  [PROMOTION_TYPES.BUY_X_PAY_Y]: 'Gift',
+  [PROMOTION_TYPES.TIERED]: 'Layers',
+  [PROMOTION_TYPES.BUNDLE]: 'Package',
+  [PROMOTION_TYPES.PERCENTAGE]: 'Percent',
+  [PROMOTION_TYPES.FIXED]: 'Tag'
+};
 
 const ProductDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [product, setProduct] = useState(null);
   const [quantity, setQuantity] = useState(1);
+  const [promotions, setPromotions] = useState([]);
   
 const { productId } = useParams();
   const navigate = useNavigate();
@@ -36,6 +49,7 @@ const { productId } = useParams();
       setError(null);
       const data = await productService.getById(parseInt(productId));
       setProduct(data);
+      setPromotions(await promotionService.getProductPromotions(data, CHANNELS.ONLINE));
     } catch (err) {
       setError(err.message);
     } finally {
@@ -56,10 +70,10 @@ const handleAddToCart = () => {
       
       dispatch(addNotification({
         type: 'success',
-        message: `${quantity} x ${product.name} added to cart!`
+        message: `${formatQuantity(quantity, product.unit)} x ${product.name} added to cart!`
       }));
       
-      toast.success(`${quantity} x ${product.name} added to cart!`);
+      toast.success(`${formatQuantity(quantity, product.unit)} x ${product.name} added to cart!`);
     } catch (error) {
       toast.error('Failed to add item to cart');
     } finally {
@@ -80,48 +94,28 @@ const getPriceChange = () => {
     return null;
   };
 
+  // Headline deal: the first automatic promotion that targets this product directly
   const getActiveDeal = () => {
-    if (!product?.dealType || !product?.dealValue) return null;
-    
-    if (product.dealType === 'BOGO') {
-      return {
-        type: 'BOGO',
-        title: 'Buy 1 Get 1 FREE',
-        description: 'Add 2 items to get one absolutely free!',
-        icon: 'Gift',
-        color: 'success',
-        minQuantity: 2
-      };
-    } else if (product.dealType === 'Bundle') {
-      const [buyQty, payQty] = product.dealValue.split('for').map(x => parseInt(x.trim()));
-      return {
-        type: 'Bundle',
-        title: `${product.dealValue} Deal`,
-        description: `Buy ${buyQty} items, pay for only ${payQty}!`,
-        icon: 'Package',
-        color: 'primary',
-        minQuantity: buyQty,
-        saveCount: buyQty - payQty
-      };
-    }
-    
-    return null;
+    const promotion = promotions.find(p => p.type !== PROMOTION_TYPES.BUNDLE);
+    if (!promotion) return null;
+
+    return {
+      promotion,
+      title: promotion.name,
+      description: describePromotion(promotion),
+      icon: PROMOTION_ICONS[promotion.type] || 'Tag',
+      color: 'success'
+    };
   };
 
+  // Same engine as the cart, so the preview matches what checkout will charge
   const calculateDealSavings = (qty) => {
-    const deal = getActiveDeal();
-    if (!deal || qty < deal.minQuantity) return 0;
-    
-    if (deal.type === 'BOGO' && qty >= 2) {
-      const freeItems = Math.floor(qty / 2);
-      return freeItems * product.price;
-    } else if (deal.type === 'Bundle' && qty >= deal.minQuantity) {
-      const bundleSets = Math.floor(qty / deal.minQuantity);
-      const freeItems = bundleSets * deal.saveCount;
-      return freeItems * product.price;
-    }
-    
-    return 0;
+    if (!product || promotions.length === 0) return 0;
+    return evaluatePromotions(
+      [{ ...product, price: calculateEffectivePrice(product, 1), quantity: qty }],
+      promotions,
+      { channel: CHANNELS.ONLINE }
+    ).discountTotal;
   };
 
   if (loading) {
@@ -298,6 +292,12 @@ const activeDeal = getActiveDeal();
             <h1 className="text-4xl font-bold text-gray-900 mb-4">
               {product.name}
             </h1>
+            {product.reviewCount > 0 && (
+              <a href="#reviews" className="flex items-center space-x-2 text-sm text-gray-600 hover:text-primary">
+                <StarRating value={product.rating} />
+                <span>{product.rating.toFixed(1)} ({product.reviewCount} review{product.reviewCount === 1 ? '' : 's'})</span>
+              </a>
+            )}
           </div>
 {/* Pricing Hierarchy Display */}
           <div className="space-y-4">
@@ -335,10 +335,7 @@ const activeDeal = getActiveDeal();
             <DiscountSection 
               product={product} 
               quantity={quantity} 
-              onDiscountChange={(discount) => {
-                // Handle discount selection logic
-                console.log('Selected discount:', discount);
-              }}
+              promotions={promotions}
             />
             {/* Special Deal Information */}
             {activeDeal && (
@@ -349,7 +346,7 @@ const activeDeal = getActiveDeal();
                 </div>
                 <p className="text-sm text-green-700">{activeDeal.description}</p>
                 
-                {quantity >= activeDeal.minQuantity && (
+                {calculateDealSavings(quantity) > 0 && (
                   <div className="bg-white rounded-lg p-3 border border-green-200">
                     <div className="flex items-center justify-between">
                       <span className="text-sm font-medium text-green-800">Your Deal Savings:</span>
@@ -357,12 +354,7 @@ const activeDeal = getActiveDeal();
                         Rs. {calculateDealSavings(quantity).toLocaleString()}
                       </span>
                     </div>
-                    <p className="text-xs text-green-600 mt-1">
-                      {activeDeal.type === 'BOGO' 
-                        ? `You get ${Math.floor(quantity / 2)} free item${Math.floor(quantity / 2) > 1 ? 's' : ''}!`
-                        : `You save on ${Math.floor(quantity / activeDeal.minQuantity) * activeDeal.saveCount} item${Math.floor(quantity / activeDeal.minQuantity) * activeDeal.saveCount > 1 ? 's' : ''}!`
-                      }
-                    </p>
+                    <p className="text-xs text-green-600 mt-1">Applied automatically in your cart</p>
                   </div>
                 )}
               </div>
@@ -427,20 +419,20 @@ const activeDeal = getActiveDeal();
               </label>
               <div className="flex items-center space-x-3">
                 <button
-                  onClick={() => setQuantity(Math.max(1, quantity - 1))}
-                  disabled={quantity <= 1}
+                  onClick={() => setQuantity(Math.max(getUnitRule(product.unit).min, stepQuantity(quantity, product.unit, -1)))}
+                  disabled={quantity <= getUnitRule(product.unit).min}
                   className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <ApperIcon name="Minus" size={16} />
                 </button>
                 
                 <span className="text-xl font-semibold min-w-[3rem] text-center">
-                  {quantity}
+                  {formatQuantity(quantity, product.unit)}
                 </span>
                 
                 <button
-                  onClick={() => setQuantity(Math.min(product.stock, quantity + 1))}
-                  disabled={quantity >= product.stock}
+                  onClick={() => setQuantity(Math.min(product.stock, stepQuantity(quantity, product.unit, 1)))}
+                  disabled={stepQuantity(quantity, product.unit, 1) > product.stock}
                   className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <ApperIcon name="Plus" size={16} />
@@ -536,6 +528,8 @@ Add to Cart - Rs. {(calculateEffectivePrice(product, quantity) - calculateDealSa
           </div>
         </div>
 </div>
+
+      <ProductReviews productId={product.id} />
     </div>
   );
 };
@@ -748,425 +742,74 @@ const PricingHierarchyDisplay = ({ product, quantity, onPriceUpdate }) => {
   );
 };
 
-// Enhanced Discount Section Component with Offer Dropdown
-const DiscountSection = ({ product, quantity, onDiscountChange }) => {
-  const [selectedOffer, setSelectedOffer] = useState(null);
-  const [availableOffers, setAvailableOffers] = useState([]);
-  const [showOfferDropdown, setShowOfferDropdown] = useState(false);
-  const [appliedDiscounts, setAppliedDiscounts] = useState([]);
-
-  // Smart offer recommendations based on product and context
-  const generateSmartOffers = () => {
-    const now = new Date();
-    const isWeekend = now.getDay() === 0 || now.getDay() === 6;
-    const isRamadan = now.getMonth() === 2 || now.getMonth() === 3; // Approximate
-    const isEid = now.getMonth() === 4 && now.getDate() <= 15; // Approximate
-    
-    const baseOffers = [
-      {
-        id: 'percentage_10',
-        type: 'percentage',
-        value: 10,
-        title: '10% OFF',
-        description: 'Save 10% on this item',
-        icon: 'Percent',
-        color: 'sale',
-        conditions: { minQuantity: 1 }
-      },
-      {
-        id: 'percentage_15',
-        type: 'percentage',
-        value: 15,
-        title: '15% OFF',
-        description: 'Great savings on quality products',
-        icon: 'Tag',
-        color: 'promotional',
-        conditions: { minQuantity: 2 }
-      },
-      {
-        id: 'percentage_20',
-        type: 'percentage',
-        value: 20,
-        title: '20% OFF',
-        description: 'Maximum savings opportunity',
-        icon: 'Gift',
-        color: 'featured',
-        conditions: { minQuantity: 3 }
-      },
-      {
-        id: 'fixed_50',
-        type: 'fixed',
-        value: 50,
-        title: 'Rs. 50 OFF',
-        description: 'Instant discount of Rs. 50',
-        icon: 'DollarSign',
-        color: 'success',
-        conditions: { minAmount: 500 }
-      },
-      {
-        id: 'fixed_100',
-        type: 'fixed',
-        value: 100,
-        title: 'Rs. 100 OFF',
-        description: 'Big savings on your purchase',
-        icon: 'Award',
-        color: 'warning',
-        conditions: { minAmount: 1000 }
-      }
-    ];
-
-    // Category-specific offers
-    const categoryOffers = {
-      'Groceries': [
-        {
-          id: 'bulk_grocery',
-          type: 'percentage',
-          value: 12,
-          title: 'Bulk Grocery Deal',
-          description: '12% off on bulk grocery items',
-          icon: 'ShoppingCart',
-          color: 'info',
-          conditions: { minQuantity: 5 }
-        }
-      ],
-      'Fruits': [
-        {
-          id: 'fresh_fruit',
-          type: 'percentage',
-          value: 8,
-          title: 'Fresh Fruit Special',
-          description: 'Farm fresh discount',
-          icon: 'Apple',
-          color: 'success',
-          conditions: { minQuantity: 2 }
-        }
-      ],
-      'Vegetables': [
-        {
-          id: 'veggie_pack',
-          type: 'percentage',
-          value: 15,
-          title: 'Veggie Pack Deal',
-          description: 'Healthy choices, great prices',
-          icon: 'Leaf',
-          color: 'success',
-          conditions: { minQuantity: 3 }
-        }
-      ]
-    };
-
-    // Seasonal offers
-    const seasonalOffers = [];
-    
-    if (isRamadan) {
-      seasonalOffers.push({
-        id: 'ramadan_special',
-        type: 'percentage',
-        value: 25,
-        title: 'Ramadan Special',
-        description: 'Blessed month special discount',
-        icon: 'Star',
-        color: 'featured',
-        seasonal: true,
-        conditions: { minQuantity: 1 }
-      });
-    }
-
-    if (isEid) {
-      seasonalOffers.push({
-        id: 'eid_celebration',
-        type: 'percentage',
-        value: 30,
-        title: 'Eid Celebration',
-        description: 'Celebrate with amazing savings',
-        icon: 'Gift',
-        color: 'promotional',
-        seasonal: true,
-        conditions: { minQuantity: 1 }
-      });
-    }
-
-    if (isWeekend) {
-      seasonalOffers.push({
-        id: 'weekend_special',
-        type: 'percentage',
-        value: 18,
-        title: 'Weekend Special',
-        description: 'Weekend savings for families',
-        icon: 'Calendar',
-        color: 'warning',
-        conditions: { minQuantity: 2 }
-      });
-    }
-
-    // Combine all offers
-    const allOffers = [
-      ...baseOffers,
-      ...(categoryOffers[product.category] || []),
-      ...seasonalOffers
-    ];
-
-    // Filter offers based on current quantity and cart value
-    const cartValue = product.price * quantity;
-    return allOffers.filter(offer => {
-      const { minQuantity = 1, minAmount = 0 } = offer.conditions;
-      return quantity >= minQuantity && cartValue >= minAmount;
-    });
-  };
-
-  // Calculate discount amount
-  const calculateDiscount = (offer) => {
-    if (!offer) return 0;
-    
-    const totalPrice = product.price * quantity;
-    
-    if (offer.type === 'percentage') {
-      return (totalPrice * offer.value) / 100;
-    } else if (offer.type === 'fixed') {
-      return Math.min(offer.value, totalPrice);
-    }
-    
-    return 0;
-  };
+// Promotions that apply to this product; they are applied automatically in the cart
+const DiscountSection = ({ product, quantity, promotions }) => {
+  const [showOffers, setShowOffers] = useState(false);
 
-  // Calculate final price after discount
-  const calculateFinalPrice = (offer) => {
-    const discount = calculateDiscount(offer);
-    return (product.price * quantity) - discount;
-  };
+  const unitPrice = calculateEffectivePrice(product, 1);
+  const previewSavings = (promotion) => evaluatePromotions(
+    [{ ...product, price: unitPrice, quantity }],
+    [promotion],
+    { channel: CHANNELS.ONLINE }
+  ).discountTotal;
 
-  // Initialize offers on component mount
-  useEffect(() => {
-    const offers = generateSmartOffers();
-    setAvailableOffers(offers);
-    
-    // Auto-select best seasonal offer if available
-    const seasonalOffer = offers.find(offer => offer.seasonal);
-    if (seasonalOffer && !selectedOffer) {
-      setSelectedOffer(seasonalOffer);
-      onDiscountChange && onDiscountChange(seasonalOffer);
-    }
-  }, [product, quantity]);
-
-  const handleOfferSelect = (offer) => {
-    setSelectedOffer(offer);
-    setShowOfferDropdown(false);
-    onDiscountChange && onDiscountChange(offer);
-    
-    // Add to applied discounts if not already applied
-    if (!appliedDiscounts.find(d => d.id === offer.id)) {
-      setAppliedDiscounts(prev => [...prev, offer]);
-    }
-  };
-
-  const removeOffer = (offerId) => {
-    setAppliedDiscounts(prev => prev.filter(d => d.id !== offerId));
-    if (selectedOffer?.id === offerId) {
-      setSelectedOffer(null);
-      onDiscountChange && onDiscountChange(null);
-    }
-  };
+  if (promotions.length === 0) {
+    return null;
+  }
 
   return (
-    <div className="space-y-4">
-      {/* Offer Selection Dropdown */}
-      <div className="bg-gradient-to-r from-orange-50 to-red-50 p-4 rounded-lg border border-orange-200">
-        <div className="flex items-center justify-between mb-3">
-          <div className="flex items-center space-x-2">
-            <ApperIcon name="Tag" size={20} className="text-orange-600" />
-            <h4 className="font-medium text-gray-900">Available Offers</h4>
-            {availableOffers.length > 0 && (
-              <Badge variant="promotional" className="text-xs">
-                {availableOffers.length} offers
-              </Badge>
-            )}
-          </div>
-          <button
-            onClick={() => setShowOfferDropdown(!showOfferDropdown)}
-            className="flex items-center space-x-1 text-sm text-orange-600 hover:text-orange-800 transition-colors"
-          >
-            <span>Browse Offers</span>
-            <ApperIcon 
-              name={showOfferDropdown ? "ChevronUp" : "ChevronDown"} 
-              size={16} 
-            />
-          </button>
+    <div className="bg-gradient-to-r from-orange-50 to-red-50 p-4 rounded-lg border border-orange-200">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <ApperIcon name="Tag" size={20} className="text-orange-600" />
+          <h4 className="font-medium text-gray-900">Available Offers</h4>
+          <Badge variant="promotional" className="text-xs">
+            {promotions.length} {promotions.length === 1 ? 'offer' : 'offers'}
+          </Badge>
         </div>
+        <button
+          onClick={() => setShowOffers(!showOffers)}
+          className="flex items-center space-x-1 text-sm text-orange-600 hover:text-orange-800 transition-colors"
+        >
+          <span>{showOffers ? 'Hide' : 'View'} Offers</span>
+          <ApperIcon name={showOffers ? "ChevronUp" : "ChevronDown"} size={16} />
+        </button>
+      </div>
 
-        {/* Offer Dropdown */}
-        {showOfferDropdown && (
-          <div className="space-y-2 max-h-64 overflow-y-auto">
-            {availableOffers.map((offer) => (
-              <div
-                key={offer.id}
-                onClick={() => handleOfferSelect(offer)}
-                className={`p-3 rounded-lg border cursor-pointer transition-all hover:shadow-md ${
-                  selectedOffer?.id === offer.id
-                    ? 'border-orange-500 bg-orange-100'
-                    : 'border-gray-200 bg-white hover:border-orange-300'
-                }`}
-              >
+      {showOffers && (
+        <div className="space-y-2 mt-3">
+          {promotions.map(promotion => {
+            const savings = previewSavings(promotion);
+            return (
+              <div key={promotion.Id} className="p-3 rounded-lg border border-gray-200 bg-white">
                 <div className="flex items-center justify-between">
                   <div className="flex items-center space-x-3">
                     <div className="p-2 rounded-full bg-orange-100">
-                      <ApperIcon name={offer.icon} size={16} className="text-orange-600" />
+                      <ApperIcon name={PROMOTION_ICONS[promotion.type] || 'Tag'} size={16} className="text-orange-600" />
                     </div>
                     <div>
-                      <div className="flex items-center space-x-2">
-                        <span className="font-medium text-gray-900">{offer.title}</span>
-                        {offer.seasonal && (
-                          <Badge variant="featured" className="text-xs">Limited Time</Badge>
-                        )}
-                      </div>
-                      <p className="text-sm text-gray-600">{offer.description}</p>
-                      <p className="text-xs text-gray-500">
-                        Min quantity: {offer.conditions.minQuantity || 1}
-                        {offer.conditions.minAmount && ` • Min amount: Rs. ${offer.conditions.minAmount}`}
-                      </p>
+                      <span className="font-medium text-gray-900">{promotion.name}</span>
+                      <p className="text-sm text-gray-600">{describePromotion(promotion)}</p>
+                      {promotion.endDate && (
+                        <p className="text-xs text-gray-500">Ends {new Date(promotion.endDate).toLocaleDateString()}</p>
+                      )}
                     </div>
                   </div>
-                  <div className="text-right">
-                    <div className="text-lg font-bold text-green-600">
-                      Save Rs. {calculateDiscount(offer).toLocaleString()}
-                    </div>
-                    <div className="text-sm text-gray-500">
-                      Final: Rs. {calculateFinalPrice(offer).toLocaleString()}
-                    </div>
+                  <div className="text-right text-sm">
+                    {savings > 0 ? (
+                      <span className="font-bold text-green-600">Save Rs. {savings.toLocaleString()}</span>
+                    ) : (
+                      <span className="text-gray-500">
+                        {promotion.type === PROMOTION_TYPES.BUNDLE ? 'Mix in your cart' : 'Add more to unlock'}
+                      </span>
+                    )}
                   </div>
                 </div>
               </div>
-            ))}
-            
-            {availableOffers.length === 0 && (
-              <div className="text-center py-4 text-gray-500">
-                <ApperIcon name="Tag" size={32} className="mx-auto mb-2 text-gray-400" />
-                <p>No offers available for current selection</p>
-                <p className="text-sm">Try adding more items to unlock deals</p>
-              </div>
-            )}
-          </div>
-        )}
-
-        {/* Selected Offer Display */}
-        {selectedOffer && (
-          <div className="mt-4 p-3 bg-white rounded-lg border border-green-200">
-            <div className="flex items-center justify-between">
-              <div className="flex items-center space-x-3">
-                <Badge variant={selectedOffer.color} className="text-sm font-bold">
-                  {selectedOffer.title}
-                </Badge>
-                {selectedOffer.seasonal && (
-                  <Badge variant="warning" className="text-xs animate-pulse">
-                    Limited Time
-                  </Badge>
-                )}
-              </div>
-              <button
-                onClick={() => removeOffer(selectedOffer.id)}
-                className="text-gray-400 hover:text-red-500 transition-colors"
-              >
-                <ApperIcon name="X" size={16} />
-              </button>
-            </div>
-            <div className="mt-2 grid grid-cols-3 gap-4 text-sm">
-              <div>
-                <span className="text-gray-600">Original:</span>
-                <span className="ml-2 line-through text-gray-500">
-                  Rs. {(product.price * quantity).toLocaleString()}
-                </span>
-              </div>
-              <div>
-                <span className="text-gray-600">Discount:</span>
-                <span className="ml-2 font-medium text-red-600">
-                  -Rs. {calculateDiscount(selectedOffer).toLocaleString()}
-                </span>
-              </div>
-              <div>
-                <span className="text-gray-600">Final Price:</span>
-                <span className="ml-2 font-bold text-green-600">
-                  Rs. {calculateFinalPrice(selectedOffer).toLocaleString()}
-                </span>
-              </div>
-            </div>
-          </div>
-        )}
-      </div>
-
-      {/* Offer Stack Display */}
-      {appliedDiscounts.length > 1 && (
-        <div className="bg-gradient-to-r from-purple-50 to-indigo-50 p-4 rounded-lg border border-purple-200">
-          <div className="flex items-center space-x-2 mb-3">
-            <ApperIcon name="Layers" size={16} className="text-purple-600" />
-            <span className="font-medium text-gray-900">Offer Stack</span>
-            <Badge variant="featured" className="text-xs">Multiple Discounts</Badge>
-          </div>
-          <div className="space-y-2">
-            {appliedDiscounts.map((discount, index) => (
-              <div key={discount.id} className="flex items-center justify-between text-sm">
-                <span className="text-gray-700">{discount.title}</span>
-                <div className="flex items-center space-x-2">
-                  <span className="text-green-600 font-medium">
-                    -Rs. {calculateDiscount(discount).toLocaleString()}
-                  </span>
-                  <button
-                    onClick={() => removeOffer(discount.id)}
-                    className="text-gray-400 hover:text-red-500"
-                  >
-                    <ApperIcon name="X" size={12} />
-                  </button>
-                </div>
-              </div>
-            ))}
-            <div className="pt-2 border-t border-purple-200">
-              <div className="flex items-center justify-between font-bold">
-                <span>Total Savings:</span>
-                <span className="text-green-600">
-                  -Rs. {appliedDiscounts.reduce((total, discount) => 
-                    total + calculateDiscount(discount), 0).toLocaleString()}
-                </span>
-              </div>
-            </div>
-          </div>
+            );
+          })}
         </div>
       )}
-
-      {/* Quick Action Buttons */}
-      <div className="flex flex-wrap gap-2">
-        <button
-          onClick={() => setShowOfferDropdown(!showOfferDropdown)}
-          className="px-3 py-1 bg-orange-100 text-orange-700 rounded-full text-sm hover:bg-orange-200 transition-colors"
-        >
-          <ApperIcon name="Search" size={12} className="inline mr-1" />
-          Browse All Offers
-        </button>
-        
-        {availableOffers.some(offer => offer.seasonal) && (
-          <button
-            onClick={() => {
-              const seasonalOffer = availableOffers.find(offer => offer.seasonal);
-              if (seasonalOffer) handleOfferSelect(seasonalOffer);
-            }}
-            className="px-3 py-1 bg-purple-100 text-purple-700 rounded-full text-sm hover:bg-purple-200 transition-colors animate-pulse"
-          >
-            <ApperIcon name="Star" size={12} className="inline mr-1" />
-            Apply Seasonal Deal
-          </button>
-        )}
-        
-        {selectedOffer && (
-          <button
-            onClick={() => {
-              setSelectedOffer(null);
-              setAppliedDiscounts([]);
-              onDiscountChange && onDiscountChange(null);
-            }}
-            className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm hover:bg-gray-200 transition-colors"
-          >
-            <ApperIcon name="RotateCcw" size={12} className="inline mr-1" />
-            Clear Offers
-          </button>
-        )}
-      </div>
     </div>
   );
 };
@@ -11,6 +11,8 @@ import Cart from "@/components/pages/Cart";
 import Category from "@/components/pages/Category";
 import Checkout from "@/components/pages/Checkout";
 import productService from "@/services/api/productService";
+import { inventoryService, isPerishable, MOVEMENT_LABELS, MOVEMENT_TYPES } from "@/services/api/inventoryService";
+import { roundQuantity } from "@/services/api/measureUnits";
 function Switch({ checked, onChange, color = 'primary', disabled = false, ...props }) {
   const baseClasses = "relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2";
   const colorClasses = {
@@ -51,6 +53,7 @@ const ProductManagement = () => {
   const [showBulkPriceModal, setShowBulkPriceModal] = useState(false);
   const [showBulkPriceManager, setShowBulkPriceManager] = useState(false);
   const [pendingVisibilityToggles, setPendingVisibilityToggles] = useState(new Set());
+  const [ledgerProduct, setLedgerProduct] = useState(null);
   
   // Concurrent Edit Protection State
   const [editingLocks, setEditingLocks] = useState(new Map()); // productId -> { userId, timestamp, operation }
@@ -306,7 +309,7 @@ const [formData, setFormData] = useState({
         return;
       }
       
-      if (!formData.stock || parseInt(formData.stock) < 0) {
+      if (!formData.stock || parseFloat(formData.stock) < 0) {
         toast.error("Valid stock quantity is required");
         return;
       }
@@ -380,7 +383,8 @@ if (purchasePrice > 0 && price > purchasePrice * 10) {
         discountValue: parseFloat(formData.discountValue) || 0,
         minSellingPrice: parseFloat(formData.minSellingPrice) || 0,
         profitMargin: parseFloat(formData.profitMargin) || 0,
-        stock: parseInt(formData.stock) || 0,
+        // Stock of weighed goods keeps its decimals
+        stock: roundQuantity(formData.stock, formData.unit),
         minStock: formData.minStock ? parseInt(formData.minStock) : 5,
         imageUrl: formData.imageUrl || "/api/placeholder/300/200",
         barcode: formData.barcode || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
@@ -409,7 +413,12 @@ if (purchasePrice > 0 && price > purchasePrice * 10) {
 
       let result;
       if (editingProduct) {
-        result = await productService.update(editingProduct.id, productData);
+        const { stock, ...productDetails } = productData;
+        result = await productService.update(editingProduct.id, productDetails);
+        // Stock edits are posted to the inventory ledger as a count adjustment
+        if (stock !== editingProduct.stock) {
+          await inventoryService.adjustTo(editingProduct.id, stock, { reference: 'Product edit' });
+        }
         toast.success("Product updated successfully!");
       } else {
         result = await productService.create(productData);
@@ -965,6 +974,14 @@ return matchesSearch && matchesCategory;
                           >
                             Edit
                           </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            icon="History"
+                            onClick={() => setLedgerProduct(product)}
+                          >
+                            History
+                          </Button>
                           <Button
                             variant="ghost"
                             size="sm"
@@ -1141,6 +1158,7 @@ return matchesSearch && matchesCategory;
                     label="Stock Quantity *"
                     name="stock"
                     type="number"
+                    step="any"
                     value={formData.stock}
                     onChange={handleInputChange}
                     required
@@ -1794,12 +1812,288 @@ return matchesSearch && matchesCategory;
           onUpdate={loadProducts}
         />
       )}
+
+      {/* Inventory Ledger Audit */}
+      {ledgerProduct && (
+        <InventoryLedgerModal
+          product={ledgerProduct}
+          onClose={() => setLedgerProduct(null)}
+          onUpdate={loadProducts}
+        />
+      )}
       </div>
       )}
     </div>
   );
 };
 
+// Inventory ledger audit: stock levels, active reservations and every movement for one product
+const InventoryLedgerModal = ({ product, onClose, onUpdate }) => {
+  const [entries, setEntries] = useState([]);
+  const [reservations, setReservations] = useState([]);
+  const [stockLevel, setStockLevel] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [movement, setMovement] = useState({ type: MOVEMENT_TYPES.RESTOCK, quantity: "", note: "", expiryDate: "" });
+
+  const perishable = isPerishable(product.category) || batches.length > 0;
+
+  const manualTypes = [MOVEMENT_TYPES.RESTOCK, MOVEMENT_TYPES.SPOILAGE, MOVEMENT_TYPES.ADJUSTMENT];
+
+  const loadLedger = async () => {
+    try {
+      setLoading(true);
+      const [ledger, level, holds, productBatches] = await Promise.all([
+        inventoryService.getLedger(product.id),
+        inventoryService.getStockLevel(product.id),
+        inventoryService.getReservations(product.id),
+        inventoryService.getBatches(product.id)
+      ]);
+      setEntries(ledger);
+      setStockLevel(level);
+      setBatches(productBatches);
+      setReservations(holds.filter(r => r.status === 'active'));
+    } catch (err) {
+      console.error("Error loading inventory ledger:", err);
+      toast.error("Failed to load stock history");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadLedger();
+  }, [product.id]);
+
+  const handleRecordMovement = async (e) => {
+    e.preventDefault();
+    const quantity = parseInt(movement.quantity);
+    if (!quantity) {
+      toast.error("Enter a quantity");
+      return;
+    }
+    if (movement.type === MOVEMENT_TYPES.ADJUSTMENT && !movement.note.trim()) {
+      toast.error("A reason is required for adjustments");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await inventoryService.recordMovement({
+        productId: product.id,
+        name: product.name,
+        type: movement.type,
+        quantity,
+        reference: "Manual entry",
+        note: movement.note.trim(),
+        batch: { expiryDate: movement.expiryDate || null, unitCost: product.purchasePrice }
+      });
+      toast.success(`${MOVEMENT_LABELS[movement.type]} recorded`);
+      setMovement(prev => ({ ...prev, quantity: "", note: "", expiryDate: "" }));
+      await loadLedger();
+      onUpdate?.();
+    } catch (err) {
+      toast.error(err.message || "Failed to record stock movement");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-semibold text-gray-900">Stock History</h2>
+            <p className="text-sm text-gray-600">{product.name}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <ApperIcon name="X" size={24} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="p-6">
+            <Loading />
+          </div>
+        ) : (
+          <div className="p-6 space-y-6">
+            {stockLevel && (
+              <div className={`grid gap-4 ${stockLevel.expired > 0 ? "grid-cols-4" : "grid-cols-3"}`}>
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <p className="text-sm text-gray-600">On Hand</p>
+                  <p className="text-2xl font-bold text-gray-900">{stockLevel.onHand}</p>
+                </div>
+                <div className="bg-yellow-50 rounded-lg p-4">
+                  <p className="text-sm text-yellow-700">Reserved</p>
+                  <p className="text-2xl font-bold text-yellow-800">{stockLevel.reserved}</p>
+                </div>
+                {stockLevel.expired > 0 && (
+                  <div className="bg-red-50 rounded-lg p-4">
+                    <p className="text-sm text-red-700">Expired</p>
+                    <p className="text-2xl font-bold text-red-800">{stockLevel.expired}</p>
+                  </div>
+                )}
+                <div className="bg-green-50 rounded-lg p-4">
+                  <p className="text-sm text-green-700">Available</p>
+                  <p className="text-2xl font-bold text-green-800">{stockLevel.available}</p>
+                </div>
+              </div>
+            )}
+
+            <form
+              onSubmit={handleRecordMovement}
+              className={`grid grid-cols-1 gap-3 items-end ${perishable && movement.type === MOVEMENT_TYPES.RESTOCK ? "md:grid-cols-5" : "md:grid-cols-4"}`}
+            >
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Movement</label>
+                <select
+                  value={movement.type}
+                  onChange={(e) => setMovement(prev => ({ ...prev, type: e.target.value }))}
+                  className="input-field"
+                >
+                  {manualTypes.map(type => (
+                    <option key={type} value={type}>{MOVEMENT_LABELS[type]}</option>
+                  ))}
+                </select>
+              </div>
+              <Input
+                label={movement.type === MOVEMENT_TYPES.ADJUSTMENT ? "Quantity (+/-)" : "Quantity"}
+                type="number"
+                value={movement.quantity}
+                onChange={(e) => setMovement(prev => ({ ...prev, quantity: e.target.value }))}
+              />
+              {perishable && movement.type === MOVEMENT_TYPES.RESTOCK && (
+                <Input
+                  label="Expiry Date"
+                  type="date"
+                  value={movement.expiryDate}
+                  onChange={(e) => setMovement(prev => ({ ...prev, expiryDate: e.target.value }))}
+                />
+              )}
+              <Input
+                label="Note"
+                value={movement.note}
+                onChange={(e) => setMovement(prev => ({ ...prev, note: e.target.value }))}
+              />
+              <Button type="submit" icon="Plus" loading={saving}>
+                Record
+              </Button>
+            </form>
+
+            {batches.length > 0 && (
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 mb-2">Batches</h3>
+                <p className="text-xs text-gray-500 mb-2">Sales take stock from the earliest expiry first</p>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500">Lot</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500">Received</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500">Expires</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-500">Remaining</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-500">Unit Cost</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {batches.map(batch => (
+                        <tr key={batch.Id} className={batch.expired ? "bg-red-50" : ""}>
+                          <td className="px-4 py-2 text-gray-900">
+                            {batch.lotNumber}
+                            {batch.markdownPercent && (
+                              <Badge variant="warning" size="small" className="ml-2">-{batch.markdownPercent}%</Badge>
+                            )}
+                          </td>
+                          <td className="px-4 py-2 text-gray-600">{new Date(batch.receivedAt).toLocaleDateString()}</td>
+                          <td className="px-4 py-2">
+                            {batch.expired ? (
+                              <Badge variant="danger" size="small">Expired</Badge>
+                            ) : (
+                              <span className="text-gray-600">{new Date(batch.expiryDate).toLocaleDateString()}</span>
+                            )}
+                          </td>
+                          <td className="px-4 py-2 text-right text-gray-900">{batch.remaining} / {batch.quantity}</td>
+                          <td className="px-4 py-2 text-right text-gray-600">Rs. {batch.unitCost.toLocaleString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {reservations.length > 0 && (
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 mb-2">Active Reservations</h3>
+                <div className="space-y-2">
+                  {reservations.map(reservation => (
+                    <div key={reservation.Id} className="flex items-center justify-between p-3 bg-yellow-50 rounded-lg text-sm">
+                      <span className="text-gray-900">
+                        {reservation.reference} by {reservation.createdBy}
+                      </span>
+                      <span className="text-gray-600">
+                        {reservation.items.find(item => item.productId === product.id)?.quantity} held until{" "}
+                        {new Date(reservation.expiresAt).toLocaleTimeString()}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Ledger</h3>
+              {entries.length === 0 ? (
+                <p className="text-sm text-gray-500">No stock movements recorded yet.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500">Date</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500">Movement</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-500">Change</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-500">Balance</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500">Reference</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500">By</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {entries.map(entry => (
+                        <tr key={entry.Id}>
+                          <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                            {new Date(entry.createdAt).toLocaleString()}
+                          </td>
+                          <td className="px-4 py-2 whitespace-nowrap">
+                            <Badge variant={entry.quantity < 0 ? "danger" : "success"} size="small">
+                              {MOVEMENT_LABELS[entry.type] || entry.type}
+                            </Badge>
+                          </td>
+                          <td className={`px-4 py-2 text-right font-medium ${entry.quantity < 0 ? "text-red-600" : "text-green-600"}`}>
+                            {entry.quantity > 0 ? `+${entry.quantity}` : entry.quantity}
+                          </td>
+                          <td className="px-4 py-2 text-right text-gray-900">{entry.balanceAfter}</td>
+                          <td className="px-4 py-2 text-gray-600">
+                            {entry.reference}
+                            {entry.note && <span className="block text-xs text-gray-400">{entry.note}</span>}
+                          </td>
+                          <td className="px-4 py-2 whitespace-nowrap text-gray-600">{entry.actor}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // Enhanced Bulk Update Panel with Left Sidebar
 const BulkUpdatePanel = ({ products, categories, onUpdate, onClose }) => {
   const [viewMode, setViewMode] = useState('sidebar'); // sidebar, modal
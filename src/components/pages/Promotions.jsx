@@ -0,0 +1,562 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import Error from "@/components/ui/Error";
+import Loading from "@/components/ui/Loading";
+import productService from "@/services/api/productService";
+import {
+  CHANNELS,
+  CUSTOMER_SEGMENTS,
+  describePromotion,
+  PROMOTION_TYPE_LABELS,
+  PROMOTION_TYPES,
+  promotionService,
+  SEGMENT_LABELS
+} from "@/services/api/promotionService";
+
+const CHANNEL_LABELS = {
+  [CHANNELS.ONLINE]: 'Online',
+  [CHANNELS.POS]: 'In-store (POS)'
+};
+
+const emptyPromotion = () => ({
+  name: '',
+  description: '',
+  type: PROMOTION_TYPES.PERCENTAGE,
+  value: '',
+  productIds: [],
+  categories: [],
+  tiers: [{ minQuantity: '', percent: '' }],
+  buyQuantity: '2',
+  payQuantity: '1',
+  bundleItems: [{ category: '', quantity: '1' }, { category: '', quantity: '1' }],
+  segments: [],
+  channels: [CHANNELS.ONLINE, CHANNELS.POS],
+  minBasketValue: '',
+  startDate: '',
+  endDate: '',
+  usageLimit: '',
+  perCustomerLimit: '',
+  couponCode: '',
+  isActive: true
+});
+
+const formatDate = (value) => (value ? format(new Date(value), 'MMM dd, yyyy') : null);
+
+const getStatus = (promotion) => {
+  const today = new Date().toISOString().split('T')[0];
+  if (!promotion.isActive) return { variant: 'default', label: 'Inactive' };
+  if (promotion.endDate && promotion.endDate < today) return { variant: 'default', label: 'Expired' };
+  if (promotion.startDate && promotion.startDate > today) return { variant: 'info', label: 'Scheduled' };
+  if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) return { variant: 'warning', label: 'Used up' };
+  return { variant: 'success', label: 'Live' };
+};
+
+const Promotions = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [editing, setEditing] = useState(null);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [promotionList, productList] = await Promise.all([
+        promotionService.getAll(),
+        productService.getAll()
+      ]);
+      setPromotions(promotionList);
+      setProducts(productList);
+    } catch (err) {
+      console.error('Error loading promotions:', err);
+      setError(err.message || 'Failed to load promotions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const handleToggle = async (promotion) => {
+    try {
+      await promotionService.setActive(promotion.Id, !promotion.isActive);
+      toast.success(`${promotion.name} ${promotion.isActive ? 'deactivated' : 'activated'}`);
+      await loadData();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDelete = async (promotion) => {
+    if (!window.confirm(`Delete ${promotion.name}?`)) return;
+    try {
+      await promotionService.delete(promotion.Id);
+      toast.success('Promotion deleted');
+      await loadData();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const filtered = promotions.filter(promotion => {
+    if (filter === 'coupons') return Boolean(promotion.couponCode);
+    if (filter === 'automatic') return !promotion.couponCode;
+    return true;
+  });
+
+  if (loading) {
+    return <Loading type="default" />;
+  }
+
+  if (error) {
+    return <Error message={error} onRetry={loadData} />;
+  }
+
+  const categories = [...new Set(products.map(product => product.category))].sort();
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Promotions</h1>
+          <p className="text-gray-600">Discount rules and coupon codes shared by the store, checkout and POS</p>
+        </div>
+        <Button icon="Plus" onClick={() => setEditing(emptyPromotion())}>
+          New Promotion
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+        <div className="card p-6">
+          <p className="text-sm text-gray-600">Live Promotions</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {promotions.filter(p => getStatus(p).label === 'Live').length}
+          </p>
+        </div>
+        <div className="card p-6">
+          <p className="text-sm text-gray-600">Coupon Codes</p>
+          <p className="text-2xl font-bold text-gray-900">{promotions.filter(p => p.couponCode).length}</p>
+        </div>
+        <div className="card p-6">
+          <p className="text-sm text-gray-600">Total Redemptions</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {promotions.reduce((sum, p) => sum + (p.usageCount || 0), 0)}
+          </p>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-900">All Promotions</h2>
+          <select value={filter} onChange={(e) => setFilter(e.target.value)} className="input-field w-auto">
+            <option value="all">All promotions</option>
+            <option value="automatic">Automatic</option>
+            <option value="coupons">Coupon codes</option>
+          </select>
+        </div>
+
+        {filtered.length === 0 ? (
+          <div className="p-12 text-center text-gray-500">
+            <ApperIcon name="Ticket" size={48} className="mx-auto mb-4 text-gray-300" />
+            <p>No promotions yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Promotion</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rule</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Targeting</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Window</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Used</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filtered.map(promotion => {
+                  const status = getStatus(promotion);
+                  return (
+                    <tr key={promotion.Id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4">
+                        <p className="font-medium text-gray-900">{promotion.name}</p>
+                        {promotion.couponCode && (
+                          <span className="inline-flex items-center text-xs font-mono bg-gray-100 rounded px-2 py-0.5 mt-1">
+                            <ApperIcon name="Ticket" size={12} className="mr-1" />
+                            {promotion.couponCode}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        <p>{describePromotion(promotion)}</p>
+                        <p className="text-xs text-gray-500">
+                          {promotion.productIds?.length
+                            ? `${promotion.productIds.length} products`
+                            : promotion.categories?.length
+                              ? promotion.categories.join(', ')
+                              : PROMOTION_TYPE_LABELS[promotion.type]}
+                        </p>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        <p>{promotion.channels.map(channel => CHANNEL_LABELS[channel]).join(', ')}</p>
+                        <p className="text-xs text-gray-500">
+                          {promotion.segments?.length
+                            ? promotion.segments.map(segment => SEGMENT_LABELS[segment]).join(', ')
+                            : 'All customers'}
+                        </p>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                        {promotion.startDate || promotion.endDate
+                          ? `${formatDate(promotion.startDate) || 'Now'} - ${formatDate(promotion.endDate) || 'Open'}`
+                          : 'Always'}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-right text-gray-700 whitespace-nowrap">
+                        {promotion.usageCount || 0}{promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}
+                        {promotion.perCustomerLimit && (
+                          <p className="text-xs text-gray-500">{promotion.perCustomerLimit} per customer</p>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Badge variant={status.variant} size="small">{status.label}</Badge>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right space-x-1">
+                        <Button variant="ghost" size="small" icon="Edit" onClick={() => setEditing({ ...emptyPromotion(), ...promotion })}>
+                          Edit
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="small"
+                          icon={promotion.isActive ? 'Pause' : 'Play'}
+                          onClick={() => handleToggle(promotion)}
+                        >
+                          {promotion.isActive ? 'Pause' : 'Activate'}
+                        </Button>
+                        <Button variant="ghost" size="small" icon="Trash2" onClick={() => handleDelete(promotion)} />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {editing && (
+        <PromotionForm
+          initial={editing}
+          products={products}
+          categories={categories}
+          onClose={() => setEditing(null)}
+          onSaved={async () => {
+            setEditing(null);
+            await loadData();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+const PromotionForm = ({ initial, products, categories, onClose, onSaved }) => {
+  const [formData, setFormData] = useState(initial);
+  const [saving, setSaving] = useState(false);
+
+  const update = (field, value) => setFormData(prev => ({ ...prev, [field]: value }));
+
+  const toggleInList = (field, value) => setFormData(prev => ({
+    ...prev,
+    [field]: prev[field].includes(value)
+      ? prev[field].filter(item => item !== value)
+      : [...prev[field], value]
+  }));
+
+  const updateRow = (field, index, key, value) => setFormData(prev => ({
+    ...prev,
+    [field]: prev[field].map((row, i) => (i === index ? { ...row, [key]: value } : row))
+  }));
+
+  const scoped = [PROMOTION_TYPES.PERCENTAGE, PROMOTION_TYPES.FIXED, PROMOTION_TYPES.TIERED, PROMOTION_TYPES.BUY_X_PAY_Y]
+    .includes(formData.type);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      if (formData.Id) {
+        await promotionService.update(formData.Id, formData);
+        toast.success('Promotion updated');
+      } else {
+        await promotionService.create(formData);
+        toast.success('Promotion created');
+      }
+      onSaved();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save promotion');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-2xl font-semibold text-gray-900">{formData.Id ? 'Edit Promotion' : 'New Promotion'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <ApperIcon name="X" size={24} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input label="Name" value={formData.name} onChange={(e) => update('name', e.target.value)} required />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Rule</label>
+              <select value={formData.type} onChange={(e) => update('type', e.target.value)} className="input-field">
+                {Object.entries(PROMOTION_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {[PROMOTION_TYPES.PERCENTAGE, PROMOTION_TYPES.FIXED, PROMOTION_TYPES.BUNDLE].includes(formData.type) && (
+            <Input
+              label={formData.type === PROMOTION_TYPES.FIXED ? 'Amount off (Rs.)' : 'Percent off'}
+              type="number"
+              min="0"
+              step="0.01"
+              value={formData.value ?? ''}
+              onChange={(e) => update('value', e.target.value)}
+            />
+          )}
+
+          {formData.type === PROMOTION_TYPES.TIERED && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Quantity breaks</label>
+              <div className="space-y-2">
+                {formData.tiers.map((tier, index) => (
+                  <div key={index} className="flex items-center space-x-2 text-sm">
+                    <span>Buy</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={tier.minQuantity}
+                      onChange={(e) => updateRow('tiers', index, 'minQuantity', e.target.value)}
+                      className="input-field w-24"
+                    />
+                    <span>or more, get</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={tier.percent}
+                      onChange={(e) => updateRow('tiers', index, 'percent', e.target.value)}
+                      className="input-field w-24"
+                    />
+                    <span>% off</span>
+                    <button
+                      type="button"
+                      onClick={() => update('tiers', formData.tiers.filter((_, i) => i !== index))}
+                      className="text-gray-400 hover:text-red-500"
+                    >
+                      <ApperIcon name="X" size={16} />
+                    </button>
+                  </div>
+                ))}
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="small"
+                  icon="Plus"
+                  onClick={() => update('tiers', [...formData.tiers, { minQuantity: '', percent: '' }])}
+                >
+                  Add break
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {formData.type === PROMOTION_TYPES.BUY_X_PAY_Y && (
+            <div className="grid grid-cols-2 gap-4">
+              <Input label="Buy" type="number" min="2" value={formData.buyQuantity} onChange={(e) => update('buyQuantity', e.target.value)} />
+              <Input label="Pay for" type="number" min="0" value={formData.payQuantity} onChange={(e) => update('payQuantity', e.target.value)} />
+            </div>
+          )}
+
+          {formData.type === PROMOTION_TYPES.BUNDLE && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Bundle contents</label>
+              <div className="space-y-2">
+                {formData.bundleItems.map((item, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <input
+                      type="number"
+                      min="1"
+                      value={item.quantity}
+                      onChange={(e) => updateRow('bundleItems', index, 'quantity', e.target.value)}
+                      className="input-field w-20"
+                    />
+                    <select
+                      value={item.category}
+                      onChange={(e) => updateRow('bundleItems', index, 'category', e.target.value)}
+                      className="input-field"
+                    >
+                      <option value="">Choose category</option>
+                      {categories.map(category => (
+                        <option key={category} value={category}>{category}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => update('bundleItems', formData.bundleItems.filter((_, i) => i !== index))}
+                      className="text-gray-400 hover:text-red-500"
+                    >
+                      <ApperIcon name="X" size={16} />
+                    </button>
+                  </div>
+                ))}
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="small"
+                  icon="Plus"
+                  onClick={() => update('bundleItems', [...formData.bundleItems, { category: '', quantity: '1' }])}
+                >
+                  Add category
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {scoped && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Applies to <span className="text-gray-500 font-normal">(leave empty for the whole basket)</span>
+              </label>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {categories.map(category => (
+                  <button
+                    key={category}
+                    type="button"
+                    onClick={() => toggleInList('categories', category)}
+                    className={`px-3 py-1 rounded-full text-sm border ${formData.categories.includes(category) ? 'bg-primary text-white border-primary' : 'border-gray-300 text-gray-700'}`}
+                  >
+                    {category}
+                  </button>
+                ))}
+              </div>
+              <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-lg p-2 grid grid-cols-2 gap-1">
+                {products.map(product => (
+                  <label key={product.id} className="flex items-center space-x-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={formData.productIds.includes(product.id)}
+                      onChange={() => toggleInList('productIds', product.id)}
+                    />
+                    <span>{product.name}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Input
+              label="Minimum basket (Rs.)"
+              type="number"
+              min="0"
+              value={formData.minBasketValue || ''}
+              onChange={(e) => update('minBasketValue', e.target.value)}
+            />
+            <Input label="Starts" type="date" value={formData.startDate || ''} onChange={(e) => update('startDate', e.target.value)} />
+            <Input label="Ends" type="date" value={formData.endDate || ''} onChange={(e) => update('endDate', e.target.value)} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Input
+              label="Coupon code"
+              placeholder="Automatic if empty"
+              value={formData.couponCode || ''}
+              onChange={(e) => update('couponCode', e.target.value.toUpperCase())}
+            />
+            <Input
+              label="Total uses"
+              type="number"
+              min="0"
+              placeholder="Unlimited"
+              value={formData.usageLimit || ''}
+              onChange={(e) => update('usageLimit', e.target.value)}
+            />
+            <Input
+              label="Uses per customer"
+              type="number"
+              min="0"
+              placeholder="Unlimited"
+              value={formData.perCustomerLimit || ''}
+              onChange={(e) => update('perCustomerLimit', e.target.value)}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Channels</label>
+              <div className="space-y-1">
+                {Object.entries(CHANNEL_LABELS).map(([channel, label]) => (
+                  <label key={channel} className="flex items-center space-x-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={formData.channels.includes(channel)}
+                      onChange={() => toggleInList('channels', channel)}
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Customer segments <span className="text-gray-500 font-normal">(empty = everyone)</span>
+              </label>
+              <div className="space-y-1">
+                {Object.values(CUSTOMER_SEGMENTS).map(segment => (
+                  <label key={segment} className="flex items-center space-x-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={formData.segments.includes(segment)}
+                      onChange={() => toggleInList('segments', segment)}
+                    />
+                    <span>{SEGMENT_LABELS[segment]}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <label className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" checked={formData.isActive} onChange={(e) => update('isActive', e.target.checked)} />
+            <span>Active</span>
+          </label>
+
+          <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+            <Button type="button" variant="ghost" onClick={onClose}>Cancel</Button>
+            <Button type="submit" icon="Save" loading={saving}>Save Promotion</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Promotions;
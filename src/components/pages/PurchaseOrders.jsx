@@ -0,0 +1,705 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import Error from "@/components/ui/Error";
+import Loading from "@/components/ui/Loading";
+import productService from "@/services/api/productService";
+import { financialService } from "@/services/api/financialService";
+import { paymentService } from "@/services/api/paymentService";
+import { isPerishable } from "@/services/api/inventoryService";
+import { purchaseOrderService, PO_STATUS } from "@/services/api/purchaseOrderService";
+
+const STATUS_BADGES = {
+  [PO_STATUS.DRAFT]: { variant: 'default', label: 'Draft' },
+  [PO_STATUS.ORDERED]: { variant: 'info', label: 'Ordered' },
+  [PO_STATUS.PARTIALLY_RECEIVED]: { variant: 'warning', label: 'Partially Received' },
+  [PO_STATUS.RECEIVED]: { variant: 'success', label: 'Received' },
+  [PO_STATUS.CANCELLED]: { variant: 'danger', label: 'Cancelled' }
+};
+
+const MATCH_BADGES = {
+  pending: { variant: 'default', label: 'Match Pending' },
+  matched: { variant: 'success', label: '3-Way Matched' },
+  discrepancy: { variant: 'danger', label: 'Discrepancy' },
+  exception_approved: { variant: 'warning', label: 'Exception Approved' }
+};
+
+const emptyLine = () => ({ productId: '', quantity: '', purchasePrice: '' });
+
+const formatDate = (value) => (value ? format(new Date(value), 'MMM dd, yyyy') : '-');
+
+const PurchaseOrders = () => {
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [selectedOrderId, setSelectedOrderId] = useState(null);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [orders, vendorList, productList] = await Promise.all([
+        purchaseOrderService.getAll(),
+        financialService.getVendors(),
+        productService.getAll()
+      ]);
+      setPurchaseOrders(orders);
+      setVendors(vendorList);
+      setProducts(productList);
+    } catch (err) {
+      console.error('Error loading purchase orders:', err);
+      setError(err.message || 'Failed to load purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const filteredOrders = statusFilter === 'all'
+    ? purchaseOrders
+    : purchaseOrders.filter(po => po.status === statusFilter);
+
+  const openOrders = purchaseOrders.filter(po =>
+    [PO_STATUS.ORDERED, PO_STATUS.PARTIALLY_RECEIVED].includes(po.status));
+
+  if (loading) {
+    return <Loading type="default" />;
+  }
+
+  if (error) {
+    return <Error message={error} onRetry={loadData} />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Purchase Orders</h1>
+          <p className="text-gray-600">Order stock from vendors, receive goods and reconcile vendor bills</p>
+        </div>
+        <Button icon="Plus" onClick={() => setShowCreateForm(true)}>
+          New Purchase Order
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+        <div className="card p-6">
+          <p className="text-sm text-gray-600">Open Orders</p>
+          <p className="text-2xl font-bold text-gray-900">{openOrders.length}</p>
+        </div>
+        <div className="card p-6">
+          <p className="text-sm text-gray-600">Open Order Value</p>
+          <p className="text-2xl font-bold text-gray-900">
+            Rs. {openOrders.reduce((sum, po) => sum + po.total, 0).toLocaleString()}
+          </p>
+        </div>
+        <div className="card p-6">
+          <p className="text-sm text-gray-600">Drafts</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {purchaseOrders.filter(po => po.status === PO_STATUS.DRAFT).length}
+          </p>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-900">All Purchase Orders</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="input-field w-auto"
+          >
+            <option value="all">All statuses</option>
+            {Object.entries(STATUS_BADGES).map(([status, badge]) => (
+              <option key={status} value={status}>{badge.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {filteredOrders.length === 0 ? (
+          <div className="p-12 text-center text-gray-500">
+            <ApperIcon name="ClipboardList" size={48} className="mx-auto mb-4 text-gray-300" />
+            <p>No purchase orders yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">PO Number</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vendor</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lines</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expected</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredOrders.map(po => (
+                  <tr key={po.Id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">{po.poNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-gray-700">{po.vendorName}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Badge variant={STATUS_BADGES[po.status].variant} size="small">
+                        {STATUS_BADGES[po.status].label}
+                      </Badge>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-gray-700">{po.lines.length}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right font-medium">Rs. {po.total.toLocaleString()}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-gray-700">{formatDate(po.expectedDate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      <Button variant="ghost" size="small" icon="Eye" onClick={() => setSelectedOrderId(po.Id)}>
+                        View
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {showCreateForm && (
+        <PurchaseOrderForm
+          vendors={vendors}
+          products={products}
+          onClose={() => setShowCreateForm(false)}
+          onSaved={async () => {
+            setShowCreateForm(false);
+            await loadData();
+          }}
+        />
+      )}
+
+      {selectedOrderId && (
+        <PurchaseOrderDetail
+          purchaseOrderId={selectedOrderId}
+          onClose={() => setSelectedOrderId(null)}
+          onChanged={loadData}
+        />
+      )}
+    </div>
+  );
+};
+
+const PurchaseOrderForm = ({ vendors, products, onClose, onSaved }) => {
+  const [formData, setFormData] = useState({ vendorId: '', expectedDate: '', notes: '' });
+  const [lines, setLines] = useState([emptyLine()]);
+  const [saving, setSaving] = useState(false);
+
+  const updateLine = (index, field, value) => {
+    setLines(prev => prev.map((line, i) => {
+      if (i !== index) return line;
+      const updated = { ...line, [field]: value };
+      // Default the cost to the product's current purchase price
+      if (field === 'productId' && !line.purchasePrice) {
+        const product = products.find(p => p.id === parseInt(value));
+        updated.purchasePrice = product?.purchasePrice ? String(product.purchasePrice) : '';
+      }
+      return updated;
+    }));
+  };
+
+  const total = lines.reduce((sum, line) =>
+    sum + (parseFloat(line.quantity) || 0) * (parseFloat(line.purchasePrice) || 0), 0);
+
+  const handleSave = async (submit) => {
+    try {
+      setSaving(true);
+      const purchaseOrder = await purchaseOrderService.create({
+        ...formData,
+        lines: lines.filter(line => line.productId),
+        submit
+      });
+      toast.success(`${purchaseOrder.poNumber} ${submit ? 'sent to vendor' : 'saved as draft'}`);
+      onSaved();
+    } catch (err) {
+      toast.error(err.message || 'Failed to create purchase order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-2xl font-semibold text-gray-900">New Purchase Order</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <ApperIcon name="X" size={24} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Vendor *</label>
+              <select
+                value={formData.vendorId}
+                onChange={(e) => setFormData(prev => ({ ...prev, vendorId: e.target.value }))}
+                className="input-field"
+              >
+                <option value="">Select vendor</option>
+                {vendors.map(vendor => (
+                  <option key={vendor.Id} value={vendor.Id}>{vendor.name}</option>
+                ))}
+              </select>
+            </div>
+            <Input
+              label="Expected Delivery"
+              type="date"
+              value={formData.expectedDate}
+              onChange={(e) => setFormData(prev => ({ ...prev, expectedDate: e.target.value }))}
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-medium text-gray-900">Products</h3>
+              <Button variant="outline" size="small" icon="Plus" onClick={() => setLines(prev => [...prev, emptyLine()])}>
+                Add Line
+              </Button>
+            </div>
+            <div className="space-y-3">
+              {lines.map((line, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                  <select
+                    value={line.productId}
+                    onChange={(e) => updateLine(index, 'productId', e.target.value)}
+                    className="input-field col-span-6"
+                  >
+                    <option value="">Select product</option>
+                    {products.map(product => (
+                      <option key={product.id} value={product.id}>{product.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="Qty"
+                    value={line.quantity}
+                    onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                    className="input-field col-span-2"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="Cost (Rs.)"
+                    value={line.purchasePrice}
+                    onChange={(e) => updateLine(index, 'purchasePrice', e.target.value)}
+                    className="input-field col-span-3"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setLines(prev => prev.filter((_, i) => i !== index))}
+                    disabled={lines.length === 1}
+                    className="col-span-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                  >
+                    <ApperIcon name="Trash2" size={18} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <p className="text-right font-semibold text-gray-900 mt-4">Total: Rs. {total.toLocaleString()}</p>
+          </div>
+
+          <Input
+            label="Notes"
+            value={formData.notes}
+            onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
+          />
+        </div>
+
+        <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+          <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          <Button variant="outline" onClick={() => handleSave(false)} loading={saving}>Save Draft</Button>
+          <Button icon="Send" onClick={() => handleSave(true)} loading={saving}>Send to Vendor</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const PurchaseOrderDetail = ({ purchaseOrderId, onClose, onChanged }) => {
+  const [purchaseOrder, setPurchaseOrder] = useState(null);
+  const [receipts, setReceipts] = useState([]);
+  const [bills, setBills] = useState([]);
+  const [receiving, setReceiving] = useState(null);
+  const [invoiceBill, setInvoiceBill] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const loadDetail = async () => {
+    try {
+      const [po, poReceipts, poBills] = await Promise.all([
+        purchaseOrderService.getById(purchaseOrderId),
+        purchaseOrderService.getReceipts(purchaseOrderId),
+        purchaseOrderService.getBills(purchaseOrderId)
+      ]);
+      setPurchaseOrder(po);
+      setReceipts(poReceipts);
+      setBills(poBills);
+    } catch (err) {
+      toast.error(err.message || 'Failed to load purchase order');
+    }
+  };
+
+  useEffect(() => {
+    loadDetail();
+  }, [purchaseOrderId]);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setWorking(true);
+      await action();
+      toast.success(successMessage);
+      await loadDetail();
+      onChanged();
+    } catch (err) {
+      toast.error(err.message || 'Action failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const startReceiving = () => {
+    setReceiving(purchaseOrder.lines.map(line => ({
+      lineId: line.lineId,
+      quantity: String(Math.max(line.quantity - line.receivedQuantity, 0)),
+      unitCost: String(line.purchasePrice),
+      expiryDate: ''
+    })));
+  };
+
+  const handleReceive = () => runAction(async () => {
+    const { bill } = await purchaseOrderService.receiveGoods(purchaseOrder.Id, { lines: receiving });
+    setReceiving(null);
+    if (bill.matchStatus === 'discrepancy') {
+      toast.warning(`Bill ${bill.billNumber} has 3-way match discrepancies`);
+    }
+  }, 'Goods received and vendor bill generated');
+
+  const handleApproveException = (bill) => {
+    const note = window.prompt('Reason for approving this bill despite the discrepancies:');
+    if (!note) return;
+    runAction(() => paymentService.approveMatchException(bill.Id, note), 'Match exception approved');
+  };
+
+  const handlePayBill = (bill) => {
+    if (!window.confirm(`Pay Rs. ${bill.totalAmount.toLocaleString()} to ${bill.vendorName}?`)) return;
+    runAction(
+      () => paymentService.processVendorBillPayment(bill.Id, { amount: bill.totalAmount, reference: bill.billNumber }),
+      'Vendor payment created, awaiting proof'
+    );
+  };
+
+  if (!purchaseOrder) {
+    return null;
+  }
+
+  const canReceive = [PO_STATUS.ORDERED, PO_STATUS.PARTIALLY_RECEIVED].includes(purchaseOrder.status);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <div className="flex items-center space-x-3">
+              <h2 className="text-2xl font-semibold text-gray-900">{purchaseOrder.poNumber}</h2>
+              <Badge variant={STATUS_BADGES[purchaseOrder.status].variant} size="small">
+                {STATUS_BADGES[purchaseOrder.status].label}
+              </Badge>
+            </div>
+            <p className="text-sm text-gray-600">
+              {purchaseOrder.vendorName} · created by {purchaseOrder.createdBy} on {formatDate(purchaseOrder.createdAt)}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <ApperIcon name="X" size={24} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="flex flex-wrap gap-2">
+            {purchaseOrder.status === PO_STATUS.DRAFT && (
+              <Button
+                size="small"
+                icon="Send"
+                loading={working}
+                onClick={() => runAction(() => purchaseOrderService.submit(purchaseOrder.Id), 'Purchase order sent to vendor')}
+              >
+                Send to Vendor
+              </Button>
+            )}
+            {canReceive && !receiving && (
+              <Button size="small" icon="PackageCheck" onClick={startReceiving}>
+                Receive Goods
+              </Button>
+            )}
+            {[PO_STATUS.DRAFT, PO_STATUS.ORDERED].includes(purchaseOrder.status) && (
+              <Button
+                variant="outline"
+                size="small"
+                icon="XCircle"
+                loading={working}
+                onClick={() => {
+                  const reason = window.prompt('Why is this purchase order being cancelled?');
+                  if (reason !== null) {
+                    runAction(() => purchaseOrderService.cancel(purchaseOrder.Id, reason), 'Purchase order cancelled');
+                  }
+                }}
+              >
+                Cancel Order
+              </Button>
+            )}
+          </div>
+
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Product</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Ordered</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Received</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Billed</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Unit Cost</th>
+                {receiving && <th className="px-4 py-2 text-right font-medium text-gray-500">Receive Now</th>}
+                {receiving && <th className="px-4 py-2 text-right font-medium text-gray-500">Actual Cost</th>}
+                {receiving && <th className="px-4 py-2 text-left font-medium text-gray-500">Expiry</th>}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {purchaseOrder.lines.map((line, index) => (
+                <tr key={line.lineId}>
+                  <td className="px-4 py-2 text-gray-900">{line.productName}</td>
+                  <td className="px-4 py-2 text-right">{line.quantity} {line.unit}</td>
+                  <td className={`px-4 py-2 text-right ${line.receivedQuantity > line.quantity ? 'text-red-600 font-medium' : ''}`}>
+                    {line.receivedQuantity}
+                  </td>
+                  <td className="px-4 py-2 text-right">{line.billedQuantity}</td>
+                  <td className="px-4 py-2 text-right">Rs. {line.purchasePrice.toLocaleString()}</td>
+                  {receiving && (
+                    <td className="px-4 py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        value={receiving[index].quantity}
+                        onChange={(e) => setReceiving(prev => prev.map((r, i) => i === index ? { ...r, quantity: e.target.value } : r))}
+                        className="input-field w-24 text-right"
+                      />
+                    </td>
+                  )}
+                  {receiving && (
+                    <td className="px-4 py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={receiving[index].unitCost}
+                        onChange={(e) => setReceiving(prev => prev.map((r, i) => i === index ? { ...r, unitCost: e.target.value } : r))}
+                        className="input-field w-28 text-right"
+                      />
+                    </td>
+                  )}
+                  {receiving && (
+                    <td className="px-4 py-2">
+                      {isPerishable(line.category) ? (
+                        <input
+                          type="date"
+                          value={receiving[index].expiryDate}
+                          onChange={(e) => setReceiving(prev => prev.map((r, i) => i === index ? { ...r, expiryDate: e.target.value } : r))}
+                          className="input-field w-40"
+                        />
+                      ) : (
+                        <span className="text-gray-400">-</span>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {receiving && (
+            <div className="flex justify-end space-x-3">
+              <Button variant="ghost" size="small" onClick={() => setReceiving(null)}>Cancel</Button>
+              <Button size="small" icon="Check" loading={working} onClick={handleReceive}>
+                Confirm Receipt
+              </Button>
+            </div>
+          )}
+
+          {receipts.length > 0 && (
+            <div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Goods Receipts</h3>
+              <div className="space-y-2">
+                {receipts.map(receipt => (
+                  <div key={receipt.Id} className="p-3 bg-gray-50 rounded-lg text-sm flex items-center justify-between">
+                    <span className="font-medium text-gray-900">{receipt.receiptNumber}</span>
+                    <span className="text-gray-600">
+                      {receipt.lines.map(line => `${line.productName} × ${line.quantity}`).join(', ')}
+                    </span>
+                    <span className="text-gray-500">{receipt.receivedBy}, {formatDate(receipt.receivedAt)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {bills.length > 0 && (
+            <div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Vendor Bills</h3>
+              <div className="space-y-3">
+                {bills.map(bill => {
+                  const match = MATCH_BADGES[bill.matchStatus] || MATCH_BADGES.pending;
+                  const payable = bill.status === 'pending' && ['matched', 'exception_approved'].includes(bill.matchStatus);
+                  return (
+                    <div key={bill.Id} className="border border-gray-200 rounded-lg p-4">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <div className="flex items-center space-x-3">
+                          <span className="font-medium text-gray-900">{bill.billNumber}</span>
+                          <Badge variant={match.variant} size="small">{match.label}</Badge>
+                          <Badge variant={bill.status === 'paid' ? 'success' : 'default'} size="small">
+                            {bill.status.replace('_', ' ')}
+                          </Badge>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <span className="font-semibold">Rs. {bill.totalAmount.toLocaleString()}</span>
+                          {bill.status === 'pending' && (
+                            <Button variant="ghost" size="small" icon="FileEdit" onClick={() => setInvoiceBill(bill)}>
+                              Vendor Invoice
+                            </Button>
+                          )}
+                          {bill.matchStatus === 'discrepancy' && bill.status === 'pending' && (
+                            <Button variant="outline" size="small" icon="ShieldCheck" onClick={() => handleApproveException(bill)}>
+                              Approve
+                            </Button>
+                          )}
+                          <Button
+                            size="small"
+                            icon="Banknote"
+                            disabled={!payable}
+                            loading={working}
+                            onClick={() => handlePayBill(bill)}
+                          >
+                            Pay
+                          </Button>
+                        </div>
+                      </div>
+                      {bill.discrepancies?.length > 0 && (
+                        <ul className="mt-3 space-y-1 text-sm text-red-700">
+                          {bill.discrepancies.map((discrepancy, index) => (
+                            <li key={index} className="flex items-center space-x-2">
+                              <ApperIcon name="AlertTriangle" size={14} />
+                              <span>{discrepancy.message}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {bill.exceptionNote && (
+                        <p className="mt-2 text-sm text-yellow-800">
+                          Approved by {bill.exceptionApprovedBy}: {bill.exceptionNote}
+                        </p>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {invoiceBill && (
+        <VendorInvoiceForm
+          bill={invoiceBill}
+          onClose={() => setInvoiceBill(null)}
+          onSaved={async () => {
+            setInvoiceBill(null);
+            await loadDetail();
+            onChanged();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+// Capture what the vendor actually invoiced so the 3-way match can compare it
+const VendorInvoiceForm = ({ bill, onClose, onSaved }) => {
+  const [billNumber, setBillNumber] = useState(bill.billNumber);
+  const [taxAmount, setTaxAmount] = useState(String(bill.taxAmount || 0));
+  const [lines, setLines] = useState(bill.lines.map(line => ({
+    ...line,
+    quantity: String(line.quantity),
+    unitPrice: String(line.unitPrice)
+  })));
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const updated = await purchaseOrderService.recordVendorInvoice(bill.Id, { billNumber, lines, taxAmount });
+      toast[updated.matchStatus === 'matched' ? 'success' : 'warning'](
+        updated.matchStatus === 'matched' ? 'Invoice matches the order and receipt' : 'Invoice saved with discrepancies'
+      );
+      onSaved();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save vendor invoice');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full p-6 space-y-4">
+        <h2 className="text-xl font-semibold text-gray-900">Vendor Invoice</h2>
+        <div className="grid grid-cols-2 gap-4">
+          <Input label="Invoice Number" value={billNumber} onChange={(e) => setBillNumber(e.target.value)} />
+          <Input label="Tax (Rs.)" type="number" value={taxAmount} onChange={(e) => setTaxAmount(e.target.value)} />
+        </div>
+        <div className="space-y-2">
+          {lines.map((line, index) => (
+            <div key={line.lineId} className="grid grid-cols-12 gap-2 items-center text-sm">
+              <span className="col-span-6 text-gray-900">{line.productName}</span>
+              <input
+                type="number"
+                min="0"
+                value={line.quantity}
+                onChange={(e) => setLines(prev => prev.map((l, i) => i === index ? { ...l, quantity: e.target.value } : l))}
+                className="input-field col-span-3 text-right"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={line.unitPrice}
+                onChange={(e) => setLines(prev => prev.map((l, i) => i === index ? { ...l, unitPrice: e.target.value } : l))}
+                className="input-field col-span-3 text-right"
+              />
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-end space-x-3">
+          <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          <Button icon="Save" loading={saving} onClick={handleSave}>Save & Match</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrders;
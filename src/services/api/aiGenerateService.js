@@ -1,4 +1,6 @@
 import aiGenerateHistory from '@/services/mockData/aiGenerateHistory';
+import { persistentStore } from '@/services/storage/persistentStore';
+import { apiTransport, crudRoutes } from '@/services/transport/apiTransport';
 
 let data = [...aiGenerateHistory];
 let nextId = Math.max(...data.map(item => item.Id)) + 1;
@@ -281,4 +283,20 @@ async saveGenerated({ content, image, prompt, type, category, metadata }) {
   async delete(id) {
     return this.deleteGenerated(id);
   }
-};
\ No newline at end of file
+};
+
+persistentStore.register(aiGenerateService, 'aiGenerate', {
+  snapshot: () => ({ records: data, nextId }),
+  restore: (state) => {
+    data = state.records;
+    nextId = state.nextId;
+  }
+});
+
+apiTransport.register(aiGenerateService, {
+  ...crudRoutes('/ai-generations'),
+  getHistory: () => ({
+    url: '/ai-generations',
+    transform: (items) => items.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  })
+});
@@ -1,4 +1,6 @@
 import attendance from '@/services/mockData/attendance.json';
+import { persistentStore } from '@/services/storage/persistentStore';
+import { apiTransport, crudRoutes } from '@/services/transport/apiTransport';
 
 let attendanceData = [...attendance];
 let lastId = Math.max(...attendanceData.map(att => att.Id), 0);
@@ -107,4 +109,19 @@ const attendanceService = {
   }
 };
 
+persistentStore.register(attendanceService, 'attendance', {
+  snapshot: () => ({ records: attendanceData, lastId }),
+  restore: (state) => {
+    attendanceData = state.records;
+    lastId = state.lastId;
+  }
+});
+
+apiTransport.register(attendanceService, {
+  ...crudRoutes('/attendance'),
+  getByEmployeeId: (employeeId) => ({ url: '/attendance', params: { employeeId } }),
+  getByDate: (date) => ({ url: '/attendance', params: { date } }),
+  getByEmployeeAndDate: (employeeId, date) => ({ url: '/attendance', params: { employeeId, date } })
+});
+
 export default attendanceService;
\ No newline at end of file
@@ -0,0 +1,253 @@
+import usersData from "@/services/mockData/users.json";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+export const ROLES = {
+  GUEST: 'guest',
+  CUSTOMER: 'customer',
+  CASHIER: 'cashier',
+  DELIVERY_RIDER: 'delivery_rider',
+  FINANCE_MANAGER: 'finance_manager',
+  ADMIN: 'admin'
+};
+
+export const ROLE_LABELS = {
+  [ROLES.GUEST]: 'Guest',
+  [ROLES.CUSTOMER]: 'Customer',
+  [ROLES.CASHIER]: 'Cashier',
+  [ROLES.DELIVERY_RIDER]: 'Delivery Rider',
+  [ROLES.FINANCE_MANAGER]: 'Finance Manager',
+  [ROLES.ADMIN]: 'Administrator'
+};
+
+export const PERMISSIONS = {
+  ORDERS_PLACE: 'orders:place',
+  ORDERS_VIEW_OWN: 'orders:view_own',
+  ORDERS_MANAGE: 'orders:manage',
+  ADMIN_DASHBOARD: 'admin:dashboard',
+  PRODUCTS_MANAGE: 'products:manage',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  PURCHASING_MANAGE: 'purchasing:manage',
+  POS_USE: 'pos:use',
+  PAYMENTS_MANAGE: 'payments:manage',
+  FINANCIAL_VIEW: 'financial:view',
+  TAX_MANAGE: 'tax:manage',
+  PAYROLL_MANAGE: 'payroll:manage',
+  DELIVERY_VIEW: 'delivery:view',
+  DELIVERY_MANAGE: 'delivery:manage',
+  ANALYTICS_VIEW: 'analytics:view',
+  AI_GENERATE: 'ai:generate'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.GUEST]: [],
+  [ROLES.CUSTOMER]: [
+    PERMISSIONS.ORDERS_PLACE,
+    PERMISSIONS.ORDERS_VIEW_OWN
+  ],
+  [ROLES.CASHIER]: [
+    PERMISSIONS.POS_USE
+  ],
+  [ROLES.DELIVERY_RIDER]: [
+    PERMISSIONS.DELIVERY_VIEW
+  ],
+  [ROLES.FINANCE_MANAGER]: [
+    PERMISSIONS.ADMIN_DASHBOARD,
+    PERMISSIONS.ORDERS_MANAGE,
+    PERMISSIONS.PAYMENTS_MANAGE,
+    PERMISSIONS.PURCHASING_MANAGE,
+    PERMISSIONS.FINANCIAL_VIEW,
+    PERMISSIONS.TAX_MANAGE,
+    PERMISSIONS.PAYROLL_MANAGE,
+    PERMISSIONS.ANALYTICS_VIEW
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+// Permission required for each guarded route, shared by route guards and navigation
+export const ROUTE_PERMISSIONS = {
+  '/checkout': PERMISSIONS.ORDERS_PLACE,
+  '/admin': PERMISSIONS.ADMIN_DASHBOARD,
+  '/admin/products': PERMISSIONS.PRODUCTS_MANAGE,
+  '/admin/pos': PERMISSIONS.POS_USE,
+  '/admin/financial-dashboard': PERMISSIONS.FINANCIAL_VIEW,
+  '/admin/ai-generate': PERMISSIONS.AI_GENERATE,
+  '/admin/payments': PERMISSIONS.PAYMENTS_MANAGE,
+  '/admin/delivery-dashboard': PERMISSIONS.DELIVERY_MANAGE,
+  '/admin/analytics': PERMISSIONS.ANALYTICS_VIEW,
+  '/analytics': PERMISSIONS.ANALYTICS_VIEW,
+  '/financial': PERMISSIONS.FINANCIAL_VIEW,
+  '/pos': PERMISSIONS.POS_USE,
+  '/payments': PERMISSIONS.PAYMENTS_MANAGE,
+  '/payroll': PERMISSIONS.PAYROLL_MANAGE,
+  '/purchase-orders': PERMISSIONS.PURCHASING_MANAGE,
+  '/promotions': PERMISSIONS.PRODUCTS_MANAGE,
+  '/picking': PERMISSIONS.ORDERS_MANAGE,
+  '/delivery': PERMISSIONS.DELIVERY_VIEW,
+  '/ai-generate': PERMISSIONS.AI_GENERATE
+};
+
+export const hasPermission = (role, permission) => {
+  if (!permission) {
+    return true;
+  }
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+export const canAccessPath = (role, path) => {
+  const basePath = path.split('?')[0];
+  return hasPermission(role, ROUTE_PERMISSIONS[basePath]);
+};
+
+// The id orders, promotions and returns are keyed by for a signed-in user
+export const customerIdFor = (user) => user ? (user.customerId || `user-${user.Id}`) : null;
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+class AuthService {
+  constructor() {
+    this.users = [...usersData];
+    this.sessions = [];
+    // Session of the signed-in user in this tab; services read roles from here
+    this.currentUser = null;
+    persistentStore.register(this, 'auth', {
+      fields: ['users', 'sessions'],
+      version: 2,
+      migrations: {
+        // v2 adds manager PINs for approvals at the till. The PIN is hashed with the
+        // user's salt, so seeded managers only get theirs while the salt is unchanged.
+        2: (data) => ({
+          ...data,
+          users: (data.users || []).map(user => {
+            const seeded = usersData.find(u => u.Id === user.Id);
+            return !user.pinHash && seeded?.pinHash && seeded.passwordSalt === user.passwordSalt
+              ? { ...user, pinHash: seeded.pinHash }
+              : user;
+          })
+        })
+      }
+    });
+  }
+
+  delay(ms = 300) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async hashPassword(password, salt) {
+    const bytes = new TextEncoder().encode(`${salt}${password}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  generateToken() {
+    const bytes = new Uint8Array(24);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Strip credentials before a user record leaves the service
+  toPublicUser(user) {
+    const { passwordHash, passwordSalt, pinHash, ...publicUser } = user;
+    return { ...publicUser, permissions: [...(ROLE_PERMISSIONS[user.role] || [])] };
+  }
+
+  async login(email, password) {
+    await this.delay();
+
+    const user = this.users.find(u => u.email.toLowerCase() === email?.trim().toLowerCase());
+    if (!user || !user.isActive) {
+      throw new Error('Invalid email or password');
+    }
+
+    const passwordHash = await this.hashPassword(password || '', user.passwordSalt);
+    if (passwordHash !== user.passwordHash) {
+      throw new Error('Invalid email or password');
+    }
+
+    const now = Date.now();
+    const session = {
+      token: this.generateToken(),
+      userId: user.Id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+    };
+
+    // Drop expired sessions while we are here
+    this.sessions = this.sessions.filter(s => new Date(s.expiresAt).getTime() > now);
+    this.sessions.push(session);
+
+    this.currentUser = this.toPublicUser(user);
+    return { user: { ...this.currentUser }, token: session.token, expiresAt: session.expiresAt };
+  }
+
+  async logout(token) {
+    await this.delay(100);
+    this.sessions = this.sessions.filter(s => s.token !== token);
+    this.currentUser = null;
+    return { success: true };
+  }
+
+  async validateSession(token) {
+    await this.delay(100);
+
+    const session = this.sessions.find(s => s.token === token);
+    if (!session || new Date(session.expiresAt).getTime() <= Date.now()) {
+      this.currentUser = null;
+      throw new Error('Session expired, please sign in again');
+    }
+
+    const user = this.users.find(u => u.Id === session.userId);
+    if (!user || !user.isActive) {
+      this.currentUser = null;
+      throw new Error('Account is no longer active');
+    }
+
+    this.currentUser = this.toPublicUser(user);
+    return { user: { ...this.currentUser }, token: session.token, expiresAt: session.expiresAt };
+  }
+
+  getCurrentUser() {
+    return this.currentUser ? { ...this.currentUser } : null;
+  }
+
+  getCurrentRole() {
+    return this.currentUser?.role || ROLES.GUEST;
+  }
+
+  can(permission) {
+    return hasPermission(this.getCurrentRole(), permission);
+  }
+
+  // Throws when the signed-in user lacks the permission; used by services guarding writes
+  assertPermission(permission) {
+    if (!this.can(permission)) {
+      throw new Error('You do not have permission to perform this action');
+    }
+  }
+
+  // Manager sign-off at the till: the PIN of an active user who manages payments.
+  // Returns that manager without changing who is signed in.
+  async verifyManagerPin(pin) {
+    await this.delay(100);
+    const value = String(pin || '').trim();
+    if (!/^\d{4,6}$/.test(value)) {
+      throw new Error('Enter a 4 to 6 digit manager PIN');
+    }
+    for (const user of this.users) {
+      if (!user.isActive || !user.pinHash || !hasPermission(user.role, PERMISSIONS.PAYMENTS_MANAGE)) continue;
+      if (await this.hashPassword(value, user.passwordSalt) === user.pinHash) {
+        return this.toPublicUser(user);
+      }
+    }
+    throw new Error('Manager PIN not recognised');
+  }
+
+  async getUsers() {
+    await this.delay();
+    return this.users.map(user => this.toPublicUser(user));
+  }
+}
+
+export const authService = new AuthService();
+export default authService;
@@ -1,6 +1,11 @@
+import { persistentStore } from "@/services/storage/persistentStore";
+
 class CartService {
   constructor() {
     this.cart = [];
+    persistentStore.register(this, 'cart', {
+      fields: ['cart']
+    });
   }
 
   async getCart() {
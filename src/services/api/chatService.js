@@ -1,4 +1,6 @@
 import mockConversations from '@/services/mockData/chatConversations';
+import { persistentStore } from '@/services/storage/persistentStore';
+import { apiTransport, crudRoutes } from '@/services/transport/apiTransport';
 
 class ChatService {
   constructor() {
@@ -6,6 +8,16 @@ class ChatService {
     this.messages = [];
     this.nextId = Math.max(...mockConversations.map(c => c.Id), 0) + 1;
     this.nextMessageId = 1;
+    persistentStore.register(this, 'chat', {
+      fields: ['conversations', 'messages', 'nextId', 'nextMessageId']
+    });
+    apiTransport.register(this, {
+      getConversations: () => ({ url: '/chat-conversations' }),
+      getById: (id) => ({ url: `/chat-conversations/${id}` }),
+      createConversation: (data) => ({ method: 'post', url: '/chat-conversations', data }),
+      updateConversation: (id, data) => ({ method: 'patch', url: `/chat-conversations/${id}`, data }),
+      deleteConversation: (id) => ({ method: 'delete', url: `/chat-conversations/${id}`, transform: () => true })
+    });
   }
 
   async getConversations() {
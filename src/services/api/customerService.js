@@ -0,0 +1,249 @@
+import { orderService } from "@/services/api/orderService";
+import { returnService } from "@/services/api/returnService";
+import { paymentService } from "@/services/api/paymentService";
+import { authService, customerIdFor, PERMISSIONS } from "@/services/api/authService";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+export const ADDRESS_LABELS = ['Home', 'Office', 'Other'];
+
+export const DEFAULT_PREFERENCES = {
+  emailNotifications: true,
+  smsNotifications: true,
+  whatsappNotifications: false,
+  marketingEmails: false
+};
+
+const SEED_CUSTOMERS = [
+  {
+    customerId: 'user123',
+    userId: 1,
+    name: 'Ali Raza',
+    email: 'customer@freshmart.pk',
+    phone: '03001234567',
+    defaultPaymentMethod: 'cash',
+    preferences: { ...DEFAULT_PREFERENCES },
+    addresses: [
+      {
+        Id: 1,
+        label: 'Home',
+        name: 'Ali Raza',
+        phone: '03001234567',
+        address: '123 Main Boulevard, Gulberg III',
+        city: 'Lahore',
+        postalCode: '54000',
+        instructions: 'Ring the bell twice',
+        coordinates: { lat: 31.5204, lng: 74.3587 },
+        isDefault: true
+      },
+      {
+        Id: 2,
+        label: 'Office',
+        name: 'Ali Raza',
+        phone: '03001234567',
+        address: '456 Business Centre, Shahrah-e-Faisal',
+        city: 'Karachi',
+        postalCode: '75400',
+        instructions: '',
+        coordinates: { lat: 24.8615, lng: 67.0099 },
+        isDefault: false
+      }
+    ],
+    createdAt: '2024-01-01T00:00:00Z',
+    updatedAt: '2024-01-01T00:00:00Z'
+  }
+];
+
+export const validateAddress = (address) => {
+  const errors = {};
+  ['name', 'phone', 'address', 'city', 'postalCode'].forEach(field => {
+    if (!String(address[field] || '').trim()) {
+      errors[field] = 'This field is required';
+    }
+  });
+  if (address.phone && !/^03[0-9]{9}$/.test(address.phone)) {
+    errors.phone = 'Please enter a valid Pakistani phone number (03XXXXXXXXX)';
+  }
+  const { lat, lng } = address.coordinates || {};
+  if (address.coordinates && !(typeof lat === 'number' && lat >= -90 && lat <= 90 && typeof lng === 'number' && lng >= -180 && lng <= 180)) {
+    errors.coordinates = 'Map location must be a valid latitude and longitude';
+  }
+  return errors;
+};
+
+// Customer profiles for signed-in shoppers: contact details, saved delivery addresses,
+// payment and communication preferences, and their own order, return and wallet history
+class CustomerService {
+  constructor() {
+    this.customers = JSON.parse(JSON.stringify(SEED_CUSTOMERS));
+    this.nextAddressId = 3;
+    persistentStore.register(this, 'customers', {
+      fields: ['customers', 'nextAddressId']
+    });
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // The signed-in customer's profile, created from their account on first use
+  findCurrentProfile() {
+    const user = authService.getCurrentUser();
+    if (!user) {
+      throw new Error('Please sign in to manage your account');
+    }
+    authService.assertPermission(PERMISSIONS.ORDERS_VIEW_OWN);
+
+    const customerId = customerIdFor(user);
+    let profile = this.customers.find(c => c.customerId === customerId);
+    if (!profile) {
+      const now = new Date().toISOString();
+      profile = {
+        customerId,
+        userId: user.Id,
+        name: user.name || '',
+        email: user.email || '',
+        phone: (user.phone || '').replace(/[^\d]/g, '').replace(/^92/, '0'),
+        defaultPaymentMethod: 'cash',
+        preferences: { ...DEFAULT_PREFERENCES },
+        addresses: [],
+        createdAt: now,
+        updatedAt: now
+      };
+      this.customers.push(profile);
+    }
+    return profile;
+  }
+
+  async getProfile() {
+    await this.delay();
+    return JSON.parse(JSON.stringify(this.findCurrentProfile()));
+  }
+
+  async updateProfile(changes) {
+    await this.delay();
+    const profile = this.findCurrentProfile();
+    const next = { ...profile, ...changes, preferences: { ...profile.preferences, ...(changes.preferences || {}) } };
+
+    if (!String(next.name || '').trim()) {
+      throw new Error('Name is required');
+    }
+    if (next.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(next.email)) {
+      throw new Error('Please enter a valid email address');
+    }
+    if (next.phone && !/^03[0-9]{9}$/.test(next.phone)) {
+      throw new Error('Please enter a valid Pakistani phone number (03XXXXXXXXX)');
+    }
+
+    Object.assign(profile, {
+      name: next.name.trim(),
+      email: next.email,
+      phone: next.phone,
+      defaultPaymentMethod: next.defaultPaymentMethod,
+      preferences: next.preferences,
+      updatedAt: new Date().toISOString()
+    });
+    return JSON.parse(JSON.stringify(profile));
+  }
+
+  async getAddresses() {
+    await this.delay();
+    return JSON.parse(JSON.stringify(this.findCurrentProfile().addresses));
+  }
+
+  async addAddress(addressData) {
+    await this.delay();
+    const profile = this.findCurrentProfile();
+    const errors = validateAddress(addressData);
+    if (Object.keys(errors).length > 0) {
+      throw new Error(Object.values(errors)[0]);
+    }
+
+    const address = {
+      label: 'Home',
+      instructions: '',
+      coordinates: null,
+      ...addressData,
+      Id: this.nextAddressId++,
+      isDefault: profile.addresses.length === 0 || Boolean(addressData.isDefault)
+    };
+    if (address.isDefault) {
+      profile.addresses.forEach(a => { a.isDefault = false; });
+    }
+    profile.addresses.push(address);
+    profile.updatedAt = new Date().toISOString();
+    return { ...address };
+  }
+
+  async updateAddress(addressId, changes) {
+    await this.delay();
+    const profile = this.findCurrentProfile();
+    const address = profile.addresses.find(a => a.Id === addressId);
+    if (!address) {
+      throw new Error('Address not found');
+    }
+    const next = { ...address, ...changes, Id: address.Id };
+    const errors = validateAddress(next);
+    if (Object.keys(errors).length > 0) {
+      throw new Error(Object.values(errors)[0]);
+    }
+    if (next.isDefault && !address.isDefault) {
+      profile.addresses.forEach(a => { a.isDefault = false; });
+    }
+    // There is always one default while any address is saved
+    next.isDefault = next.isDefault || address.isDefault;
+    Object.assign(address, next);
+    profile.updatedAt = new Date().toISOString();
+    return { ...address };
+  }
+
+  async setDefaultAddress(addressId) {
+    return this.updateAddress(addressId, { isDefault: true });
+  }
+
+  async deleteAddress(addressId) {
+    await this.delay();
+    const profile = this.findCurrentProfile();
+    const address = profile.addresses.find(a => a.Id === addressId);
+    if (!address) {
+      throw new Error('Address not found');
+    }
+    profile.addresses = profile.addresses.filter(a => a.Id !== addressId);
+    if (address.isDefault && profile.addresses.length > 0) {
+      profile.addresses[0].isDefault = true;
+    }
+    profile.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  async getOrderHistory() {
+    const customerId = this.findCurrentProfile().customerId;
+    return (await orderService.getAll())
+      .filter(order => order.customerId === customerId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async getReturns() {
+    const orderIds = (await this.getOrderHistory()).map(order => order.id);
+    return (await returnService.getAll())
+      .filter(rma => orderIds.includes(rma.orderId));
+  }
+
+  // The store wallet is the signed-in customer's wallet
+  async getWalletActivity(limit = 20) {
+    this.findCurrentProfile();
+    const [balance, transactions] = await Promise.all([
+      paymentService.getWalletBalance(),
+      paymentService.getWalletTransactions(limit)
+    ]);
+    return { balance, transactions };
+  }
+
+  async getAll() {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    await this.delay();
+    return JSON.parse(JSON.stringify(this.customers));
+  }
+}
+
+export const customerService = new CustomerService();
+export default customerService;
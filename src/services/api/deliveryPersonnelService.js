@@ -1,8 +1,19 @@
 import deliveryPersonnelData from '../mockData/deliveryPersonnel.json';
+import { persistentStore } from '@/services/storage/persistentStore';
+import { apiTransport, crudRoutes } from '@/services/transport/apiTransport';
 
 class DeliveryPersonnelService {
   constructor() {
     this.personnel = [...deliveryPersonnelData];
+    persistentStore.register(this, 'deliveryPersonnel', { fields: ['personnel'] });
+    apiTransport.register(this, {
+      ...crudRoutes('/delivery-personnel'),
+      delete: (id) => ({ method: 'delete', url: `/delivery-personnel/${id}`, transform: () => true }),
+      getAvailablePersonnel: () => ({ url: '/delivery-personnel', params: { status: 'available', isActive: true } }),
+      getPersonnelByZone: (zone) => ({ url: '/delivery-personnel', params: { zone, isActive: true } }),
+      updateLocation: (id, currentLocation) => ({ method: 'patch', url: `/delivery-personnel/${id}`, data: { currentLocation } }),
+      updateStatus: (id, status) => ({ method: 'patch', url: `/delivery-personnel/${id}`, data: { status } })
+    });
   }
 
   async getAll() {
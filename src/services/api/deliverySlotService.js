@@ -0,0 +1,280 @@
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { authService, PERMISSIONS } from "@/services/api/authService";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+export const BOOKING_STATUS = {
+  RESERVED: 'reserved',
+  RELEASED: 'released'
+};
+
+// Days ahead a customer can book, and how close to the window start booking closes
+export const BOOKING_HORIZON_DAYS = 3;
+export const BOOKING_CUTOFF_MINUTES = 60;
+export const DEFAULT_ORDERS_PER_RIDER = 4;
+
+const DEFAULT_WINDOWS = [
+  { startTime: '09:00', endTime: '12:00' },
+  { startTime: '12:00', endTime: '15:00' },
+  { startTime: '15:00', endTime: '18:00' },
+  { startTime: '18:00', endTime: '21:00' }
+];
+
+const SEED_ZONES = ['Lahore Central', 'Lahore East', 'Karachi North', 'Karachi South', 'Islamabad'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Local calendar date as YYYY-MM-DD, the key slots are booked against
+export const toDateKey = (date = new Date()) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+export const slotStart = (date, time) => new Date(`${date}T${time}:00`);
+
+export const formatSlotTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+};
+
+export const formatSlotLabel = (slot) => `${formatSlotTime(slot.startTime)} - ${formatSlotTime(slot.endTime)}`;
+
+// Best-effort zone for a free-text city: the first zone named after it
+export const matchZoneForCity = (city, zones) => {
+  const needle = String(city || '').trim().toLowerCase();
+  if (!needle) return null;
+  return zones.find(zone => zone.toLowerCase() === needle)
+    || zones.find(zone => zone.toLowerCase().startsWith(needle))
+    || null;
+};
+
+// Delivery time windows per zone. Capacity of a window on a given day is the
+// zone's active riders times the orders each rider can carry in that window.
+class DeliverySlotService {
+  constructor() {
+    let nextId = 1;
+    this.windows = SEED_ZONES.flatMap(zone => DEFAULT_WINDOWS.map(deliveryWindow => ({
+      Id: nextId++,
+      zone,
+      ...deliveryWindow,
+      ordersPerRider: DEFAULT_ORDERS_PER_RIDER,
+      isActive: true
+    })));
+    this.bookings = [];
+    this.nextWindowId = nextId;
+    this.nextBookingId = 1;
+    persistentStore.register(this, 'deliverySlots', {
+      fields: ['windows', 'bookings', 'nextWindowId', 'nextBookingId']
+    });
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  findWindow(id) {
+    const deliveryWindow = this.windows.find(w => w.Id === parseInt(id));
+    if (!deliveryWindow) {
+      throw new Error('Delivery window not found');
+    }
+    return deliveryWindow;
+  }
+
+  async getZones() {
+    await this.delay(100);
+    const personnel = await deliveryPersonnelService.getAll();
+    const zones = new Set([...this.windows.map(w => w.zone), ...personnel.map(p => p.zone)]);
+    return [...zones].filter(Boolean).sort();
+  }
+
+  async getWindows(zone = null) {
+    await this.delay(100);
+    return this.windows
+      .filter(deliveryWindow => !zone || deliveryWindow.zone === zone)
+      .sort((a, b) => a.zone.localeCompare(b.zone) || a.startTime.localeCompare(b.startTime))
+      .map(deliveryWindow => ({ ...deliveryWindow }));
+  }
+
+  validateWindow(data, excludeId = null) {
+    const deliveryWindow = {
+      zone: String(data.zone || '').trim(),
+      startTime: data.startTime,
+      endTime: data.endTime,
+      ordersPerRider: parseInt(data.ordersPerRider),
+      isActive: data.isActive !== false
+    };
+
+    if (!deliveryWindow.zone) {
+      throw new Error('Choose a delivery zone');
+    }
+    if (!TIME_PATTERN.test(deliveryWindow.startTime || '') || !TIME_PATTERN.test(deliveryWindow.endTime || '')) {
+      throw new Error('Times must be in HH:MM format');
+    }
+    if (deliveryWindow.endTime <= deliveryWindow.startTime) {
+      throw new Error('The window must end after it starts');
+    }
+    if (!(deliveryWindow.ordersPerRider > 0)) {
+      throw new Error('Orders per rider must be at least 1');
+    }
+
+    const overlapping = this.windows.find(other =>
+      other.Id !== excludeId &&
+      other.zone === deliveryWindow.zone &&
+      other.startTime < deliveryWindow.endTime &&
+      deliveryWindow.startTime < other.endTime
+    );
+    if (overlapping) {
+      throw new Error(`Overlaps the ${formatSlotLabel(overlapping)} window in ${deliveryWindow.zone}`);
+    }
+
+    return deliveryWindow;
+  }
+
+  async createWindow(data) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.DELIVERY_MANAGE);
+    const deliveryWindow = { Id: this.nextWindowId++, ...this.validateWindow(data) };
+    this.windows.push(deliveryWindow);
+    return { ...deliveryWindow };
+  }
+
+  async updateWindow(id, data) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.DELIVERY_MANAGE);
+    const deliveryWindow = this.findWindow(id);
+    Object.assign(deliveryWindow, this.validateWindow({ ...deliveryWindow, ...data }, deliveryWindow.Id));
+    return { ...deliveryWindow };
+  }
+
+  // Windows with upcoming bookings are switched off instead so those orders keep their slot
+  async deleteWindow(id) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.DELIVERY_MANAGE);
+    const deliveryWindow = this.findWindow(id);
+    const today = toDateKey();
+    const upcoming = this.bookings.some(b =>
+      b.windowId === deliveryWindow.Id && b.status === BOOKING_STATUS.RESERVED && b.date >= today
+    );
+    if (upcoming) {
+      throw new Error('This window has upcoming bookings, deactivate it instead');
+    }
+    this.windows = this.windows.filter(w => w.Id !== deliveryWindow.Id);
+    return true;
+  }
+
+  countBooked(windowId, date) {
+    return this.bookings.filter(b =>
+      b.windowId === windowId && b.date === date && b.status === BOOKING_STATUS.RESERVED
+    ).length;
+  }
+
+  buildSlot(deliveryWindow, date, riders) {
+    const capacity = riders * deliveryWindow.ordersPerRider;
+    const booked = this.countBooked(deliveryWindow.Id, date);
+    const start = slotStart(date, deliveryWindow.startTime);
+    const open = start.getTime() - BOOKING_CUTOFF_MINUTES * 60 * 1000 > Date.now();
+    return {
+      windowId: deliveryWindow.Id,
+      zone: deliveryWindow.zone,
+      date,
+      startTime: deliveryWindow.startTime,
+      endTime: deliveryWindow.endTime,
+      start: start.toISOString(),
+      end: slotStart(date, deliveryWindow.endTime).toISOString(),
+      label: formatSlotLabel(deliveryWindow),
+      riders,
+      capacity,
+      booked,
+      remaining: Math.max(capacity - booked, 0),
+      available: deliveryWindow.isActive && open && booked < capacity
+    };
+  }
+
+  // Every window for the zone over the next few days, including full and closed ones
+  async getSlots(zone, { days = BOOKING_HORIZON_DAYS, from = new Date() } = {}) {
+    await this.delay();
+    const riders = (await deliveryPersonnelService.getPersonnelByZone(zone)).length;
+    const windows = this.windows
+      .filter(deliveryWindow => deliveryWindow.zone === zone && deliveryWindow.isActive)
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+    const slots = [];
+    for (let offset = 0; offset < days; offset++) {
+      const day = new Date(from);
+      day.setDate(day.getDate() + offset);
+      const date = toDateKey(day);
+      windows.forEach(deliveryWindow => slots.push(this.buildSlot(deliveryWindow, date, riders)));
+    }
+    return slots;
+  }
+
+  async getAvailableSlots(zone, options) {
+    const slots = await this.getSlots(zone, options);
+    return slots.filter(slot => slot.available);
+  }
+
+  // Throws with the reason when the window cannot take another order on that date
+  async checkSlot({ windowId, date }) {
+    const deliveryWindow = this.findWindow(windowId);
+    const riders = (await deliveryPersonnelService.getPersonnelByZone(deliveryWindow.zone)).length;
+    const slot = this.buildSlot(deliveryWindow, date, riders);
+    if (!deliveryWindow.isActive) {
+      throw new Error('This delivery window is no longer offered');
+    }
+    if (slot.capacity === 0) {
+      throw new Error(`No riders are working in ${deliveryWindow.zone}`);
+    }
+    if (slot.booked >= slot.capacity) {
+      throw new Error(`The ${slot.label} slot on ${date} is fully booked, please choose another`);
+    }
+    if (!slot.available) {
+      throw new Error(`Booking for the ${slot.label} slot on ${date} has closed`);
+    }
+    return slot;
+  }
+
+  async reserveSlot({ windowId, date }, { orderId = null, reference = '' } = {}) {
+    await this.delay(100);
+    const slot = await this.checkSlot({ windowId, date });
+    const booking = {
+      Id: this.nextBookingId++,
+      windowId: slot.windowId,
+      zone: slot.zone,
+      date: slot.date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      start: slot.start,
+      end: slot.end,
+      label: slot.label,
+      orderId,
+      reference,
+      status: BOOKING_STATUS.RESERVED,
+      createdAt: new Date().toISOString()
+    };
+    this.bookings.push(booking);
+    return { ...booking };
+  }
+
+  // Frees the order's slot, e.g. when the order is cancelled
+  async releaseSlot(orderId) {
+    await this.delay(100);
+    const booking = this.bookings.find(b => b.orderId === orderId && b.status === BOOKING_STATUS.RESERVED);
+    if (!booking) {
+      return null;
+    }
+    booking.status = BOOKING_STATUS.RELEASED;
+    booking.releasedAt = new Date().toISOString();
+    return { ...booking };
+  }
+
+  async getBookings({ date = null, zone = null } = {}) {
+    await this.delay(100);
+    return this.bookings
+      .filter(b => b.status === BOOKING_STATUS.RESERVED)
+      .filter(b => (!date || b.date === date) && (!zone || b.zone === zone))
+      .map(b => ({ ...b }));
+  }
+}
+
+export const deliverySlotService = new DeliverySlotService();
+export default deliverySlotService;
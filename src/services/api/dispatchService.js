@@ -0,0 +1,272 @@
+import { orderService } from "@/services/api/orderService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { authService, PERMISSIONS } from "@/services/api/authService";
+import { AWAITING_RIDER_STATUSES } from "@/services/api/orderLifecycle";
+
+// Orders a rider can carry in one batch, and average urban speed, by vehicle
+export const VEHICLE_PROFILES = {
+  bicycle: { capacity: 3, speedKmh: 12 },
+  motorcycle: { capacity: 5, speedKmh: 25 },
+  car: { capacity: 8, speedKmh: 20 },
+  van: { capacity: 15, speedKmh: 18 }
+};
+
+const DEFAULT_PROFILE = VEHICLE_PROFILES.motorcycle;
+
+// Straight-line distance is stretched by this factor to approximate road distance
+export const ROAD_FACTOR = 1.3;
+export const STOP_SERVICE_MINUTES = 5;
+
+// Scoring weights, in km-equivalents: a rider in another zone or with orders already
+// on board must be this much closer before they win over an idle rider in the zone
+export const CROSS_ZONE_PENALTY_KM = 15;
+export const LOAD_PENALTY_KM = 2;
+
+export const ACTIVE_DELIVERY_STATUSES = ['assigned', 'picked_up', 'out_for_delivery', 'in_transit'];
+
+// Used when an order has no coordinates, e.g. web orders that only captured a city
+export const ZONE_CENTERS = {
+  'Lahore Central': { lat: 31.5204, lng: 74.3587 },
+  'Lahore East': { lat: 31.5497, lng: 74.3436 },
+  'Karachi North': { lat: 24.9600, lng: 67.0700 },
+  'Karachi South': { lat: 24.8615, lng: 67.0099 },
+  'Islamabad': { lat: 33.6844, lng: 73.0479 }
+};
+
+export const getVehicleProfile = (vehicleType) => VEHICLE_PROFILES[vehicleType] || DEFAULT_PROFILE;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const haversineKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+export const roadKm = (a, b) => haversineKm(a, b) * ROAD_FACTOR;
+
+export const getOrderZone = (order) => {
+  if (order.deliveryZone) return order.deliveryZone;
+  const city = String(order.deliveryAddress?.city || '').trim().toLowerCase();
+  return Object.keys(ZONE_CENTERS).find(zone => city && zone.toLowerCase().startsWith(city)) || null;
+};
+
+// Exact coordinates when the address has them, otherwise the centre of the order's zone
+export const getOrderLocation = (order) => {
+  const coordinates = order.deliveryAddress?.coordinates;
+  if (coordinates && typeof coordinates.lat === 'number' && typeof coordinates.lng === 'number') {
+    return { ...coordinates, approximate: false };
+  }
+  const center = ZONE_CENTERS[getOrderZone(order)];
+  return center ? { ...center, approximate: true } : null;
+};
+
+// A city-only order ("Lahore") counts as in-zone for every zone of that city
+const isSameZone = (order, rider) => {
+  if (order.deliveryZone) return order.deliveryZone === rider.zone;
+  const city = String(order.deliveryAddress?.city || '').trim().toLowerCase();
+  return Boolean(city) && rider.zone?.toLowerCase().startsWith(city);
+};
+
+export const getRiderLoad = (rider, orders) => orders.filter(order =>
+  order.deliveryPersonId === rider.Id && ACTIVE_DELIVERY_STATUSES.includes(order.deliveryStatus)
+).length;
+
+// Riders for an order, best first. Ineligible riders are kept with the reason so the
+// dispatcher can still see why they were passed over.
+export const rankRiders = (order, riders, orders, { loads = null } = {}) => {
+  const location = getOrderLocation(order);
+
+  return riders
+    .map(rider => {
+      const profile = getVehicleProfile(rider.vehicleType);
+      const load = loads ? (loads[rider.Id] || 0) : getRiderLoad(rider, orders);
+      const sameZone = isSameZone(order, rider);
+      const distanceKm = location && rider.currentLocation
+        ? Math.round(roadKm(rider.currentLocation, location) * 10) / 10
+        : null;
+
+      let reason = null;
+      if (!rider.isActive || rider.status === 'off_duty') {
+        reason = 'Off duty';
+      } else if (load >= profile.capacity) {
+        reason = `Full (${load}/${profile.capacity})`;
+      }
+
+      const score = (distanceKm ?? CROSS_ZONE_PENALTY_KM) +
+        (sameZone ? 0 : CROSS_ZONE_PENALTY_KM) +
+        load * LOAD_PENALTY_KM;
+
+      return {
+        rider,
+        distanceKm,
+        load,
+        capacity: profile.capacity,
+        sameZone,
+        eligible: !reason,
+        reason,
+        score: Math.round(score * 10) / 10
+      };
+    })
+    .sort((a, b) => (b.eligible - a.eligible) || (a.score - b.score));
+};
+
+// Open route from the start through every stop: nearest neighbour, then 2-opt until no
+// reversal shortens it. Stops need { lat, lng }; the start stays first.
+export const planRoute = (start, stops) => {
+  const remaining = [...stops];
+  const route = [start];
+  while (remaining.length > 0) {
+    const last = route[route.length - 1];
+    let nearest = 0;
+    remaining.forEach((stop, index) => {
+      if (roadKm(last, stop) < roadKm(last, remaining[nearest])) nearest = index;
+    });
+    route.push(remaining.splice(nearest, 1)[0]);
+  }
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < route.length - 1; i++) {
+      for (let k = i + 1; k < route.length; k++) {
+        const next = route[k + 1];
+        const before = roadKm(route[i - 1], route[i]) + (next ? roadKm(route[k], next) : 0);
+        const after = roadKm(route[i - 1], route[k]) + (next ? roadKm(route[i], next) : 0);
+        if (after < before - 1e-9) {
+          route.splice(i, k - i + 1, ...route.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return route.slice(1);
+};
+
+// Arrival time at each stop in order. A rider who arrives before the booked slot waits for it.
+export const computeEtas = (start, stops, { vehicleType, departAt = new Date() } = {}) => {
+  const { speedKmh } = getVehicleProfile(vehicleType);
+  let clock = new Date(departAt).getTime();
+  let previous = start;
+  let totalKm = 0;
+
+  const timed = stops.map((stop, index) => {
+    const legKm = roadKm(previous, stop);
+    totalKm += legKm;
+    clock += (legKm / speedKmh) * 60 * 60 * 1000;
+
+    const slotStart = stop.order?.deliverySlot?.start ? new Date(stop.order.deliverySlot.start).getTime() : null;
+    const slotEnd = stop.order?.deliverySlot?.end ? new Date(stop.order.deliverySlot.end).getTime() : null;
+    if (slotStart && clock < slotStart) {
+      clock = slotStart;
+    }
+
+    const eta = new Date(clock).toISOString();
+    clock += STOP_SERVICE_MINUTES * 60 * 1000;
+    previous = stop;
+
+    return {
+      ...stop,
+      sequence: index + 1,
+      legKm: Math.round(legKm * 10) / 10,
+      eta,
+      late: Boolean(slotEnd && new Date(eta).getTime() > slotEnd)
+    };
+  });
+
+  return {
+    stops: timed,
+    totalKm: Math.round(totalKm * 10) / 10,
+    finishAt: new Date(clock).toISOString()
+  };
+};
+
+// Rider suggestions, automatic assignment and multi-stop routes for the delivery dashboards
+class DispatchService {
+  async getSuggestions(orderId) {
+    const [order, riders, orders] = await Promise.all([
+      orderService.getById(orderId),
+      deliveryPersonnelService.getAll(),
+      orderService.getAll()
+    ]);
+    return rankRiders(order, riders, orders);
+  }
+
+  // Assigns every waiting order (or the given ones) to its best rider, earliest slot first,
+  // counting each new assignment against the rider's capacity as it goes
+  async autoAssign(orderIds = null) {
+    authService.assertPermission(PERMISSIONS.DELIVERY_MANAGE);
+    const [riders, orders] = await Promise.all([
+      deliveryPersonnelService.getAll(),
+      orderService.getAll()
+    ]);
+
+    const loads = Object.fromEntries(riders.map(rider => [rider.Id, getRiderLoad(rider, orders)]));
+    const waiting = orders
+      .filter(order => !order.deliveryPersonId && AWAITING_RIDER_STATUSES.includes(order.deliveryStatus))
+      .filter(order => !orderIds || orderIds.includes(order.id))
+      .sort((a, b) =>
+        (a.deliverySlot?.start || '9999').localeCompare(b.deliverySlot?.start || '9999') ||
+        new Date(a.createdAt) - new Date(b.createdAt)
+      );
+
+    const assigned = [];
+    const unassigned = [];
+    for (const order of waiting) {
+      const [best] = rankRiders(order, riders, orders, { loads });
+      if (!best?.eligible) {
+        unassigned.push({ orderId: order.id, reason: 'No rider with spare capacity' });
+        continue;
+      }
+      try {
+        await orderService.assignDeliveryPersonnel(order.id, best.rider.Id);
+      } catch (error) {
+        // e.g. the order is still waiting on payment
+        unassigned.push({ orderId: order.id, reason: error.message });
+        continue;
+      }
+      loads[best.rider.Id] += 1;
+      assigned.push({ orderId: order.id, riderId: best.rider.Id, riderName: best.rider.name, distanceKm: best.distanceKm });
+    }
+
+    return { assigned, unassigned };
+  }
+
+  // Optimised stop order and ETAs for every rider with orders on board
+  async getRiderRoutes({ departAt = new Date() } = {}) {
+    const [riders, orders] = await Promise.all([
+      deliveryPersonnelService.getAll(),
+      orderService.getAll()
+    ]);
+
+    return riders
+      .map(rider => {
+        const batch = orders.filter(order =>
+          order.deliveryPersonId === rider.Id && ACTIVE_DELIVERY_STATUSES.includes(order.deliveryStatus)
+        );
+        if (batch.length === 0 || !rider.currentLocation) return null;
+
+        const located = batch
+          .map(order => ({ order, location: getOrderLocation(order) }))
+          .filter(stop => stop.location);
+        const stops = located.map(({ order, location }) => ({ ...location, order }));
+        const route = computeEtas(rider.currentLocation, planRoute(rider.currentLocation, stops), {
+          vehicleType: rider.vehicleType,
+          departAt
+        });
+
+        return {
+          rider,
+          ...route,
+          unlocated: batch.filter(order => !located.some(stop => stop.order.id === order.id))
+        };
+      })
+      .filter(Boolean);
+  }
+}
+
+export const dispatchService = new DispatchService();
+export default dispatchService;
@@ -1,4 +1,6 @@
 import employees from '@/services/mockData/employees.json';
+import { persistentStore } from '@/services/storage/persistentStore';
+import { apiTransport, crudRoutes } from '@/services/transport/apiTransport';
 
 let employeeData = [...employees];
 let lastId = Math.max(...employeeData.map(emp => emp.Id), 0);
@@ -75,4 +77,18 @@ const employeeService = {
   }
 };
 
+persistentStore.register(employeeService, 'employees', {
+  snapshot: () => ({ records: employeeData, lastId }),
+  restore: (state) => {
+    employeeData = state.records;
+    lastId = state.lastId;
+  }
+});
+
+apiTransport.register(employeeService, {
+  ...crudRoutes('/employees'),
+  getByDepartment: (department) => ({ url: '/employees', params: { department } }),
+  getActiveEmployees: () => ({ url: '/employees', params: { status: 'active' } })
+});
+
 export default employeeService;
\ No newline at end of file
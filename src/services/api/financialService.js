@@ -1,158 +1,13 @@
 import { orderService } from "@/services/api/orderService";
+import { returnService } from "@/services/api/returnService";
 import productService from "@/services/api/productService";
-
-// Mock expense data
-const mockExpenses = [
-  {
-    Id: 1,
-    amount: 25000,
-    vendor: 'City Landlord',
-    category: 'Rent',
-    description: 'Monthly office rent',
-    date: '2024-01-15',
-    receiptUrl: null,
-    createdAt: '2024-01-15T10:00:00Z'
-  },
-  {
-    Id: 2,
-    amount: 45000,
-    vendor: 'Staff Payroll',
-    category: 'Salaries',
-    description: 'Monthly staff salaries',
-    date: '2024-01-01',
-    receiptUrl: null,
-    createdAt: '2024-01-01T09:00:00Z'
-  },
-  {
-    Id: 3,
-    amount: 2500,
-    vendor: 'Metro Transport',
-    category: 'Transportation',
-    description: 'Business travel expenses',
-    date: '2024-01-10',
-    receiptUrl: null,
-    createdAt: '2024-01-10T14:30:00Z'
-  },
-  {
-    Id: 4,
-    amount: 3200,
-    vendor: 'City Power Co',
-    category: 'Utilities',
-    description: 'Electricity bill',
-    date: '2024-01-05',
-    receiptUrl: null,
-    createdAt: '2024-01-05T11:15:00Z'
-  },
-  {
-    Id: 5,
-    amount: 8000,
-    vendor: 'Digital Marketing Co',
-    category: 'Marketing',
-    description: 'Facebook and Google ads',
-    date: '2024-01-12',
-    receiptUrl: null,
-    createdAt: '2024-01-12T16:45:00Z'
-  }
-];
-
-// Mock vendor data with proper Id structure
-const mockVendors = [
-  {
-    Id: 1,
-    name: 'ABC Suppliers Ltd',
-    email: 'billing@abcsuppliers.com',
-    phone: '+92-300-1234567',
-    category: 'Supplier',
-    paymentTerms: 30,
-    address: '123 Industrial Area, Karachi',
-    createdAt: '2024-01-01T00:00:00Z'
-  },
-  {
-    Id: 2,
-    name: 'TechFlow Solutions',
-    email: 'accounts@techflow.pk',
-    phone: '+92-321-9876543',
-    category: 'Service Provider',
-    paymentTerms: 15,
-    address: '456 IT Park, Lahore',
-    createdAt: '2024-01-05T00:00:00Z'
-  },
-  {
-    Id: 3,
-    name: 'City Power Company',
-    email: 'billing@citypower.gov.pk',
-    phone: '+92-42-1234567',
-    category: 'Utility',
-    paymentTerms: 15,
-    address: 'Power House Road, Islamabad',
-    createdAt: '2024-01-10T00:00:00Z'
-  },
-  {
-    Id: 4,
-    name: 'Fresh Produce Traders',
-    email: 'orders@freshproduce.pk',
-    phone: '+92-333-7654321',
-    category: 'Supplier',
-    paymentTerms: 7,
-    address: 'Fruit Market, Multan',
-    createdAt: '2024-01-15T00:00:00Z'
-  }
-];
-
-// Mock vendor payments with due dates
-const mockVendorPayments = [
-  {
-    Id: 1,
-    vendorId: 1,
-    amount: 150000,
-    description: 'Monthly supplies invoice #INV-2024-001',
-    dueDate: '2024-02-15',
-    invoiceNumber: 'INV-2024-001',
-    status: 'pending',
-    createdAt: '2024-01-16T10:00:00Z'
-  },
-  {
-    Id: 2,
-    vendorId: 2,
-    amount: 85000,
-    description: 'Website maintenance Q1 2024',
-    dueDate: '2024-02-01',
-    invoiceNumber: 'TF-001-2024',
-    status: 'paid',
-    paidAt: '2024-01-28T14:30:00Z',
-    createdAt: '2024-01-17T09:00:00Z'
-  },
-  {
-    Id: 3,
-    vendorId: 3,
-    amount: 25000,
-    description: 'Electricity bill January 2024',
-    dueDate: '2024-02-10',
-    invoiceNumber: 'PWR-JAN-2024',
-    status: 'overdue',
-    createdAt: '2024-01-26T16:00:00Z'
-  },
-  {
-    Id: 4,
-    vendorId: 4,
-    amount: 45000,
-    description: 'Fresh fruits weekly supply',
-    dueDate: '2024-02-05',
-    invoiceNumber: 'FP-W1-2024',
-    status: 'pending',
-    createdAt: '2024-01-29T08:00:00Z'
-  },
-  {
-    Id: 5,
-    vendorId: 1,
-    amount: 75000,
-    description: 'Equipment maintenance',
-    dueDate: '2024-02-20',
-    invoiceNumber: 'INV-2024-002',
-    status: 'pending',
-    createdAt: '2024-01-30T11:00:00Z'
-  }
-];
+import { posService } from "@/services/api/posService";
+import { ORDER_STATUS } from "@/services/api/orderLifecycle";
+import { persistentStore } from "@/services/storage/persistentStore";
+import { apiTransport, crudRoutes } from "@/services/transport/apiTransport";
+import mockExpenses from "@/services/mockData/expenses.json";
+import mockVendors from "@/services/mockData/vendors.json";
+import mockVendorPayments from "@/services/mockData/vendorPayments.json";
 
 const expenseCategories = [
   { Id: 1, name: 'Rent', icon: 'Home', color: '#EF4444' },
@@ -166,7 +21,8 @@ const expenseCategories = [
   { Id: 9, name: 'Professional Services', icon: 'Briefcase', color: '#F97316' },
   { Id: 10, name: 'Travel', icon: 'Plane', color: '#6366F1' },
   { Id: 11, name: 'Maintenance', icon: 'Wrench', color: '#14B8A6' },
-  { Id: 12, name: 'Other', icon: 'MoreHorizontal', color: '#6B7280' }
+  { Id: 12, name: 'Other', icon: 'MoreHorizontal', color: '#6B7280' },
+  { Id: 13, name: 'Inventory Write-off', icon: 'Trash2', color: '#DC2626' }
 ];
 
 class FinancialService {
@@ -178,6 +34,41 @@ class FinancialService {
     this.vendorIdCounter = Math.max(...mockVendors.map(v => v.Id), 0) + 1;
     this.vendorPayments = [...mockVendorPayments];
     this.vendorPaymentIdCounter = Math.max(...mockVendorPayments.map(p => p.Id), 0) + 1;
+    // Closed till sessions, posted from their Z reports
+    this.registerPostings = [];
+    persistentStore.register(this, 'financial', {
+      fields: ['expenses', 'expenseIdCounter', 'vendors', 'vendorIdCounter', 'vendorPayments', 'vendorPaymentIdCounter', 'registerPostings']
+    });
+    apiTransport.register(this, {
+      getExpenses: (days = 30) => ({
+        url: '/expenses',
+        transform: (expenses) => this.filterByDays(expenses, 'date', days)
+          .sort((a, b) => new Date(b.date) - new Date(a.date))
+      }),
+      getExpenseById: (id) => ({ url: `/expenses/${id}` }),
+      createExpense: (data) => ({ method: 'post', url: '/expenses', data: { ...data, amount: parseFloat(data.amount) } }),
+      updateExpense: (id, data) => ({ method: 'patch', url: `/expenses/${id}`, data: { ...data, amount: parseFloat(data.amount) } }),
+      deleteExpense: (id) => ({ method: 'delete', url: `/expenses/${id}`, transform: () => ({ success: true }) }),
+      getVendors: () => ({
+        url: '/vendors',
+        transform: (vendors) => vendors.sort((a, b) => a.name.localeCompare(b.name))
+      }),
+      getVendorById: (id) => ({ url: `/vendors/${id}` }),
+      createVendor: (data) => ({ method: 'post', url: '/vendors', data }),
+      updateVendor: (id, data) => ({ method: 'patch', url: `/vendors/${id}`, data }),
+      deleteVendor: (id) => ({ method: 'delete', url: `/vendors/${id}`, transform: () => ({ success: true }) }),
+      getVendorPayments: (days = 30) => ({
+        url: '/vendor-payments',
+        transform: (payments) => this.filterByDays(payments, 'createdAt', days)
+          .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+      })
+    });
+  }
+
+  filterByDays(records, dateField, days) {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    return records.filter(record => new Date(record[dateField]) >= startDate);
   }
 
   delay(ms = 300) {
@@ -188,27 +79,28 @@ class FinancialService {
     await this.delay();
     
     try {
-      const [products, orders] = await Promise.all([
-        productService.getAll(),
-        orderService.getAll()
-      ]);
-
       const endDate = new Date();
       const startDate = new Date();
       startDate.setDate(endDate.getDate() - days);
 
+      const [products, orders, refunds] = await Promise.all([
+        productService.getAll(),
+        orderService.getAll(),
+        returnService.getRefunds({ from: startDate, to: endDate })
+      ]);
+
       const filteredOrders = orders.filter(order => {
         const orderDate = new Date(order.createdAt);
         return orderDate >= startDate && orderDate <= endDate;
       });
 
-      return this.calculateFinancialMetrics(products, filteredOrders);
+      return this.calculateFinancialMetrics(products, filteredOrders, refunds);
     } catch (error) {
       throw new Error('Failed to calculate financial metrics: ' + error.message);
     }
   }
 
-  calculateFinancialMetrics(products, orders) {
+  calculateFinancialMetrics(products, orders, refunds = []) {
     let totalRevenue = 0;
     let totalCost = 0;
     let totalProfit = 0;
@@ -285,6 +177,39 @@ class FinancialService {
       }
     });
 
+    // Refunded lines come off revenue in the period they were refunded. Restocked goods
+    // also give their cost back; perishables that were discarded stay a cost.
+    let totalRefunds = 0;
+    let refundedCost = 0;
+    refunds.forEach(refund => {
+      totalRefunds += refund.amount;
+      refund.lines.forEach(line => {
+        const product = products.find(p => p.id === line.productId);
+        const lineCost = line.restocked ? (product?.purchasePrice || 0) * line.quantity : 0;
+        refundedCost += lineCost;
+        totalRevenue -= line.amount;
+        totalCost -= lineCost;
+        totalProfit -= line.amount - lineCost;
+        totalItems -= line.quantity;
+
+        const metrics = productMetrics[line.productId];
+        if (metrics) {
+          metrics.totalSold -= line.quantity;
+          metrics.revenue -= line.amount;
+          metrics.cost -= lineCost;
+          metrics.profit -= line.amount - lineCost;
+          metrics.profitMargin = metrics.revenue > 0 ? (metrics.profit / metrics.revenue) * 100 : 0;
+        }
+        const category = categoryMetrics[product?.category || 'Uncategorized'];
+        if (category) {
+          category.revenue -= line.amount;
+          category.cost -= lineCost;
+          category.profit -= line.amount - lineCost;
+          category.profitMargin = category.revenue > 0 ? (category.profit / category.revenue) * 100 : 0;
+        }
+      });
+    });
+
     // Convert sets to counts for category metrics
     Object.values(categoryMetrics).forEach(category => {
       category.productCount = category.productCount.size;
@@ -303,7 +228,9 @@ class FinancialService {
         roi,
         averageOrderValue,
         totalOrders: orders.length,
-        totalItems
+        totalItems,
+        totalRefunds,
+        refundedCost
       },
       productMetrics: Object.values(productMetrics),
       categoryMetrics: Object.values(categoryMetrics)
@@ -420,9 +347,10 @@ class FinancialService {
     await this.delay();
     
     try {
-      const [products, orders] = await Promise.all([
+      const [products, orders, refunds] = await Promise.all([
         productService.getAll(),
-        orderService.getAll()
+        orderService.getAll(),
+        returnService.getRefunds()
       ]);
 
       const trends = [];
@@ -454,6 +382,14 @@ class FinancialService {
           }
         });
 
+        refunds
+          .filter(refund => refund.refundedAt.split('T')[0] === dateString)
+          .forEach(refund => refund.lines.forEach(line => {
+            const product = products.find(p => p.id === line.productId);
+            dayRevenue -= line.amount;
+            dayCost -= line.restocked ? (product?.purchasePrice || 0) * line.quantity : 0;
+          }));
+
         const dayProfit = dayRevenue - dayCost;
         const dayProfitMargin = dayRevenue > 0 ? (dayProfit / dayRevenue) * 100 : 0;
 
@@ -1031,20 +967,55 @@ class FinancialService {
   }
 
   // Cash Flow Analysis Methods
+  // Takings and drawer movements of a closed register session. Cash drops only move
+  // money to the safe, so they are not cash flow; a shortage is money the business lost.
+  async postRegisterSession(report) {
+    await this.delay(100);
+    if (this.registerPostings.some(posting => posting.sessionId === report.sessionId)) {
+      throw new Error(`Register session ${report.sessionId} is already posted`);
+    }
+    const posting = {
+      Id: this.registerPostings.length + 1,
+      sessionId: report.sessionId,
+      registerId: report.registerId,
+      cashierId: report.cashierId,
+      zNumber: report.zNumber,
+      date: report.closedAt,
+      sales: report.totalSales,
+      payIns: report.payIns,
+      payOuts: report.payOuts,
+      overShort: report.overShort,
+      inflows: report.totalSales + report.payIns + Math.max(report.overShort, 0),
+      outflows: report.payOuts + Math.max(-report.overShort, 0)
+    };
+    this.registerPostings.push(posting);
+    return { ...posting };
+  }
+
+  async getRegisterPostings(days = 30) {
+    await this.delay(100);
+    return this.filterByDays(this.registerPostings, 'date', days);
+  }
+
   async getCashFlowAnalytics(days = 30) {
     await this.delay();
     
     try {
-      const [products, orders, expenses, vendorPayments] = await Promise.all([
+      const endDate = new Date();
+      const startDate = new Date();
+      startDate.setDate(endDate.getDate() - days);
+
+      const [products, orders, expenses, vendorPayments, refunds, registerPostings] = await Promise.all([
         productService.getAll(),
         orderService.getAll(),
         this.getExpenses(days),
-        this.getVendorPayments(days)
+        this.getVendorPayments(days),
+        returnService.getRefunds({ from: startDate, to: endDate }),
+        this.getRegisterPostings(days)
       ]);
 
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(endDate.getDate() - days);
+      // Store-wallet refunds are credit owed to the customer, not cash leaving the business
+      const cashRefunds = refunds.filter(refund => refund.refundedTo !== 'wallet');
 
       // Calculate cash inflows (revenue from orders)
       const filteredOrders = orders.filter(order => {
@@ -1070,7 +1041,14 @@ class FinancialService {
         .filter(payment => payment.status === 'paid')
         .reduce((sum, payment) => sum + payment.amount, 0);
       
-      const totalOutflows = totalExpenseOutflows + totalVendorOutflows;
+      const totalRefundOutflows = cashRefunds.reduce((sum, refund) => sum + refund.amount, 0);
+
+      const totalRegisterInflows = registerPostings.reduce((sum, posting) => sum + posting.inflows, 0);
+      const totalRegisterOutflows = registerPostings.reduce((sum, posting) => sum + posting.outflows, 0);
+      const totalOrderInflows = totalInflows;
+      totalInflows += totalRegisterInflows;
+
+      const totalOutflows = totalExpenseOutflows + totalVendorOutflows + totalRefundOutflows + totalRegisterOutflows;
       const netCashFlow = totalInflows - totalOutflows;
 
       // Generate trend data
@@ -1104,7 +1082,13 @@ class FinancialService {
 
         const dayExpenseOutflows = dayExpenses.reduce((sum, expense) => sum + expense.amount, 0);
         const dayPaymentOutflows = dayPayments.reduce((sum, payment) => sum + payment.amount, 0);
-        const dayOutflows = dayExpenseOutflows + dayPaymentOutflows;
+        const dayRefundOutflows = cashRefunds
+          .filter(refund => refund.refundedAt.split('T')[0] === dateString)
+          .reduce((sum, refund) => sum + refund.amount, 0);
+        const dayRegisterPostings = registerPostings.filter(posting => posting.date.split('T')[0] === dateString);
+        dayInflows += dayRegisterPostings.reduce((sum, posting) => sum + posting.inflows, 0);
+        const dayOutflows = dayExpenseOutflows + dayPaymentOutflows + dayRefundOutflows
+          + dayRegisterPostings.reduce((sum, posting) => sum + posting.outflows, 0);
 
         trendData.push({
           date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
@@ -1120,9 +1104,12 @@ class FinancialService {
         netCashFlow,
         trendData,
         breakdown: {
-          revenueInflows: totalInflows,
+          revenueInflows: totalOrderInflows,
+          registerInflows: totalRegisterInflows,
           expenseOutflows: totalExpenseOutflows,
-          vendorOutflows: totalVendorOutflows
+          vendorOutflows: totalVendorOutflows,
+          refundOutflows: totalRefundOutflows,
+          registerOutflows: totalRegisterOutflows
         }
       };
     } catch (error) {
@@ -1414,6 +1401,107 @@ class FinancialService {
       throw new Error('Failed to get cash flow projections: ' + error.message);
     }
   }
+
+  // Sales tax payable for a filing period: output tax on online orders and POS sales,
+  // less the tax on refunded return lines (credit notes)
+  async getSalesTaxReport({ from, to }) {
+    await this.delay();
+
+    try {
+      const startDate = new Date(from);
+      const endDate = new Date(to);
+      endDate.setHours(23, 59, 59, 999);
+      const inPeriod = (date) => new Date(date) >= startDate && new Date(date) <= endDate;
+
+      const [orders, transactions, refunds] = await Promise.all([
+        orderService.getAll(),
+        posService.getAll(),
+        returnService.getRefunds({ from: startDate, to: endDate })
+      ]);
+
+      const classes = {};
+      const addToClass = (entry, field, net, tax) => {
+        const row = classes[entry.taxClass] || (classes[entry.taxClass] = {
+          taxClass: entry.taxClass,
+          name: entry.name,
+          rate: entry.rate,
+          salesNet: 0,
+          outputTax: 0,
+          returnsNet: 0,
+          returnsTax: 0
+        });
+        row[`${field}Net`] += net;
+        row[field === 'sales' ? 'outputTax' : 'returnsTax'] += tax;
+      };
+
+      // Orders that never became a supply carry no tax
+      const notSupplied = [ORDER_STATUS.CANCELLED, ORDER_STATUS.PAYMENT_REJECTED, ORDER_STATUS.PAYMENT_PENDING];
+      const periodOrders = orders.filter(order => inPeriod(order.createdAt) && !notSupplied.includes(order.status));
+      const periodSales = transactions.filter(transaction => inPeriod(transaction.timestamp));
+
+      let untaxedDocuments = 0;
+      [...periodOrders, ...periodSales].forEach(document => {
+        if (!document.tax) {
+          untaxedDocuments++;
+          return;
+        }
+        document.tax.breakdown.forEach(entry => addToClass(entry, 'sales', entry.net, entry.tax));
+      });
+
+      let creditNotes = 0;
+      refunds.forEach(rma => {
+        const order = orders.find(o => o.id === rma.orderId);
+        if (!order?.tax) return;
+        creditNotes++;
+        rma.lines.forEach(line => {
+          const taxLine = order.tax.lines.find(entry => entry.productId === parseInt(line.productId));
+          if (!taxLine || !taxLine.quantity) return;
+          const share = line.quantity / taxLine.quantity;
+          const entry = order.tax.breakdown.find(b => b.taxClass === taxLine.taxClass) || taxLine;
+          addToClass({ ...entry, taxClass: taxLine.taxClass }, 'returns', taxLine.net * share, taxLine.tax * share);
+        });
+      });
+
+      // Till returns carry the tax given back on each returned line
+      periodSales.filter(transaction => transaction.type === 'return').forEach(transaction => {
+        const credits = transaction.items.filter(item => item.returned && item.credit);
+        if (credits.length === 0) return;
+        creditNotes++;
+        credits.forEach(item => addToClass(item.credit, 'returns', item.credit.net, item.credit.tax));
+      });
+
+      const rows = Object.values(classes)
+        .map(row => ({
+          ...row,
+          salesNet: Math.round(row.salesNet * 100) / 100,
+          outputTax: Math.round(row.outputTax * 100) / 100,
+          returnsNet: Math.round(row.returnsNet * 100) / 100,
+          returnsTax: Math.round(row.returnsTax * 100) / 100,
+          payable: Math.round((row.outputTax - row.returnsTax) * 100) / 100
+        }))
+        .sort((a, b) => b.rate - a.rate);
+
+      const sum = (field) => Math.round(rows.reduce((total, row) => total + row[field], 0) * 100) / 100;
+
+      return {
+        period: { from: startDate.toISOString(), to: endDate.toISOString() },
+        rows,
+        documents: {
+          orders: periodOrders.length,
+          posSales: periodSales.length,
+          creditNotes,
+          untaxed: untaxedDocuments
+        },
+        taxableSales: Math.round(rows.filter(row => row.rate > 0).reduce((total, row) => total + row.salesNet, 0) * 100) / 100,
+        exemptSales: Math.round(rows.filter(row => row.rate === 0).reduce((total, row) => total + row.salesNet, 0) * 100) / 100,
+        outputTax: sum('outputTax'),
+        returnsTax: sum('returnsTax'),
+        netPayable: sum('payable')
+      };
+    } catch (error) {
+      throw new Error('Failed to build sales tax report: ' + error.message);
+    }
+  }
 }
 
 // Create and export service instance
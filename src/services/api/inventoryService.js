@@ -0,0 +1,550 @@
+import productsData from "@/services/mockData/products.json";
+import productService from "@/services/api/productService";
+import { authService, ROLES } from "@/services/api/authService";
+import { persistentStore } from "@/services/storage/persistentStore";
+import { roundQuantity } from "@/services/api/measureUnits";
+
+export const MOVEMENT_TYPES = {
+  OPENING: 'opening',
+  SALE: 'sale',
+  POS_SALE: 'pos_sale',
+  REFUND: 'refund',
+  RESTOCK: 'restock',
+  ADJUSTMENT: 'adjustment',
+  SPOILAGE: 'spoilage'
+};
+
+export const MOVEMENT_LABELS = {
+  [MOVEMENT_TYPES.OPENING]: 'Opening Balance',
+  [MOVEMENT_TYPES.SALE]: 'Online Sale',
+  [MOVEMENT_TYPES.POS_SALE]: 'POS Sale',
+  [MOVEMENT_TYPES.REFUND]: 'Refund',
+  [MOVEMENT_TYPES.RESTOCK]: 'Restock',
+  [MOVEMENT_TYPES.ADJUSTMENT]: 'Adjustment',
+  [MOVEMENT_TYPES.SPOILAGE]: 'Spoilage'
+};
+
+// Movements that always take stock out / put stock in; adjustments carry their own sign
+const OUTBOUND_TYPES = [MOVEMENT_TYPES.SALE, MOVEMENT_TYPES.POS_SALE, MOVEMENT_TYPES.SPOILAGE];
+const INBOUND_TYPES = [MOVEMENT_TYPES.OPENING, MOVEMENT_TYPES.REFUND, MOVEMENT_TYPES.RESTOCK];
+
+export const RESERVATION_TTL_MS = 15 * 60 * 1000;
+
+// Fresh categories are tracked in batches with an expiry date and consumed first-expiring-first-out
+export const PERISHABLE_CATEGORIES = ['Meat', 'Fruits', 'Vegetables', 'Dairy'];
+
+// Shelf life in days used when a delivery arrives without an expiry date
+export const SHELF_LIFE_DAYS = {
+  Meat: 3,
+  Fruits: 7,
+  Vegetables: 5,
+  Dairy: 7
+};
+
+export const isPerishable = (product) => PERISHABLE_CATEGORIES.includes(product?.category);
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result.toISOString();
+};
+
+// Stock is never stored directly: every movement is appended to the ledger and
+// on-hand stock is the sum of a product's entries. product.stock is kept in
+// sync as a cached value so existing screens keep working.
+class InventoryService {
+  constructor() {
+    const openedAt = new Date().toISOString();
+    this.entries = productsData.map((product, index) => ({
+      Id: index + 1,
+      productId: product.id,
+      type: MOVEMENT_TYPES.OPENING,
+      quantity: product.stock || 0,
+      balanceAfter: product.stock || 0,
+      reference: 'Opening balance',
+      note: '',
+      actor: 'system',
+      createdAt: openedAt
+    }));
+    this.batches = productsData.filter(isPerishable).map((product, index) => ({
+      Id: index + 1,
+      productId: product.id,
+      lotNumber: `LOT-${String(product.id).padStart(4, '0')}-OPEN`,
+      receivedAt: openedAt,
+      expiryDate: addDays(openedAt, SHELF_LIFE_DAYS[product.category]),
+      unitCost: product.purchasePrice || 0,
+      quantity: product.stock || 0,
+      remaining: product.stock || 0,
+      markdownPercent: null
+    }));
+    this.reservations = [];
+    this.nextEntryId = this.entries.length + 1;
+    this.nextReservationId = 1;
+    this.nextBatchId = this.batches.length + 1;
+    // Product id -> category, looked up once per session to decide batch tracking
+    this.productCategories = new Map();
+    persistentStore.register(this, 'inventory', {
+      fields: ['entries', 'reservations', 'batches', 'nextEntryId', 'nextReservationId', 'nextBatchId'],
+      version: 2,
+      migrations: {
+        // Batches were introduced in v2; existing stock is folded into batches on first use
+        2: (data) => ({ ...data, batches: [], nextBatchId: 1 })
+      }
+    });
+  }
+
+  delay(ms = 100) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getActor() {
+    const user = authService.getCurrentUser();
+    return user ? user.name : 'system';
+  }
+
+  // Weighed quantities carry at most three decimals; rounding drops the float noise of summing them
+  getBalance(productId) {
+    const balance = this.entries
+      .filter(entry => entry.productId === parseInt(productId))
+      .reduce((sum, entry) => sum + entry.quantity, 0);
+    return Math.round(balance * 1000) / 1000;
+  }
+
+  isReservationActive(reservation, now = Date.now()) {
+    return reservation.status === 'active' && new Date(reservation.expiresAt).getTime() > now;
+  }
+
+  // Mark reservations past their expiry so they stop holding stock
+  expireStaleReservations() {
+    const now = Date.now();
+    let expired = 0;
+    this.reservations.forEach(reservation => {
+      if (reservation.status === 'active' && !this.isReservationActive(reservation, now)) {
+        reservation.status = 'expired';
+        reservation.closedAt = new Date(now).toISOString();
+        expired++;
+      }
+    });
+    return expired;
+  }
+
+  getReservedQuantity(productId, excludeReservationId = null) {
+    const now = Date.now();
+    return this.reservations
+      .filter(r => r.Id !== excludeReservationId && this.isReservationActive(r, now))
+      .reduce((sum, reservation) => sum + reservation.items
+        .filter(item => item.productId === parseInt(productId))
+        .reduce((itemSum, item) => itemSum + item.quantity, 0), 0);
+  }
+
+  // Expired batches stay on hand until written off but can no longer be sold
+  getAvailable(productId, excludeReservationId = null) {
+    return this.getBalance(productId)
+      - this.getReservedQuantity(productId, excludeReservationId)
+      - this.getExpiredQuantity(productId);
+  }
+
+  isBatchExpired(batch, now = Date.now()) {
+    return new Date(batch.expiryDate).getTime() <= now;
+  }
+
+  // Open batches of a product, first-expiring first
+  getOpenBatches(productId) {
+    return this.batches
+      .filter(batch => batch.productId === parseInt(productId) && batch.remaining > 0)
+      .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+  }
+
+  getExpiredQuantity(productId) {
+    const now = Date.now();
+    return this.getOpenBatches(productId)
+      .filter(batch => this.isBatchExpired(batch, now))
+      .reduce((sum, batch) => sum + batch.remaining, 0);
+  }
+
+  async getProductCategory(productId) {
+    const id = parseInt(productId);
+    if (!this.productCategories.has(id)) {
+      // Internal lookup, so hidden products resolve regardless of who is signed in
+      const product = await productService.getById(id, ROLES.ADMIN);
+      this.productCategories.set(id, product.category);
+    }
+    return this.productCategories.get(id);
+  }
+
+  async isBatchTracked(productId) {
+    if (this.batches.some(batch => batch.productId === parseInt(productId))) {
+      return true;
+    }
+    return PERISHABLE_CATEGORIES.includes(await this.getProductCategory(productId));
+  }
+
+  createBatch(productId, { quantity, expiryDate, lotNumber, unitCost = 0, category } = {}) {
+    const id = this.nextBatchId++;
+    const receivedAt = new Date().toISOString();
+    const batch = {
+      Id: id,
+      productId: parseInt(productId),
+      lotNumber: lotNumber || `LOT-${String(productId).padStart(4, '0')}-${String(id).padStart(5, '0')}`,
+      receivedAt,
+      expiryDate: expiryDate
+        ? new Date(expiryDate).toISOString()
+        : addDays(receivedAt, SHELF_LIFE_DAYS[category] || 7),
+      unitCost: parseFloat(unitCost) || 0,
+      quantity,
+      remaining: quantity,
+      markdownPercent: null
+    };
+    this.batches.push(batch);
+    return batch;
+  }
+
+  // Take quantity out of batches first-expiring-first-out. Sales skip expired batches;
+  // a specific batch can be targeted for write-offs.
+  allocateFromBatches(productId, quantity, { includeExpired = false, batchId = null } = {}) {
+    const now = Date.now();
+    const candidates = batchId
+      ? this.batches.filter(batch => batch.Id === batchId && batch.remaining > 0)
+      : this.getOpenBatches(productId).filter(batch => includeExpired || !this.isBatchExpired(batch, now));
+
+    const allocations = [];
+    let outstanding = quantity;
+    for (const batch of candidates) {
+      if (outstanding <= 0) break;
+      const taken = Math.min(batch.remaining, outstanding);
+      batch.remaining -= taken;
+      outstanding -= taken;
+      allocations.push({ batchId: batch.Id, lotNumber: batch.lotNumber, quantity: taken });
+    }
+    return allocations;
+  }
+
+  // Keep batch totals equal to on-hand stock for tracked products, e.g. stock that
+  // existed before batch tracking or was adjusted outside a batch
+  async reconcileBatches(productId) {
+    if (!(await this.isBatchTracked(productId))) {
+      return;
+    }
+    const balance = Math.max(this.getBalance(productId), 0);
+    const batched = this.getOpenBatches(productId).reduce((sum, batch) => sum + batch.remaining, 0);
+    if (batched < balance) {
+      this.createBatch(productId, {
+        quantity: balance - batched,
+        category: await this.getProductCategory(productId),
+        lotNumber: `LOT-${String(productId).padStart(4, '0')}-UNTRACKED`
+      });
+    } else if (batched > balance) {
+      this.allocateFromBatches(productId, batched - balance, { includeExpired: true });
+    }
+  }
+
+  // Products created after the seed get an opening entry for the stock they were created with
+  async ensureOpeningBalance(productId) {
+    const id = parseInt(productId);
+    if (this.entries.some(entry => entry.productId === id)) {
+      return;
+    }
+    // Internal lookup, so hidden products resolve regardless of who is signed in
+    const product = await productService.getById(id, ROLES.ADMIN);
+    this.productCategories.set(id, product.category);
+    this.appendEntry({
+      productId: id,
+      type: MOVEMENT_TYPES.OPENING,
+      quantity: product.stock || 0,
+      reference: 'Opening balance'
+    });
+  }
+
+  signedQuantity(type, quantity) {
+    const amount = Number(quantity) || 0;
+    if (OUTBOUND_TYPES.includes(type)) return -Math.abs(amount);
+    if (INBOUND_TYPES.includes(type)) return Math.abs(amount);
+    return amount;
+  }
+
+  appendEntry({ productId, type, quantity, reference = '', note = '', batchAllocations = [] }) {
+    const id = parseInt(productId);
+    const entry = {
+      Id: this.nextEntryId++,
+      productId: id,
+      type,
+      quantity,
+      balanceAfter: this.getBalance(id) + quantity,
+      reference,
+      note,
+      batchAllocations,
+      actor: this.getActor(),
+      createdAt: new Date().toISOString()
+    };
+    this.entries.push(entry);
+    return { ...entry };
+  }
+
+  // Validate a batch of movements against on-hand (and optionally unreserved) stock
+  async validateMovements(movements, { excludeReservationId = null, respectReservations = false } = {}) {
+    const totals = new Map();
+
+    for (const movement of movements) {
+      if (!Object.values(MOVEMENT_TYPES).includes(movement.type)) {
+        throw new Error(`Unknown stock movement type: ${movement.type}`);
+      }
+      const quantity = this.signedQuantity(movement.type, movement.quantity);
+      if (quantity === 0) {
+        throw new Error('Stock movement quantity must not be zero');
+      }
+      await this.ensureOpeningBalance(movement.productId);
+      await this.reconcileBatches(movement.productId);
+      const id = parseInt(movement.productId);
+      totals.set(id, (totals.get(id) || 0) + quantity);
+
+      if (movement.batchId) {
+        const batch = this.batches.find(b => b.Id === movement.batchId && b.productId === id);
+        if (!batch || batch.remaining < Math.abs(quantity)) {
+          throw new Error(`Batch ${batch?.lotNumber || movement.batchId} does not hold ${Math.abs(quantity)} units`);
+        }
+      }
+    }
+
+    totals.forEach((change, productId) => {
+      const available = respectReservations
+        ? this.getAvailable(productId, excludeReservationId)
+        : this.getBalance(productId);
+      if (change < 0 && available + change < 0) {
+        const name = movements.find(m => parseInt(m.productId) === productId)?.name || `Product #${productId}`;
+        throw new Error(`Insufficient stock for ${name}. Available: ${Math.max(available, 0)}`);
+      }
+    });
+  }
+
+  async syncProductStock(productIds) {
+    for (const productId of new Set(productIds.map(id => parseInt(id)))) {
+      try {
+        await productService.update(productId, { stock: this.getBalance(productId) });
+      } catch (error) {
+        console.warn(`Failed to sync stock for product ${productId}:`, error);
+      }
+    }
+  }
+
+  // Append one or more movements atomically; either all entries are written or none.
+  // Sales pass respectReservations so they cannot take stock held by another checkout.
+  async recordMovements(movements, { excludeReservationId = null, respectReservations = false } = {}) {
+    await this.delay();
+    this.expireStaleReservations();
+    await this.validateMovements(movements, { excludeReservationId, respectReservations });
+
+    const entries = [];
+    for (const movement of movements) {
+      const quantity = this.signedQuantity(movement.type, movement.quantity);
+      let batchAllocations = [];
+
+      if (await this.isBatchTracked(movement.productId)) {
+        if (quantity > 0) {
+          // Inbound stock opens a new batch; movement.batch carries expiry, lot and cost
+          const batch = this.createBatch(movement.productId, {
+            ...movement.batch,
+            quantity,
+            category: await this.getProductCategory(movement.productId)
+          });
+          batchAllocations = [{ batchId: batch.Id, lotNumber: batch.lotNumber, quantity }];
+        } else {
+          batchAllocations = this.allocateFromBatches(movement.productId, -quantity, {
+            includeExpired: ![MOVEMENT_TYPES.SALE, MOVEMENT_TYPES.POS_SALE].includes(movement.type),
+            batchId: movement.batchId || null
+          });
+        }
+      }
+
+      entries.push(this.appendEntry({ ...movement, quantity, batchAllocations }));
+    }
+
+    await this.syncProductStock(entries.map(entry => entry.productId));
+    return entries;
+  }
+
+  async recordMovement(movement) {
+    const [entry] = await this.recordMovements([movement]);
+    return entry;
+  }
+
+  // Stocktake: post an adjustment for the difference between counted and on-hand stock
+  async adjustTo(productId, countedQuantity, { reference = 'Stock count', note = '' } = {}) {
+    await this.ensureOpeningBalance(productId);
+    const counted = parseFloat(countedQuantity);
+    if (!Number.isFinite(counted)) {
+      throw new Error('Enter the counted quantity');
+    }
+    // Weighed goods are counted to the unit's precision, not in whole units
+    const { unit } = await productService.getById(productId, ROLES.ADMIN);
+    const difference = roundQuantity(counted - this.getBalance(productId), unit);
+    if (!difference) {
+      return null;
+    }
+    return this.recordMovement({
+      productId,
+      type: MOVEMENT_TYPES.ADJUSTMENT,
+      quantity: difference,
+      reference,
+      note
+    });
+  }
+
+  async checkAvailability(items, { reservationId = null } = {}) {
+    await this.delay(50);
+    this.expireStaleReservations();
+    await this.validateMovements(
+      items.map(item => ({ ...item, type: MOVEMENT_TYPES.SALE })),
+      { excludeReservationId: reservationId, respectReservations: true }
+    );
+    return true;
+  }
+
+  async getStockLevel(productId) {
+    await this.delay(50);
+    this.expireStaleReservations();
+    await this.ensureOpeningBalance(productId);
+    await this.reconcileBatches(productId);
+    return {
+      productId: parseInt(productId),
+      onHand: this.getBalance(productId),
+      reserved: this.getReservedQuantity(productId),
+      expired: this.getExpiredQuantity(productId),
+      available: this.getAvailable(productId)
+    };
+  }
+
+  async getLedger(productId) {
+    await this.delay();
+    this.expireStaleReservations();
+    await this.ensureOpeningBalance(productId);
+    return this.entries
+      .filter(entry => entry.productId === parseInt(productId))
+      .map(entry => ({ ...entry }))
+      .reverse();
+  }
+
+  async getReservations(productId = null) {
+    await this.delay(50);
+    this.expireStaleReservations();
+    return this.reservations
+      .filter(r => productId === null || r.items.some(item => item.productId === parseInt(productId)))
+      .map(r => ({ ...r, items: r.items.map(item => ({ ...item })) }))
+      .reverse();
+  }
+
+  async getBatches(productId = null, { includeEmpty = false } = {}) {
+    await this.delay(50);
+    if (productId !== null) {
+      await this.ensureOpeningBalance(productId);
+      await this.reconcileBatches(productId);
+    }
+    const now = Date.now();
+    return this.batches
+      .filter(batch => productId === null || batch.productId === parseInt(productId))
+      .filter(batch => includeEmpty || batch.remaining > 0)
+      .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate))
+      .map(batch => ({ ...batch, expired: this.isBatchExpired(batch, now) }));
+  }
+
+  // Fold untracked stock into batches for every perishable product in the list
+  async reconcileAllBatches(products) {
+    for (const product of products) {
+      this.productCategories.set(product.id, product.category);
+      await this.ensureOpeningBalance(product.id);
+      await this.reconcileBatches(product.id);
+    }
+  }
+
+  async updateBatch(batchId, updates) {
+    await this.delay(50);
+    const batch = this.batches.find(b => b.Id === batchId);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+    // Quantities only change through ledger movements
+    ['markdownPercent', 'markdownAt', 'writtenOffAt'].forEach(field => {
+      if (updates[field] !== undefined) {
+        batch[field] = updates[field];
+      }
+    });
+    return { ...batch };
+  }
+
+  // Hold stock for a checkout; items are { productId, name, quantity }
+  async reserve(items, { reference = 'Checkout', ttlMs = RESERVATION_TTL_MS } = {}) {
+    await this.delay();
+    this.expireStaleReservations();
+
+    const lines = items.map(item => ({
+      productId: parseInt(item.productId),
+      name: item.name,
+      quantity: item.quantity
+    }));
+    await this.validateMovements(
+      lines.map(line => ({ ...line, type: MOVEMENT_TYPES.SALE })),
+      { respectReservations: true }
+    );
+
+    const now = Date.now();
+    const reservation = {
+      Id: this.nextReservationId++,
+      items: lines,
+      reference,
+      status: 'active',
+      createdBy: this.getActor(),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+      closedAt: null
+    };
+    this.reservations.push(reservation);
+    return { ...reservation, items: lines.map(line => ({ ...line })) };
+  }
+
+  async releaseReservation(reservationId) {
+    await this.delay(50);
+    const reservation = this.reservations.find(r => r.Id === reservationId);
+    if (!reservation || reservation.status !== 'active') {
+      return false;
+    }
+    reservation.status = 'released';
+    reservation.closedAt = new Date().toISOString();
+    return true;
+  }
+
+  async expireReservations() {
+    await this.delay(50);
+    return { expired: this.expireStaleReservations() };
+  }
+
+  // Turn a reservation into ledger entries. An expired hold is honoured only if
+  // the stock is still free, otherwise the sale is rejected.
+  async commitReservation(reservationId, { type = MOVEMENT_TYPES.SALE, reference = '', items = null } = {}) {
+    const reservation = this.reservations.find(r => r.Id === reservationId);
+    if (!reservation) {
+      throw new Error('Stock reservation not found');
+    }
+    if (['committed', 'released'].includes(reservation.status)) {
+      throw new Error(`Stock reservation was already ${reservation.status}`);
+    }
+
+    const lines = items || reservation.items;
+    const entries = await this.recordMovements(
+      lines.map(line => ({
+        productId: line.productId ?? line.id,
+        name: line.name,
+        quantity: line.quantity,
+        type,
+        reference
+      })),
+      { excludeReservationId: reservation.Id, respectReservations: true }
+    );
+
+    reservation.status = 'committed';
+    reservation.closedAt = new Date().toISOString();
+    reservation.committedReference = reference;
+    return entries;
+  }
+}
+
+export const inventoryService = new InventoryService();
+export default inventoryService;
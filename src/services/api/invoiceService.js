@@ -0,0 +1,230 @@
+import { format } from "date-fns";
+import { orderService } from "@/services/api/orderService";
+import { taxService } from "@/services/api/taxService";
+import { authService, PERMISSIONS } from "@/services/api/authService";
+import { persistentStore } from "@/services/storage/persistentStore";
+import { formatQuantity, isVariableMeasure, lineAmount } from "@/services/api/measureUnits";
+
+export const INVOICE_PREFIX = 'INV';
+
+export const formatInvoiceNumber = (sequence) => `${INVOICE_PREFIX}-${String(sequence).padStart(6, '0')}`;
+
+const money = (amount) => `Rs. ${(Math.round((Number(amount) || 0) * 100) / 100).toLocaleString()}`;
+
+// Hands a generated file to the browser as a download
+export const saveFile = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Invoices for web orders. Numbers come from one persisted sequence and an order keeps
+// its number once issued, so reprints and exports always show the same invoice.
+class InvoiceService {
+  constructor() {
+    this.invoices = {};
+    this.nextSequence = 1;
+    persistentStore.register(this, 'invoices', {
+      fields: ['invoices', 'nextSequence']
+    });
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  issueNumber(order) {
+    if (!this.invoices[order.id]) {
+      this.invoices[order.id] = {
+        number: formatInvoiceNumber(this.nextSequence++),
+        issuedAt: new Date().toISOString()
+      };
+    }
+    return this.invoices[order.id];
+  }
+
+  async issue(orderId) {
+    await this.delay(50);
+    const order = await orderService.getById(orderId);
+    return { ...this.issueNumber(order) };
+  }
+
+  async getInvoiceNumber(orderId) {
+    return this.invoices[orderId]?.number || null;
+  }
+
+  async buildPdf(order, invoice) {
+    const { jsPDF } = await import('jspdf');
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const registration = order.tax?.registration || taxService.settings;
+    const pageBottom = 280;
+    let y = 20;
+
+    const ensureSpace = (height) => {
+      if (y + height > pageBottom) {
+        doc.addPage();
+        y = 20;
+      }
+    };
+    const row = (label, value, { bold = false } = {}) => {
+      ensureSpace(6);
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      doc.text(label, 120, y);
+      doc.text(value, 190, y, { align: 'right' });
+      y += 6;
+    };
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(20);
+    doc.setTextColor(46, 125, 50);
+    doc.text(registration.storeName || 'FreshMart', 20, y);
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(14);
+    doc.text(order.tax ? 'Sales Tax Invoice' : 'Invoice', 190, y, { align: 'right' });
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    y += 6;
+    doc.text(`NTN: ${registration.ntn}   STRN: ${registration.strn}`, 20, y);
+    doc.text(`Invoice #: ${invoice.number}`, 190, y, { align: 'right' });
+    y += 5;
+    doc.text(`Order #: ${order.id}`, 190, y, { align: 'right' });
+    y += 5;
+    doc.text(`Date: ${format(new Date(order.createdAt), 'dd MMM yyyy, hh:mm a')}`, 190, y, { align: 'right' });
+
+    const address = order.deliveryAddress || {};
+    y += 10;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text('Bill To', 20, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    [address.name, address.address, [address.city, address.postalCode].filter(Boolean).join(' '), address.phone, address.email]
+      .filter(Boolean)
+      .forEach(line => {
+        y += 5;
+        doc.text(String(line), 20, y);
+      });
+
+    y += 10;
+    doc.setFillColor(243, 244, 246);
+    doc.rect(20, y - 5, 170, 8, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.text('Item', 22, y);
+    doc.text('Qty', 120, y, { align: 'right' });
+    doc.text('Unit Price', 152, y, { align: 'right' });
+    doc.text('Amount', 188, y, { align: 'right' });
+    y += 8;
+
+    doc.setFont('helvetica', 'normal');
+    (order.items || []).forEach(item => {
+      const name = doc.splitTextToSize(`${item.name}${item.unit ? ` (${item.unit})` : ''}`, 85);
+      ensureSpace(name.length * 5 + 2);
+      doc.text(name, 22, y);
+      // Measured goods print as weight x price per unit, e.g. 1.25 kg x Rs. 1,200/kg
+      doc.text(formatQuantity(item.quantity, item.unit), 120, y, { align: 'right' });
+      doc.text(`${money(item.price)}${isVariableMeasure(item.unit) ? `/${item.unit}` : ''}`, 152, y, { align: 'right' });
+      doc.text(money(lineAmount(item)), 188, y, { align: 'right' });
+      y += name.length * 5 + 2;
+    });
+
+    y += 2;
+    doc.line(120, y - 4, 190, y - 4);
+    const itemsTotal = (order.items || []).reduce((sum, item) => sum + item.price * item.quantity, 0);
+    row('Subtotal', money(order.originalSubtotal ?? itemsTotal));
+
+    const deals = (order.promotions || []).filter(entry => entry.savings > 0);
+    deals.forEach(entry => {
+      row(doc.splitTextToSize(`${entry.name}${entry.productName ? ` (${entry.productName})` : ''}`, 45)[0], `- ${money(entry.savings)}`);
+    });
+    if (deals.length === 0 && order.dealSavings > 0) {
+      row('Deals applied', `- ${money(order.dealSavings)}`);
+    }
+    if (order.loyaltyRedemption?.discount > 0) {
+      row('Loyalty points redeemed', `- ${money(order.loyaltyRedemption.discount)}`);
+    }
+
+    row('Delivery Charge', money(order.deliveryCharge));
+    (order.tax?.breakdown || []).filter(entry => entry.rate > 0).forEach(entry => {
+      row(`GST ${entry.rate}%${order.tax.pricesIncludeTax ? ' (incl.)' : ''}`, money(entry.tax));
+    });
+    if (order.gatewayFee > 0) {
+      row('Gateway Fee', money(order.gatewayFee));
+    }
+    doc.line(120, y - 4, 190, y - 4);
+    doc.setFontSize(11);
+    row('Total', money(order.total ?? order.totalAmount), { bold: true });
+    doc.setFontSize(9);
+
+    y += 6;
+    ensureSpace(20);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Payment', 20, y);
+    doc.setFont('helvetica', 'normal');
+    y += 5;
+    doc.text(`Method: ${(order.paymentMethod || 'cash').replace('_', ' ').toUpperCase()}`, 20, y);
+    y += 5;
+    doc.text(`Status: ${order.paymentStatus || 'pending'}`, 20, y);
+    if (order.transactionId) {
+      y += 5;
+      doc.text(`Transaction ID: ${order.transactionId}`, 20, y);
+    }
+
+    doc.setFontSize(8);
+    doc.setTextColor(120, 120, 120);
+    doc.text(`Computer generated invoice ${invoice.number}. Issued ${format(new Date(invoice.issuedAt), 'dd MMM yyyy')}.`, 105, 290, { align: 'center' });
+
+    return doc.output('blob');
+  }
+
+  async generate(orderId) {
+    const order = await orderService.getById(orderId);
+    const invoice = this.issueNumber(order);
+    await this.delay(50);
+    return {
+      number: invoice.number,
+      fileName: `${invoice.number}.pdf`,
+      blob: await this.buildPdf(order, invoice)
+    };
+  }
+
+  // Every order placed in the range, invoiced in order date so new numbers stay chronological
+  async exportRange({ from, to }) {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    const startDate = new Date(from);
+    const endDate = new Date(to);
+    endDate.setHours(23, 59, 59, 999);
+    if (startDate > endDate) {
+      throw new Error('Start date must be before end date');
+    }
+
+    const orders = (await orderService.getAll())
+      .filter(order => new Date(order.createdAt) >= startDate && new Date(order.createdAt) <= endDate)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    if (orders.length === 0) {
+      throw new Error('No orders in this date range');
+    }
+
+    const { default: JSZip } = await import('jszip');
+    const zip = new JSZip();
+    for (const order of orders) {
+      const invoice = this.issueNumber(order);
+      zip.file(`${invoice.number}.pdf`, await this.buildPdf(order, invoice));
+    }
+    await this.delay(50);
+
+    return {
+      count: orders.length,
+      fileName: `invoices_${format(startDate, 'yyyy-MM-dd')}_${format(endDate, 'yyyy-MM-dd')}.zip`,
+      blob: await zip.generateAsync({ type: 'blob' })
+    };
+  }
+}
+
+export const invoiceService = new InvoiceService();
+export default invoiceService;
@@ -0,0 +1,338 @@
+import { addDays, addMonths, subDays } from "date-fns";
+import { paymentService } from "@/services/api/paymentService";
+import { authService, customerIdFor, PERMISSIONS } from "@/services/api/authService";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+// One point per Rs. 100 spent before the tier multiplier; a point is worth Rs. 1
+export const POINTS_PER_RUPEE = 0.01;
+export const POINT_VALUE = 1;
+export const POINTS_EXPIRY_MONTHS = 12;
+export const MIN_REDEEM_POINTS = 100;
+export const MIN_CONVERT_POINTS = 500;
+// Points can pay for at most half of the goods in a basket
+export const MAX_REDEEM_SHARE = 0.5;
+
+export const ENTRY_TYPES = {
+  EARN: 'earn',
+  REDEEM: 'redeem',
+  CONVERT: 'convert',
+  EXPIRE: 'expire',
+  REVERSE: 'reverse',
+  RESTORE: 'restore'
+};
+
+// Tier comes from points earned over the last 12 months
+export const TIERS = [
+  { id: 'bronze', name: 'Bronze', minPoints: 0, multiplier: 1 },
+  { id: 'silver', name: 'Silver', minPoints: 500, multiplier: 1.25 },
+  { id: 'gold', name: 'Gold', minPoints: 2000, multiplier: 1.5 }
+];
+
+export const getTier = (qualifyingPoints) =>
+  [...TIERS].reverse().find(tier => qualifyingPoints >= tier.minPoints) || TIERS[0];
+
+export const pointsValue = (points) => points * POINT_VALUE;
+
+// Earned and restored points are lots that can be spent; the other entries only record movements
+const isLot = (entry) => entry.type === ENTRY_TYPES.EARN || entry.type === ENTRY_TYPES.RESTORE;
+
+const seedLedger = () => {
+  const now = new Date();
+  const earned = (Id, customerId, points, daysAgo, reference) => {
+    const createdAt = subDays(now, daysAgo);
+    return {
+      Id,
+      customerId,
+      type: ENTRY_TYPES.EARN,
+      points,
+      remaining: points,
+      reference,
+      createdAt: createdAt.toISOString(),
+      expiresAt: addMonths(createdAt, POINTS_EXPIRY_MONTHS).toISOString()
+    };
+  };
+  return [
+    earned(1, 'user123', 320, 340, 'Order #1'),
+    earned(2, 'user123', 180, 60, 'Order #1 (bonus)'),
+    earned(3, 'pos-1', 150, 120, 'POS #1'),
+    earned(4, 'pos-2', 260, 30, 'POS #2')
+  ];
+};
+
+// Points ledger. Each earn entry is a lot with its own expiry; redemptions and
+// conversions consume the oldest lots first so the soonest-expiring points go first.
+class LoyaltyService {
+  constructor() {
+    this.ledger = seedLedger();
+    this.nextEntryId = 5;
+    persistentStore.register(this, 'loyalty', {
+      fields: ['ledger', 'nextEntryId']
+    });
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  record(entry) {
+    const saved = { Id: this.nextEntryId++, createdAt: new Date().toISOString(), ...entry };
+    this.ledger.push(saved);
+    return saved;
+  }
+
+  // Lots past their expiry lose what is left of them
+  expireLots(customerId = null, now = new Date()) {
+    this.ledger
+      .filter(entry => isLot(entry) && entry.remaining > 0 && new Date(entry.expiresAt) <= now)
+      .filter(entry => !customerId || entry.customerId === customerId)
+      .forEach(lot => {
+        this.record({
+          customerId: lot.customerId,
+          type: ENTRY_TYPES.EXPIRE,
+          points: -lot.remaining,
+          reference: `Expired lot #${lot.Id}`
+        });
+        lot.remaining = 0;
+      });
+  }
+
+  balanceOf(customerId) {
+    return this.ledger
+      .filter(entry => entry.customerId === customerId && isLot(entry))
+      .reduce((sum, lot) => sum + lot.remaining, 0);
+  }
+
+  qualifyingPoints(customerId, now = new Date()) {
+    const since = subDays(now, 365);
+    return this.ledger
+      .filter(entry => entry.customerId === customerId && entry.type === ENTRY_TYPES.EARN && new Date(entry.createdAt) >= since)
+      .reduce((sum, entry) => sum + entry.points, 0);
+  }
+
+  consume(customerId, points) {
+    let left = points;
+    this.ledger
+      .filter(entry => entry.customerId === customerId && isLot(entry) && entry.remaining > 0)
+      .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt))
+      .forEach(lot => {
+        const used = Math.min(lot.remaining, left);
+        lot.remaining -= used;
+        left -= used;
+      });
+  }
+
+  earn(customerId, amount, { reference, sourceKey }) {
+    if (!customerId || amount <= 0) return null;
+    // Earning is idempotent per source so a repeated status change cannot pay twice
+    if (this.ledger.some(entry => entry.sourceKey === sourceKey && entry.type === ENTRY_TYPES.EARN)) {
+      return null;
+    }
+    const tier = getTier(this.qualifyingPoints(customerId));
+    const points = Math.floor(amount * POINTS_PER_RUPEE * tier.multiplier);
+    if (points <= 0) return null;
+    const now = new Date();
+    return this.record({
+      customerId,
+      type: ENTRY_TYPES.EARN,
+      points,
+      remaining: points,
+      reference,
+      sourceKey,
+      tier: tier.id,
+      expiresAt: addMonths(now, POINTS_EXPIRY_MONTHS).toISOString()
+    });
+  }
+
+  // Delivered web orders earn on the goods, not delivery, fees or tax added on top
+  async earnForOrder(order) {
+    await this.delay(50);
+    const goods = order.subtotal ?? ((order.total || 0) - (order.deliveryCharge || 0) - (order.gatewayFee || 0) - (order.tax?.taxAdded || 0));
+    return this.earn(order.customerId, goods - (order.loyaltyRedemption?.discount || 0), {
+      reference: `Order #${order.id}`,
+      sourceKey: `order-${order.id}`
+    });
+  }
+
+  async earnForPosSale(transaction) {
+    await this.delay(50);
+    if (!transaction.customerId) return null;
+    return this.earn(`pos-${transaction.customerId}`, transaction.subtotal - (transaction.discount || 0), {
+      reference: `POS #${transaction.id}`,
+      sourceKey: `pos-${transaction.id}`
+    });
+  }
+
+  // Refunded goods take back the points they earned, as far as the balance allows.
+  // Partial refunds of one sale never take back more in total than the sale earned.
+  async reverseForRefund(order, refundAmount, reference, { sourceKey = `order-${order.id}`, customerId = order.customerId } = {}) {
+    await this.delay(50);
+    const earned = this.ledger.find(entry => entry.sourceKey === sourceKey && entry.type === ENTRY_TYPES.EARN);
+    if (!earned) return null;
+    const alreadyReversed = this.ledger
+      .filter(entry => entry.sourceKey === sourceKey && entry.type === ENTRY_TYPES.REVERSE)
+      .reduce((sum, entry) => sum - entry.points, 0);
+    const goods = order.subtotal ?? order.total ?? 0;
+    const points = Math.min(
+      this.balanceOf(customerId),
+      earned.points - alreadyReversed,
+      Math.round(earned.points * Math.min(1, refundAmount / (goods || 1)))
+    );
+    if (points <= 0) return null;
+    this.consume(customerId, points);
+    return this.record({ customerId, type: ENTRY_TYPES.REVERSE, points: -points, reference, sourceKey });
+  }
+
+  // Goods returned at the till, keyed the way earnForPosSale keys the sale
+  async reverseForPosReturn(transaction, refundAmount, reference) {
+    if (!transaction.customerId) return null;
+    return this.reverseForRefund(transaction, refundAmount, reference, {
+      sourceKey: `pos-${transaction.id}`,
+      customerId: `pos-${transaction.customerId}`
+    });
+  }
+
+  getRedemptionError(customerId, points, goodsTotal) {
+    if (!customerId) return 'Please sign in to use your points';
+    if (!Number.isInteger(points) || points <= 0) return 'Enter a whole number of points';
+    if (points < MIN_REDEEM_POINTS) return `Redeem at least ${MIN_REDEEM_POINTS} points`;
+    this.expireLots(customerId);
+    if (points > this.balanceOf(customerId)) return 'You do not have that many points';
+    if (pointsValue(points) > goodsTotal * MAX_REDEEM_SHARE) {
+      return `Points can cover at most ${MAX_REDEEM_SHARE * 100}% of your order`;
+    }
+    return null;
+  }
+
+  async checkRedemption(customerId, points, goodsTotal) {
+    await this.delay(50);
+    const error = this.getRedemptionError(customerId, points, goodsTotal);
+    if (error) {
+      throw new Error(error);
+    }
+    return { points, discount: pointsValue(points) };
+  }
+
+  async redeem(customerId, points, goodsTotal, reference) {
+    const redemption = await this.checkRedemption(customerId, points, goodsTotal);
+    this.consume(customerId, points);
+    this.record({ customerId, type: ENTRY_TYPES.REDEEM, points: -points, reference });
+    return redemption;
+  }
+
+  // A cancelled order gives its redeemed points back as a fresh lot
+  async restoreRedemption(order) {
+    await this.delay(50);
+    const points = order.loyaltyRedemption?.points || 0;
+    const sourceKey = `restore-${order.id}`;
+    if (points <= 0 || this.ledger.some(entry => entry.sourceKey === sourceKey)) return null;
+    return this.record({
+      customerId: order.customerId,
+      type: ENTRY_TYPES.RESTORE,
+      points,
+      remaining: points,
+      reference: `Order #${order.id} cancelled`,
+      sourceKey,
+      expiresAt: addMonths(new Date(), POINTS_EXPIRY_MONTHS).toISOString()
+    });
+  }
+
+  async getAccount(customerId = customerIdFor(authService.getCurrentUser())) {
+    await this.delay();
+    if (!customerId) {
+      throw new Error('Please sign in to see your points');
+    }
+    this.expireLots(customerId);
+    const now = new Date();
+    const qualifying = this.qualifyingPoints(customerId, now);
+    const tier = getTier(qualifying);
+    const nextTier = TIERS.find(t => t.minPoints > qualifying) || null;
+    const balance = this.balanceOf(customerId);
+    const expiringSoon = this.ledger
+      .filter(entry => entry.customerId === customerId && isLot(entry) && entry.remaining > 0)
+      .filter(entry => new Date(entry.expiresAt) <= addDays(now, 30))
+      .reduce((sum, lot) => sum + lot.remaining, 0);
+
+    return {
+      customerId,
+      balance,
+      value: pointsValue(balance),
+      tier,
+      nextTier,
+      pointsToNextTier: nextTier ? nextTier.minPoints - qualifying : 0,
+      expiringSoon,
+      history: this.ledger
+        .filter(entry => entry.customerId === customerId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(entry => ({ ...entry }))
+    };
+  }
+
+  // Turns the signed-in customer's points into store wallet credit
+  async convertToWallet(points) {
+    const customerId = customerIdFor(authService.getCurrentUser());
+    if (!customerId) {
+      throw new Error('Please sign in to use your points');
+    }
+    await this.delay();
+    this.expireLots(customerId);
+    if (!Number.isInteger(points) || points < MIN_CONVERT_POINTS) {
+      throw new Error(`Convert at least ${MIN_CONVERT_POINTS} points`);
+    }
+    if (points > this.balanceOf(customerId)) {
+      throw new Error('You do not have that many points');
+    }
+
+    const credit = pointsValue(points);
+    const walletTransaction = await paymentService.depositToWallet(credit, { description: `Loyalty points conversion (${points} pts)` });
+    this.consume(customerId, points);
+    this.record({ customerId, type: ENTRY_TYPES.CONVERT, points: -points, reference: walletTransaction.reference });
+    return { points, credit, walletBalance: walletTransaction.balance };
+  }
+
+  // Outstanding points are a liability at their redemption value until used or expired
+  async getLiability({ from = subDays(new Date(), 30), to = new Date() } = {}) {
+    authService.assertPermission(PERMISSIONS.FINANCIAL_VIEW);
+    await this.delay();
+    this.expireLots();
+    const now = new Date();
+    const inPeriod = (entry) => new Date(entry.createdAt) >= from && new Date(entry.createdAt) <= to;
+    const lots = this.ledger.filter(entry => isLot(entry) && entry.remaining > 0);
+    const customers = [...new Set(this.ledger.map(entry => entry.customerId))];
+    const movement = (type) => Math.abs(this.ledger
+      .filter(entry => entry.type === type && inPeriod(entry))
+      .reduce((sum, entry) => sum + entry.points, 0));
+
+    const byTier = TIERS.map(tier => {
+      const members = customers.filter(customerId => getTier(this.qualifyingPoints(customerId, now)).id === tier.id);
+      const points = members.reduce((sum, customerId) => sum + this.balanceOf(customerId), 0);
+      return { ...tier, members: members.length, points, value: pointsValue(points) };
+    });
+
+    const outstanding = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+    const expiringWithin = (days) => lots
+      .filter(lot => new Date(lot.expiresAt) <= addDays(now, days))
+      .reduce((sum, lot) => sum + lot.remaining, 0);
+    const issued = movement(ENTRY_TYPES.EARN);
+    const expired = movement(ENTRY_TYPES.EXPIRE);
+
+    return {
+      outstandingPoints: outstanding,
+      liability: pointsValue(outstanding),
+      members: customers.length,
+      byTier,
+      expiring30: pointsValue(expiringWithin(30)),
+      expiring90: pointsValue(expiringWithin(90)),
+      period: {
+        issued,
+        redeemed: movement(ENTRY_TYPES.REDEEM),
+        converted: movement(ENTRY_TYPES.CONVERT),
+        expired,
+        reversed: movement(ENTRY_TYPES.REVERSE),
+        breakageRate: issued > 0 ? Math.round((expired / issued) * 1000) / 10 : 0
+      }
+    };
+  }
+}
+
+export const loyaltyService = new LoyaltyService();
+export default loyaltyService;
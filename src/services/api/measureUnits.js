@@ -0,0 +1,93 @@
+// Quantity rules for each selling unit. Counted goods move in whole units; goods sold
+// by weight or volume take decimals, in increments the counter can actually measure.
+// Pure helpers shared by the cart, POS, picking and receipts.
+
+export const UNIT_RULES = {
+  kg: { step: 0.25, min: 0.25, decimals: 3, weighed: true },
+  liter: { step: 0.5, min: 0.5, decimals: 2 }
+};
+
+const COUNTED_RULE = { step: 1, min: 1, decimals: 0 };
+
+export const getUnitRule = (unit) => UNIT_RULES[unit] || COUNTED_RULE;
+
+export const isVariableMeasure = (unit) => getUnitRule(unit).decimals > 0;
+
+export const isWeighed = (item) => Boolean(getUnitRule(item?.unit).weighed);
+
+export const roundQuantity = (quantity, unit) => {
+  const factor = 10 ** getUnitRule(unit).decimals;
+  return Math.round((Number(quantity) || 0) * factor) / factor;
+};
+
+// Snaps a typed quantity onto the unit's increments, never below the minimum; 0 removes
+export const normalizeQuantity = (quantity, unit) => {
+  const { step, min } = getUnitRule(unit);
+  const value = Number(quantity) || 0;
+  if (value <= 0) return 0;
+  return roundQuantity(Math.max(min, Math.round(value / step) * step), unit);
+};
+
+// One increment up or down; dropping under the minimum means removing the line
+export const stepQuantity = (quantity, unit, direction = 1) => {
+  const { step, min } = getUnitRule(unit);
+  const next = roundQuantity((Number(quantity) || 0) + direction * step, unit);
+  return next < min ? 0 : next;
+};
+
+export const formatQuantity = (quantity, unit) => {
+  if (!isVariableMeasure(unit)) return String(quantity);
+  const value = Number(quantity).toLocaleString(undefined, { maximumFractionDigits: getUnitRule(unit).decimals });
+  return `${value} ${unit}`;
+};
+
+// "1.25 kg x Rs. 1,200/kg" for measured goods, "2 x Rs. 150" for counted ones
+export const describeLineQuantity = (item) => isVariableMeasure(item.unit)
+  ? `${formatQuantity(item.quantity, item.unit)} x Rs. ${item.price.toLocaleString()}/${item.unit}`
+  : `${item.quantity} x Rs. ${item.price.toLocaleString()}`;
+
+export const lineAmount = (item) => Math.round(item.price * item.quantity * 100) / 100;
+
+// Lines rather than units for measured goods: 1.25 kg of apples is one item in the basket
+export const countItems = (items) => items.reduce(
+  (count, item) => count + (isVariableMeasure(item.unit) ? 1 : item.quantity),
+  0
+);
+
+// In-store scale labels are EAN-13 codes in the 20-29 range laid out as 2X IIIII PPPPP C:
+// the product id as item code, then the label price in rupees
+export const SCALE_LABEL_PATTERN = /^2\d{12}$/;
+
+export const ean13CheckDigit = (digits) => {
+  const sum = String(digits).slice(0, 12).split('')
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+export const parseScaleBarcode = (barcode) => {
+  const code = String(barcode || '').trim();
+  if (!SCALE_LABEL_PATTERN.test(code)) return null;
+  if (ean13CheckDigit(code) !== Number(code[12])) {
+    throw new Error('Scale label barcode did not scan cleanly, please rescan');
+  }
+  return {
+    barcode: code,
+    itemCode: parseInt(code.slice(2, 7), 10),
+    price: parseInt(code.slice(7, 12), 10)
+  };
+};
+
+// The product as sold on that label: the quantity is whatever the label price buys
+export const applyScaleLabel = (product, label) => {
+  if (!isVariableMeasure(product.unit)) {
+    throw new Error(`${product.name} is sold per ${product.unit || 'item'}, not by weight`);
+  }
+  return {
+    ...product,
+    scaleLabel: {
+      barcode: label.barcode,
+      price: label.price,
+      quantity: roundQuantity(label.price / product.price, product.unit)
+    }
+  };
+};
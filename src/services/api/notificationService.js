@@ -1,5 +1,6 @@
 import { store } from '@/store/index.jsx'
 import { toast } from 'react-toastify'
+import { persistentStore } from '@/services/storage/persistentStore'
 // Service for managing notifications
 const mockNotificationCounts = {
   pos: 2,
@@ -14,7 +15,11 @@ const mockNotificationCounts = {
 class NotificationService {
   constructor() {
     this.counts = { ...mockNotificationCounts };
+    this.feed = [];
     this.lastUpdate = new Date().toISOString();
+    persistentStore.register(this, 'notifications', {
+      fields: ['counts', 'feed', 'lastUpdate']
+    });
   }
 // Primary method expected by notification slice
   async getCounts() {
@@ -95,6 +100,28 @@ class NotificationService {
     this.lastUpdate = new Date().toISOString();
   }
 
+  // Record an event raised by another service and bump its category badge
+  async addNotification(category, { title, message = '', orderId = null } = {}) {
+    const notification = {
+      id: Date.now(),
+      category,
+      title,
+      message,
+      orderId,
+      read: false,
+      createdAt: new Date().toISOString()
+    };
+    this.feed = [notification, ...this.feed].slice(0, 50);
+    this.counts[category] = (this.counts[category] || 0) + 1;
+    this.lastUpdate = notification.createdAt;
+    return notification;
+  }
+
+  async getRecent(category = null) {
+    await this.delay(200);
+    return this.feed.filter(n => !category || n.category === category);
+  }
+
   // Utility method for simulating API delay
   delay(ms = 300) {
     return new Promise(resolve => setTimeout(resolve, ms));
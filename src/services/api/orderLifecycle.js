@@ -0,0 +1,181 @@
+// Order lifecycle: the legal status transitions, the guards on them, and how the
+// delivery, payment and verification sub-states map onto the order status.
+// orderService applies transitions and their side effects; this module stays pure.
+
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  PAYMENT_PENDING: 'payment_pending',
+  PAYMENT_REJECTED: 'payment_rejected',
+  CONFIRMED: 'confirmed',
+  PACKED: 'packed',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUND_REQUESTED: 'refund_requested',
+  REFUNDED: 'refunded'
+};
+
+export const ORDER_STATUS_LABELS = {
+  [ORDER_STATUS.PENDING]: 'Order Placed',
+  [ORDER_STATUS.PAYMENT_PENDING]: 'Awaiting Payment',
+  [ORDER_STATUS.PAYMENT_REJECTED]: 'Payment Rejected',
+  [ORDER_STATUS.CONFIRMED]: 'Confirmed',
+  [ORDER_STATUS.PACKED]: 'Packed',
+  [ORDER_STATUS.SHIPPED]: 'Shipped',
+  [ORDER_STATUS.DELIVERED]: 'Delivered',
+  [ORDER_STATUS.CANCELLED]: 'Cancelled',
+  [ORDER_STATUS.REFUND_REQUESTED]: 'Refund Requested',
+  [ORDER_STATUS.REFUNDED]: 'Refunded'
+};
+
+export const ORDER_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAYMENT_PENDING, ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAYMENT_PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.PAYMENT_REJECTED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAYMENT_REJECTED]: [ORDER_STATUS.PAYMENT_PENDING, ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PACKED, ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUND_REQUESTED],
+  [ORDER_STATUS.PACKED]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUND_REQUESTED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUND_REQUESTED],
+  [ORDER_STATUS.REFUND_REQUESTED]: [ORDER_STATUS.REFUNDED, ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.CANCELLED]: [],
+  [ORDER_STATUS.REFUNDED]: []
+};
+
+// Statuses that need the money in hand first; cash on delivery is settled at the door
+const REQUIRES_PAYMENT = [ORDER_STATUS.CONFIRMED, ORDER_STATUS.PACKED, ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED];
+
+// Statuses where the stock has physically left, so cancelling must be explained
+const REASON_REQUIRED = {
+  [`${ORDER_STATUS.SHIPPED}>${ORDER_STATUS.CANCELLED}`]: 'A reason is required to cancel an order that has shipped',
+  [`${ORDER_STATUS.REFUND_REQUESTED}>${ORDER_STATUS.DELIVERED}`]: 'A reason is required to decline a refund'
+};
+
+export const DELIVERY_STATUS = {
+  PENDING_ASSIGNMENT: 'pending_assignment',
+  READY_FOR_DISPATCH: 'ready_for_dispatch',
+  ASSIGNED: 'assigned',
+  PICKED_UP: 'picked_up',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  IN_TRANSIT: 'in_transit',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+export const DELIVERY_TRANSITIONS = {
+  pending: [DELIVERY_STATUS.PENDING_ASSIGNMENT, DELIVERY_STATUS.READY_FOR_DISPATCH, DELIVERY_STATUS.ASSIGNED],
+  [DELIVERY_STATUS.PENDING_ASSIGNMENT]: [DELIVERY_STATUS.READY_FOR_DISPATCH, DELIVERY_STATUS.ASSIGNED],
+  [DELIVERY_STATUS.READY_FOR_DISPATCH]: [DELIVERY_STATUS.ASSIGNED],
+  [DELIVERY_STATUS.ASSIGNED]: [DELIVERY_STATUS.ASSIGNED, DELIVERY_STATUS.PENDING_ASSIGNMENT, DELIVERY_STATUS.PICKED_UP, DELIVERY_STATUS.FAILED],
+  [DELIVERY_STATUS.PICKED_UP]: [DELIVERY_STATUS.OUT_FOR_DELIVERY, DELIVERY_STATUS.IN_TRANSIT, DELIVERY_STATUS.FAILED],
+  [DELIVERY_STATUS.OUT_FOR_DELIVERY]: [DELIVERY_STATUS.DELIVERED, DELIVERY_STATUS.FAILED],
+  [DELIVERY_STATUS.IN_TRANSIT]: [DELIVERY_STATUS.DELIVERED, DELIVERY_STATUS.FAILED],
+  [DELIVERY_STATUS.DELIVERED]: [],
+  [DELIVERY_STATUS.FAILED]: []
+};
+
+// Order status each delivery step implies; only applied when it moves the order forward
+export const DELIVERY_TO_ORDER_STATUS = {
+  [DELIVERY_STATUS.READY_FOR_DISPATCH]: ORDER_STATUS.PACKED,
+  [DELIVERY_STATUS.ASSIGNED]: ORDER_STATUS.CONFIRMED,
+  [DELIVERY_STATUS.PICKED_UP]: ORDER_STATUS.PACKED,
+  [DELIVERY_STATUS.OUT_FOR_DELIVERY]: ORDER_STATUS.SHIPPED,
+  [DELIVERY_STATUS.IN_TRANSIT]: ORDER_STATUS.SHIPPED,
+  [DELIVERY_STATUS.DELIVERED]: ORDER_STATUS.DELIVERED,
+  [DELIVERY_STATUS.FAILED]: ORDER_STATUS.CANCELLED
+};
+
+// Delivery states of an order that is still waiting for a rider
+export const AWAITING_RIDER_STATUSES = [DELIVERY_STATUS.READY_FOR_DISPATCH, DELIVERY_STATUS.PENDING_ASSIGNMENT];
+
+const FULFILMENT_RANK = [
+  ORDER_STATUS.PENDING,
+  ORDER_STATUS.PAYMENT_PENDING,
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PACKED,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.DELIVERED
+];
+
+export const isCashOnDelivery = (order) => order.paymentMethod === 'cash';
+
+export const isPaymentSettled = (order) =>
+  order.paymentStatus === 'completed' || order.verificationStatus === 'verified';
+
+// Human-readable reason the transition is not allowed, or null when it is
+export const getTransitionError = (order, toStatus, { reason = '' } = {}) => {
+  const from = order.status;
+  if (from === toStatus) {
+    return `Order #${order.id} is already ${ORDER_STATUS_LABELS[toStatus] || toStatus}`;
+  }
+  if (!(ORDER_TRANSITIONS[from] || []).includes(toStatus)) {
+    return `Order #${order.id} cannot move from ${ORDER_STATUS_LABELS[from] || from} to ${ORDER_STATUS_LABELS[toStatus] || toStatus}`;
+  }
+  if (REQUIRES_PAYMENT.includes(toStatus) && !isCashOnDelivery(order) && !isPaymentSettled(order)) {
+    return `Order #${order.id} must be paid before it can be ${(ORDER_STATUS_LABELS[toStatus] || toStatus).toLowerCase()}`;
+  }
+  const reasonMessage = REASON_REQUIRED[`${from}>${toStatus}`];
+  if (reasonMessage && !String(reason).trim()) {
+    return reasonMessage;
+  }
+  return null;
+};
+
+export const canTransition = (order, toStatus, options) => !getTransitionError(order, toStatus, options);
+
+export const getAvailableTransitions = (order) =>
+  (ORDER_TRANSITIONS[order.status] || []).filter(status =>
+    !getTransitionError(order, status, { reason: 'check' })
+  );
+
+export const getDeliveryTransitionError = (order, toStatus) => {
+  const from = order.deliveryStatus || 'pending';
+  if (!(DELIVERY_TRANSITIONS[from] || []).includes(toStatus)) {
+    return `Delivery for order #${order.id} cannot move from ${from.replace(/_/g, ' ')} to ${toStatus.replace(/_/g, ' ')}`;
+  }
+  if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED].includes(order.status)) {
+    return `Order #${order.id} is ${order.status}`;
+  }
+  if (toStatus !== DELIVERY_STATUS.FAILED && !isCashOnDelivery(order) && !isPaymentSettled(order)) {
+    return `Order #${order.id} must be paid before it is dispatched`;
+  }
+  return null;
+};
+
+// The order status a delivery step leads to, or null when the order is already past it
+export const orderStatusForDelivery = (order, deliveryStatus) => {
+  const target = DELIVERY_TO_ORDER_STATUS[deliveryStatus];
+  if (!target || target === order.status) return null;
+  if (target === ORDER_STATUS.CANCELLED) return target;
+
+  const current = FULFILMENT_RANK.indexOf(order.status);
+  const next = FULFILMENT_RANK.indexOf(target);
+  return current === -1 || next > current ? target : null;
+};
+
+// Orders created before the lifecycle existed have no paymentStatus or timeline
+export const normalizeLegacyOrder = (order) => {
+  if (order.timeline && order.paymentStatus) return order;
+
+  const paid = ['confirmed', 'packed', 'shipped', 'delivered'].includes(order.status);
+  const paymentStatus = order.paymentStatus || (
+    isCashOnDelivery(order)
+      ? (order.status === ORDER_STATUS.DELIVERED ? 'completed' : 'pending')
+      : order.verificationStatus === 'pending'
+        ? 'pending_verification'
+        : paid || order.verificationStatus === 'verified' ? 'completed' : 'pending'
+  );
+
+  return {
+    ...order,
+    paymentStatus,
+    timeline: order.timeline || [{
+      Id: 1,
+      at: order.createdAt,
+      actor: 'system',
+      field: 'status',
+      from: null,
+      to: order.status,
+      reason: 'Order placed'
+    }]
+  };
+};
@@ -1,11 +1,47 @@
 import ordersData from "../mockData/orders.json";
-import React from "react";
-import Error from "@/components/ui/Error";
 import { paymentService } from "@/services/api/paymentService";
+import { inventoryService, MOVEMENT_TYPES } from "@/services/api/inventoryService";
+import { deliverySlotService } from "@/services/api/deliverySlotService";
+import { authService, customerIdFor } from "@/services/api/authService";
+import { taxService } from "@/services/api/taxService";
+import { loyaltyService } from "@/services/api/loyaltyService";
+import { lineAmount, roundQuantity } from "@/services/api/measureUnits";
+import {
+  DELIVERY_STATUS,
+  getDeliveryTransitionError,
+  getTransitionError,
+  isCashOnDelivery,
+  isPaymentSettled,
+  normalizeLegacyOrder,
+  ORDER_STATUS,
+  ORDER_STATUS_LABELS,
+  orderStatusForDelivery
+} from "@/services/api/orderLifecycle";
+import { persistentStore } from "@/services/storage/persistentStore";
+import { apiTransport, crudRoutes } from "@/services/transport/apiTransport";
 
 class OrderService {
   constructor() {
-    this.orders = [...ordersData];
+    this.orders = ordersData.map(normalizeLegacyOrder);
+    persistentStore.register(this, 'orders', {
+      fields: ['orders'],
+      version: 2,
+      migrations: {
+        // v2 tracks every status change on an order timeline
+        2: (data) => ({ ...data, orders: (data.orders || []).map(normalizeLegacyOrder) })
+      }
+    });
+    // create is not routed: it books stock, payment, the slot and loyalty here and only
+    // stores the finished order through the backend
+    const { create, ...orderRoutes } = crudRoutes('/orders');
+    apiTransport.register(this, {
+      ...orderRoutes,
+      delete: (id) => ({ method: 'delete', url: `/orders/${id}`, transform: () => true }),
+      getOrdersByDeliveryPerson: (deliveryPersonId) => ({ url: '/orders', params: { deliveryPersonId } }),
+      getOrdersByDeliveryStatus: (deliveryStatus) => ({ url: '/orders', params: { deliveryStatus } }),
+      getOrdersByPaymentStatus: (paymentStatus) => ({ url: '/orders', params: { paymentStatus } }),
+      getOrdersByPaymentMethod: (paymentMethod) => ({ url: '/orders', params: { paymentMethod } })
+    });
   }
 
   async getAll() {
@@ -32,48 +68,163 @@ async getById(id) {
     }
     
 const newOrder = {
-      id: this.getNextId(),
       ...orderData,
+      // Orders belong to the signed-in customer's profile
+      customerId: orderData.customerId || customerIdFor(authService.getCurrentUser()),
       // Preserve user-provided transaction ID over payment result transaction ID
       transactionId: orderData.transactionId || orderData.paymentResult?.transactionId || null,
       paymentStatus: orderData.paymentStatus || (orderData.paymentMethod === 'cash' ? 'pending' : 'completed'),
       // Ensure both total and totalAmount fields are set for compatibility
       total: orderData.total || orderData.totalAmount || 0,
       totalAmount: orderData.totalAmount || orderData.total || 0,
+      // Every order starts as placed; any later status goes through transition()
+      status: ORDER_STATUS.PENDING,
+      // Orders placed outside checkout are taxed with the same engine
+      tax: orderData.tax || await taxService.calculate(orderData.items || [], {
+        applied: orderData.promotions || [],
+        deliveryCharge: orderData.deliveryCharge || 0
+      }),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     
-    // Handle wallet payments
-if (orderData.paymentMethod === 'wallet') {
-      try {
-        const walletTransaction = await paymentService.processWalletPayment(orderData.total, newOrder.id);
-        newOrder.paymentResult = walletTransaction;
-        newOrder.paymentStatus = 'completed';
-      } catch (walletError) {
-        throw new Error('Wallet payment failed: ' + walletError.message);
-      }
+    // Check stock before taking any payment; a checkout reservation counts as available
+    const stockLines = (orderData.items || []).map(item => ({
+      productId: item.productId ?? item.id,
+      name: item.name,
+      quantity: item.quantity
+    }));
+    await inventoryService.checkAvailability(stockLines, { reservationId: orderData.reservationId || null });
+    // A full or closed delivery slot fails the order before any payment is taken
+    if (orderData.deliverySlot) {
+      await deliverySlotService.checkSlot(orderData.deliverySlot);
     }
-    
-// Handle bank transfer verification
-    if (orderData.paymentMethod === 'bank' && orderData.paymentResult?.requiresVerification) {
-      newOrder.paymentStatus = 'pending_verification';
-      newOrder.status = 'payment_pending';
+    // Points are checked up front and only spent once the order goes through
+    const pointsToRedeem = orderData.loyaltyRedemption?.points || 0;
+    if (pointsToRedeem > 0) {
+      newOrder.loyaltyRedemption = await loyaltyService.checkRedemption(newOrder.customerId, pointsToRedeem, orderData.subtotal || 0);
     }
+
+    // Where the order moves once placed: the status the caller asked for, or awaiting
+    // payment while a bank transfer is verified
+    const requestedStatus = orderData.paymentMethod === 'bank' && orderData.paymentResult?.requiresVerification
+      ? ORDER_STATUS.PAYMENT_PENDING
+      : orderData.status;
+    const nextStatus = requestedStatus && requestedStatus !== ORDER_STATUS.PENDING ? requestedStatus : null;
+
+    // Numbered before payment, stock and the slot are booked so they all reference it
+    newOrder.id = await this.allocateOrderId(newOrder);
+    // What has been booked so far, undone in reverse if a later step fails
+    const undo = [];
+    let placed;
+    try {
+      // Handle wallet payments
+      if (orderData.paymentMethod === 'wallet') {
+        try {
+          const walletTransaction = await paymentService.processWalletPayment(orderData.total, newOrder.id);
+          newOrder.paymentResult = walletTransaction;
+          newOrder.paymentStatus = 'completed';
+          undo.push(() => paymentService.depositToWallet(orderData.total, {
+            description: `Refund for order #${newOrder.id}, which could not be placed`,
+            orderId: newOrder.id
+          }));
+        } catch (walletError) {
+          throw new Error('Wallet payment failed: ' + walletError.message);
+        }
+      }
     
-// Handle payment proof submissions
-    if (orderData.paymentProof && (orderData.paymentMethod === 'bank' || orderData.paymentMethod === 'jazzcash' || orderData.paymentMethod === 'easypaisa')) {
-      newOrder.verificationStatus = 'pending';
-      newOrder.paymentProofSubmittedAt = new Date().toISOString();
-      // Store the complete payment proof data including base64 image
-      newOrder.paymentProof = {
-        ...orderData.paymentProof,
-        storedAt: new Date().toISOString()
-      };
-    }
+      // Handle bank transfer verification
+      if (orderData.paymentMethod === 'bank' && orderData.paymentResult?.requiresVerification) {
+        newOrder.paymentStatus = 'pending_verification';
+      }
+    
+      // Handle payment proof submissions
+      if (orderData.paymentProof && (orderData.paymentMethod === 'bank' || orderData.paymentMethod === 'jazzcash' || orderData.paymentMethod === 'easypaisa')) {
+        newOrder.verificationStatus = 'pending';
+        newOrder.paymentProofSubmittedAt = new Date().toISOString();
+        // Store the complete payment proof data including base64 image
+        newOrder.paymentProof = {
+          ...orderData.paymentProof,
+          storedAt: new Date().toISOString()
+        };
+      }
     
-    this.orders.push(newOrder);
-    return { ...newOrder };
+      // The status the caller asked for is checked now, before anything is booked
+      if (nextStatus) {
+        const error = getTransitionError(newOrder, nextStatus);
+        if (error) {
+          throw new Error(error);
+        }
+      }
+
+      // Stock leaves the ledger when the order is placed
+      const saleMovement = { type: MOVEMENT_TYPES.SALE, reference: `Order #${newOrder.id}` };
+      if (orderData.reservationId) {
+        await inventoryService.commitReservation(orderData.reservationId, { ...saleMovement, items: stockLines });
+      } else {
+        await inventoryService.recordMovements(
+          stockLines.map(line => ({ ...line, ...saleMovement })),
+          { respectReservations: true }
+        );
+      }
+      undo.push(() => inventoryService.recordMovements(stockLines.map(line => ({
+        ...line,
+        type: MOVEMENT_TYPES.REFUND,
+        reference: `Order #${newOrder.id} not placed`
+      }))));
+
+      if (orderData.deliverySlot) {
+        const booking = await deliverySlotService.reserveSlot(orderData.deliverySlot, {
+          orderId: newOrder.id,
+          reference: `Order #${newOrder.id}`
+        });
+        undo.push(() => deliverySlotService.releaseSlot(newOrder.id));
+        newOrder.deliverySlot = {
+          bookingId: booking.Id,
+          windowId: booking.windowId,
+          zone: booking.zone,
+          date: booking.date,
+          start: booking.start,
+          end: booking.end,
+          label: booking.label
+        };
+        newOrder.deliveryZone = booking.zone;
+        newOrder.estimatedDelivery = booking.end;
+        newOrder.deliveryStatus = newOrder.deliveryStatus || 'pending_assignment';
+      }
+
+      // Cancelling this order returns its stock, which legacy orders never took from the ledger
+      newOrder.stockCommitted = true;
+      newOrder.timeline = [{
+        Id: 1,
+        at: newOrder.createdAt,
+        actor: this.getActor(),
+        field: 'status',
+        from: null,
+        to: newOrder.status,
+        reason: 'Order placed'
+      }];
+
+      if (pointsToRedeem > 0) {
+        await loyaltyService.redeem(newOrder.customerId, pointsToRedeem, orderData.subtotal || 0, `Order #${newOrder.id}`);
+        undo.push(() => loyaltyService.restoreRedemption(newOrder));
+      }
+
+      placed = await this.saveOrder(newOrder);
+    } catch (error) {
+      for (const step of undo.reverse()) {
+        try {
+          await step();
+        } catch (undoError) {
+          // Keep undoing the rest; what is left over needs a manual correction
+          console.error(`Failed to undo a step of order #${newOrder.id}:`, undoError);
+        }
+      }
+      await this.releaseOrderId(newOrder.id);
+      throw error;
+    }
+
+    return nextStatus ? this.transition(placed.id, nextStatus) : placed;
   }
 
   async update(id, orderData) {
@@ -96,61 +247,224 @@ this.orders.splice(index, 1);
     return true;
   }
 
+  // Orders are numbered where they are stored: here, or by the backend in http mode,
+  // which holds the order from the start so its number is taken before anything is booked
+  async allocateOrderId(order) {
+    if (apiTransport.isHttp()) {
+      return (await apiTransport.saveRecord('/orders', order)).id;
+    }
+    return this.getNextId();
+  }
+
+  async releaseOrderId(id) {
+    if (apiTransport.isHttp()) {
+      await apiTransport.request({ method: 'delete', url: `/orders/${id}` });
+    }
+  }
+
+  // Kept here in http mode as well, where the lifecycle methods look orders up
+  async saveOrder(order) {
+    const saved = apiTransport.isHttp() ? await apiTransport.saveRecord('/orders', order) : order;
+    const index = this.orders.findIndex(o => o.id === saved.id);
+    if (index === -1) {
+      this.orders.push(saved);
+    } else {
+      this.orders[index] = saved;
+    }
+    return { ...saved };
+  }
+
   getNextId() {
     const maxId = this.orders.reduce((max, order) => 
       order.id > max ? order.id : max, 0);
     return maxId + 1;
   }
+
+  getActor() {
+    return authService.getCurrentUser()?.name || 'system';
+  }
+
+  // The order as stored: read from the backend in http mode, where this.orders only
+  // holds the copies this service saved itself
+  async findOrder(orderId) {
+    if (apiTransport.isHttp()) {
+      return this.getById(parseInt(orderId));
+    }
+    const order = this.orders.find(o => o.id === parseInt(orderId));
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    return order;
+  }
+
+  async storedOrders() {
+    return apiTransport.isHttp() ? this.getAll() : this.orders;
+  }
+
+  // Single write path for lifecycle fields: every change to status, deliveryStatus,
+  // paymentStatus or verificationStatus lands on the timeline, then the side effects
+  // of a new status run. Callers validate the transition first.
+  async applyChanges(order, changes, { reason = '' } = {}) {
+    const before = { ...order };
+    const next = { ...order, ...changes };
+    Object.assign(next, this.getStatusSideChanges(before, next, reason));
+
+    const at = new Date().toISOString();
+    const actor = this.getActor();
+    const timeline = [...(order.timeline || [])];
+    ['status', 'deliveryStatus', 'paymentStatus', 'verificationStatus'].forEach(field => {
+      if (next[field] !== undefined && next[field] !== before[field]) {
+        timeline.push({ Id: timeline.length + 1, at, actor, field, from: before[field] ?? null, to: next[field], reason });
+      }
+    });
+    next.timeline = timeline;
+    next.updatedAt = at;
+
+    const saved = await this.saveOrder(next);
+
+    if (next.status !== before.status) {
+      await this.runStatusEffects(before, saved, reason);
+    }
+    return saved;
+  }
+
+  // Field changes that come with entering a status
+  getStatusSideChanges(before, next, reason) {
+    if (next.status === before.status) return {};
+    const at = new Date().toISOString();
+
+    switch (next.status) {
+      case ORDER_STATUS.DELIVERED:
+        return {
+          actualDelivery: next.actualDelivery || at,
+          // Cash on delivery is collected at the door
+          ...(isCashOnDelivery(next) && next.paymentStatus !== 'completed' && { paymentStatus: 'completed', paidAt: at })
+        };
+      case ORDER_STATUS.CANCELLED: {
+        const refundDue = !isCashOnDelivery(before) && isPaymentSettled(before) && !before.refund;
+        return {
+          cancelledAt: at,
+          cancellationReason: reason,
+          ...(refundDue && {
+            refundRequested: true,
+            refund: {
+              id: Date.now(),
+              orderId: before.id,
+              amount: before.total || 0,
+              reason: reason || 'Order cancelled',
+              status: 'pending',
+              requestedAt: at
+            }
+          })
+        };
+      }
+      case ORDER_STATUS.PAYMENT_REJECTED:
+        return { paymentRejectedAt: at };
+      case ORDER_STATUS.REFUNDED:
+        return next.refund ? { refund: { ...next.refund, status: 'completed', completedAt: at } } : {};
+      default:
+        return {};
+    }
+  }
+
+  async runStatusEffects(before, next, reason) {
+    if (next.status === ORDER_STATUS.CANCELLED) {
+      if (before.stockCommitted) {
+        await inventoryService.recordMovements((before.items || []).map(item => ({
+          productId: item.productId ?? item.id,
+          name: item.name,
+          type: MOVEMENT_TYPES.REFUND,
+          quantity: item.quantity,
+          reference: `Order #${before.id} cancelled`,
+          note: reason
+        })));
+      }
+      if (before.deliverySlot) {
+        await deliverySlotService.releaseSlot(before.id);
+      }
+      if (before.loyaltyRedemption) {
+        await loyaltyService.restoreRedemption(before);
+      }
+    }
+
+    // Points are earned once the goods reach the customer
+    if (next.status === ORDER_STATUS.DELIVERED && next.customerId) {
+      await loyaltyService.earnForOrder(next);
+    }
+
+    try {
+      // Loaded lazily: the notification service pulls in the redux store
+      const { notificationService } = await import("@/services/api/notificationService");
+      await notificationService.addNotification(next.status === ORDER_STATUS.REFUND_REQUESTED ? 'payments' : 'orders', {
+        title: `Order #${next.id} ${ORDER_STATUS_LABELS[next.status] || next.status}`,
+        message: reason,
+        orderId: next.id
+      });
+    } catch (error) {
+      console.error('Failed to send order notification:', error);
+    }
+  }
+
+  // Move an order to a new status; throws when the lifecycle does not allow it
+  async transition(orderId, toStatus, { reason = '', changes = {} } = {}) {
+    const order = await this.findOrder(orderId);
+    const error = getTransitionError({ ...order, ...changes }, toStatus, { reason });
+    if (error) {
+      throw new Error(error);
+    }
+    return this.applyChanges(order, { ...changes, status: toStatus }, { reason });
+  }
+
+  async getTimeline(orderId) {
+    await this.delay();
+    const order = await this.findOrder(orderId);
+    return [...(order.timeline || [])].sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
   async assignDeliveryPersonnel(orderId, deliveryPersonId) {
     await this.delay();
-    const order = await this.getById(orderId);
-    const updatedOrder = {
-      ...order,
-      deliveryPersonId: deliveryPersonId,
-      deliveryStatus: 'assigned'
-    };
-    return await this.update(orderId, updatedOrder);
+    const order = await this.findOrder(orderId);
+    const error = getDeliveryTransitionError(order, DELIVERY_STATUS.ASSIGNED);
+    if (error) {
+      throw new Error(error);
+    }
+    const status = orderStatusForDelivery(order, DELIVERY_STATUS.ASSIGNED);
+    return this.applyChanges(order, {
+      deliveryPersonId,
+      deliveryStatus: DELIVERY_STATUS.ASSIGNED,
+      ...(status && { status })
+    }, { reason: `Rider #${deliveryPersonId} assigned` });
   }
-async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null) {
+
+  async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null, reason = '') {
     await this.delay();
-    const order = await this.getById(orderId);
-    
-    // Map delivery status to order status for user-facing display synchronization
-    const deliveryToOrderStatusMap = {
-      'pending': 'pending',
-      'assigned': 'confirmed', 
-      'picked_up': 'packed',        // Critical mapping: picked_up -> packed
-      'in_transit': 'shipped',
-      'delivered': 'delivered',
-      'failed': 'cancelled'
-    };
-    
-    // Get corresponding order status for the delivery status
-    const correspondingOrderStatus = deliveryToOrderStatusMap[deliveryStatus];
-    
-    const updatedOrder = {
-      ...order,
+    const order = await this.findOrder(orderId);
+    const deliveryError = getDeliveryTransitionError(order, deliveryStatus);
+    if (deliveryError) {
+      throw new Error(deliveryError);
+    }
+
+    // Keep the customer-facing status in step with the delivery, but only forwards
+    const status = orderStatusForDelivery(order, deliveryStatus);
+    const statusReason = reason || (deliveryStatus === DELIVERY_STATUS.FAILED ? 'Delivery failed' : '');
+    if (status) {
+      const error = getTransitionError(order, status, { reason: statusReason });
+      if (error) {
+        throw new Error(error);
+      }
+    }
+
+    return this.applyChanges(order, {
       deliveryStatus,
-      // Automatically sync order status when delivery status changes
-      ...(correspondingOrderStatus && { status: correspondingOrderStatus }),
+      ...(status && { status }),
       ...(actualDelivery && { actualDelivery }),
-      updatedAt: new Date().toISOString(),
-      // Track when delivery status was last updated for audit purposes
       deliveryStatusUpdatedAt: new Date().toISOString()
-    };
-    
-    return await this.update(orderId, updatedOrder);
+    }, { reason: statusReason });
   }
 
-  async updateOrderStatus(orderId, orderStatus) {
+  async updateOrderStatus(orderId, orderStatus, reason = '') {
     await this.delay();
-    const order = await this.getById(orderId);
-    const updatedOrder = {
-      ...order,
-      status: orderStatus,
-      updatedAt: new Date().toISOString()
-    };
-    return await this.update(orderId, updatedOrder);
+    return this.transition(orderId, orderStatus, { reason });
   }
 
   async getOrdersByDeliveryPerson(deliveryPersonId) {
@@ -158,6 +472,14 @@ async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null) {
     return this.orders.filter(order => order.deliveryPersonId === deliveryPersonId);
   }
 
+  // Orders still on the road or waiting for a rider
+  async getDeliveryOrders() {
+    await this.delay();
+    return (await this.storedOrders()).filter(order =>
+      order.deliveryStatus && order.deliveryStatus !== 'delivered' && order.status !== 'cancelled'
+    );
+  }
+
   async getOrdersByDeliveryStatus(deliveryStatus) {
 return this.orders.filter(order => order.deliveryStatus === deliveryStatus);
   }
@@ -165,16 +487,17 @@ return this.orders.filter(order => order.deliveryStatus === deliveryStatus);
 // Payment Integration Methods
   async updatePaymentStatus(orderId, paymentStatus, paymentResult = null) {
     await this.delay();
-    const order = await this.getById(orderId);
-    const updatedOrder = {
-      ...order,
+    const order = await this.findOrder(orderId);
+    const changes = {
       paymentStatus,
       paymentResult,
-      updatedAt: new Date().toISOString(),
-      ...(paymentStatus === 'completed' && { paidAt: new Date().toISOString() }),
-      ...(paymentStatus === 'completed' && order.status === 'payment_pending' && { status: 'confirmed' })
+      ...(paymentStatus === 'completed' && { paidAt: new Date().toISOString() })
     };
-    return await this.update(orderId, updatedOrder);
+    // A settled payment releases an order that was waiting for it
+    if (paymentStatus === 'completed' && order.status === ORDER_STATUS.PAYMENT_PENDING) {
+      return this.transition(orderId, ORDER_STATUS.CONFIRMED, { reason: 'Payment received', changes });
+    }
+    return this.applyChanges(order, changes, { reason: 'Payment updated' });
   }
 
   async getOrdersByPaymentStatus(paymentStatus) {
@@ -214,41 +537,21 @@ return this.orders.filter(order => order.deliveryStatus === deliveryStatus);
 
   async retryPayment(orderId, newPaymentData) {
     await this.delay();
-    const order = await this.getById(orderId);
+    const order = await this.findOrder(orderId);
     
     if (order.paymentStatus === 'completed') {
       throw new Error('Payment already completed for this order');
     }
     
-    const updatedOrder = {
-      ...order,
+    const changes = {
       paymentResult: newPaymentData,
       paymentStatus: 'completed',
-      updatedAt: new Date().toISOString(),
       paidAt: new Date().toISOString()
     };
-    
-    return await this.update(orderId, updatedOrder);
-  }
-  async processRefund(orderId, refundAmount, reason) {
-    await this.delay();
-const order = await this.getById(orderId);
-    const refund = {
-      id: Date.now(), // Use timestamp for refund ID
-      orderId,
-      amount: refundAmount,
-      reason,
-      status: 'pending',
-      requestedAt: new Date().toISOString()
-    };
-    
-    const updatedOrder = {
-      ...order,
-      refundRequested: true,
-      refund,
-      status: 'refund_requested'
-    };
-return await this.update(orderId, updatedOrder);
+    if ([ORDER_STATUS.PAYMENT_PENDING, ORDER_STATUS.PAYMENT_REJECTED].includes(order.status)) {
+      return this.transition(orderId, ORDER_STATUS.CONFIRMED, { reason: 'Payment retried', changes });
+    }
+    return this.applyChanges(order, changes, { reason: 'Payment retried' });
   }
 
 async getMonthlyRevenue() {
@@ -256,7 +559,7 @@ async getMonthlyRevenue() {
     const currentMonth = new Date().getMonth();
     const currentYear = new Date().getFullYear();
     
-    const monthlyOrders = this.orders.filter(order => {
+    const monthlyOrders = (await this.storedOrders()).filter(order => {
       const orderDate = new Date(order.createdAt);
       return orderDate.getMonth() === currentMonth && orderDate.getFullYear() === currentYear;
 });
@@ -266,7 +569,7 @@ return monthlyOrders.reduce((sum, order) => sum + (order?.total || order?.totalA
     await this.delay();
     const revenueByMethod = {};
     
-this.orders.forEach(order => {
+(await this.storedOrders()).forEach(order => {
       const method = order?.paymentMethod || 'unknown';
       revenueByMethod[method] = (revenueByMethod[method] || 0) + (order?.total || order?.totalAmount || 0);
     });
@@ -276,7 +579,7 @@ this.orders.forEach(order => {
   // Payment Verification Methods
 async getPendingVerifications() {
     await this.delay();
-    return this.orders
+    return (await this.storedOrders())
       .filter(order => {
         // Include orders with payment proof requiring verification
         const hasPaymentProof = order.paymentProof && (order.paymentProof.fileName || order.paymentProofFileName);
@@ -299,49 +602,31 @@ customerName: order?.deliveryAddress?.name || 'Unknown',
 
 async updateVerificationStatus(orderId, status, notes = '') {
     await this.delay();
-    const orderIndex = this.orders.findIndex(o => o.id === parseInt(orderId));
-    
-    if (orderIndex === -1) {
-      throw new Error('Order not found');
-    }
-
-    const order = this.orders[orderIndex];
+    const order = await this.findOrder(orderId);
     
     if (order.verificationStatus && order.verificationStatus !== 'pending') {
       throw new Error('Order verification is not pending');
     }
 
-    const updatedOrder = {
-      ...order,
+    const now = new Date().toISOString();
+    const changes = {
       verificationStatus: status,
       verificationNotes: notes,
-      verifiedAt: new Date().toISOString(),
-      verifiedBy: 'admin',
+      verifiedAt: now,
+      verifiedBy: this.getActor(),
       paymentStatus: status === 'verified' ? 'completed' : 'verification_failed',
-      updatedAt: new Date().toISOString()
+      ...(status === 'verified' && { paymentVerifiedAt: now })
     };
 
-    // Update order status based on verification result - aligned with delivery tracking
-    if (status === 'verified') {
-      // When payment is verified by admin, set to pending first, then confirmed
-      updatedOrder.status = 'pending'; // Order Placed
-      updatedOrder.paymentVerifiedAt = new Date().toISOString();
-      
-      // Immediately update to confirmed status
-      setTimeout(async () => {
-        try {
-          await this.updateOrderStatus(orderId, 'confirmed');
-        } catch (error) {
-          console.error('Failed to update order to confirmed:', error);
-        }
-      }, 100);
-    } else {
-      updatedOrder.status = 'payment_rejected';
-      updatedOrder.paymentRejectedAt = new Date().toISOString();
+    // A verified payment confirms the order; a rejected one sends it back to the customer
+    const nextStatus = status === 'verified' ? ORDER_STATUS.CONFIRMED : ORDER_STATUS.PAYMENT_REJECTED;
+    if (order.status === nextStatus) {
+      return this.applyChanges(order, changes, { reason: notes });
     }
-
-    this.orders[orderIndex] = updatedOrder;
-    return { ...updatedOrder };
+    return this.transition(orderId, nextStatus, {
+      reason: notes || (status === 'verified' ? 'Payment verified' : 'Payment rejected'),
+      changes
+    });
   }
 
   async getVerificationHistory(orderId) {
@@ -371,8 +656,9 @@ return {
     
     return items.reduce((subtotal, item) => {
       const itemPrice = parseFloat(item.price) || 0;
-      const itemQuantity = parseInt(item.quantity) || 0;
-      return subtotal + (itemPrice * itemQuantity);
+      // Weighed lines are priced by their measured quantity, as at the till
+      const itemQuantity = roundQuantity(parseFloat(item.quantity) || 0, item.unit);
+      return subtotal + lineAmount({ price: itemPrice, quantity: itemQuantity });
     }, 0);
   }
 
@@ -0,0 +1,218 @@
+import { addMinutes } from "date-fns";
+import { authService, PERMISSIONS } from "@/services/api/authService";
+import { releaseTender } from "@/services/api/posTenders";
+import { posSyncService } from "@/services/api/posSyncService";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+export const PARKED_STATUS = {
+  PARKED: 'parked',
+  RESUMED: 'resumed',
+  EXPIRED: 'expired',
+  DISCARDED: 'discarded'
+};
+
+export const HELD_TENDER_STATUS = {
+  HELD: 'held',
+  SETTLED: 'settled',
+  RELEASED: 'released'
+};
+
+export const DEFAULT_PARK_SETTINGS = {
+  expiryMinutes: 60
+};
+
+// Carts a till keeps open side by side, each reachable with Alt + its number
+export const MAX_OPEN_CARTS = 5;
+
+export const createOpenCart = (number) => ({
+  id: `cart-${Date.now()}-${number}`,
+  number,
+  items: [],
+  couponCode: '',
+  customer: null,
+  tenders: []
+});
+
+// Sales put on hold at the till. Only the basket is kept, stock is not reserved, so a
+// parked sale is re-checked like any other when it is paid. Any register can resume one.
+// Open carts themselves live in the page, so the non-cash tenders charged on them are
+// written down here as they are captured: a reload cannot lose track of the money.
+class ParkedSaleService {
+  constructor() {
+    this.parkedSales = [];
+    this.nextParkedId = 1;
+    this.heldTenders = [];
+    this.nextHoldId = 1;
+    this.settings = { ...DEFAULT_PARK_SETTINGS };
+    persistentStore.register(this, 'parkedSales', {
+      fields: ['parkedSales', 'nextParkedId', 'heldTenders', 'nextHoldId', 'settings']
+    });
+  }
+
+  delay(ms = 150) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  expireStale(now = new Date()) {
+    this.parkedSales
+      .filter(sale => sale.status === PARKED_STATUS.PARKED && new Date(sale.expiresAt) <= now)
+      .forEach(sale => {
+        sale.status = PARKED_STATUS.EXPIRED;
+        sale.closedAt = now.toISOString();
+      });
+  }
+
+  async getSettings() {
+    await this.delay();
+    return { ...this.settings };
+  }
+
+  async updateSettings({ expiryMinutes }) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PRODUCTS_MANAGE);
+    const minutes = parseInt(expiryMinutes);
+    if (!(minutes >= 5 && minutes <= 24 * 60)) {
+      throw new Error('Parked sales must expire between 5 minutes and 24 hours');
+    }
+    this.settings = { ...this.settings, expiryMinutes: minutes };
+    return { ...this.settings };
+  }
+
+  // Sales still waiting to be resumed, newest first
+  async getParked() {
+    await this.delay();
+    this.expireStale();
+    return this.parkedSales
+      .filter(sale => sale.status === PARKED_STATUS.PARKED)
+      .sort((a, b) => new Date(b.parkedAt) - new Date(a.parkedAt))
+      .map(sale => ({ ...sale }));
+  }
+
+  async park({ label, items, couponCode = '', customer = null, registerId }) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    if (!items?.length) {
+      throw new Error('There is nothing in this cart to park');
+    }
+    const name = String(label || '').trim();
+    if (!name) {
+      throw new Error('Give the parked sale a label so it can be found again');
+    }
+    const user = authService.getCurrentUser();
+    const parkedAt = new Date();
+    const sale = {
+      Id: this.nextParkedId++,
+      label: name,
+      items: items.map(item => ({ ...item })),
+      couponCode,
+      customer,
+      registerId,
+      parkedBy: user?.name || null,
+      status: PARKED_STATUS.PARKED,
+      parkedAt: parkedAt.toISOString(),
+      expiresAt: addMinutes(parkedAt, this.settings.expiryMinutes).toISOString(),
+      closedAt: null,
+      resumedOn: null
+    };
+    this.parkedSales.push(sale);
+    return { ...sale };
+  }
+
+  // Hands the basket to the register resuming it; a parked sale can only be resumed once
+  async resume(id, { registerId }) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    this.expireStale();
+    const sale = this.parkedSales.find(s => s.Id === id);
+    if (!sale) {
+      throw new Error('Parked sale not found');
+    }
+    if (sale.status === PARKED_STATUS.EXPIRED) {
+      throw new Error(`Parked sale "${sale.label}" expired at ${new Date(sale.expiresAt).toLocaleTimeString()}`);
+    }
+    if (sale.status !== PARKED_STATUS.PARKED) {
+      throw new Error(`Parked sale "${sale.label}" was already ${sale.status}`);
+    }
+    sale.status = PARKED_STATUS.RESUMED;
+    sale.resumedOn = registerId;
+    sale.closedAt = new Date().toISOString();
+    return { ...sale };
+  }
+
+  async discard(id) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    const sale = this.parkedSales.find(s => s.Id === id && s.status === PARKED_STATUS.PARKED);
+    if (!sale) {
+      throw new Error('Parked sale not found');
+    }
+    sale.status = PARKED_STATUS.DISCARDED;
+    sale.closedAt = new Date().toISOString();
+    return { ...sale };
+  }
+
+  // Records a tender charged on an open cart; the cart keeps the returned copy with its holdId
+  async holdTender(tender, { cartId, registerId }) {
+    const hold = {
+      Id: this.nextHoldId++,
+      cartId,
+      registerId,
+      method: tender.method,
+      amount: tender.amount,
+      result: tender.result,
+      cashierName: authService.getCurrentUser()?.name || null,
+      status: HELD_TENDER_STATUS.HELD,
+      capturedAt: new Date().toISOString(),
+      closedAt: null
+    };
+    this.heldTenders.push(hold);
+    return { ...tender, holdId: hold.Id };
+  }
+
+  // The sale these tenders paid for went through
+  async settleTenders(tenders) {
+    const holdIds = tenders.map(tender => tender.holdId).filter(Boolean);
+    this.heldTenders
+      .filter(hold => holdIds.includes(hold.Id) && hold.status === HELD_TENDER_STATUS.HELD)
+      .forEach(hold => {
+        hold.status = HELD_TENDER_STATUS.SETTLED;
+        hold.closedAt = new Date().toISOString();
+      });
+  }
+
+  // Charges no open cart still lists, e.g. after a reload or crash lost the cart or its tenders.
+  // One whose sale reached the outbox before the page went away is settled, not offered.
+  async getUnfinishedTenders({ registerId, openHoldIds = [] }) {
+    await this.delay();
+    const recorded = new Set((await posSyncService.getOutbox())
+      .flatMap(entry => entry.transaction.tenders || [])
+      .map(tender => tender.holdId)
+      .filter(Boolean));
+    const unfinished = this.heldTenders.filter(hold =>
+      hold.status === HELD_TENDER_STATUS.HELD && hold.registerId === registerId && !openHoldIds.includes(hold.Id));
+    await this.settleTenders(unfinished.filter(hold => recorded.has(hold.Id)).map(hold => ({ holdId: hold.Id })));
+    return unfinished
+      .filter(hold => hold.status === HELD_TENDER_STATUS.HELD)
+      .map(hold => ({ ...hold }));
+  }
+
+  // Refunds a held tender to where it came from; it stays held if the refund fails
+  async releaseHeldTender(holdId) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    const hold = this.heldTenders.find(h => h.Id === holdId);
+    if (!hold) {
+      throw new Error('Tender not found');
+    }
+    if (hold.status !== HELD_TENDER_STATUS.HELD) {
+      throw new Error(`This tender was already ${hold.status}`);
+    }
+    await releaseTender(hold, `POS-${Date.now()}`);
+    hold.status = HELD_TENDER_STATUS.RELEASED;
+    hold.closedAt = new Date().toISOString();
+    return { ...hold };
+  }
+}
+
+export const parkedSaleService = new ParkedSaleService();
+export default parkedSaleService;
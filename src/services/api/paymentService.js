@@ -1,3 +1,5 @@
+import { persistentStore } from "@/services/storage/persistentStore";
+import { authService, PERMISSIONS } from "@/services/api/authService";
 class PaymentService {
 constructor() {
     this.transactions = [];
@@ -7,8 +9,6 @@ constructor() {
     this.vendorBills = [];
     this.vendorPayments = [];
     this.paymentProofs = [];
-    this.currentUserRole = 'admin';
-    this.financeManagerRole = 'finance_manager';
     this.cardBrands = {
       '4': 'visa',
       '5': 'mastercard',
@@ -62,6 +62,15 @@ constructor() {
         instructions: 'Send money to the above EasyPaisa number and upload payment screenshot.'
       }
     ];
+
+    persistentStore.register(this, 'payments', {
+      fields: [
+        'transactions', 'walletBalance', 'walletTransactions', 'vendors', 'vendorBills',
+        'vendorPayments', 'paymentProofs', 'recurringPayments', 'recurringPaymentIdCounter',
+        'scheduledPayments', 'scheduledPaymentIdCounter', 'paymentAutomationRules',
+        'automationRuleIdCounter', 'paymentGateways'
+      ]
+    });
   }
 
   // Card Payment Processing
@@ -263,6 +272,36 @@ async getAvailablePaymentMethods() {
     return [...this.transactions];
   }
 
+  // Money sent back through the method the order was paid with. Recorded as a negative
+  // counterpart of the original payment so transaction totals net it off.
+  async refundToOriginalMethod(orderId, amount, { paymentMethod, reason = '', originalTransactionId = null } = {}) {
+    await this.delay(500);
+
+    if (amount <= 0) {
+      throw new Error('Refund amount must be positive');
+    }
+
+    const transaction = {
+      Id: this.getNextId(),
+      orderId,
+      type: 'refund',
+      amount: -amount,
+      paymentMethod,
+      status: 'completed',
+      transactionId: this.generateTransactionId(),
+      originalTransactionId,
+      reason,
+      timestamp: new Date().toISOString(),
+      processingFee: 0,
+      gatewayResponse: {
+        reference: this.generateReference()
+      }
+    };
+
+    this.transactions.push(transaction);
+    return { ...transaction };
+  }
+
   async getTransactionById(id) {
     await this.delay(300);
     const transaction = this.transactions.find(t => t.Id === id);
@@ -354,7 +393,7 @@ generateTransactionId() {
     return this.walletBalance;
   }
 
-  async depositToWallet(amount) {
+  async depositToWallet(amount, { description = 'Wallet deposit', orderId = null } = {}) {
     await this.delay(500);
     
     if (amount <= 0) {
@@ -369,8 +408,9 @@ generateTransactionId() {
       amount,
       balance: this.walletBalance,
       timestamp: new Date().toISOString(),
-      description: 'Wallet deposit',
-      reference: this.generateReference()
+      description,
+      reference: this.generateReference(),
+      ...(orderId && { orderId })
     };
 
     this.walletTransactions.push(transaction);
@@ -723,7 +763,13 @@ delay(ms = 300) {
       createdBy: this.currentUserRole,
       category: billData.category || 'general',
       taxAmount: billData.taxAmount || 0,
-      totalAmount: billData.amount + (billData.taxAmount || 0)
+      totalAmount: billData.amount + (billData.taxAmount || 0),
+      // Procurement bills carry their lines and stay blocked until the 3-way match passes
+      lines: billData.lines || [],
+      purchaseOrderId: billData.purchaseOrderId || null,
+      receiptId: billData.receiptId || null,
+      matchStatus: billData.purchaseOrderId ? 'pending' : null,
+      discrepancies: []
     };
 
     this.vendorBills.push(bill);
@@ -751,6 +797,12 @@ delay(ms = 300) {
       throw new Error('Bill is already paid');
     }
 
+    if (['pending', 'discrepancy'].includes(bill.matchStatus)) {
+      throw new Error(bill.matchStatus === 'pending'
+        ? 'Bill has not passed the 3-way match with its purchase order and goods receipt'
+        : `Bill has ${bill.discrepancies.length} unresolved 3-way match discrepancies`);
+    }
+
     const vendor = this.vendors.find(v => v.Id === bill.vendorId);
     if (!vendor) {
       throw new Error('Vendor not found');
@@ -795,6 +847,117 @@ delay(ms = 300) {
     return { ...payment };
   }
 
+  async getVendorBills(filters = {}) {
+    await this.delay(200);
+    return this.vendorBills
+      .filter(bill => !filters.purchaseOrderId || bill.purchaseOrderId === filters.purchaseOrderId)
+      .filter(bill => !filters.vendorId || bill.vendorId === filters.vendorId)
+      .map(bill => ({ ...bill }));
+  }
+
+  async getVendorBillById(billId) {
+    await this.delay(200);
+    const bill = this.vendorBills.find(b => b.Id === billId);
+    if (!bill) {
+      throw new Error('Bill not found');
+    }
+    return { ...bill };
+  }
+
+  // Record the vendor's invoice figures or a match result against an unpaid bill
+  async updateVendorBill(billId, updates) {
+    await this.delay(300);
+
+    if (!this.validateFinanceManagerRole()) {
+      throw new Error('Insufficient permissions. Finance manager role required.');
+    }
+
+    const bill = this.vendorBills.find(b => b.Id === billId);
+    if (!bill) {
+      throw new Error('Bill not found');
+    }
+    if (bill.status !== 'pending') {
+      throw new Error('Only unpaid bills can be changed');
+    }
+
+    const vendor = this.vendors.find(v => v.Id === bill.vendorId);
+    const previousTotal = bill.totalAmount;
+    const allowed = ['billNumber', 'lines', 'amount', 'taxAmount', 'dueDate', 'matchStatus', 'discrepancies', 'matchedAt'];
+    allowed.forEach(field => {
+      if (updates[field] !== undefined) {
+        bill[field] = updates[field];
+      }
+    });
+    bill.totalAmount = bill.amount + (bill.taxAmount || 0);
+    bill.updatedAt = new Date().toISOString();
+
+    if (vendor) {
+      vendor.totalOwed += bill.totalAmount - previousTotal;
+    }
+
+    return { ...bill };
+  }
+
+  // Let a finance manager release a bill whose discrepancies were resolved with the vendor
+  async approveMatchException(billId, note) {
+    await this.delay(300);
+
+    if (!this.validateFinanceManagerRole()) {
+      throw new Error('Insufficient permissions. Finance manager role required.');
+    }
+    if (!note?.trim()) {
+      throw new Error('A note is required to approve a match exception');
+    }
+
+    const bill = this.vendorBills.find(b => b.Id === billId);
+    if (!bill) {
+      throw new Error('Bill not found');
+    }
+    if (bill.matchStatus !== 'discrepancy') {
+      throw new Error('Bill has no discrepancies to approve');
+    }
+
+    bill.matchStatus = 'exception_approved';
+    bill.exceptionNote = note.trim();
+    bill.exceptionApprovedBy = authService.getCurrentUser()?.name || this.currentUserRole;
+    bill.updatedAt = new Date().toISOString();
+    return { ...bill };
+  }
+
+  // Mirror a vendor from the financial vendor directory so bills can be raised against it
+  async syncVendor(vendorData) {
+    await this.delay(100);
+    const existing = this.vendors.find(v => v.Id === vendorData.Id);
+    if (existing) {
+      Object.assign(existing, {
+        name: vendorData.name,
+        email: vendorData.email,
+        phone: vendorData.phone,
+        updatedAt: new Date().toISOString()
+      });
+      return { ...existing };
+    }
+
+    const vendor = {
+      Id: vendorData.Id,
+      name: vendorData.name,
+      email: vendorData.email || '',
+      phone: vendorData.phone || '',
+      address: vendorData.address || '',
+      taxId: vendorData.taxId || '',
+      bankAccount: vendorData.bankAccount || '',
+      paymentTerms: `Net ${parseInt(vendorData.paymentTerms) || 30}`,
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      totalPaid: 0,
+      totalOwed: 0,
+      lastPaymentDate: null
+    };
+    this.vendors.push(vendor);
+    return { ...vendor };
+  }
+
   // Payment Proof Management
   async uploadPaymentProof(paymentId, proofData) {
     await this.delay(600);
@@ -898,15 +1061,14 @@ delay(ms = 300) {
     };
   }
 
-  // Finance Manager Role Validation
-  validateFinanceManagerRole() {
-    return this.currentUserRole === 'admin' || this.currentUserRole === this.financeManagerRole;
+  // Role of the signed-in user, resolved from the auth session
+  get currentUserRole() {
+    return authService.getCurrentRole();
   }
 
-  async setUserRole(role) {
-    await this.delay(100);
-    this.currentUserRole = role;
-    return { role };
+  // Finance Manager Role Validation
+  validateFinanceManagerRole() {
+    return authService.can(PERMISSIONS.PAYMENTS_MANAGE);
   }
 
   async getCurrentUserRole() {
@@ -1016,7 +1178,7 @@ delay(ms = 300) {
   }
 
   calculateDueDate(paymentTerms) {
-    const days = parseInt(paymentTerms.replace(/\D/g, '')) || 30;
+    const days = parseInt(String(paymentTerms).replace(/\D/g, '')) || 30;
     const dueDate = new Date();
     dueDate.setDate(dueDate.getDate() + days);
     return dueDate.toISOString();
@@ -1,4 +1,6 @@
 import payroll from '@/services/mockData/payroll.json';
+import { persistentStore } from '@/services/storage/persistentStore';
+import { apiTransport, crudRoutes } from '@/services/transport/apiTransport';
 
 let payrollData = [...payroll];
 let lastId = Math.max(...payrollData.map(pay => pay.Id), 0);
@@ -106,4 +108,20 @@ const payrollService = {
   }
 };
 
+persistentStore.register(payrollService, 'payroll', {
+  snapshot: () => ({ records: payrollData, lastId }),
+  restore: (state) => {
+    payrollData = state.records;
+    lastId = state.lastId;
+  }
+});
+
+apiTransport.register(payrollService, {
+  ...crudRoutes('/payroll'),
+  getByEmployeeId: (employeeId) => ({ url: '/payroll', params: { employeeId } }),
+  getByMonth: (month) => ({ url: '/payroll', params: { month } }),
+  getByEmployeeAndMonth: (employeeId, month) => ({ url: '/payroll', params: { employeeId, month } }),
+  getByStatus: (status) => ({ url: '/payroll', params: { status } })
+});
+
 export default payrollService;
\ No newline at end of file
@@ -0,0 +1,145 @@
+import productService from "@/services/api/productService";
+import { financialService } from "@/services/api/financialService";
+import { inventoryService, MOVEMENT_TYPES } from "@/services/api/inventoryService";
+import { authService, PERMISSIONS, ROLES } from "@/services/api/authService";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WRITE_OFF_CATEGORY = 'Inventory Write-off';
+
+// Suggested markdown by days left before expiry; the first matching band wins
+export const MARKDOWN_BANDS = [
+  { maxDays: 1, percent: 50 },
+  { maxDays: 2, percent: 30 },
+  { maxDays: 3, percent: 15 }
+];
+
+export const suggestMarkdown = (daysToExpiry) =>
+  MARKDOWN_BANDS.find(band => daysToExpiry <= band.maxDays)?.percent || 0;
+
+// Expiry reporting on top of the inventory batches: near-expiry stock is marked down
+// through the product discount fields, expired stock is written off as an expense.
+class PerishableService {
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async getExpiringReport({ withinDays = 3 } = {}) {
+    await this.delay();
+
+    const products = await productService.getAll(ROLES.ADMIN);
+    await inventoryService.reconcileAllBatches(products);
+    const batches = await inventoryService.getBatches();
+    const horizon = Date.now() + withinDays * DAY_MS;
+
+    const rows = batches
+      .filter(batch => new Date(batch.expiryDate).getTime() <= horizon)
+      .map(batch => {
+        const product = products.find(p => p.id === batch.productId);
+        const daysToExpiry = Math.ceil((new Date(batch.expiryDate).getTime() - Date.now()) / DAY_MS);
+        return {
+          ...batch,
+          productName: product?.name || `Product #${batch.productId}`,
+          category: product?.category,
+          unit: product?.unit || 'pcs',
+          daysToExpiry,
+          costValue: Math.round(batch.remaining * batch.unitCost * 100) / 100,
+          retailValue: Math.round(batch.remaining * (product?.price || 0) * 100) / 100,
+          suggestedMarkdown: batch.expired ? 0 : suggestMarkdown(daysToExpiry)
+        };
+      });
+
+    const expired = rows.filter(row => row.expired);
+    const expiring = rows.filter(row => !row.expired);
+
+    return {
+      withinDays,
+      expiring,
+      expired,
+      expiringCostValue: expiring.reduce((sum, row) => sum + row.costValue, 0),
+      expiredCostValue: expired.reduce((sum, row) => sum + row.costValue, 0)
+    };
+  }
+
+  // Discount the product until the batch expires so the near-expiry stock sells first
+  async applyMarkdown(batchId, percent) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PRODUCTS_MANAGE);
+
+    const value = parseFloat(percent);
+    if (!value || value <= 0 || value > 90) {
+      throw new Error('Markdown must be between 1% and 90%');
+    }
+
+    const [batch] = (await inventoryService.getBatches()).filter(b => b.Id === batchId);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+    if (batch.expired) {
+      throw new Error('Expired batches cannot be sold, write them off instead');
+    }
+
+    const product = await productService.addSeasonalDiscount(batch.productId, {
+      type: 'Percentage',
+      value,
+      startDate: new Date().toISOString().split('T')[0],
+      endDate: batch.expiryDate.split('T')[0]
+    });
+    await inventoryService.updateBatch(batchId, { markdownPercent: value, markdownAt: new Date().toISOString() });
+    return product;
+  }
+
+  // Remove an expired batch from stock and book its cost as an expense
+  async writeOffBatch(batchId, { note = '' } = {}) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PRODUCTS_MANAGE);
+
+    const [batch] = (await inventoryService.getBatches()).filter(b => b.Id === batchId);
+    if (!batch) {
+      throw new Error('Batch not found or already empty');
+    }
+
+    const product = await productService.getById(batch.productId, ROLES.ADMIN);
+    const quantity = batch.remaining;
+    const amount = Math.round(quantity * batch.unitCost * 100) / 100;
+
+    await inventoryService.recordMovement({
+      productId: batch.productId,
+      name: product.name,
+      type: MOVEMENT_TYPES.SPOILAGE,
+      quantity,
+      batchId: batch.Id,
+      reference: `Write-off ${batch.lotNumber}`,
+      note: note || (batch.expired ? 'Expired' : 'Damaged')
+    });
+    await inventoryService.updateBatch(batch.Id, { writtenOffAt: new Date().toISOString() });
+
+    const expense = amount > 0
+      ? await financialService.createExpense({
+          amount,
+          vendor: 'Inventory write-off',
+          category: WRITE_OFF_CATEGORY,
+          description: `${product.name} lot ${batch.lotNumber}: ${quantity} ${product.unit || 'pcs'} ${batch.expired ? 'expired' : 'written off'}`,
+          date: new Date().toISOString().split('T')[0]
+        })
+      : null;
+
+    return { batchId: batch.Id, quantity, amount, expense };
+  }
+
+  async writeOffExpired() {
+    const report = await this.getExpiringReport({ withinDays: 0 });
+    const results = [];
+    for (const batch of report.expired) {
+      results.push(await this.writeOffBatch(batch.Id));
+    }
+    return {
+      batches: results.length,
+      quantity: results.reduce((sum, r) => sum + r.quantity, 0),
+      amount: results.reduce((sum, r) => sum + r.amount, 0)
+    };
+  }
+}
+
+export const perishableService = new PerishableService();
+export default perishableService;
@@ -0,0 +1,436 @@
+import { orderService } from "@/services/api/orderService";
+import productService from "@/services/api/productService";
+import { paymentService } from "@/services/api/paymentService";
+import { taxService } from "@/services/api/taxService";
+import { inventoryService, MOVEMENT_TYPES } from "@/services/api/inventoryService";
+import { AWAITING_RIDER_STATUSES, DELIVERY_STATUS, isCashOnDelivery, ORDER_STATUS } from "@/services/api/orderLifecycle";
+import { authService, PERMISSIONS } from "@/services/api/authService";
+import { isVariableMeasure, isWeighed } from "@/services/api/measureUnits";
+
+// What the customer wants done when a line is out of stock at picking time
+export const SUBSTITUTION_MODES = {
+  SIMILAR: 'similar',
+  SPECIFIC: 'specific',
+  REFUND: 'refund'
+};
+
+export const SUBSTITUTION_LABELS = {
+  [SUBSTITUTION_MODES.SIMILAR]: 'Substitute with similar',
+  [SUBSTITUTION_MODES.SPECIFIC]: 'Pick a specific alternative',
+  [SUBSTITUTION_MODES.REFUND]: 'Refund if out of stock'
+};
+
+export const DEFAULT_SUBSTITUTION = { mode: SUBSTITUTION_MODES.SIMILAR, alternativeId: null };
+
+export const PICK_STATUS = {
+  PENDING: 'pending',
+  PICKED: 'picked',
+  SUBSTITUTED: 'substituted',
+  MISSING: 'missing'
+};
+
+export const PICK_STATUS_LABELS = {
+  [PICK_STATUS.PENDING]: 'To pick',
+  [PICK_STATUS.PICKED]: 'Picked',
+  [PICK_STATUS.SUBSTITUTED]: 'Substituted',
+  [PICK_STATUS.MISSING]: 'Missing'
+};
+
+// Weighed goods: the picker records what the scale shows, within this much of the order
+export const WEIGHT_TOLERANCE = 0.1;
+
+// Where each category sits on the shop floor, in walking order
+export const CATEGORY_AISLES = {
+  Fruits: 'Aisle 1',
+  Vegetables: 'Aisle 2',
+  Meat: 'Aisle 3',
+  Groceries: 'Aisle 4'
+};
+
+export const getAisle = (product) => product?.aisle || CATEGORY_AISLES[product?.category] || 'Other';
+
+const getLineProductId = (item) => item.productId ?? item.id;
+
+const roundWeight = (value) => Math.round(value * 1000) / 1000;
+
+// In-stock products from the same category, closest in price first
+export const findSimilarProducts = (product, products, limit = 3) => products
+  .filter(p => p.id !== product.id && p.category === product.category && p.isActive !== false && (p.stock || 0) > 0)
+  .sort((a, b) => Math.abs(a.price - product.price) - Math.abs(b.price - product.price))
+  .slice(0, limit);
+
+// Goods value of a pick list as ordered and as actually picked, to the rupee
+export const repriceLines = (lines) => {
+  const ordered = Math.round(lines.reduce((sum, line) => sum + line.price * line.orderedQuantity, 0));
+  const picked = Math.round(lines.reduce((sum, line) => {
+    const substitute = line.substitute ? line.substitute.price * line.substitute.quantity : 0;
+    return sum + line.price * (line.pickedQuantity || 0) + substitute;
+  }, 0));
+  return { ordered, picked, adjustment: picked - ordered };
+};
+
+// Pick lists for a batch of orders, walked aisle by aisle
+export const groupLinesByAisle = (lines) => {
+  const groups = new Map();
+  lines.forEach(line => {
+    const key = `${line.aisle}|${line.category || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, { aisle: line.aisle, category: line.category || 'Uncategorized', lines: [] });
+    }
+    groups.get(key).lines.push(line);
+  });
+  return [...groups.values()]
+    .sort((a, b) => a.aisle.localeCompare(b.aisle, undefined, { numeric: true }) || a.category.localeCompare(b.category))
+    .map(group => ({
+      ...group,
+      lines: group.lines.sort((a, b) => a.name.localeCompare(b.name) || a.orderId - b.orderId)
+    }));
+};
+
+// Store pickers work through confirmed orders line by line, one order or a batch at a
+// time. Progress is kept on the order; once the last line is done the order is re-priced,
+// the difference settled and it is packed and left ready for dispatch.
+class PickingService {
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  buildLines(order) {
+    if (order.picking?.lines) {
+      return order.picking.lines.map(line => ({ ...line }));
+    }
+    return (order.items || []).map(item => ({
+      productId: getLineProductId(item),
+      name: item.name,
+      unit: item.unit,
+      price: item.price || 0,
+      orderedQuantity: item.quantity || 0,
+      substitution: item.substitution || DEFAULT_SUBSTITUTION,
+      status: PICK_STATUS.PENDING,
+      pickedQuantity: 0,
+      substitute: null
+    }));
+  }
+
+  async getQueue() {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    return (await orderService.getAll())
+      .filter(order => order.status === ORDER_STATUS.CONFIRMED)
+      // Earliest delivery window first, then oldest order
+      .sort((a, b) =>
+        new Date(a.deliverySlot?.start || a.createdAt) - new Date(b.deliverySlot?.start || b.createdAt) ||
+        new Date(a.createdAt) - new Date(b.createdAt)
+      )
+      .map(order => {
+        const lines = this.buildLines(order);
+        return {
+          ...order,
+          linesTotal: lines.length,
+          linesDone: lines.filter(line => line.status !== PICK_STATUS.PENDING).length
+        };
+      });
+  }
+
+  // Lines with where to find them and the substitutes the picker may offer
+  describeLines(order, products) {
+    return this.buildLines(order).map(line => {
+      const product = products.find(p => p.id === line.productId) || { id: line.productId, category: null, price: line.price };
+      return {
+        ...line,
+        orderId: order.id,
+        unit: line.unit || product.unit,
+        category: product.category,
+        aisle: getAisle(product),
+        barcode: product.barcode,
+        alternatives: this.getAlternatives(line, product, products)
+      };
+    });
+  }
+
+  getAlternatives(line, product, products) {
+    if (line.substitution.mode === SUBSTITUTION_MODES.SIMILAR) {
+      return findSimilarProducts(product, products);
+    }
+    if (line.substitution.mode === SUBSTITUTION_MODES.SPECIFIC) {
+      return products.filter(p => p.id === line.substitution.alternativeId);
+    }
+    return [];
+  }
+
+  async getPickList(orderId) {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    const [order, products] = await Promise.all([orderService.getById(orderId), productService.getAll()]);
+    const lines = this.describeLines(order, products);
+    return { order, lines, totals: repriceLines(lines) };
+  }
+
+  // One walk of the shop for several orders: every line, grouped by aisle and category
+  async getBatch(orderIds) {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    if (!orderIds?.length) {
+      throw new Error('Choose at least one order to pick');
+    }
+    const [orders, products] = await Promise.all([
+      Promise.all(orderIds.map(id => orderService.getById(id))),
+      productService.getAll()
+    ]);
+    const open = orders.filter(order => order.status === ORDER_STATUS.CONFIRMED);
+    const linesByOrder = open.map(order => this.describeLines(order, products));
+    return {
+      orders: open.map((order, index) => ({
+        order,
+        totals: repriceLines(linesByOrder[index]),
+        linesTotal: linesByOrder[index].length,
+        linesDone: linesByOrder[index].filter(line => line.status !== PICK_STATUS.PENDING).length
+      })),
+      groups: groupLinesByAisle(linesByOrder.flat())
+    };
+  }
+
+  async updateLine(orderId, productId, { status, pickedQuantity = 0, substitute = null }) {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    await this.delay();
+    const order = await orderService.getById(orderId);
+    if (order.status !== ORDER_STATUS.CONFIRMED) {
+      throw new Error(`Order #${order.id} is not waiting to be picked`);
+    }
+    const lines = this.buildLines(order);
+    const line = lines.find(l => l.productId === productId);
+    if (!line) {
+      throw new Error(`Product #${productId} is not on order #${order.id}`);
+    }
+    if (!Object.values(PICK_STATUS).includes(status)) {
+      throw new Error('Unknown pick status');
+    }
+
+    const quantity = status === PICK_STATUS.MISSING ? 0 : roundWeight(Number(pickedQuantity) || 0);
+    this.assertQuantity(line, quantity, isWeighed(line) ? roundWeight(line.orderedQuantity * (1 + WEIGHT_TOLERANCE)) : line.orderedQuantity);
+    if (status === PICK_STATUS.PICKED && quantity === 0) {
+      throw new Error('Mark the line missing when none could be picked');
+    }
+
+    let pickedSubstitute = null;
+    if (status === PICK_STATUS.SUBSTITUTED) {
+      if (line.substitution.mode === SUBSTITUTION_MODES.REFUND) {
+        throw new Error('The customer asked for a refund instead of a substitute');
+      }
+      if (!substitute?.productId || !(substitute.quantity > 0)) {
+        throw new Error('Choose a substitute product and quantity');
+      }
+      if (line.substitution.mode === SUBSTITUTION_MODES.SPECIFIC && substitute.productId !== line.substitution.alternativeId) {
+        throw new Error('The customer chose a specific alternative for this line');
+      }
+      const product = await productService.getById(substitute.productId);
+      const substituteQuantity = roundWeight(Number(substitute.quantity));
+      this.assertQuantity(product, substituteQuantity, Infinity);
+      await inventoryService.checkAvailability([{ productId: product.id, name: product.name, quantity: substituteQuantity }]);
+      pickedSubstitute = {
+        productId: product.id,
+        name: product.name,
+        category: product.category,
+        unit: product.unit,
+        price: product.price,
+        quantity: substituteQuantity
+      };
+    }
+
+    Object.assign(line, { status, pickedQuantity: quantity, substitute: pickedSubstitute });
+    await orderService.update(order.id, {
+      picking: {
+        ...order.picking,
+        lines,
+        startedAt: order.picking?.startedAt || new Date().toISOString(),
+        pickedBy: authService.getCurrentUser()?.name || 'Staff'
+      }
+    });
+
+    // The last line done packs the order
+    const packed = lines.every(l => l.status !== PICK_STATUS.PENDING)
+      ? await this.completePicking(order.id)
+      : null;
+    return { line: { ...line }, order: packed };
+  }
+
+  // Whole units for counted goods; measured goods take whatever the scale reads
+  assertQuantity(item, quantity, max) {
+    if (quantity < 0 || quantity > max) {
+      throw new Error(`Pick between 0 and ${max}${item.unit ? ` ${item.unit}` : ''} of ${item.name}`);
+    }
+    if (!isVariableMeasure(item.unit) && !Number.isInteger(quantity)) {
+      throw new Error(`${item.name} is sold per ${item.unit || 'item'}; enter a whole number`);
+    }
+  }
+
+  // Confirms a line by its barcode: the ordered product picks it, an allowed
+  // alternative substitutes it. Weighed goods need the weight off the scale.
+  async scanLine(orderId, productId, barcode, { weight = null } = {}) {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    const [order, products] = await Promise.all([orderService.getById(orderId), productService.getAll()]);
+    const line = this.describeLines(order, products).find(l => l.productId === productId);
+    if (!line) {
+      throw new Error(`Product #${productId} is not on order #${order.id}`);
+    }
+    const scanned = products.find(p => p.barcode === String(barcode).trim());
+    if (!scanned) {
+      throw new Error(`No product with barcode ${barcode}`);
+    }
+
+    const quantityFor = (product, fallback) => {
+      if (!isWeighed(product)) return fallback;
+      if (!(Number(weight) > 0)) {
+        throw new Error(`Weigh the ${product.name} and enter the weight`);
+      }
+      return Number(weight);
+    };
+
+    if (scanned.id === line.productId) {
+      return this.updateLine(orderId, productId, {
+        status: PICK_STATUS.PICKED,
+        pickedQuantity: quantityFor(scanned, line.orderedQuantity)
+      });
+    }
+    if (line.alternatives.some(p => p.id === scanned.id)) {
+      return this.updateLine(orderId, productId, {
+        status: PICK_STATUS.SUBSTITUTED,
+        substitute: { productId: scanned.id, quantity: quantityFor(scanned, Math.ceil(line.orderedQuantity)) }
+      });
+    }
+    throw new Error(`Scanned ${scanned.name}, but this line is ${line.name}`);
+  }
+
+  // Money the customer gets back, or owes, once the picked goods are priced
+  async settleDifference(order, difference) {
+    if (difference === 0) {
+      return { type: 'none', amount: 0 };
+    }
+    const description = `Order #${order.id} picking adjustment`;
+
+    // Cash orders just collect a different amount at the door
+    if (isCashOnDelivery(order)) {
+      return { type: difference < 0 ? 'refund' : 'charge', amount: Math.abs(difference), method: 'cash', collectOnDelivery: true };
+    }
+
+    if (difference < 0) {
+      const amount = -difference;
+      const transaction = order.paymentMethod === 'wallet'
+        ? await paymentService.depositToWallet(amount, { description, orderId: order.id })
+        : await paymentService.refundToOriginalMethod(order.id, amount, {
+          paymentMethod: order.paymentMethod,
+          reason: 'Items unavailable at picking',
+          originalTransactionId: order.transactionId
+        });
+      return { type: 'refund', amount, method: order.paymentMethod, reference: transaction.reference || transaction.transactionId };
+    }
+
+    // Wallet and mobile wallet orders are charged again; otherwise the rider collects it
+    try {
+      let transaction = null;
+      if (order.paymentMethod === 'wallet') {
+        transaction = await paymentService.processWalletPayment(difference, order.id);
+      } else if (['jazzcash', 'easypaisa'].includes(order.paymentMethod)) {
+        transaction = await paymentService.processDigitalWalletPayment(order.paymentMethod, difference, order.id, order.deliveryAddress?.phone);
+      }
+      if (transaction) {
+        return { type: 'charge', amount: difference, method: order.paymentMethod, reference: transaction.reference || transaction.transactionId };
+      }
+    } catch (error) {
+      console.error('Failed to charge picking adjustment:', error);
+    }
+    return { type: 'charge', amount: difference, method: 'cash', collectOnDelivery: true };
+  }
+
+  async completePicking(orderId) {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    await this.delay();
+    const order = await orderService.getById(orderId);
+    if (order.status !== ORDER_STATUS.CONFIRMED) {
+      throw new Error(`Order #${order.id} is not waiting to be picked`);
+    }
+    const lines = this.buildLines(order);
+    const pending = lines.filter(line => line.status === PICK_STATUS.PENDING);
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} line${pending.length > 1 ? 's' : ''} still to pick`);
+    }
+
+    const items = [];
+    lines.forEach(line => {
+      const item = (order.items || []).find(i => getLineProductId(i) === line.productId) || {};
+      if (line.pickedQuantity > 0) {
+        items.push({ ...item, quantity: line.pickedQuantity });
+      }
+      if (line.substitute) {
+        items.push({
+          id: line.substitute.productId,
+          productId: line.substitute.productId,
+          name: line.substitute.name,
+          category: line.substitute.category,
+          unit: line.substitute.unit,
+          price: line.substitute.price,
+          quantity: line.substitute.quantity,
+          substituteFor: line.productId
+        });
+      }
+    });
+    if (items.length === 0) {
+      throw new Error('Nothing could be picked; cancel the order instead');
+    }
+
+    // Substitutes leave stock now; shortfalls were already taken when the order was placed
+    const substitutes = lines.filter(line => line.substitute);
+    if (substitutes.length > 0) {
+      await inventoryService.recordMovements(substitutes.map(line => ({
+        productId: line.substitute.productId,
+        name: line.substitute.name,
+        quantity: line.substitute.quantity,
+        type: MOVEMENT_TYPES.SALE,
+        reference: `Order #${order.id} substitute for ${line.name}`
+      })));
+    }
+
+    // Promotions stay as applied at checkout; only the goods and their tax change
+    const { adjustment } = repriceLines(lines);
+    const tax = await taxService.calculate(items, {
+      applied: order.promotions || [],
+      deliveryCharge: order.deliveryCharge || 0
+    });
+    const difference = Math.round(adjustment + (tax.taxAdded || 0) - (order.tax?.taxAdded || 0));
+    const total = Math.max(0, (order.total || 0) + difference);
+    const settlement = await this.settleDifference(order, difference);
+
+    const substituted = lines.filter(line => line.status === PICK_STATUS.SUBSTITUTED).length;
+    const missing = lines.filter(line => line.status === PICK_STATUS.MISSING || (!isWeighed(line) && line.pickedQuantity < line.orderedQuantity && !line.substitute)).length;
+    const summary = [
+      substituted > 0 && `${substituted} substituted`,
+      missing > 0 && `${missing} short`,
+      settlement.type === 'refund' && `Rs. ${settlement.amount.toLocaleString()} ${settlement.collectOnDelivery ? 'less to pay' : 'refunded'}`,
+      settlement.type === 'charge' && `Rs. ${settlement.amount.toLocaleString()} ${settlement.collectOnDelivery ? 'more to pay on delivery' : 'charged'}`
+    ].filter(Boolean).join(', ');
+
+    // Riders already on the way keep the order; otherwise it waits packed for one
+    const readyForDispatch = !order.deliveryStatus || AWAITING_RIDER_STATUSES.includes(order.deliveryStatus);
+
+    return orderService.transition(order.id, ORDER_STATUS.PACKED, {
+      reason: summary ? `Picked: ${summary}` : 'Picked in full',
+      changes: {
+        ...(readyForDispatch && { deliveryStatus: DELIVERY_STATUS.READY_FOR_DISPATCH }),
+        items,
+        originalItems: order.originalItems || order.items,
+        ...(order.subtotal !== undefined && { subtotal: order.subtotal + adjustment }),
+        tax,
+        total,
+        totalAmount: total,
+        ...(settlement.collectOnDelivery && !isCashOnDelivery(order) && { balanceDue: settlement.amount }),
+        picking: {
+          ...order.picking,
+          lines,
+          adjustment: difference,
+          settlement,
+          completedAt: new Date().toISOString()
+        }
+      }
+    });
+  }
+}
+
+export const pickingService = new PickingService();
+export default pickingService;
@@ -0,0 +1,464 @@
+import { authService, PERMISSIONS } from "@/services/api/authService";
+import { posService } from "@/services/api/posService";
+import productService from "@/services/api/productService";
+import { inventoryService } from "@/services/api/inventoryService";
+import { loyaltyService } from "@/services/api/loyaltyService";
+import { calculateTax, taxService } from "@/services/api/taxService";
+import { isOnline, posSyncService } from "@/services/api/posSyncService";
+import { registerSessionService } from "@/services/api/registerSessionService";
+import { captureTender, cashTender, paymentTypeFor, refundTender, tenderLabel, transactionTenders } from "@/services/api/posTenders";
+import { isVariableMeasure, lineAmount, roundQuantity } from "@/services/api/measureUnits";
+import { parseReceiptCode, receiptCodeFor } from "@/services/api/receiptCodes";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+export const REFUND_TO = {
+  ORIGINAL: 'original',
+  STORE_CREDIT: 'store_credit'
+};
+
+export const POS_RETURN_REASONS = [
+  'Damaged or defective',
+  'Expired or spoiled',
+  'Wrong item or size',
+  'Swapped for another item',
+  'No longer needed'
+];
+
+export const REFUND_STATUS = {
+  PENDING: 'pending',
+  REFUNDED: 'refunded',
+  FAILED: 'failed'
+};
+
+// Refunds worth more than this need a manager's PIN at the till
+export const RETURN_APPROVAL_THRESHOLD = 2000;
+
+const toRupees = (amount) => Math.round(amount * 100) / 100;
+
+// What each line of a sale actually cost the customer, after promotions and with any
+// tax added on top. Older sales without a tax snapshot share the total out by line amount.
+export const saleLineValues = (transaction) => {
+  const items = transaction.items || [];
+  if (transaction.tax?.lines?.length === items.length) {
+    return transaction.tax.lines.map(line => line.gross);
+  }
+  const goods = items.reduce((sum, item) => sum + lineAmount(item), 0);
+  return items.map(item => goods > 0 ? lineAmount(item) * transaction.total / goods : 0);
+};
+
+// Returns and exchanges at the till against the receipt of the original POS sale.
+// Each one is booked as a POS transaction of type "return": returned lines go back into
+// stock, exchange lines leave it, and the total is what changed hands, negative when money
+// went back to the customer, so daily sales and the drawer count both come out net.
+class PosReturnService {
+  constructor() {
+    this.returns = [];
+    this.nextReturnId = 1;
+    persistentStore.register(this, 'posReturns', {
+      fields: ['returns', 'nextReturnId']
+    });
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  returnsFor(transactionId) {
+    return this.returns.filter(r => r.originalTransactionId === transactionId);
+  }
+
+  // Per line of the sale: quantity and money already returned
+  returnedSoFar(transaction) {
+    const lines = (transaction.items || []).map(() => ({ quantity: 0, refund: 0 }));
+    this.returnsFor(transaction.id).forEach(r => r.lines.forEach(line => {
+      lines[line.index].quantity = roundQuantity(lines[line.index].quantity + line.quantity, line.unit);
+      lines[line.index].refund = toRupees(lines[line.index].refund + line.refund);
+    }));
+    return lines;
+  }
+
+  // Per tender of the sale: money already paid back to it
+  refundedPerTender(transaction) {
+    const tenders = transactionTenders(transaction).map(() => 0);
+    this.returnsFor(transaction.id).forEach(r => r.refunds
+      .filter(refund => refund.tenderIndex !== null)
+      .forEach(refund => {
+        tenders[refund.tenderIndex] = toRupees(tenders[refund.tenderIndex] + refund.amount);
+      }));
+    return tenders;
+  }
+
+  async loadSale(code) {
+    const parsed = typeof code === 'number' ? { id: code } : parseReceiptCode(code);
+    if (!parsed) {
+      throw new Error('That is not a receipt number, scan the barcode at the bottom of the receipt');
+    }
+    if (!isOnline()) {
+      throw new Error('Returns need the till to be online to look up the original sale');
+    }
+    let transaction;
+    if (parsed.id) {
+      transaction = await posService.getById(parsed.id);
+    } else {
+      transaction = (await posService.getAll()).find(t => t.localNumber === parsed.localNumber);
+      if (!transaction) {
+        const queued = (await posSyncService.getOutbox()).find(entry => entry.localNumber === parsed.localNumber);
+        throw new Error(queued
+          ? `Sale ${parsed.localNumber} has not synced yet, sync the till before returning it`
+          : 'Transaction not found');
+      }
+    }
+    if (transaction.type === 'return') {
+      throw new Error('This is a return receipt, scan the receipt of the original sale');
+    }
+    return transaction;
+  }
+
+  // The sale behind a receipt, with what can still be returned from each line
+  async findTransaction(code) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    const transaction = await this.loadSale(code);
+    const values = saleLineValues(transaction);
+    const returned = this.returnedSoFar(transaction);
+    const refunded = this.refundedPerTender(transaction);
+    return {
+      transaction,
+      receiptCode: receiptCodeFor(transaction),
+      lines: transaction.items.map((item, index) => ({
+        index,
+        productId: item.productId,
+        name: item.name,
+        unit: item.unit,
+        price: item.price,
+        sold: item.quantity,
+        returned: returned[index].quantity,
+        returnable: roundQuantity(item.quantity - returned[index].quantity, item.unit),
+        value: toRupees(values[index]),
+        refundable: toRupees(values[index] - returned[index].refund)
+      })),
+      tenders: transactionTenders(transaction).map((tender, index) => ({
+        method: tender.method,
+        amount: tender.amount,
+        refundable: toRupees(tender.amount - refunded[index])
+      })),
+      previousReturns: this.returnsFor(transaction.id).map(r => ({ ...r }))
+    };
+  }
+
+  // Money for the returned quantity of a line; the last units take whatever is left
+  // so rounding never refunds more or less than the line cost
+  refundForLine(line, quantity) {
+    if (quantity >= line.returnable) {
+      return line.refundable;
+    }
+    return toRupees(line.value * quantity / line.sold);
+  }
+
+  // Refund spread over the sale's own tenders, cards and wallets before cash,
+  // each no further than what it paid and has not had back yet
+  allocateRefund(tenders, amount) {
+    const order = tenders
+      .map((tender, index) => ({ ...tender, index }))
+      .sort((a, b) => (a.method === 'cash') - (b.method === 'cash'));
+    const refunds = [];
+    let left = amount;
+    order.forEach(tender => {
+      const part = toRupees(Math.min(left, tender.refundable));
+      if (part > 0) {
+        refunds.push({ tenderIndex: tender.index, method: tender.method, amount: part });
+        left = toRupees(left - part);
+      }
+    });
+    if (left > 0) {
+      refunds.push({ tenderIndex: null, method: 'cash', amount: left });
+    }
+    return refunds;
+  }
+
+  async priceExchange(exchangeItems) {
+    const items = [];
+    for (const { productId, quantity } of exchangeItems) {
+      const product = await productService.getById(productId);
+      const qty = isVariableMeasure(product.unit) ? roundQuantity(quantity, product.unit) : parseInt(quantity);
+      if (!(qty > 0)) {
+        throw new Error(`Enter a quantity for ${product.name}`);
+      }
+      items.push({
+        productId: product.id,
+        name: product.name,
+        category: product.category,
+        price: product.price,
+        quantity: qty,
+        unit: product.unit
+      });
+    }
+    if (items.length > 0) {
+      await inventoryService.checkAvailability(items);
+    }
+    const tax = calculateTax(items, await taxService.getSettings());
+    const subtotal = toRupees(items.reduce((sum, item) => sum + lineAmount(item), 0));
+    return { items, tax, subtotal, total: toRupees(subtotal + tax.taxAdded) };
+  }
+
+  // Works out a return without booking it, for the screen to show before the cashier confirms
+  async quote({ transactionId, lines = [], exchangeItems = [] }) {
+    await this.delay();
+    const { transaction, lines: saleLines, tenders } = await this.findTransaction(transactionId);
+    const returning = [];
+    lines.filter(line => Number(line.quantity) > 0).forEach(line => {
+      const saleLine = saleLines[line.index];
+      if (!saleLine) {
+        throw new Error('That line is not on the receipt');
+      }
+      const quantity = isVariableMeasure(saleLine.unit)
+        ? roundQuantity(line.quantity, saleLine.unit)
+        : parseInt(line.quantity);
+      if (!(quantity > 0) || quantity > saleLine.returnable) {
+        throw new Error(`Only ${saleLine.returnable} of ${saleLine.name} can still be returned`);
+      }
+      returning.push({ ...saleLine, quantity, refund: this.refundForLine(saleLine, quantity) });
+    });
+    if (returning.length === 0) {
+      throw new Error('Select the items being returned');
+    }
+    const exchange = await this.priceExchange(exchangeItems);
+    const returnedValue = toRupees(returning.reduce((sum, line) => sum + line.refund, 0));
+    const balance = toRupees(exchange.total - returnedValue);
+    return {
+      transaction,
+      tenders,
+      returning,
+      exchange,
+      returnedValue,
+      // Positive: the customer pays the difference; negative: it goes back to them
+      balance,
+      needsApproval: returnedValue > RETURN_APPROVAL_THRESHOLD
+    };
+  }
+
+  // Books the return or exchange. A refund goes back to the sale's tenders or onto store
+  // credit; when the exchange costs more, the difference is taken with `payment`.
+  async processReturn({
+    transactionId,
+    lines,
+    exchangeItems = [],
+    refundTo = REFUND_TO.ORIGINAL,
+    payment = null,
+    reason,
+    managerPin = '',
+    session
+  }) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    if (!session?.Id) {
+      throw new Error('Open the register before taking a return');
+    }
+    const drawer = registerSessionService.findOpenSession(session.Id);
+    if (!String(reason || '').trim()) {
+      throw new Error('Select a reason for the return');
+    }
+    if (!Object.values(REFUND_TO).includes(refundTo)) {
+      throw new Error('Unknown refund method');
+    }
+    const quote = await this.quote({ transactionId, lines, exchangeItems });
+    const { transaction: sale, returning, exchange, returnedValue, balance } = quote;
+    // Store credit lands in a wallet, and a walk-in sale has no customer whose wallet it could be
+    if (refundTo === REFUND_TO.STORE_CREDIT && balance < 0 && !sale.customerId) {
+      throw new Error('A walk-in sale has no customer to credit, refund to the original tender instead');
+    }
+
+    let approvedBy = null;
+    if (quote.needsApproval) {
+      if (!managerPin) {
+        throw new Error(`Refunds over Rs. ${RETURN_APPROVAL_THRESHOLD.toLocaleString()} need a manager PIN`);
+      }
+      approvedBy = await authService.verifyManagerPin(managerPin);
+    }
+
+    const reference = `RTN-${receiptCodeFor(sale)}-${this.returnsFor(sale.id).length + 1}`;
+    const originalTenders = transactionTenders(sale);
+    let refunds = [];
+    if (balance < 0) {
+      refunds = (refundTo === REFUND_TO.STORE_CREDIT
+        ? [{ tenderIndex: null, method: 'wallet', amount: -balance }]
+        : this.allocateRefund(quote.tenders, -balance)
+      ).map(refund => ({
+        ...refund,
+        label: tenderLabel(refund.method),
+        originalTransactionId: originalTenders[refund.tenderIndex]?.result?.transactionId || null,
+        status: REFUND_STATUS.PENDING
+      }));
+      const cashOut = refunds.filter(refund => refund.method === 'cash').reduce((sum, refund) => sum + refund.amount, 0);
+      if (cashOut > 0) {
+        const { expectedCash } = await registerSessionService.tally(drawer);
+        if (cashOut > expectedCash) {
+          throw new Error(`The drawer should only hold Rs. ${expectedCash.toLocaleString()}${sale.customerId ? ', refund to store credit instead' : ''}`);
+        }
+      }
+    }
+
+    const returnedItems = [];
+    for (const line of returning) {
+      const item = sale.items[line.index];
+      const taxLine = sale.tax?.lines?.[line.index];
+      returnedItems.push({
+        productId: item.productId,
+        name: item.name,
+        category: item.category,
+        price: item.price,
+        quantity: line.quantity,
+        unit: item.unit,
+        returned: true,
+        refund: line.refund,
+        // Perishables cannot be resold, so they are only recorded as received
+        restocked: !(await inventoryService.isBatchTracked(item.productId)),
+        // Output tax given back on this line, for the sales tax return
+        credit: taxLine ? {
+          taxClass: taxLine.taxClass,
+          name: sale.tax.breakdown.find(entry => entry.taxClass === taxLine.taxClass)?.name || taxLine.taxClass,
+          rate: taxLine.rate,
+          net: toRupees(taxLine.net * line.quantity / item.quantity),
+          tax: toRupees(taxLine.tax * line.quantity / item.quantity)
+        } : null
+      });
+    }
+
+    // The difference on an uneven exchange is taken last, right before booking
+    let tenders = refunds.map(refund => ({ method: refund.method, amount: -refund.amount, tendered: -refund.amount, change: 0, result: null }));
+    if (balance > 0) {
+      if (!payment?.method) {
+        throw new Error(`Rs. ${balance.toLocaleString()} is due on the exchange, take a payment`);
+      }
+      if (payment.method === 'cash') {
+        const tendered = parseFloat(payment.tendered ?? balance);
+        if (!(tendered >= balance)) {
+          throw new Error(`Rs. ${balance.toLocaleString()} is due on the exchange`);
+        }
+        tenders = [cashTender(tendered, balance)];
+      } else {
+        tenders = [await captureTender(payment.method, balance, reference)];
+      }
+    }
+
+    let posted;
+    try {
+      posted = await posService.createTransaction({
+        type: 'return',
+        originalTransactionId: sale.id,
+        originalReceipt: receiptCodeFor(sale),
+        reference,
+        reason: String(reason).trim(),
+        items: [...returnedItems, ...exchange.items],
+        returnedValue,
+        exchangeValue: exchange.total,
+        subtotal: exchange.subtotal,
+        discount: 0,
+        tax: exchange.tax,
+        promotions: [],
+        total: balance,
+        tenders,
+        paymentType: tenders.length > 0 ? paymentTypeFor(tenders) : 'cash',
+        refundTo: balance < 0 ? refundTo : null,
+        customerPaid: balance > 0 ? tenders[0].tendered : 0,
+        change: balance > 0 ? tenders[0].change : 0,
+        sessionId: drawer.Id,
+        registerId: drawer.registerId,
+        cashierId: drawer.cashierId,
+        cashierName: drawer.cashierName,
+        approvedBy: approvedBy?.name || null,
+        customerId: sale.customerId || null,
+        customerName: sale.customerName || null
+      });
+    } catch (error) {
+      // Nothing was booked, so give back what the customer paid for the exchange
+      if (balance > 0 && tenders[0].method !== 'cash') {
+        await refundTender(tenders[0].method, tenders[0].amount, reference, {
+          reason: 'Exchange could not be completed',
+          originalTransactionId: tenders[0].result?.transactionId || null
+        });
+      }
+      throw error;
+    }
+
+    const user = authService.getCurrentUser();
+    const record = {
+      Id: this.nextReturnId++,
+      reference,
+      transactionId: posted.id,
+      originalTransactionId: sale.id,
+      originalReceipt: receiptCodeFor(sale),
+      lines: returning.map(line => ({
+        index: line.index,
+        productId: line.productId,
+        name: line.name,
+        unit: line.unit,
+        quantity: line.quantity,
+        refund: line.refund
+      })),
+      exchangeItems: exchange.items.map(item => ({ productId: item.productId, name: item.name, quantity: item.quantity })),
+      returnedValue,
+      exchangeValue: exchange.total,
+      balance,
+      refundTo: balance < 0 ? refundTo : null,
+      refunds,
+      reason: String(reason).trim(),
+      approvedBy: approvedBy?.name || null,
+      processedBy: user?.name || null,
+      createdAt: new Date().toISOString()
+    };
+    // Booked before any money goes back, so the lines cannot be refunded a second time
+    this.returns.push(record);
+    await persistentStore.commit('posReturns');
+
+    const reversed = await loyaltyService.reverseForPosReturn(sale, returnedValue, reference);
+    record.pointsReversed = reversed ? -reversed.points : 0;
+    await this.payRefunds(record);
+    return {
+      ...posted,
+      returnRecord: { ...record, refunds: record.refunds.map(refund => ({ ...refund })) },
+      pointsReversed: record.pointsReversed,
+      failedRefunds: record.refunds.filter(refund => refund.status === REFUND_STATUS.FAILED).map(refund => ({ ...refund }))
+    };
+  }
+
+  // Pays out the refunds of a booked return that have not gone through yet. A provider
+  // failing leaves that refund marked failed for a retry; the return itself stands.
+  async payRefunds(record) {
+    for (const refund of record.refunds.filter(r => [REFUND_STATUS.PENDING, REFUND_STATUS.FAILED].includes(r.status))) {
+      try {
+        const result = await refundTender(refund.method, refund.amount, record.reference, {
+          reason: `Return against ${record.originalReceipt}: ${record.reason}`,
+          originalTransactionId: refund.originalTransactionId
+        });
+        Object.assign(refund, {
+          status: REFUND_STATUS.REFUNDED,
+          refundReference: result?.reference || result?.transactionId || null,
+          refundedAt: new Date().toISOString(),
+          error: null
+        });
+      } catch (error) {
+        Object.assign(refund, { status: REFUND_STATUS.FAILED, error: error.message });
+      }
+      await persistentStore.commit('posReturns');
+    }
+  }
+
+  async retryRefunds(returnId) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    const record = this.returns.find(r => r.Id === returnId);
+    if (!record) {
+      throw new Error('Return not found');
+    }
+    await this.payRefunds(record);
+    const failed = record.refunds.find(refund => refund.status === REFUND_STATUS.FAILED);
+    if (failed) {
+      throw new Error(`${failed.label} refund of Rs. ${failed.amount.toLocaleString()} failed again: ${failed.error}`);
+    }
+    return { ...record, refunds: record.refunds.map(refund => ({ ...refund })) };
+  }
+}
+
+export const posReturnService = new PosReturnService();
+export default posReturnService;
@@ -1,8 +1,18 @@
 import posData from '../mockData/posTransactions.json';
+import { persistentStore } from '@/services/storage/persistentStore';
+import { inventoryService, MOVEMENT_TYPES } from '@/services/api/inventoryService';
+import { loyaltyService } from '@/services/api/loyaltyService';
+import { apiTransport, crudRoutes } from '@/services/transport/apiTransport';
+import { transactionTenders } from '@/services/api/posTenders';
 
 class POSService {
   constructor() {
     this.transactions = [...posData];
+    persistentStore.register(this, 'posTransactions', { fields: ['transactions'] });
+    apiTransport.register(this, {
+      getAll: () => ({ url: '/pos-transactions' }),
+      getById: (id) => ({ url: `/pos-transactions/${id}` })
+    });
   }
 
   async getAll() {
@@ -21,19 +31,67 @@ class POSService {
 
   async createTransaction(transactionData) {
     await this.delay();
-    const newTransaction = {
-      id: this.getNextId(),
+    // A till retrying a sale it already sent gets the original back, not a second sale.
+    // One stored without its stock booked (the response never came back) is finished here.
+    const existing = transactionData.idempotencyKey
+      ? await this.findByIdempotencyKey(transactionData.idempotencyKey)
+      : null;
+    if (existing && existing.stockCommitted !== false) {
+      return { ...existing };
+    }
+    // Lines taken back on a return come back into stock, unless they cannot be resold
+    const movements = (transactionData.items || []).filter(item => !item.returned || item.restocked).map(item => ({
+      productId: item.productId,
+      name: item.name,
+      quantity: item.quantity,
+      type: item.returned ? MOVEMENT_TYPES.REFUND : MOVEMENT_TYPES.POS_SALE
+    }));
+    await inventoryService.validateMovements(movements, { respectReservations: true });
+    const stored = existing || await this.saveTransaction({
       ...transactionData,
-      timestamp: new Date().toISOString()
-    };
-    this.transactions.push(newTransaction);
-    return { ...newTransaction };
+      timestamp: new Date().toISOString(),
+      stockCommitted: false
+    });
+    await inventoryService.recordMovements(
+      movements.map(movement => ({ ...movement, reference: `POS #${stored.id}` })),
+      { respectReservations: true }
+    );
+    // Sales linked to a customer earn loyalty points
+    const earned = await loyaltyService.earnForPosSale(stored);
+    return this.saveTransaction({
+      ...stored,
+      stockCommitted: true,
+      ...(earned && { pointsEarned: earned.points })
+    });
+  }
+
+  async findByIdempotencyKey(idempotencyKey) {
+    if (apiTransport.isHttp()) {
+      const [found] = await apiTransport.request({ url: '/pos-transactions', params: { idempotencyKey } });
+      return found || null;
+    }
+    return this.transactions.find(t => t.idempotencyKey === idempotencyKey) || null;
+  }
+
+  // Only the record goes to the backend in http mode; stock and loyalty are booked above
+  async saveTransaction(transaction) {
+    if (apiTransport.isHttp()) {
+      return apiTransport.saveRecord('/pos-transactions', transaction);
+    }
+    if (!transaction.id) {
+      const created = { id: this.getNextId(), ...transaction };
+      this.transactions.push(created);
+      return { ...created };
+    }
+    const index = this.transactions.findIndex(t => t.id === transaction.id);
+    this.transactions[index] = { ...transaction };
+    return { ...transaction };
   }
 
   async getDailySales(date) {
     await this.delay();
     const targetDate = new Date(date).toDateString();
-    const dailyTransactions = this.transactions.filter(
+    const dailyTransactions = (await this.storedTransactions()).filter(
       t => new Date(t.timestamp).toDateString() === targetDate
     );
     
@@ -44,6 +102,11 @@ class POSService {
     };
   }
 
+  // Read from the backend in http mode, where saveTransaction keeps nothing locally
+  async storedTransactions() {
+    return apiTransport.isHttp() ? this.getAll() : this.transactions;
+  }
+
   getNextId() {
     const maxId = this.transactions.reduce((max, transaction) => 
       transaction.id > max ? transaction.id : max, 0);
@@ -53,43 +116,41 @@ class POSService {
 // Payment Integration Methods
   async processPayment(transactionId, paymentData) {
     await this.delay();
-    const transaction = this.transactions.find(t => t.id === transactionId);
+    const transaction = (await this.storedTransactions()).find(t => t.id === transactionId);
     if (!transaction) {
       throw new Error('Transaction not found');
     }
 
-    const updatedTransaction = {
+    return this.saveTransaction({
       ...transaction,
       paymentProcessed: true,
       paymentData: paymentData,
       processedAt: new Date().toISOString()
-    };
-
-    const index = this.transactions.findIndex(t => t.id === transactionId);
-    this.transactions[index] = updatedTransaction;
-    
-    return { ...updatedTransaction };
+    });
   }
 
   async getTransactionsByPaymentMethod(paymentMethod) {
     await this.delay();
-    return this.transactions.filter(t => t.paymentType === paymentMethod);
+    return (await this.storedTransactions()).filter(t => transactionTenders(t).some(tender => tender.method === paymentMethod));
   }
 
-  async getDailyPaymentBreakdown(date) {
+  // Narrowed to one register session when given, for the drawer count at close
+  async getDailyPaymentBreakdown(date, { sessionId = null } = {}) {
     await this.delay();
     const targetDate = new Date(date).toDateString();
-    const dailyTransactions = this.transactions.filter(
-      t => new Date(t.timestamp).toDateString() === targetDate
+    const dailyTransactions = (await this.storedTransactions()).filter(
+      t => new Date(t.timestamp).toDateString() === targetDate && (!sessionId || t.sessionId === sessionId)
     );
 
+    // Split-tender sales count towards each method they were paid with
     const breakdown = dailyTransactions.reduce((acc, transaction) => {
-      const method = transaction.paymentType;
-      if (!acc[method]) {
-        acc[method] = { count: 0, total: 0 };
-      }
-      acc[method].count += 1;
-      acc[method].total += transaction.total;
+      transactionTenders(transaction).forEach(({ method, amount }) => {
+        if (!acc[method]) {
+          acc[method] = { count: 0, total: 0 };
+        }
+        acc[method].count += 1;
+        acc[method].total += amount;
+      });
       return acc;
     }, {});
 
@@ -0,0 +1,385 @@
+import { persistentStore } from "@/services/storage/persistentStore";
+import productService from "@/services/api/productService";
+import { posService } from "@/services/api/posService";
+import { inventoryService, MOVEMENT_TYPES } from "@/services/api/inventoryService";
+import { CHANNELS, promotionService } from "@/services/api/promotionService";
+import { taxService } from "@/services/api/taxService";
+import { authService, PERMISSIONS, ROLES } from "@/services/api/authService";
+import { applyScaleLabel, parseScaleBarcode, roundQuantity } from "@/services/api/measureUnits";
+import { releaseTender, transactionTenders } from "@/services/api/posTenders";
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  CONFLICT: 'conflict',
+  VOIDED: 'voided'
+};
+
+export const CONFLICT_RESOLUTIONS = {
+  ADJUST_STOCK: 'adjust_stock',
+  VOID: 'void'
+};
+
+export const SYNC_INTERVAL_MS = 30000;
+
+// Synced and voided sales stay in the outbox this long for reference, then are dropped
+export const OUTBOX_RETENTION_DAYS = 30;
+
+// Card and wallet payments need the provider; only cash can be taken offline
+export const OFFLINE_PAYMENT_TYPES = ['cash'];
+
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// "Could not reach the server", as opposed to the server refusing the sale
+export const isConnectivityError = (error) =>
+  !isOnline() || /network|timeout|failed to fetch/i.test(error?.message || '');
+
+export const createIdempotencyKey = (terminalId) =>
+  `${terminalId}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Lines sold at a different price than the catalog now has
+export const findPriceConflicts = (items, products) => items
+  .map(item => {
+    const product = products.find(p => p.id === item.productId);
+    return product && product.price !== item.price
+      ? { productId: item.productId, name: item.name, tillPrice: item.price, currentPrice: product.price }
+      : null;
+  })
+  .filter(Boolean);
+
+const copyEntry = (entry) => JSON.parse(JSON.stringify(entry));
+
+// Lets the till keep selling without a connection. Completed sales go into a durable
+// outbox (persisted to IndexedDB with the other services) under an idempotency key and
+// are posted in order once the server is reachable, so a retry never books a sale twice.
+// The catalog, promotions and tax rules are cached so the till can price offline.
+class PosSyncService {
+  constructor() {
+    this.outbox = [];
+    this.catalog = null;
+    this.terminalId = `TILL-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+    this.nextLocalNumber = 1;
+    this.lastSyncedAt = null;
+    this.listeners = new Set();
+    this.syncing = null;
+    persistentStore.register(this, 'posOutbox', {
+      fields: ['outbox', 'catalog', 'terminalId', 'nextLocalNumber', 'lastSyncedAt']
+    });
+  }
+
+  // Listeners get the summary whenever the outbox changes; returns the unsubscribe
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const summary = this.getSummary();
+    this.listeners.forEach(listener => listener(summary));
+  }
+
+  getSummary() {
+    return {
+      online: isOnline(),
+      pending: this.outbox.filter(entry => entry.status === OUTBOX_STATUS.PENDING).length,
+      conflicts: this.outbox.filter(entry => entry.status === OUTBOX_STATUS.CONFLICT).length,
+      lastSyncedAt: this.lastSyncedAt,
+      cachedAt: this.catalog?.cachedAt || null
+    };
+  }
+
+  // Stock the till can still sell: the catalog less sales not yet on the server
+  withUnsyncedSales(products) {
+    const unsynced = this.outbox.filter(entry => [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.CONFLICT].includes(entry.status));
+    return products.map(product => {
+      const sold = unsynced.reduce((sum, entry) => sum + entry.transaction.items
+        .filter(item => item.productId === product.id)
+        .reduce((lineSum, item) => lineSum + item.quantity, 0), 0);
+      return sold ? { ...product, stock: Math.max(0, roundQuantity(product.stock - sold, product.unit)) } : product;
+    });
+  }
+
+  // Fresh catalog when the server answers, otherwise the last cached one
+  async getCatalog() {
+    if (isOnline()) {
+      try {
+        const [products, promotions, taxSettings] = await Promise.all([
+          productService.getAll(),
+          promotionService.getActivePromotions(CHANNELS.POS),
+          taxService.getSettings()
+        ]);
+        this.catalog = { products, promotions, taxSettings, cachedAt: new Date().toISOString() };
+        this.notify();
+        return { ...this.catalog, products: this.withUnsyncedSales(products), offline: false };
+      } catch (error) {
+        if (!isConnectivityError(error) || !this.catalog) {
+          throw error;
+        }
+      }
+    }
+    if (!this.catalog) {
+      throw new Error('The till has not downloaded the product list yet. Connect once to start selling offline.');
+    }
+    return { ...copyEntry(this.catalog), products: this.withUnsyncedSales(this.catalog.products), offline: true };
+  }
+
+  // Same lookup as the product service, answered from the cached catalog when offline
+  async findByBarcode(barcode) {
+    try {
+      return await productService.getByBarcode(barcode);
+    } catch (error) {
+      if (!isConnectivityError(error) || !this.catalog) {
+        throw error;
+      }
+    }
+    const products = this.withUnsyncedSales(this.catalog.products);
+    const product = products.find(p => p.barcode === barcode);
+    if (product) {
+      return { ...product };
+    }
+    const label = parseScaleBarcode(barcode);
+    const labelled = label && products.find(p => p.id === label.itemCode);
+    if (!labelled) {
+      throw new Error('Product not found');
+    }
+    return applyScaleLabel({ ...labelled }, label);
+  }
+
+  // Lines the books cannot cover, checked the way an online sale is: through the stock
+  // ledger, less reservations. Products gone from the catalog cannot be booked at all.
+  async findStockProblems(items) {
+    const lines = new Map();
+    items.forEach(item => {
+      const line = lines.get(item.productId);
+      lines.set(item.productId, line
+        ? { ...line, quantity: roundQuantity(line.quantity + item.quantity, item.unit) }
+        : { productId: item.productId, name: item.name, unit: item.unit, quantity: item.quantity });
+    });
+    const shortfalls = [];
+    const missing = [];
+    for (const line of lines.values()) {
+      try {
+        // Internal lookup, so hidden products resolve regardless of who is signed in
+        await productService.getById(line.productId, ROLES.ADMIN);
+      } catch (error) {
+        if (isConnectivityError(error)) throw error;
+        missing.push({ productId: line.productId, name: line.name });
+        continue;
+      }
+      try {
+        await inventoryService.validateMovements(
+          [{ productId: line.productId, name: line.name, quantity: line.quantity, type: MOVEMENT_TYPES.POS_SALE }],
+          { respectReservations: true }
+        );
+      } catch (error) {
+        if (isConnectivityError(error)) throw error;
+        const { available } = await inventoryService.getStockLevel(line.productId);
+        const usable = Math.max(0, available);
+        shortfalls.push({ ...line, available: usable, shortfall: roundQuantity(line.quantity - usable, line.unit) });
+      }
+    }
+    return { shortfalls, missing };
+  }
+
+  // Drops synced and voided sales past the retention period; pending and conflicting ones always stay
+  pruneOutbox() {
+    const cutoff = Date.now() - OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    this.outbox = this.outbox.filter(entry => {
+      const closedAt = entry.status === OUTBOX_STATUS.SYNCED ? entry.syncedAt
+        : entry.status === OUTBOX_STATUS.VOIDED ? entry.voidedAt
+        : null;
+      return !closedAt || new Date(closedAt).getTime() >= cutoff;
+    });
+  }
+
+  // Puts a completed sale in the outbox and posts it straight away when online
+  async recordSale(transactionData) {
+    this.pruneOutbox();
+    const key = createIdempotencyKey(this.terminalId);
+    const localNumber = `${this.terminalId}-${String(this.nextLocalNumber++).padStart(5, '0')}`;
+    const entry = {
+      key,
+      localNumber,
+      status: OUTBOX_STATUS.PENDING,
+      transaction: { ...transactionData, idempotencyKey: key, localNumber, soldAt: new Date().toISOString() },
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      serverId: null,
+      pointsEarned: 0,
+      redemptionsRecorded: false,
+      priceConflicts: [],
+      shortfalls: [],
+      missingProducts: [],
+      lastError: null
+    };
+    this.outbox.push(entry);
+    // On disk before the post goes out: the customer has paid, so a reload mid-post must not lose it
+    await persistentStore.commit('posOutbox');
+    this.notify();
+
+    if (isOnline()) {
+      await this.postEntry(entry);
+      this.notify();
+    }
+    return copyEntry(entry);
+  }
+
+  async postEntry(entry) {
+    entry.attempts += 1;
+    entry.lastAttemptAt = new Date().toISOString();
+    try {
+      if (!entry.serverId) {
+        const products = await productService.getAll(ROLES.ADMIN);
+        // The customer paid the till price; differences are kept for review, not re-charged
+        entry.priceConflicts = findPriceConflicts(entry.transaction.items, products);
+        const { shortfalls, missing } = await this.findStockProblems(entry.transaction.items);
+        entry.shortfalls = shortfalls;
+        entry.missingProducts = missing;
+        if (missing.length > 0) {
+          entry.status = OUTBOX_STATUS.CONFLICT;
+          entry.lastError = `No longer in the catalog: ${missing.map(line => line.name).join(', ')}`;
+          return entry;
+        }
+        if (shortfalls.length > 0) {
+          entry.status = OUTBOX_STATUS.CONFLICT;
+          entry.lastError = `Not enough stock on the books for ${shortfalls.map(line => line.name).join(', ')}`;
+          return entry;
+        }
+        const created = await posService.createTransaction({
+          ...entry.transaction,
+          priceConflicts: entry.priceConflicts,
+          syncedAt: new Date().toISOString()
+        });
+        entry.serverId = created.id;
+        entry.pointsEarned = created.pointsEarned || 0;
+      }
+      if (!entry.redemptionsRecorded) {
+        await promotionService.recordRedemptions({ applied: entry.transaction.promotions || [] }, {
+          reference: `POS #${entry.serverId}`,
+          customerId: entry.transaction.customerId ? `pos-${entry.transaction.customerId}` : null,
+          channel: CHANNELS.POS
+        });
+        entry.redemptionsRecorded = true;
+      }
+      entry.status = OUTBOX_STATUS.SYNCED;
+      entry.syncedAt = new Date().toISOString();
+      entry.lastError = null;
+      this.lastSyncedAt = entry.syncedAt;
+    } catch (error) {
+      if (isConnectivityError(error)) {
+        entry.lastError = 'Waiting for a connection';
+      } else {
+        entry.status = OUTBOX_STATUS.CONFLICT;
+        entry.lastError = error.message;
+      }
+    }
+    return entry;
+  }
+
+  // Posts waiting sales oldest first; stops at the first sign of the connection dropping
+  async sync() {
+    if (this.syncing) {
+      return this.syncing;
+    }
+    this.syncing = (async () => {
+      this.pruneOutbox();
+      let synced = 0;
+      for (const entry of this.outbox.filter(e => e.status === OUTBOX_STATUS.PENDING)) {
+        if (!isOnline()) break;
+        await this.postEntry(entry);
+        await persistentStore.commit('posOutbox');
+        if (entry.status === OUTBOX_STATUS.SYNCED) {
+          synced += 1;
+        } else if (entry.status === OUTBOX_STATUS.PENDING) {
+          break;
+        }
+      }
+      this.notify();
+      return { synced, ...this.getSummary() };
+    })();
+    try {
+      return await this.syncing;
+    } finally {
+      this.syncing = null;
+    }
+  }
+
+  // Syncs when the browser reports the connection is back, and every so often while
+  // sales are waiting. Returns the cleanup for the POS screen to call on unmount.
+  startBackgroundSync() {
+    const run = () => {
+      if (this.getSummary().pending > 0) {
+        this.sync().catch(error => console.error('POS sync failed:', error));
+      }
+    };
+    const onConnectionChange = () => {
+      this.notify();
+      run();
+    };
+    window.addEventListener('online', onConnectionChange);
+    window.addEventListener('offline', onConnectionChange);
+    const timer = setInterval(run, SYNC_INTERVAL_MS);
+    run();
+    return () => {
+      window.removeEventListener('online', onConnectionChange);
+      window.removeEventListener('offline', onConnectionChange);
+      clearInterval(timer);
+    };
+  }
+
+  async getOutbox() {
+    return this.outbox.map(copyEntry).reverse();
+  }
+
+  // A sale the server would not take. Either the books were wrong and the goods really
+  // were there (post a stock correction, then the sale), or the sale is voided.
+  async resolveConflict(key, resolution, { reason = '' } = {}) {
+    const entry = this.outbox.find(e => e.key === key);
+    if (!entry || entry.status !== OUTBOX_STATUS.CONFLICT) {
+      throw new Error('No conflict to resolve for this sale');
+    }
+
+    if (resolution === CONFLICT_RESOLUTIONS.ADJUST_STOCK) {
+      authService.assertPermission(PERMISSIONS.PRODUCTS_MANAGE);
+      if (entry.missingProducts?.length > 0) {
+        throw new Error(`${entry.missingProducts.map(line => line.name).join(', ')} must be restored to the catalog first, or the sale voided`);
+      }
+      if (entry.shortfalls.length > 0) {
+        await inventoryService.recordMovements(entry.shortfalls.map(line => ({
+          productId: line.productId,
+          name: line.name,
+          type: MOVEMENT_TYPES.ADJUSTMENT,
+          quantity: line.shortfall,
+          reference: `Offline sale ${entry.localNumber}`,
+          note: reason || 'Stock correction for a sale made offline'
+        })));
+      }
+      entry.status = OUTBOX_STATUS.PENDING;
+      await this.postEntry(entry);
+    } else if (resolution === CONFLICT_RESOLUTIONS.VOID) {
+      authService.assertPermission(PERMISSIONS.PAYMENTS_MANAGE);
+      if (!String(reason).trim()) {
+        throw new Error('A reason is required to void a sale');
+      }
+      // The customer is not charged for a sale that was never booked. Card and wallet
+      // tenders go back through their provider, one at a time so a failed refund can be
+      // retried without repeating the others; cash is handed back from the drawer.
+      entry.transaction.tenders = transactionTenders(entry.transaction);
+      for (const tender of entry.transaction.tenders.filter(t => t.method !== 'cash' && !t.releasedAt)) {
+        await releaseTender(tender, `VOID-${entry.localNumber}`);
+        tender.releasedAt = new Date().toISOString();
+      }
+      entry.status = OUTBOX_STATUS.VOIDED;
+      entry.voidReason = reason.trim();
+      entry.voidedAt = new Date().toISOString();
+    } else {
+      throw new Error('Unknown resolution');
+    }
+
+    this.notify();
+    return copyEntry(entry);
+  }
+}
+
+export const posSyncService = new PosSyncService();
+export default posSyncService;
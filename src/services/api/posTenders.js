@@ -0,0 +1,96 @@
+import { paymentService } from "@/services/api/paymentService";
+
+// Ways a POS customer can pay; a sale can combine several of them
+export const TENDER_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Credit/Debit Card' },
+  { value: 'jazzcash', label: 'JazzCash' },
+  { value: 'easypaisa', label: 'EasyPaisa' },
+  { value: 'sadapay', label: 'SadaPay' },
+  { value: 'wallet', label: 'Store Wallet' },
+  { value: 'bank', label: 'Bank Transfer' }
+];
+
+export const SPLIT_PAYMENT = 'split';
+
+const DIGITAL_WALLETS = ['jazzcash', 'easypaisa', 'sadapay'];
+
+export const tenderLabel = (method) =>
+  TENDER_METHODS.find(tender => tender.value === method)?.label || method;
+
+const toRupees = (amount) => Math.round(amount * 100) / 100;
+
+// Tenders of a transaction; single-tender sales from before split tender carry only paymentType
+export const transactionTenders = (transaction) => transaction.tenders?.length
+  ? transaction.tenders
+  : [{ method: transaction.paymentType, amount: transaction.total }];
+
+// What the tenders so far cover. Change only ever comes out of the cash tenders.
+export const summarizeTenders = (tenders, total) => {
+  const paid = toRupees(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+  return {
+    paid,
+    remaining: Math.max(0, toRupees(total - paid)),
+    tendered: toRupees(tenders.reduce((sum, tender) => sum + (tender.tendered ?? tender.amount), 0)),
+    change: toRupees(tenders.reduce((sum, tender) => sum + (tender.change || 0), 0))
+  };
+};
+
+// Single method when there is only one, otherwise "split"
+export const paymentTypeFor = (tenders) => {
+  const methods = [...new Set(tenders.map(tender => tender.method))];
+  return methods.length === 1 ? methods[0] : SPLIT_PAYMENT;
+};
+
+// Cash can be handed over in excess of what is due; the rest goes back as change
+export const cashTender = (tendered, remaining) => {
+  const amount = toRupees(Math.min(tendered, remaining));
+  return { method: 'cash', amount, tendered: toRupees(tendered), change: toRupees(tendered - amount), result: null };
+};
+
+// Runs one non-cash tender through its provider. Each call is a separate charge, so a
+// declined card leaves the tenders already captured untouched.
+export const captureTender = async (method, amount, reference) => {
+  let result;
+  if (method === 'card') {
+    // For POS, we'll simulate card payment without form
+    const mockCardData = {
+      cardNumber: '4*** **** **** ****',
+      expiryDate: '12/25',
+      cvv: '***',
+      cardholderName: 'Customer'
+    };
+    result = await paymentService.processCardPayment(mockCardData, amount, reference);
+  } else if (DIGITAL_WALLETS.includes(method)) {
+    result = await paymentService.processDigitalWalletPayment(method, amount, reference, '03001234567');
+  } else if (method === 'wallet') {
+    result = await paymentService.processWalletPayment(amount, reference);
+  } else if (method === 'bank') {
+    result = await paymentService.processBankTransfer(amount, reference, {});
+  } else {
+    throw new Error(`${tenderLabel(method)} cannot be charged at the till`);
+  }
+  return { method, amount: toRupees(amount), tendered: toRupees(amount), change: 0, result };
+};
+
+// Pays money back to a tender: cards and mobile wallets through their provider, the
+// store wallet as a deposit. Cash is handed over from the drawer, so there is nothing to call.
+export const refundTender = async (method, amount, reference, { reason, originalTransactionId = null } = {}) => {
+  if (method === 'cash') {
+    return null;
+  }
+  if (method === 'wallet') {
+    return paymentService.depositToWallet(toRupees(amount), { description: `${reason} (${reference})` });
+  }
+  return paymentService.refundToOriginalMethod(reference, toRupees(amount), {
+    paymentMethod: method,
+    reason,
+    originalTransactionId
+  });
+};
+
+// Gives back a captured tender when the cashier removes it before the sale completes
+export const releaseTender = (tender, reference) => refundTender(tender.method, tender.amount, reference, {
+  reason: tender.method === 'wallet' ? 'Refund of removed tender' : 'Tender removed before the sale completed',
+  originalTransactionId: tender.result?.transactionId || null
+});
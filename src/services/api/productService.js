@@ -1,10 +1,45 @@
 import productsData from "@/services/mockData/products.json";
+import { persistentStore } from "@/services/storage/persistentStore";
+import { apiTransport, crudRoutes } from "@/services/transport/apiTransport";
+import { authService, hasPermission, PERMISSIONS } from "@/services/api/authService";
+import { applyScaleLabel, parseScaleBarcode } from "@/services/api/measureUnits";
 
 // ProductService class definition
 class ProductService {
   constructor() {
     this.products = [...productsData];
     this.nextId = Math.max(...this.products.map(p => p.id || 0)) + 1;
+    persistentStore.register(this, 'products', { fields: ['products', 'nextId'] });
+    apiTransport.register(this, {
+      ...crudRoutes('/products'),
+      getAll: (userRole = authService.getCurrentRole()) => ({
+        url: '/products',
+        transform: (products) => this.canSeeHiddenProducts(userRole)
+          ? products
+          : products.filter(product => product.isVisible !== false)
+      }),
+      delete: (id) => ({
+        method: 'delete',
+        url: `/products/${id}`,
+        transform: () => ({ success: true, message: 'Product deleted successfully' })
+      }),
+      getByBarcode: (barcode) => {
+        const label = parseScaleBarcode(barcode);
+        return label ? {
+          url: `/products/${label.itemCode}`,
+          transform: (product) => applyScaleLabel(product, label)
+        } : {
+          url: '/products',
+          params: { barcode },
+          transform: (products) => {
+            if (!products.length) {
+              throw new Error('Product not found');
+            }
+            return products[0];
+          }
+        };
+      }
+    });
   }
 
   // Utility method for delays (simulating API calls)
@@ -28,12 +63,17 @@ class ProductService {
     return this.roundToDecimals(((basePrice - costPrice) / costPrice) * 100);
   }
 
-  // Get all products with role-based filtering
-  async getAll(userRole = "customer") {
+  // Hidden products are only listed for roles that manage the catalog
+  canSeeHiddenProducts(userRole) {
+    return hasPermission(userRole, PERMISSIONS.PRODUCTS_MANAGE);
+  }
+
+  // Get all products with role-based filtering (defaults to the signed-in user's role)
+  async getAll(userRole = authService.getCurrentRole()) {
     await this.delay();
     
     try {
-      if (userRole === "customer") {
+      if (!this.canSeeHiddenProducts(userRole)) {
         return this.products.filter(product => product.isVisible !== false);
       }
       return [...this.products];
@@ -44,7 +84,7 @@ class ProductService {
   }
 
   // Get product by ID
-  async getById(id, userRole = "customer") {
+  async getById(id, userRole = authService.getCurrentRole()) {
     await this.delay();
     
     try {
@@ -53,7 +93,7 @@ class ProductService {
         throw new Error('Product not found');
       }
       
-      if (userRole === "customer" && product.isVisible === false) {
+      if (!this.canSeeHiddenProducts(userRole) && product.isVisible === false) {
         throw new Error('Product not available');
       }
       
@@ -153,17 +193,23 @@ class ProductService {
     }
   }
 
-  // Get product by barcode
+  // Get product by barcode. Price-embedded scale labels resolve to the product with
+  // the weighed quantity attached as scaleLabel.
   async getByBarcode(barcode) {
     await this.delay();
     
     try {
       const product = this.products.find(p => p.barcode === barcode);
-      if (!product) {
+      if (product) {
+        return { ...product };
+      }
+
+      const label = parseScaleBarcode(barcode);
+      const labelled = label && this.products.find(p => p.id === label.itemCode);
+      if (!labelled) {
         throw new Error('Product not found');
       }
-      
-      return { ...product };
+      return applyScaleLabel({ ...labelled }, label);
     } catch (error) {
       console.error('Error getting product by barcode:', error);
       throw error;
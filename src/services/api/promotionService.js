@@ -0,0 +1,678 @@
+import productsData from "@/services/mockData/products.json";
+import { orderService } from "@/services/api/orderService";
+import { authService, customerIdFor, PERMISSIONS } from "@/services/api/authService";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+export const PROMOTION_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  TIERED: 'tiered',
+  BUY_X_PAY_Y: 'buy_x_pay_y',
+  BUNDLE: 'bundle',
+  FREE_DELIVERY: 'free_delivery'
+};
+
+export const PROMOTION_TYPE_LABELS = {
+  [PROMOTION_TYPES.PERCENTAGE]: 'Percentage off',
+  [PROMOTION_TYPES.FIXED]: 'Fixed amount off',
+  [PROMOTION_TYPES.TIERED]: 'Quantity breaks',
+  [PROMOTION_TYPES.BUY_X_PAY_Y]: 'Buy X, pay for Y',
+  [PROMOTION_TYPES.BUNDLE]: 'Mixed-category bundle',
+  [PROMOTION_TYPES.FREE_DELIVERY]: 'Free delivery'
+};
+
+export const CUSTOMER_SEGMENTS = {
+  NEW: 'new',
+  RETURNING: 'returning',
+  VIP: 'vip'
+};
+
+export const SEGMENT_LABELS = {
+  [CUSTOMER_SEGMENTS.NEW]: 'New customers',
+  [CUSTOMER_SEGMENTS.RETURNING]: 'Returning customers',
+  [CUSTOMER_SEGMENTS.VIP]: 'VIP customers'
+};
+
+export const CHANNELS = {
+  ONLINE: 'online',
+  POS: 'pos'
+};
+
+export const DEFAULT_DELIVERY_CHARGE = 150;
+
+// Lifetime spend that puts a customer in the VIP segment
+export const VIP_SPEND_THRESHOLD = 20000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const today = (now = new Date()) => now.toISOString().split('T')[0];
+
+export const segmentsFor = ({ orderCount = 0, totalSpent = 0 } = {}) => {
+  const segments = [orderCount > 0 ? CUSTOMER_SEGMENTS.RETURNING : CUSTOMER_SEGMENTS.NEW];
+  if (totalSpent >= VIP_SPEND_THRESHOLD) {
+    segments.push(CUSTOMER_SEGMENTS.VIP);
+  }
+  return segments;
+};
+
+// Percentage/fixed promotions scoped to products or categories discount lines; unscoped ones the basket
+const isLineLevel = (promotion) => {
+  if ([PROMOTION_TYPES.TIERED, PROMOTION_TYPES.BUY_X_PAY_Y].includes(promotion.type)) return true;
+  if ([PROMOTION_TYPES.PERCENTAGE, PROMOTION_TYPES.FIXED].includes(promotion.type)) {
+    return Boolean(promotion.productIds?.length || promotion.categories?.length);
+  }
+  return false;
+};
+
+const matchesScope = (promotion, line) =>
+  (!promotion.productIds?.length && !promotion.categories?.length) ||
+  (promotion.productIds || []).includes(line.productId) ||
+  (promotion.categories || []).includes(line.category);
+
+export const describePromotion = (promotion) => {
+  const rs = (value) => `Rs. ${Number(value).toLocaleString()}`;
+  let text;
+  switch (promotion.type) {
+    case PROMOTION_TYPES.PERCENTAGE:
+      text = `${promotion.value}% off`;
+      break;
+    case PROMOTION_TYPES.FIXED:
+      text = isLineLevel(promotion) ? `${rs(promotion.value)} off each` : `${rs(promotion.value)} off your order`;
+      break;
+    case PROMOTION_TYPES.TIERED:
+      text = [...(promotion.tiers || [])]
+        .sort((a, b) => a.minQuantity - b.minQuantity)
+        .map(tier => `${tier.percent}% off ${tier.minQuantity}+`)
+        .join(', ');
+      break;
+    case PROMOTION_TYPES.BUY_X_PAY_Y:
+      text = `Buy ${promotion.buyQuantity}, pay for ${promotion.payQuantity}`;
+      break;
+    case PROMOTION_TYPES.BUNDLE:
+      text = `${promotion.value}% off ${(promotion.bundleItems || []).map(item => `${item.quantity} ${item.category}`).join(' + ')}`;
+      break;
+    case PROMOTION_TYPES.FREE_DELIVERY:
+      text = 'Free delivery';
+      break;
+    default:
+      text = promotion.name;
+  }
+  return promotion.minBasketValue ? `${text} on orders over ${rs(promotion.minBasketValue)}` : text;
+};
+
+// Whether a promotion may apply in this context, and why not if it can't
+export const checkEligibility = (promotion, context = {}) => {
+  const {
+    channel = CHANNELS.ONLINE,
+    segments = [],
+    couponCode = '',
+    customerUsage = {},
+    subtotal = null,
+    now = new Date()
+  } = context;
+
+  if (!promotion.isActive) {
+    return { eligible: false, reason: 'This promotion is no longer active' };
+  }
+  if (promotion.channels?.length && !promotion.channels.includes(channel)) {
+    return { eligible: false, reason: `Not valid for ${channel === CHANNELS.POS ? 'in-store' : 'online'} purchases` };
+  }
+  if (promotion.startDate && today(now) < promotion.startDate) {
+    return { eligible: false, reason: `Starts on ${promotion.startDate}` };
+  }
+  if (promotion.endDate && today(now) > promotion.endDate) {
+    return { eligible: false, reason: 'This promotion has expired' };
+  }
+  if (promotion.usageLimit && (promotion.usageCount || 0) >= promotion.usageLimit) {
+    return { eligible: false, reason: 'This promotion has been fully redeemed' };
+  }
+  if (promotion.perCustomerLimit && (customerUsage[promotion.Id] || 0) >= promotion.perCustomerLimit) {
+    return { eligible: false, reason: 'You have already used this promotion' };
+  }
+  if (promotion.segments?.length && !promotion.segments.some(segment => segments.includes(segment))) {
+    return {
+      eligible: false,
+      reason: `Only for ${promotion.segments.map(segment => SEGMENT_LABELS[segment]?.toLowerCase() || segment).join(' or ')}`
+    };
+  }
+  if (promotion.couponCode && normalizeCode(promotion.couponCode) !== normalizeCode(couponCode)) {
+    return { eligible: false, reason: 'Requires a coupon code' };
+  }
+  if (subtotal !== null && promotion.minBasketValue && subtotal < promotion.minBasketValue) {
+    return {
+      eligible: false,
+      reason: `Add Rs. ${round(promotion.minBasketValue - subtotal).toLocaleString()} more to qualify`
+    };
+  }
+  return { eligible: true, reason: null };
+};
+
+const lineSavings = (promotion, line) => {
+  const amount = line.price * line.quantity;
+  switch (promotion.type) {
+    case PROMOTION_TYPES.PERCENTAGE:
+      return amount * promotion.value / 100;
+    case PROMOTION_TYPES.FIXED:
+      return Math.min(promotion.value * line.quantity, amount);
+    case PROMOTION_TYPES.TIERED: {
+      const tier = [...(promotion.tiers || [])]
+        .sort((a, b) => b.minQuantity - a.minQuantity)
+        .find(t => line.quantity >= t.minQuantity);
+      return tier ? amount * tier.percent / 100 : 0;
+    }
+    case PROMOTION_TYPES.BUY_X_PAY_Y: {
+      if (!promotion.buyQuantity || line.quantity < promotion.buyQuantity) return 0;
+      const sets = Math.floor(line.quantity / promotion.buyQuantity);
+      return sets * (promotion.buyQuantity - promotion.payQuantity) * line.price;
+    }
+    default:
+      return 0;
+  }
+};
+
+// Complete bundle sets from the cheapest qualifying units; the discount applies to the units used
+const bundleSavings = (promotion, lines) => {
+  const requirements = promotion.bundleItems || [];
+  if (requirements.length === 0) return { savings: 0, sets: 0 };
+
+  const pools = requirements.map(requirement => lines
+    .filter(line => line.category === requirement.category)
+    .flatMap(line => Array(Math.floor(line.quantity)).fill(line.price))
+    .sort((a, b) => a - b));
+  const sets = Math.min(...requirements.map((requirement, index) =>
+    Math.floor(pools[index].length / requirement.quantity)));
+  if (!sets) return { savings: 0, sets: 0 };
+
+  const bundledValue = requirements.reduce((sum, requirement, index) =>
+    sum + pools[index].slice(0, sets * requirement.quantity).reduce((a, b) => a + b, 0), 0);
+  return { savings: bundledValue * promotion.value / 100, sets };
+};
+
+const appliedEntry = (promotion, fields) => ({
+  id: `${promotion.Id}-${fields.productId ?? 'basket'}`,
+  promotionId: promotion.Id,
+  name: promotion.name,
+  type: promotion.type,
+  description: describePromotion(promotion),
+  couponCode: promotion.couponCode || null,
+  ...fields
+});
+
+// Price a basket against a set of promotions. Every line gets at most its single best line-level
+// promotion; bundles use lines without one; basket-level discounts then apply to what remains.
+// Shared by the cart, checkout and POS so all three show the same result.
+export const evaluatePromotions = (items, promotions = [], context = {}) => {
+  const { couponCode = '', deliveryCharge = 0 } = context;
+  const lines = (items || []).map(item => ({
+    productId: parseInt(item.productId ?? item.id),
+    name: item.name,
+    category: item.category,
+    price: Number(item.price) || 0,
+    quantity: Number(item.quantity) || 0
+  }));
+  const subtotal = round(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const eligible = promotions.filter(promotion => checkEligibility(promotion, { ...context, subtotal }).eligible);
+  const applied = [];
+
+  const promotedLines = new Set();
+  lines.forEach(line => {
+    let best = null;
+    eligible
+      .filter(promotion => isLineLevel(promotion) && matchesScope(promotion, line))
+      .forEach(promotion => {
+        const savings = round(lineSavings(promotion, line));
+        if (savings > 0 && (!best || savings > best.savings)) {
+          best = { promotion, savings };
+        }
+      });
+    if (best) {
+      promotedLines.add(line.productId);
+      applied.push(appliedEntry(best.promotion, {
+        productId: line.productId,
+        productName: line.name,
+        savings: best.savings
+      }));
+    }
+  });
+
+  const bundleLines = lines.filter(line => !promotedLines.has(line.productId));
+  const bestBundle = eligible
+    .filter(promotion => promotion.type === PROMOTION_TYPES.BUNDLE)
+    .map(promotion => ({ promotion, ...bundleSavings(promotion, bundleLines) }))
+    .filter(result => result.savings > 0)
+    .sort((a, b) => b.savings - a.savings)[0];
+  if (bestBundle) {
+    applied.push(appliedEntry(bestBundle.promotion, { savings: round(bestBundle.savings), bundleSets: bestBundle.sets }));
+  }
+
+  let remaining = subtotal - applied.reduce((sum, entry) => sum + entry.savings, 0);
+  eligible
+    .filter(promotion => [PROMOTION_TYPES.PERCENTAGE, PROMOTION_TYPES.FIXED].includes(promotion.type) && !isLineLevel(promotion))
+    .forEach(promotion => {
+      const savings = round(promotion.type === PROMOTION_TYPES.PERCENTAGE
+        ? remaining * promotion.value / 100
+        : Math.min(promotion.value, remaining));
+      if (savings > 0) {
+        remaining -= savings;
+        applied.push(appliedEntry(promotion, { savings }));
+      }
+    });
+
+  const freeDeliveryPromotion = eligible.find(promotion => promotion.type === PROMOTION_TYPES.FREE_DELIVERY);
+  const freeDelivery = Boolean(freeDeliveryPromotion && deliveryCharge > 0);
+  if (freeDelivery) {
+    applied.push(appliedEntry(freeDeliveryPromotion, { savings: 0, deliverySavings: deliveryCharge }));
+  }
+
+  let coupon = null;
+  if (normalizeCode(couponCode)) {
+    const couponPromotion = promotions.find(promotion =>
+      promotion.couponCode && normalizeCode(promotion.couponCode) === normalizeCode(couponCode));
+    if (!couponPromotion) {
+      coupon = { code: normalizeCode(couponCode), valid: false, message: 'Coupon code not recognised' };
+    } else if (applied.some(entry => entry.promotionId === couponPromotion.Id)) {
+      coupon = { code: couponPromotion.couponCode, valid: true, message: couponPromotion.name };
+    } else {
+      const { reason } = checkEligibility(couponPromotion, { ...context, subtotal });
+      coupon = {
+        code: couponPromotion.couponCode,
+        valid: false,
+        message: reason || 'Nothing in your cart qualifies for this coupon'
+      };
+    }
+  }
+
+  const discountTotal = round(applied.reduce((sum, entry) => sum + entry.savings, 0));
+  const delivery = freeDelivery ? 0 : deliveryCharge;
+  return {
+    subtotal,
+    applied,
+    discountTotal,
+    deliveryCharge: delivery,
+    freeDelivery,
+    total: round(subtotal - discountTotal + delivery),
+    coupon
+  };
+};
+
+// Seed promotions carry over the per-product BOGO and "3 for 2" deals from the catalogue
+const buildSeedPromotions = () => {
+  const productIdsWithDeal = (dealType) => productsData
+    .filter(product => product.dealType === dealType)
+    .map(product => product.id);
+  const base = {
+    description: '',
+    productIds: [],
+    categories: [],
+    segments: [],
+    channels: [CHANNELS.ONLINE, CHANNELS.POS],
+    minBasketValue: 0,
+    startDate: null,
+    endDate: null,
+    usageLimit: null,
+    perCustomerLimit: null,
+    usageCount: 0,
+    couponCode: null,
+    isActive: true,
+    createdAt: '2024-01-01T00:00:00Z'
+  };
+
+  return [
+    {
+      ...base,
+      Id: 1,
+      name: 'Buy 1 Get 1 Free',
+      type: PROMOTION_TYPES.BUY_X_PAY_Y,
+      buyQuantity: 2,
+      payQuantity: 1,
+      productIds: productIdsWithDeal('BOGO')
+    },
+    {
+      ...base,
+      Id: 2,
+      name: '3 for 2',
+      type: PROMOTION_TYPES.BUY_X_PAY_Y,
+      buyQuantity: 3,
+      payQuantity: 2,
+      productIds: productIdsWithDeal('Bundle')
+    },
+    {
+      ...base,
+      Id: 3,
+      name: 'Free delivery over Rs. 2,000',
+      type: PROMOTION_TYPES.FREE_DELIVERY,
+      channels: [CHANNELS.ONLINE],
+      minBasketValue: 2000
+    },
+    {
+      ...base,
+      Id: 4,
+      name: 'Grocery stock-up',
+      type: PROMOTION_TYPES.TIERED,
+      categories: ['Groceries'],
+      tiers: [{ minQuantity: 5, percent: 5 }, { minQuantity: 10, percent: 10 }]
+    },
+    {
+      ...base,
+      Id: 5,
+      name: 'Curry night bundle',
+      type: PROMOTION_TYPES.BUNDLE,
+      value: 10,
+      bundleItems: [{ category: 'Meat', quantity: 1 }, { category: 'Vegetables', quantity: 2 }]
+    },
+    {
+      ...base,
+      Id: 6,
+      name: 'Welcome 10% off',
+      type: PROMOTION_TYPES.PERCENTAGE,
+      value: 10,
+      couponCode: 'WELCOME10',
+      channels: [CHANNELS.ONLINE],
+      segments: [CUSTOMER_SEGMENTS.NEW],
+      minBasketValue: 1000,
+      perCustomerLimit: 1
+    },
+    {
+      ...base,
+      Id: 7,
+      name: 'VIP Rs. 500 off',
+      type: PROMOTION_TYPES.FIXED,
+      value: 500,
+      couponCode: 'VIP500',
+      segments: [CUSTOMER_SEGMENTS.VIP],
+      minBasketValue: 5000,
+      usageLimit: 100
+    }
+  ];
+};
+
+// Rule-based promotions and coupon codes. Evaluation itself is the pure evaluatePromotions above;
+// the service owns the rules, customer segments and redemption counts.
+class PromotionService {
+  constructor() {
+    this.promotions = buildSeedPromotions();
+    this.redemptions = [];
+    this.nextPromotionId = this.promotions.length + 1;
+    this.nextRedemptionId = 1;
+    persistentStore.register(this, 'promotions', {
+      fields: ['promotions', 'redemptions', 'nextPromotionId', 'nextRedemptionId']
+    });
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  clonePromotion(promotion) {
+    return {
+      ...promotion,
+      productIds: [...(promotion.productIds || [])],
+      categories: [...(promotion.categories || [])],
+      segments: [...(promotion.segments || [])],
+      channels: [...(promotion.channels || [])],
+      tiers: promotion.tiers?.map(tier => ({ ...tier })),
+      bundleItems: promotion.bundleItems?.map(item => ({ ...item }))
+    };
+  }
+
+  findPromotion(id) {
+    const promotion = this.promotions.find(p => p.Id === parseInt(id));
+    if (!promotion) {
+      throw new Error('Promotion not found');
+    }
+    return promotion;
+  }
+
+  async getAll() {
+    await this.delay();
+    return this.promotions.map(promotion => this.clonePromotion(promotion));
+  }
+
+  async getById(id) {
+    await this.delay(100);
+    return this.clonePromotion(this.findPromotion(id));
+  }
+
+  // Promotions that could apply right now on a channel; coupon-only ones are included so a
+  // code entered later can be evaluated without another round trip
+  async getActivePromotions(channel = CHANNELS.ONLINE) {
+    await this.delay(100);
+    const now = today();
+    return this.promotions
+      .filter(promotion => promotion.isActive)
+      .filter(promotion => !promotion.channels?.length || promotion.channels.includes(channel))
+      .filter(promotion => (!promotion.startDate || promotion.startDate <= now) && (!promotion.endDate || promotion.endDate >= now))
+      .map(promotion => this.clonePromotion(promotion));
+  }
+
+  // Automatic promotions a shopper can see on a product page
+  async getProductPromotions(product, channel = CHANNELS.ONLINE) {
+    const active = await this.getActivePromotions(channel);
+    return active.filter(promotion =>
+      !promotion.couponCode &&
+      !promotion.segments?.length &&
+      (isLineLevel(promotion)
+        ? matchesScope(promotion, { productId: product.id, category: product.category })
+        : promotion.type === PROMOTION_TYPES.BUNDLE &&
+          (promotion.bundleItems || []).some(item => item.category === product.category)));
+  }
+
+  validatePromotion(data) {
+    const promotion = {
+      name: String(data.name || '').trim(),
+      description: String(data.description || '').trim(),
+      type: data.type,
+      value: data.value === undefined || data.value === '' ? null : parseFloat(data.value),
+      productIds: (data.productIds || []).map(id => parseInt(id)).filter(Boolean),
+      categories: data.categories || [],
+      segments: (data.segments || []).filter(segment => Object.values(CUSTOMER_SEGMENTS).includes(segment)),
+      channels: (data.channels || []).filter(channel => Object.values(CHANNELS).includes(channel)),
+      minBasketValue: parseFloat(data.minBasketValue) || 0,
+      startDate: data.startDate || null,
+      endDate: data.endDate || null,
+      usageLimit: parseInt(data.usageLimit) || null,
+      perCustomerLimit: parseInt(data.perCustomerLimit) || null,
+      couponCode: normalizeCode(data.couponCode) || null,
+      isActive: data.isActive !== false
+    };
+
+    if (!promotion.name) {
+      throw new Error('Promotion name is required');
+    }
+    if (!Object.values(PROMOTION_TYPES).includes(promotion.type)) {
+      throw new Error('Choose a promotion type');
+    }
+    if (promotion.channels.length === 0) {
+      throw new Error('Select at least one channel');
+    }
+    if (promotion.startDate && promotion.endDate && promotion.endDate < promotion.startDate) {
+      throw new Error('End date must be after the start date');
+    }
+
+    switch (promotion.type) {
+      case PROMOTION_TYPES.PERCENTAGE:
+        if (!(promotion.value > 0 && promotion.value <= 100)) {
+          throw new Error('Percentage must be between 1 and 100');
+        }
+        break;
+      case PROMOTION_TYPES.FIXED:
+        if (!(promotion.value > 0)) {
+          throw new Error('Discount amount must be greater than zero');
+        }
+        break;
+      case PROMOTION_TYPES.TIERED:
+        promotion.tiers = (data.tiers || [])
+          .map(tier => ({ minQuantity: parseInt(tier.minQuantity), percent: parseFloat(tier.percent) }))
+          .filter(tier => tier.minQuantity > 0 && tier.percent > 0 && tier.percent <= 100);
+        if (promotion.tiers.length === 0) {
+          throw new Error('Add at least one quantity break');
+        }
+        break;
+      case PROMOTION_TYPES.BUY_X_PAY_Y:
+        promotion.buyQuantity = parseInt(data.buyQuantity);
+        promotion.payQuantity = parseInt(data.payQuantity);
+        if (!(promotion.buyQuantity > 1) || !(promotion.payQuantity >= 0) || promotion.payQuantity >= promotion.buyQuantity) {
+          throw new Error('Customers must buy more items than they pay for');
+        }
+        break;
+      case PROMOTION_TYPES.BUNDLE:
+        promotion.bundleItems = (data.bundleItems || [])
+          .map(item => ({ category: item.category, quantity: parseInt(item.quantity) }))
+          .filter(item => item.category && item.quantity > 0);
+        if (promotion.bundleItems.length < 2) {
+          throw new Error('A bundle needs at least two categories');
+        }
+        if (!(promotion.value > 0 && promotion.value <= 100)) {
+          throw new Error('Bundle discount must be between 1% and 100%');
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (promotion.couponCode && this.promotions.some(p =>
+      p.couponCode === promotion.couponCode && p.Id !== parseInt(data.Id))) {
+      throw new Error(`Coupon code ${promotion.couponCode} is already in use`);
+    }
+    return promotion;
+  }
+
+  async create(data) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PRODUCTS_MANAGE);
+    const promotion = {
+      ...this.validatePromotion(data),
+      Id: this.nextPromotionId++,
+      usageCount: 0,
+      createdBy: authService.getCurrentUser()?.name || 'system',
+      createdAt: new Date().toISOString()
+    };
+    this.promotions.push(promotion);
+    return this.clonePromotion(promotion);
+  }
+
+  async update(id, data) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PRODUCTS_MANAGE);
+    const promotion = this.findPromotion(id);
+    Object.assign(promotion, this.validatePromotion({ ...promotion, ...data, Id: promotion.Id }), {
+      updatedAt: new Date().toISOString()
+    });
+    return this.clonePromotion(promotion);
+  }
+
+  async setActive(id, isActive) {
+    await this.delay(100);
+    authService.assertPermission(PERMISSIONS.PRODUCTS_MANAGE);
+    const promotion = this.findPromotion(id);
+    promotion.isActive = Boolean(isActive);
+    return this.clonePromotion(promotion);
+  }
+
+  // Promotions that were redeemed are deactivated instead so order history still resolves
+  async delete(id) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PRODUCTS_MANAGE);
+    const promotion = this.findPromotion(id);
+    if (this.redemptions.some(r => r.promotionId === promotion.Id)) {
+      throw new Error('This promotion has been redeemed, deactivate it instead');
+    }
+    this.promotions = this.promotions.filter(p => p.Id !== promotion.Id);
+    return true;
+  }
+
+  getCurrentCustomerId() {
+    return customerIdFor(authService.getCurrentUser());
+  }
+
+  async getCustomerSegments(customerId = this.getCurrentCustomerId()) {
+    if (!customerId) return [];
+    const orders = (await orderService.getAll())
+      .filter(order => order.customerId === customerId && order.status !== 'cancelled');
+    return segmentsFor({
+      orderCount: orders.length,
+      totalSpent: orders.reduce((sum, order) => sum + (order.total || 0), 0)
+    });
+  }
+
+  // Redemption counts per promotion for one customer, for per-customer limits
+  async getCustomerUsage(customerId = this.getCurrentCustomerId()) {
+    await this.delay(50);
+    if (!customerId) return {};
+    return this.redemptions
+      .filter(redemption => redemption.customerId === customerId)
+      .reduce((usage, redemption) => ({
+        ...usage,
+        [redemption.promotionId]: (usage[redemption.promotionId] || 0) + 1
+      }), {});
+  }
+
+  // Authoritative evaluation against the current rules, used when the sale is finalised
+  async evaluate(items, { channel = CHANNELS.ONLINE, couponCode = '', customerId = null, segments = null, deliveryCharge = 0 } = {}) {
+    const [promotions, customerSegments, customerUsage] = await Promise.all([
+      this.getActivePromotions(channel),
+      segments ? Promise.resolve(segments) : this.getCustomerSegments(customerId),
+      this.getCustomerUsage(customerId)
+    ]);
+    return evaluatePromotions(items, promotions, {
+      channel,
+      couponCode,
+      segments: customerSegments,
+      customerUsage,
+      deliveryCharge
+    });
+  }
+
+  // Check a code against the basket; resolves to the canonical code or throws with the reason
+  async validateCoupon(code, items, context = {}) {
+    if (!normalizeCode(code)) {
+      throw new Error('Enter a coupon code');
+    }
+    const evaluation = await this.evaluate(items, { ...context, couponCode: code });
+    if (!evaluation.coupon?.valid) {
+      throw new Error(evaluation.coupon?.message || 'Coupon code not recognised');
+    }
+    return evaluation.coupon.code;
+  }
+
+  async recordRedemptions(evaluation, { reference, customerId = null, channel = CHANNELS.ONLINE } = {}) {
+    await this.delay(50);
+    const byPromotion = new Map();
+    (evaluation?.applied || []).forEach(entry => {
+      byPromotion.set(entry.promotionId, (byPromotion.get(entry.promotionId) || 0) + entry.savings + (entry.deliverySavings || 0));
+    });
+
+    const recorded = [];
+    byPromotion.forEach((savings, promotionId) => {
+      const promotion = this.promotions.find(p => p.Id === promotionId);
+      if (promotion) {
+        promotion.usageCount = (promotion.usageCount || 0) + 1;
+      }
+      const redemption = {
+        Id: this.nextRedemptionId++,
+        promotionId,
+        customerId,
+        channel,
+        reference,
+        savings: round(savings),
+        redeemedAt: new Date().toISOString()
+      };
+      this.redemptions.push(redemption);
+      recorded.push({ ...redemption });
+    });
+    return recorded;
+  }
+
+  async getRedemptions(promotionId = null) {
+    await this.delay(100);
+    return this.redemptions
+      .filter(redemption => promotionId === null || redemption.promotionId === parseInt(promotionId))
+      .map(redemption => ({ ...redemption }))
+      .reverse();
+  }
+}
+
+export const promotionService = new PromotionService();
+export default promotionService;
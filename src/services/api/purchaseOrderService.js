@@ -0,0 +1,427 @@
+import productService from "@/services/api/productService";
+import { financialService } from "@/services/api/financialService";
+import { paymentService } from "@/services/api/paymentService";
+import { inventoryService, MOVEMENT_TYPES } from "@/services/api/inventoryService";
+import { authService, PERMISSIONS, ROLES } from "@/services/api/authService";
+import { persistentStore } from "@/services/storage/persistentStore";
+import { roundQuantity } from "@/services/api/measureUnits";
+
+export const PO_STATUS = {
+  DRAFT: 'draft',
+  ORDERED: 'ordered',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+// Billed unit prices may drift this far from the PO price before the match fails
+export const PRICE_TOLERANCE_PERCENT = 2;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+class PurchaseOrderService {
+  constructor() {
+    this.purchaseOrders = [];
+    this.receipts = [];
+    this.nextPurchaseOrderId = 1;
+    this.nextReceiptId = 1;
+    persistentStore.register(this, 'purchaseOrders', {
+      fields: ['purchaseOrders', 'receipts', 'nextPurchaseOrderId', 'nextReceiptId']
+    });
+  }
+
+  delay(ms = 300) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getActor() {
+    return authService.getCurrentUser()?.name || authService.getCurrentRole();
+  }
+
+  findPurchaseOrder(id) {
+    const purchaseOrder = this.purchaseOrders.find(po => po.Id === parseInt(id));
+    if (!purchaseOrder) {
+      throw new Error('Purchase order not found');
+    }
+    return purchaseOrder;
+  }
+
+  clonePurchaseOrder(purchaseOrder) {
+    return { ...purchaseOrder, lines: purchaseOrder.lines.map(line => ({ ...line })) };
+  }
+
+  async buildLines(lines) {
+    if (!lines?.length) {
+      throw new Error('Add at least one product line');
+    }
+
+    const built = [];
+    for (const [index, line] of lines.entries()) {
+      const quantity = parseFloat(line.quantity);
+      const purchasePrice = parseFloat(line.purchasePrice);
+      if (!quantity || quantity <= 0) {
+        throw new Error(`Line ${index + 1}: quantity must be greater than zero`);
+      }
+      if (!purchasePrice || purchasePrice <= 0) {
+        throw new Error(`Line ${index + 1}: purchase price must be greater than zero`);
+      }
+
+      const product = await productService.getById(line.productId, ROLES.ADMIN);
+      // Measured amounts keep their decimals; whole units for counted goods
+      const ordered = roundQuantity(quantity, product.unit);
+      if (ordered <= 0) {
+        throw new Error(`Line ${index + 1}: ${product.name} is ordered in whole ${product.unit || 'units'}`);
+      }
+      built.push({
+        lineId: index + 1,
+        productId: product.id,
+        productName: product.name,
+        category: product.category,
+        unit: product.unit || 'pcs',
+        quantity: ordered,
+        purchasePrice,
+        receivedQuantity: 0,
+        billedQuantity: 0
+      });
+    }
+    return built;
+  }
+
+  totalFor(lines) {
+    return roundCurrency(lines.reduce((sum, line) => sum + line.quantity * line.purchasePrice, 0));
+  }
+
+  async getAll(filters = {}) {
+    await this.delay(200);
+    return this.purchaseOrders
+      .filter(po => !filters.status || po.status === filters.status)
+      .filter(po => !filters.vendorId || po.vendorId === parseInt(filters.vendorId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(po => this.clonePurchaseOrder(po));
+  }
+
+  async getById(id) {
+    await this.delay(200);
+    return this.clonePurchaseOrder(this.findPurchaseOrder(id));
+  }
+
+  async create(poData) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PURCHASING_MANAGE);
+
+    if (!poData.vendorId) {
+      throw new Error('Select a vendor for the purchase order');
+    }
+    const vendor = await financialService.getVendorById(poData.vendorId);
+    const lines = await this.buildLines(poData.lines);
+    const id = this.nextPurchaseOrderId++;
+
+    const purchaseOrder = {
+      Id: id,
+      poNumber: `PO-${String(id).padStart(5, '0')}`,
+      vendorId: vendor.Id,
+      vendorName: vendor.name,
+      status: poData.submit ? PO_STATUS.ORDERED : PO_STATUS.DRAFT,
+      lines,
+      total: this.totalFor(lines),
+      expectedDate: poData.expectedDate || null,
+      notes: poData.notes || '',
+      createdBy: this.getActor(),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      orderedAt: poData.submit ? new Date().toISOString() : null,
+      receiptIds: [],
+      billIds: []
+    };
+
+    this.purchaseOrders.push(purchaseOrder);
+    return this.clonePurchaseOrder(purchaseOrder);
+  }
+
+  async update(id, poData) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PURCHASING_MANAGE);
+
+    const purchaseOrder = this.findPurchaseOrder(id);
+    if (purchaseOrder.status !== PO_STATUS.DRAFT) {
+      throw new Error('Only draft purchase orders can be edited');
+    }
+
+    if (poData.lines) {
+      purchaseOrder.lines = await this.buildLines(poData.lines);
+      purchaseOrder.total = this.totalFor(purchaseOrder.lines);
+    }
+    if (poData.expectedDate !== undefined) purchaseOrder.expectedDate = poData.expectedDate;
+    if (poData.notes !== undefined) purchaseOrder.notes = poData.notes;
+    purchaseOrder.updatedAt = new Date().toISOString();
+
+    return this.clonePurchaseOrder(purchaseOrder);
+  }
+
+  async submit(id) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PURCHASING_MANAGE);
+
+    const purchaseOrder = this.findPurchaseOrder(id);
+    if (purchaseOrder.status !== PO_STATUS.DRAFT) {
+      throw new Error('Only draft purchase orders can be sent to the vendor');
+    }
+    purchaseOrder.status = PO_STATUS.ORDERED;
+    purchaseOrder.orderedAt = new Date().toISOString();
+    purchaseOrder.updatedAt = purchaseOrder.orderedAt;
+    return this.clonePurchaseOrder(purchaseOrder);
+  }
+
+  async cancel(id, reason = '') {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PURCHASING_MANAGE);
+
+    const purchaseOrder = this.findPurchaseOrder(id);
+    if (![PO_STATUS.DRAFT, PO_STATUS.ORDERED].includes(purchaseOrder.status)) {
+      throw new Error('Purchase orders with received goods cannot be cancelled');
+    }
+    purchaseOrder.status = PO_STATUS.CANCELLED;
+    purchaseOrder.cancelReason = reason;
+    purchaseOrder.updatedAt = new Date().toISOString();
+    return this.clonePurchaseOrder(purchaseOrder);
+  }
+
+  async getReceipts(purchaseOrderId) {
+    await this.delay(200);
+    return this.receipts
+      .filter(receipt => receipt.purchaseOrderId === parseInt(purchaseOrderId))
+      .map(receipt => ({ ...receipt, lines: receipt.lines.map(line => ({ ...line })) }));
+  }
+
+  // Goods received note: lines are { lineId, quantity, unitCost? }. Stock is restocked
+  // through the inventory ledger, the product cost price follows the received cost and
+  // a vendor bill is raised for exactly what arrived.
+  async receiveGoods(purchaseOrderId, { lines, notes = '' } = {}) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PURCHASING_MANAGE);
+
+    const purchaseOrder = this.findPurchaseOrder(purchaseOrderId);
+    if (![PO_STATUS.ORDERED, PO_STATUS.PARTIALLY_RECEIVED].includes(purchaseOrder.status)) {
+      throw new Error(`Cannot receive goods against a ${purchaseOrder.status.replace('_', ' ')} purchase order`);
+    }
+
+    const receivedLines = (lines || [])
+      .filter(line => parseFloat(line.quantity) > 0)
+      .map(line => {
+        const poLine = purchaseOrder.lines.find(l => l.lineId === line.lineId);
+        if (!poLine) {
+          throw new Error(`Line ${line.lineId} is not on ${purchaseOrder.poNumber}`);
+        }
+        const quantity = roundQuantity(line.quantity, poLine.unit);
+        return {
+          lineId: poLine.lineId,
+          productId: poLine.productId,
+          productName: poLine.productName,
+          unit: poLine.unit,
+          quantity,
+          unitCost: parseFloat(line.unitCost) || poLine.purchasePrice,
+          expiryDate: line.expiryDate || null,
+          lotNumber: line.lotNumber || null,
+          overReceived: poLine.receivedQuantity + quantity > poLine.quantity
+        };
+      })
+      .filter(line => line.quantity > 0);
+
+    if (receivedLines.length === 0) {
+      throw new Error('Enter the quantity received for at least one line');
+    }
+
+    const receiptId = this.nextReceiptId++;
+    const receipt = {
+      Id: receiptId,
+      receiptNumber: `GRN-${String(receiptId).padStart(5, '0')}`,
+      purchaseOrderId: purchaseOrder.Id,
+      lines: receivedLines,
+      notes,
+      receivedBy: this.getActor(),
+      receivedAt: new Date().toISOString(),
+      billId: null
+    };
+
+    await inventoryService.recordMovements(receivedLines.map(line => ({
+      productId: line.productId,
+      name: line.productName,
+      quantity: line.quantity,
+      type: MOVEMENT_TYPES.RESTOCK,
+      reference: `${receipt.receiptNumber} / ${purchaseOrder.poNumber}`,
+      // Only used for perishable products, which are stocked in dated batches
+      batch: {
+        expiryDate: line.expiryDate,
+        lotNumber: line.lotNumber || `${receipt.receiptNumber}-${line.lineId}`,
+        unitCost: line.unitCost
+      }
+    })));
+
+    for (const line of receivedLines) {
+      try {
+        await productService.update(line.productId, { purchasePrice: line.unitCost });
+      } catch (error) {
+        console.warn(`Failed to update cost price for product ${line.productId}:`, error);
+      }
+      const poLine = purchaseOrder.lines.find(l => l.lineId === line.lineId);
+      poLine.receivedQuantity = roundQuantity(poLine.receivedQuantity + line.quantity, poLine.unit);
+    }
+
+    purchaseOrder.status = purchaseOrder.lines.every(line => line.receivedQuantity >= line.quantity)
+      ? PO_STATUS.RECEIVED
+      : PO_STATUS.PARTIALLY_RECEIVED;
+    purchaseOrder.receiptIds.push(receipt.Id);
+    purchaseOrder.updatedAt = receipt.receivedAt;
+    this.receipts.push(receipt);
+
+    const bill = await this.generateBill(purchaseOrder, receipt);
+    return { purchaseOrder: this.clonePurchaseOrder(purchaseOrder), receipt: { ...receipt }, bill };
+  }
+
+  async generateBill(purchaseOrder, receipt) {
+    const vendor = await financialService.getVendorById(purchaseOrder.vendorId);
+    await paymentService.syncVendor(vendor);
+
+    const lines = receipt.lines.map(line => ({
+      lineId: line.lineId,
+      productId: line.productId,
+      productName: line.productName,
+      unit: line.unit,
+      quantity: line.quantity,
+      unitPrice: line.unitCost
+    }));
+    const amount = roundCurrency(lines.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0));
+
+    const bill = await paymentService.createVendorBill({
+      vendorId: vendor.Id,
+      amount,
+      description: `${purchaseOrder.poNumber} - ${receipt.receiptNumber}`,
+      category: 'inventory',
+      lines,
+      purchaseOrderId: purchaseOrder.Id,
+      receiptId: receipt.Id
+    });
+
+    receipt.billId = bill.Id;
+    purchaseOrder.billIds.push(bill.Id);
+    lines.forEach(line => {
+      const poLine = purchaseOrder.lines.find(l => l.lineId === line.lineId);
+      poLine.billedQuantity = roundQuantity(poLine.billedQuantity + line.quantity, poLine.unit);
+    });
+
+    return this.matchBill(bill.Id);
+  }
+
+  // Enter the figures from the vendor's actual invoice, then re-run the match
+  async recordVendorInvoice(billId, { billNumber, lines, taxAmount }) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PURCHASING_MANAGE);
+
+    const bill = await paymentService.getVendorBillById(billId);
+    const purchaseOrder = bill.purchaseOrderId ? this.findPurchaseOrder(bill.purchaseOrderId) : null;
+    const updatedLines = bill.lines.map(line => {
+      const invoiced = lines?.find(l => l.lineId === line.lineId);
+      // Bills raised before lines carried their unit take it from the PO line
+      const unit = line.unit || purchaseOrder?.lines.find(l => l.lineId === line.lineId)?.unit;
+      return invoiced
+        ? { ...line, quantity: roundQuantity(invoiced.quantity, unit), unitPrice: parseFloat(invoiced.unitPrice) || 0 }
+        : line;
+    });
+    const amount = roundCurrency(updatedLines.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0));
+
+    if (purchaseOrder) {
+      bill.lines.forEach(previous => {
+        const current = updatedLines.find(line => line.lineId === previous.lineId);
+        const poLine = purchaseOrder.lines.find(l => l.lineId === previous.lineId);
+        if (poLine && current) {
+          poLine.billedQuantity = roundQuantity(poLine.billedQuantity + current.quantity - previous.quantity, poLine.unit);
+        }
+      });
+    }
+
+    await paymentService.updateVendorBill(billId, {
+      billNumber: billNumber || bill.billNumber,
+      lines: updatedLines,
+      amount,
+      taxAmount: taxAmount !== undefined ? parseFloat(taxAmount) || 0 : bill.taxAmount
+    });
+    return this.matchBill(billId);
+  }
+
+  // 3-way match: the bill must not charge for more than the receipt delivered, unit
+  // prices must agree with the PO within tolerance, and receipts must stay within the
+  // ordered quantity. The result is stored on the bill and gates vendor payment.
+  async matchBill(billId) {
+    const bill = await paymentService.getVendorBillById(billId);
+    if (!bill.purchaseOrderId) {
+      return bill;
+    }
+
+    const purchaseOrder = this.findPurchaseOrder(bill.purchaseOrderId);
+    const receipt = this.receipts.find(r => r.Id === bill.receiptId);
+    const discrepancies = [];
+
+    if (!receipt) {
+      discrepancies.push({ type: 'missing_receipt', message: 'No goods receipt is linked to this bill' });
+    }
+
+    bill.lines.forEach(line => {
+      const poLine = purchaseOrder.lines.find(l => l.lineId === line.lineId);
+      const receiptLine = receipt?.lines.find(l => l.lineId === line.lineId);
+
+      if (!poLine) {
+        discrepancies.push({
+          type: 'unordered_item',
+          productName: line.productName,
+          message: `${line.productName} was not ordered on ${purchaseOrder.poNumber}`
+        });
+        return;
+      }
+
+      const receivedQuantity = receiptLine?.quantity || 0;
+      if (line.quantity > receivedQuantity) {
+        discrepancies.push({
+          type: 'quantity',
+          productName: line.productName,
+          expected: receivedQuantity,
+          actual: line.quantity,
+          message: `${line.productName}: billed ${line.quantity} but ${receivedQuantity} received`
+        });
+      }
+
+      const priceDifference = Math.abs(line.unitPrice - poLine.purchasePrice) / poLine.purchasePrice * 100;
+      if (priceDifference > PRICE_TOLERANCE_PERCENT) {
+        discrepancies.push({
+          type: 'price',
+          productName: line.productName,
+          expected: poLine.purchasePrice,
+          actual: line.unitPrice,
+          message: `${line.productName}: billed at Rs. ${line.unitPrice} against PO price Rs. ${poLine.purchasePrice}`
+        });
+      }
+
+      if (poLine.receivedQuantity > poLine.quantity) {
+        discrepancies.push({
+          type: 'over_receipt',
+          productName: line.productName,
+          expected: poLine.quantity,
+          actual: poLine.receivedQuantity,
+          message: `${line.productName}: ${poLine.receivedQuantity} received against ${poLine.quantity} ordered`
+        });
+      }
+    });
+
+    return paymentService.updateVendorBill(billId, {
+      matchStatus: discrepancies.length ? 'discrepancy' : 'matched',
+      discrepancies,
+      matchedAt: new Date().toISOString()
+    });
+  }
+
+  async getBills(purchaseOrderId) {
+    return paymentService.getVendorBills({ purchaseOrderId: parseInt(purchaseOrderId) });
+  }
+}
+
+export const purchaseOrderService = new PurchaseOrderService();
+export default purchaseOrderService;
@@ -0,0 +1,53 @@
+// The code printed on a POS receipt, and read back when the customer returns with it.
+// Synced sales are RCP-<transaction id>; a sale still waiting in a till's outbox only
+// has its local number (TILL-XXXX-00001) until it syncs.
+export const receiptCodeFor = (transaction) => {
+  if (transaction?.id) return `RCP-${transaction.id}`;
+  return transaction?.localNumber || null;
+};
+
+// Whatever the scanner or the cashier typed, as { id } or { localNumber }; null when unreadable
+export const parseReceiptCode = (code) => {
+  const value = String(code || '').trim().toUpperCase();
+  const match = value.match(/^(?:RCP-?)?(\d+)$/);
+  if (match) return { id: parseInt(match[1]) };
+  if (/^TILL-[A-Z0-9]+-\d+$/.test(value)) return { localNumber: value };
+  return null;
+};
+
+// Code 39 bar patterns, five bars and four spaces per character, w = wide and n = narrow
+const CODE39 = {
+  '0': 'nnnwwnwnn', '1': 'wnnwnnnnw', '2': 'nnwwnnnnw', '3': 'wnwwnnnnn', '4': 'nnnwwnnnw',
+  '5': 'wnnwwnnnn', '6': 'nnwwwnnnn', '7': 'nnnwnnwnw', '8': 'wnnwnnwnn', '9': 'nnwwnnwnn',
+  A: 'wnnnnwnnw', B: 'nnwnnwnnw', C: 'wnwnnwnnn', D: 'nnnnwwnnw', E: 'wnnnwwnnn',
+  F: 'nnwnwwnnn', G: 'nnnnnwwnw', H: 'wnnnnwwnn', I: 'nnwnnwwnn', J: 'nnnnwwwnn',
+  K: 'wnnnnnnww', L: 'nnwnnnnww', M: 'wnwnnnnwn', N: 'nnnnwnnww', O: 'wnnnwnnwn',
+  P: 'nnwnwnnwn', Q: 'nnnnnnwww', R: 'wnnnnnwwn', S: 'nnwnnnwwn', T: 'nnnnwnwwn',
+  U: 'wwnnnnnnw', V: 'nwwnnnnnw', W: 'wwwnnnnnn', X: 'nwnnwnnnw', Y: 'wwnnwnnnn',
+  Z: 'nwwnwnnnn', '-': 'nwnnnnwnw', '.': 'wwnnnnwnn', ' ': 'nwwnnnwnn', '*': 'nwnnwnwnn'
+};
+
+// Inline SVG of the code as a Code 39 barcode, which any handheld scanner reads
+export const code39Svg = (text, { narrow = 2, height = 48 } = {}) => {
+  const value = String(text).toUpperCase();
+  const wide = narrow * 3;
+  let x = narrow * 10;
+  const bars = [];
+  [...`*${value}*`].forEach(char => {
+    const pattern = CODE39[char];
+    if (!pattern) {
+      throw new Error(`"${char}" cannot be printed in a Code 39 barcode`);
+    }
+    [...pattern].forEach((element, index) => {
+      const width = element === 'w' ? wide : narrow;
+      if (index % 2 === 0) {
+        bars.push(`<rect x="${x}" y="0" width="${width}" height="${height}"/>`);
+      }
+      x += width;
+    });
+    // Gap between characters
+    x += narrow;
+  });
+  const totalWidth = x + narrow * 9;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${height}" viewBox="0 0 ${totalWidth} ${height}" fill="#000">${bars.join('')}</svg>`;
+};
@@ -0,0 +1,304 @@
+import { eachDayOfInterval, format, startOfDay } from "date-fns";
+import { authService, PERMISSIONS } from "@/services/api/authService";
+import { posService } from "@/services/api/posService";
+import { OUTBOX_STATUS, posSyncService } from "@/services/api/posSyncService";
+import { transactionTenders } from "@/services/api/posTenders";
+import { financialService } from "@/services/api/financialService";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+export const SESSION_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+export const CASH_MOVEMENT_TYPES = {
+  PAY_IN: 'pay_in',
+  PAY_OUT: 'pay_out',
+  CASH_DROP: 'cash_drop'
+};
+
+export const CASH_MOVEMENT_LABELS = {
+  [CASH_MOVEMENT_TYPES.PAY_IN]: 'Pay-in',
+  [CASH_MOVEMENT_TYPES.PAY_OUT]: 'Pay-out',
+  [CASH_MOVEMENT_TYPES.CASH_DROP]: 'Cash drop'
+};
+
+// PKR notes and coins in circulation, largest first
+export const PKR_DENOMINATIONS = [
+  { value: 5000, kind: 'note' },
+  { value: 1000, kind: 'note' },
+  { value: 500, kind: 'note' },
+  { value: 100, kind: 'note' },
+  { value: 50, kind: 'note' },
+  { value: 20, kind: 'note' },
+  { value: 10, kind: 'note' },
+  { value: 5, kind: 'coin' },
+  { value: 2, kind: 'coin' },
+  { value: 1, kind: 'coin' }
+];
+
+// Counts keyed by face value, e.g. { 1000: 3, 100: 7 }
+export const countDenominations = (counts = {}) => PKR_DENOMINATIONS.reduce(
+  (total, { value }) => total + value * (parseInt(counts[value]) || 0),
+  0
+);
+
+const sumMovements = (session, type) => session.movements
+  .filter(movement => movement.type === type)
+  .reduce((sum, movement) => sum + movement.amount, 0);
+
+// Cash the drawer should hold: float plus cash taken, less what left it
+export const expectedCashFor = (session, cashSales) =>
+  session.openingFloat
+  + cashSales
+  + sumMovements(session, CASH_MOVEMENT_TYPES.PAY_IN)
+  - sumMovements(session, CASH_MOVEMENT_TYPES.PAY_OUT)
+  - sumMovements(session, CASH_MOVEMENT_TYPES.CASH_DROP);
+
+// Till sessions. A cashier opens the register with a float, every POS sale is tagged
+// with the session, and at close the drawer count is checked against expected cash.
+// X reports are mid-shift snapshots; the Z report is taken once, when the session closes.
+class RegisterSessionService {
+  constructor() {
+    this.sessions = [];
+    this.nextSessionId = 1;
+    this.nextMovementId = 1;
+    // Z numbers run per register
+    this.zCounters = {};
+    persistentStore.register(this, 'registerSessions', {
+      fields: ['sessions', 'nextSessionId', 'nextMovementId', 'zCounters']
+    });
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  findSession(sessionId) {
+    const session = this.sessions.find(s => s.Id === sessionId);
+    if (!session) {
+      throw new Error('Register session not found');
+    }
+    return session;
+  }
+
+  findOpenSession(sessionId) {
+    const session = this.findSession(sessionId);
+    if (session.status !== SESSION_STATUS.OPEN) {
+      throw new Error('This register session is already closed');
+    }
+    return session;
+  }
+
+  // The open session on this till, if any
+  async getCurrentSession(registerId = posSyncService.terminalId) {
+    await this.delay();
+    const session = this.sessions.find(s => s.registerId === registerId && s.status === SESSION_STATUS.OPEN);
+    return session ? { ...session } : null;
+  }
+
+  async getSessions({ date = null, registerId = null, cashierId = null, status = null } = {}) {
+    await this.delay();
+    const day = date ? startOfDay(new Date(date)).getTime() : null;
+    return this.sessions
+      .filter(s => (!day || startOfDay(new Date(s.openedAt)).getTime() === day)
+        && (!registerId || s.registerId === registerId)
+        && (!cashierId || s.cashierId === cashierId)
+        && (!status || s.status === status))
+      .sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt))
+      .map(s => ({ ...s }));
+  }
+
+  async openSession({ openingFloat, registerId = posSyncService.terminalId }) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    const float = parseFloat(openingFloat);
+    if (isNaN(float) || float < 0) {
+      throw new Error('Enter the opening float counted into the drawer');
+    }
+    if (this.sessions.some(s => s.registerId === registerId && s.status === SESSION_STATUS.OPEN)) {
+      throw new Error(`Register ${registerId} already has an open session`);
+    }
+    const cashier = authService.getCurrentUser();
+    const session = {
+      Id: this.nextSessionId++,
+      registerId,
+      cashierId: cashier.Id,
+      cashierName: cashier.name,
+      status: SESSION_STATUS.OPEN,
+      openingFloat: float,
+      movements: [],
+      openedAt: new Date().toISOString(),
+      closedAt: null,
+      report: null
+    };
+    this.sessions.push(session);
+    return { ...session };
+  }
+
+  async recordCashMovement(sessionId, { type, amount, reason = '' }) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    const session = this.findOpenSession(sessionId);
+    if (!Object.values(CASH_MOVEMENT_TYPES).includes(type)) {
+      throw new Error('Unknown cash movement');
+    }
+    const value = parseFloat(amount);
+    if (isNaN(value) || value <= 0) {
+      throw new Error('Amount must be greater than zero');
+    }
+    if (type !== CASH_MOVEMENT_TYPES.CASH_DROP && !String(reason).trim()) {
+      throw new Error(`A reason is required for a ${CASH_MOVEMENT_LABELS[type].toLowerCase()}`);
+    }
+    if (type !== CASH_MOVEMENT_TYPES.PAY_IN) {
+      const { expectedCash } = await this.tally(session);
+      if (value > expectedCash) {
+        throw new Error(`The drawer should only hold Rs. ${expectedCash.toLocaleString()}`);
+      }
+    }
+    const user = authService.getCurrentUser();
+    const movement = {
+      Id: this.nextMovementId++,
+      type,
+      amount: value,
+      reason: String(reason).trim(),
+      recordedBy: user?.name || null,
+      recordedAt: new Date().toISOString()
+    };
+    session.movements.push(movement);
+    return { ...movement };
+  }
+
+  // Takings by tender for the session. Synced sales come from the day's payment
+  // breakdown; sales still in this till's offline outbox are in the drawer too.
+  async tally(session) {
+    const days = eachDayOfInterval({
+      start: new Date(session.openedAt),
+      end: session.closedAt ? new Date(session.closedAt) : new Date()
+    });
+    const byTender = {};
+    const add = (method, count, total) => {
+      byTender[method] = byTender[method] || { count: 0, total: 0 };
+      byTender[method].count += count;
+      byTender[method].total += total;
+    };
+    for (const day of days) {
+      const breakdown = await posService.getDailyPaymentBreakdown(format(day, 'yyyy-MM-dd'), { sessionId: session.Id });
+      Object.entries(breakdown).forEach(([method, { count, total }]) => add(method, count, total));
+    }
+    const unsynced = (await posSyncService.getOutbox())
+      .filter(entry => entry.transaction.sessionId === session.Id
+        && [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.CONFLICT].includes(entry.status));
+    unsynced.forEach(entry => transactionTenders(entry.transaction).forEach(({ method, amount }) => add(method, 1, amount)));
+    // A split-tender sale shows under each of its tenders, so count the sales themselves
+    const synced = (await posService.getAll()).filter(t => t.sessionId === session.Id);
+
+    const cashSales = byTender.cash?.total || 0;
+    return {
+      byTender,
+      salesCount: synced.length + unsynced.length,
+      totalSales: Object.values(byTender).reduce((sum, tender) => sum + tender.total, 0),
+      cashSales,
+      expectedCash: expectedCashFor(session, cashSales)
+    };
+  }
+
+  async buildReport(session, type) {
+    const tally = await this.tally(session);
+    return {
+      type,
+      sessionId: session.Id,
+      registerId: session.registerId,
+      cashierId: session.cashierId,
+      cashierName: session.cashierName,
+      openedAt: session.openedAt,
+      closedAt: session.closedAt,
+      generatedAt: new Date().toISOString(),
+      openingFloat: session.openingFloat,
+      payIns: sumMovements(session, CASH_MOVEMENT_TYPES.PAY_IN),
+      payOuts: sumMovements(session, CASH_MOVEMENT_TYPES.PAY_OUT),
+      cashDrops: sumMovements(session, CASH_MOVEMENT_TYPES.CASH_DROP),
+      movements: session.movements.map(movement => ({ ...movement })),
+      ...tally
+    };
+  }
+
+  // Mid-shift reading; changes nothing
+  async getXReport(sessionId) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    return this.buildReport(this.findOpenSession(sessionId), 'X');
+  }
+
+  // Closes the drawer against the denomination count and posts the session to cash flow
+  async closeSession(sessionId, { denominations = {}, note = '' } = {}) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.POS_USE);
+    const session = this.findOpenSession(sessionId);
+    const countedCash = countDenominations(denominations);
+    const closedAt = new Date().toISOString();
+    const report = await this.buildReport({ ...session, closedAt }, 'Z');
+
+    this.zCounters[session.registerId] = (this.zCounters[session.registerId] || 0) + 1;
+    Object.assign(report, {
+      zNumber: this.zCounters[session.registerId],
+      denominations: Object.fromEntries(
+        PKR_DENOMINATIONS
+          .filter(({ value }) => parseInt(denominations[value]) > 0)
+          .map(({ value }) => [value, parseInt(denominations[value])])
+      ),
+      countedCash,
+      overShort: countedCash - report.expectedCash,
+      note: String(note).trim()
+    });
+
+    session.status = SESSION_STATUS.CLOSED;
+    session.closedAt = closedAt;
+    session.report = report;
+    await financialService.postRegisterSession(report);
+    return { ...session };
+  }
+
+  // Sessions opened on a day, rolled up by register or by cashier
+  async getDayReport(date, { groupBy = 'register' } = {}) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.FINANCIAL_VIEW);
+    const sessions = await this.getSessions({ date });
+    const reports = [];
+    for (const session of sessions) {
+      reports.push(session.report || await this.buildReport(session, 'X'));
+    }
+
+    const groups = {};
+    reports.forEach(report => {
+      const key = groupBy === 'cashier' ? report.cashierId : report.registerId;
+      const group = groups[key] || (groups[key] = {
+        key,
+        label: groupBy === 'cashier' ? (report.cashierName || `Cashier ${report.cashierId}`) : report.registerId,
+        sessions: 0,
+        openSessions: 0,
+        salesCount: 0,
+        totalSales: 0,
+        cashSales: 0,
+        expectedCash: 0,
+        countedCash: 0,
+        overShort: 0
+      });
+      group.sessions += 1;
+      group.salesCount += report.salesCount;
+      group.totalSales += report.totalSales;
+      group.cashSales += report.cashSales;
+      group.expectedCash += report.expectedCash;
+      if (report.type === 'Z') {
+        group.countedCash += report.countedCash;
+        group.overShort += report.overShort;
+      } else {
+        group.openSessions += 1;
+      }
+    });
+    return { date: format(new Date(date), 'yyyy-MM-dd'), groupBy, groups: Object.values(groups), reports };
+  }
+}
+
+export const registerSessionService = new RegisterSessionService();
+export default registerSessionService;
@@ -0,0 +1,247 @@
+import productService from "@/services/api/productService";
+import { orderService } from "@/services/api/orderService";
+import { posService } from "@/services/api/posService";
+import { financialService } from "@/services/api/financialService";
+import { inventoryService } from "@/services/api/inventoryService";
+import { purchaseOrderService, PO_STATUS } from "@/services/api/purchaseOrderService";
+import { authService, PERMISSIONS, ROLES } from "@/services/api/authService";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const URGENCY = {
+  CRITICAL: 'critical',
+  REORDER: 'reorder',
+  OK: 'ok'
+};
+
+const DEFAULT_SETTINGS = {
+  velocityWindowDays: 30,
+  // How many days of demand each order should cover beyond lead time and safety stock
+  reviewPeriodDays: 7,
+  defaultLeadTimeDays: 3,
+  defaultSafetyStockDays: 2
+};
+
+// Suggests what to reorder from how fast each product sells (online orders + POS)
+// against what is on hand and already on order. Lead time and safety stock are
+// configured per vendor; each product is bought from one preferred vendor.
+class ReplenishmentService {
+  constructor() {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.vendorSettings = {};
+    this.productVendors = {};
+    persistentStore.register(this, 'replenishment', {
+      fields: ['settings', 'vendorSettings', 'productVendors']
+    });
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async getSettings() {
+    await this.delay(100);
+    return {
+      ...this.settings,
+      vendorSettings: { ...this.vendorSettings },
+      productVendors: { ...this.productVendors }
+    };
+  }
+
+  async updateSettings(updates) {
+    await this.delay(100);
+    authService.assertPermission(PERMISSIONS.PURCHASING_MANAGE);
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+      if (updates[key] !== undefined) {
+        const value = parseInt(updates[key]);
+        if (Number.isNaN(value) || value < 0) {
+          throw new Error('Replenishment settings must be zero or more days');
+        }
+        this.settings[key] = value;
+      }
+    });
+    return { ...this.settings };
+  }
+
+  async updateVendorSettings(vendorId, { leadTimeDays, safetyStockDays }) {
+    await this.delay(100);
+    authService.assertPermission(PERMISSIONS.PURCHASING_MANAGE);
+    const lead = parseInt(leadTimeDays);
+    const safety = parseInt(safetyStockDays);
+    if (Number.isNaN(lead) || lead < 0 || Number.isNaN(safety) || safety < 0) {
+      throw new Error('Lead time and safety stock must be zero or more days');
+    }
+    this.vendorSettings[vendorId] = { leadTimeDays: lead, safetyStockDays: safety };
+    return { ...this.vendorSettings[vendorId] };
+  }
+
+  async setProductVendor(productId, vendorId) {
+    await this.delay(100);
+    authService.assertPermission(PERMISSIONS.PURCHASING_MANAGE);
+    if (vendorId) {
+      this.productVendors[productId] = parseInt(vendorId);
+    } else {
+      delete this.productVendors[productId];
+    }
+    return { productId, vendorId: this.productVendors[productId] || null };
+  }
+
+  getVendorSettings(vendorId) {
+    return this.vendorSettings[vendorId] || {
+      leadTimeDays: this.settings.defaultLeadTimeDays,
+      safetyStockDays: this.settings.defaultSafetyStockDays
+    };
+  }
+
+  // Units sold per product inside the velocity window
+  async getUnitsSold(since) {
+    const [orders, transactions] = await Promise.all([orderService.getAll(), posService.getAll()]);
+    const unitsSold = new Map();
+    const add = (items) => (items || []).forEach(item => {
+      const productId = parseInt(item.productId ?? item.id);
+      // Goods returned at the till were not really sold
+      const quantity = (item.quantity || 0) * (item.returned ? -1 : 1);
+      unitsSold.set(productId, (unitsSold.get(productId) || 0) + quantity);
+    });
+
+    orders
+      .filter(order => order.status !== 'cancelled' && new Date(order.createdAt).getTime() >= since)
+      .forEach(order => add(order.items));
+    transactions
+      .filter(transaction => new Date(transaction.timestamp).getTime() >= since)
+      .forEach(transaction => add(transaction.items));
+
+    return unitsSold;
+  }
+
+  // Preferred vendor: explicit choice, otherwise whoever supplied the product last
+  getPreferredVendorId(productId, purchaseOrders) {
+    if (this.productVendors[productId]) {
+      return this.productVendors[productId];
+    }
+    const lastOrder = purchaseOrders
+      .filter(po => po.status !== PO_STATUS.CANCELLED && po.lines.some(line => line.productId === productId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    return lastOrder?.vendorId || null;
+  }
+
+  async getSuggestions({ includeAll = false } = {}) {
+    await this.delay();
+
+    const windowDays = Math.max(this.settings.velocityWindowDays, 1);
+    const since = Date.now() - windowDays * DAY_MS;
+    const [products, unitsSold, purchaseOrders, vendors] = await Promise.all([
+      productService.getAll(ROLES.ADMIN),
+      this.getUnitsSold(since),
+      purchaseOrderService.getAll(),
+      financialService.getVendors()
+    ]);
+
+    // Quantity still to arrive on open purchase orders
+    const onOrder = new Map();
+    purchaseOrders
+      .filter(po => [PO_STATUS.DRAFT, PO_STATUS.ORDERED, PO_STATUS.PARTIALLY_RECEIVED].includes(po.status))
+      .forEach(po => po.lines.forEach(line => {
+        const outstanding = Math.max(line.quantity - line.receivedQuantity, 0);
+        onOrder.set(line.productId, (onOrder.get(line.productId) || 0) + outstanding);
+      }));
+
+    const suggestions = [];
+    for (const product of products.filter(p => p.isActive !== false)) {
+      const stockLevel = await inventoryService.getStockLevel(product.id);
+      const sold = unitsSold.get(product.id) || 0;
+      const velocity = sold / windowDays;
+      const vendorId = this.getPreferredVendorId(product.id, purchaseOrders);
+      const { leadTimeDays, safetyStockDays } = this.getVendorSettings(vendorId);
+      const incoming = onOrder.get(product.id) || 0;
+      const position = stockLevel.available + incoming;
+
+      const safetyStock = Math.ceil(velocity * safetyStockDays);
+      const reorderPoint = Math.max(Math.ceil(velocity * (leadTimeDays + safetyStockDays)), product.minStock || 0);
+      const targetStock = Math.max(
+        Math.ceil(velocity * (leadTimeDays + safetyStockDays + this.settings.reviewPeriodDays)),
+        (product.minStock || 0) * 2
+      );
+      const daysOfCover = velocity > 0 ? stockLevel.available / velocity : null;
+
+      let urgency = URGENCY.OK;
+      if (position <= reorderPoint) {
+        urgency = stockLevel.available <= safetyStock || (daysOfCover !== null && daysOfCover < leadTimeDays)
+          ? URGENCY.CRITICAL
+          : URGENCY.REORDER;
+      }
+
+      if (urgency === URGENCY.OK && !includeAll) {
+        continue;
+      }
+
+      suggestions.push({
+        productId: product.id,
+        productName: product.name,
+        unit: product.unit || 'pcs',
+        category: product.category,
+        available: stockLevel.available,
+        onOrder: incoming,
+        unitsSold: sold,
+        velocity: Math.round(velocity * 100) / 100,
+        daysOfCover: daysOfCover === null ? null : Math.round(daysOfCover * 10) / 10,
+        leadTimeDays,
+        safetyStockDays,
+        reorderPoint,
+        suggestedQuantity: urgency === URGENCY.OK ? 0 : Math.max(targetStock - position, 1),
+        purchasePrice: product.purchasePrice || 0,
+        vendorId,
+        vendorName: vendors.find(v => v.Id === vendorId)?.name || null,
+        urgency
+      });
+    }
+
+    const rank = { [URGENCY.CRITICAL]: 0, [URGENCY.REORDER]: 1, [URGENCY.OK]: 2 };
+    return suggestions.sort((a, b) =>
+      rank[a.urgency] - rank[b.urgency] || (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity));
+  }
+
+  // Group the chosen suggestions by vendor and raise one draft PO per vendor
+  async createDraftPurchaseOrders(selections) {
+    await this.delay();
+    authService.assertPermission(PERMISSIONS.PURCHASING_MANAGE);
+
+    const missingVendor = selections.filter(selection => !selection.vendorId);
+    if (missingVendor.length) {
+      throw new Error(`Choose a vendor for ${missingVendor.map(s => s.productName).join(', ')}`);
+    }
+
+    const byVendor = new Map();
+    selections
+      .filter(selection => parseInt(selection.quantity) > 0)
+      .forEach(selection => {
+        const vendorId = parseInt(selection.vendorId);
+        byVendor.set(vendorId, [...(byVendor.get(vendorId) || []), selection]);
+      });
+
+    if (byVendor.size === 0) {
+      throw new Error('Select at least one suggestion with a quantity');
+    }
+
+    const created = [];
+    for (const [vendorId, lines] of byVendor) {
+      lines.forEach(line => {
+        this.productVendors[line.productId] = vendorId;
+      });
+      created.push(await purchaseOrderService.create({
+        vendorId,
+        lines: lines.map(line => ({
+          productId: line.productId,
+          quantity: line.quantity,
+          purchasePrice: line.purchasePrice
+        })),
+        notes: 'Generated from replenishment suggestions'
+      }));
+    }
+    return created;
+  }
+}
+
+export const replenishmentService = new ReplenishmentService();
+export default replenishmentService;
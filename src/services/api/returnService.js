@@ -0,0 +1,355 @@
+import { orderService } from "@/services/api/orderService";
+import { paymentService } from "@/services/api/paymentService";
+import { inventoryService, MOVEMENT_TYPES } from "@/services/api/inventoryService";
+import { loyaltyService } from "@/services/api/loyaltyService";
+import { authService, PERMISSIONS } from "@/services/api/authService";
+import { ORDER_STATUS } from "@/services/api/orderLifecycle";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+export const RETURN_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RECEIVED: 'received',
+  REFUNDED: 'refunded'
+};
+
+export const RETURN_STATUS_LABELS = {
+  [RETURN_STATUS.REQUESTED]: 'Requested',
+  [RETURN_STATUS.APPROVED]: 'Approved',
+  [RETURN_STATUS.REJECTED]: 'Rejected',
+  [RETURN_STATUS.RECEIVED]: 'Received',
+  [RETURN_STATUS.REFUNDED]: 'Refunded'
+};
+
+export const RETURN_REASONS = [
+  'Damaged or defective',
+  'Expired or spoiled',
+  'Wrong item delivered',
+  'Missing parts or short weight',
+  'No longer needed'
+];
+
+export const REFUND_METHODS = {
+  ORIGINAL: 'original',
+  WALLET: 'wallet'
+};
+
+// Days after delivery in which a customer may ask for a return
+export const RETURN_WINDOW_DAYS = 7;
+
+// Returns still holding quantity against their order lines
+const OPEN_STATUSES = [RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED, RETURN_STATUS.RECEIVED];
+const COUNTED_STATUSES = [...OPEN_STATUSES, RETURN_STATUS.REFUNDED];
+
+const getLineProductId = (item) => item.productId ?? item.id;
+
+// Return merchandise authorisations (RMAs): request, approve or reject, receive the goods
+// back, then refund the approved lines to the original payment method or the store wallet
+class ReturnService {
+  constructor() {
+    this.returns = [];
+    this.nextReturnId = 1;
+    persistentStore.register(this, 'returns', {
+      fields: ['returns', 'nextReturnId']
+    });
+  }
+
+  findReturn(returnId) {
+    const rma = this.returns.find(r => r.Id === parseInt(returnId));
+    if (!rma) {
+      throw new Error('Return not found');
+    }
+    return rma;
+  }
+
+  getActor() {
+    return authService.getCurrentUser()?.name || 'system';
+  }
+
+  getReturnDeadline(order) {
+    const deliveredAt = order.actualDelivery || order.updatedAt;
+    if (!deliveredAt) return null;
+    const deadline = new Date(deliveredAt);
+    deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+    return deadline;
+  }
+
+  // Quantity of each order line already claimed by a return that was not rejected
+  getReturnedQuantities(orderId, { statuses = COUNTED_STATUSES } = {}) {
+    const quantities = {};
+    this.returns
+      .filter(r => r.orderId === orderId && statuses.includes(r.status))
+      .forEach(r => r.lines.forEach(line => {
+        quantities[line.productId] = (quantities[line.productId] || 0) + line.quantity;
+      }));
+    return quantities;
+  }
+
+  // Why the order cannot take a new return, or null when it can
+  getEligibilityError(order) {
+    if (![ORDER_STATUS.DELIVERED, ORDER_STATUS.REFUND_REQUESTED].includes(order.status)) {
+      return 'Only delivered orders can be returned';
+    }
+    const deadline = this.getReturnDeadline(order);
+    if (deadline && deadline < new Date()) {
+      return `The ${RETURN_WINDOW_DAYS}-day return window for this order has closed`;
+    }
+    return null;
+  }
+
+  async getReturnableLines(orderId) {
+    await this.delay();
+    const order = await orderService.getById(parseInt(orderId));
+    const returned = this.getReturnedQuantities(order.id);
+
+    return (order.items || []).map(item => {
+      const productId = getLineProductId(item);
+      return {
+        productId,
+        name: item.name,
+        price: item.price || 0,
+        unit: item.unit,
+        ordered: item.quantity || 0,
+        returned: returned[productId] || 0,
+        returnable: Math.max(0, (item.quantity || 0) - (returned[productId] || 0))
+      };
+    });
+  }
+
+  async requestReturn({ orderId, lines = [], reason, note = '', photo = null, refundMethod = REFUND_METHODS.ORIGINAL }) {
+    authService.assertPermission(PERMISSIONS.ORDERS_VIEW_OWN);
+    await this.delay();
+
+    const order = await orderService.getById(parseInt(orderId));
+    const eligibilityError = this.getEligibilityError(order);
+    if (eligibilityError) {
+      throw new Error(eligibilityError);
+    }
+    if (!reason) {
+      throw new Error('Please choose a reason for the return');
+    }
+    if (!Object.values(REFUND_METHODS).includes(refundMethod)) {
+      throw new Error(`Unknown refund method: ${refundMethod}`);
+    }
+
+    const available = await this.getReturnableLines(order.id);
+    const requested = lines.filter(line => line.quantity > 0);
+    if (requested.length === 0) {
+      throw new Error('Select at least one item to return');
+    }
+
+    const returnLines = requested.map(line => {
+      const orderLine = available.find(l => l.productId === line.productId);
+      if (!orderLine) {
+        throw new Error(`Product #${line.productId} is not on order #${order.id}`);
+      }
+      if (line.quantity > orderLine.returnable) {
+        throw new Error(`Only ${orderLine.returnable} of ${orderLine.name} can be returned`);
+      }
+      return {
+        productId: orderLine.productId,
+        name: orderLine.name,
+        quantity: line.quantity,
+        unitPrice: orderLine.price,
+        amount: Math.round(orderLine.price * line.quantity * 100) / 100
+      };
+    });
+
+    const now = new Date().toISOString();
+    const rma = {
+      Id: this.nextReturnId++,
+      orderId: order.id,
+      customerName: order.deliveryAddress?.name || '',
+      lines: returnLines,
+      amount: returnLines.reduce((sum, line) => sum + line.amount, 0),
+      reason,
+      note,
+      photo,
+      refundMethod,
+      paymentMethod: order.paymentMethod,
+      status: RETURN_STATUS.REQUESTED,
+      requestedAt: now,
+      requestedBy: this.getActor(),
+      updatedAt: now
+    };
+    rma.reference = `RMA-${String(rma.Id).padStart(5, '0')}`;
+    this.returns.push(rma);
+
+    if (order.status === ORDER_STATUS.DELIVERED) {
+      await orderService.transition(order.id, ORDER_STATUS.REFUND_REQUESTED, {
+        reason: `${rma.reference}: ${reason}`,
+        changes: { refundRequested: true }
+      });
+    }
+
+    return { ...rma };
+  }
+
+  async approveReturn(returnId, { note = '' } = {}) {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    await this.delay();
+    const rma = this.findReturn(returnId);
+    if (rma.status !== RETURN_STATUS.REQUESTED) {
+      throw new Error(`${rma.reference} is already ${RETURN_STATUS_LABELS[rma.status].toLowerCase()}`);
+    }
+
+    Object.assign(rma, {
+      status: RETURN_STATUS.APPROVED,
+      approvedAt: new Date().toISOString(),
+      approvedBy: this.getActor(),
+      reviewNote: note,
+      updatedAt: new Date().toISOString()
+    });
+    return { ...rma };
+  }
+
+  async rejectReturn(returnId, reason) {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    await this.delay();
+    const rma = this.findReturn(returnId);
+    if (![RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED].includes(rma.status)) {
+      throw new Error(`${rma.reference} can no longer be rejected`);
+    }
+    if (!String(reason || '').trim()) {
+      throw new Error('A reason is required to reject a return');
+    }
+
+    Object.assign(rma, {
+      status: RETURN_STATUS.REJECTED,
+      rejectedAt: new Date().toISOString(),
+      rejectedBy: this.getActor(),
+      reviewNote: reason,
+      updatedAt: new Date().toISOString()
+    });
+    await this.settleOrder(rma.orderId, `${rma.reference} rejected: ${reason}`);
+    return { ...rma };
+  }
+
+  // Goods are back in the store. Shelf-stable lines go back into stock; perishables
+  // cannot be resold and are only recorded as received.
+  async receiveReturn(returnId) {
+    authService.assertPermission(PERMISSIONS.ORDERS_MANAGE);
+    await this.delay();
+    const rma = this.findReturn(returnId);
+    if (rma.status !== RETURN_STATUS.APPROVED) {
+      throw new Error(`${rma.reference} must be approved before the goods are received`);
+    }
+
+    const lines = [];
+    for (const line of rma.lines) {
+      lines.push({ ...line, restocked: !(await inventoryService.isBatchTracked(line.productId)) });
+    }
+
+    const restock = lines.filter(line => line.restocked);
+    if (restock.length > 0) {
+      await inventoryService.recordMovements(restock.map(line => ({
+        productId: line.productId,
+        name: line.name,
+        type: MOVEMENT_TYPES.REFUND,
+        quantity: line.quantity,
+        reference: `${rma.reference} (order #${rma.orderId})`,
+        note: rma.reason
+      })));
+    }
+
+    Object.assign(rma, {
+      lines,
+      status: RETURN_STATUS.RECEIVED,
+      receivedAt: new Date().toISOString(),
+      receivedBy: this.getActor(),
+      updatedAt: new Date().toISOString()
+    });
+    return { ...rma };
+  }
+
+  async refundReturn(returnId) {
+    authService.assertPermission(PERMISSIONS.PAYMENTS_MANAGE);
+    await this.delay();
+    const rma = this.findReturn(returnId);
+    if (rma.status !== RETURN_STATUS.RECEIVED) {
+      throw new Error(`${rma.reference} must be received before it is refunded`);
+    }
+
+    const order = await orderService.getById(rma.orderId);
+    const description = `Refund for order #${rma.orderId} (${rma.reference})`;
+    // Wallet-paid orders always go back to the wallet
+    const toWallet = rma.refundMethod === REFUND_METHODS.WALLET || order.paymentMethod === 'wallet';
+    const transaction = toWallet
+      ? await paymentService.depositToWallet(rma.amount, { description, orderId: rma.orderId })
+      : await paymentService.refundToOriginalMethod(rma.orderId, rma.amount, {
+        paymentMethod: order.paymentMethod,
+        reason: rma.reason,
+        originalTransactionId: order.transactionId
+      });
+
+    Object.assign(rma, {
+      status: RETURN_STATUS.REFUNDED,
+      refundedTo: toWallet ? REFUND_METHODS.WALLET : order.paymentMethod,
+      refundReference: transaction.reference || transaction.transactionId,
+      refundedAt: new Date().toISOString(),
+      refundedBy: this.getActor(),
+      updatedAt: new Date().toISOString()
+    });
+
+    await orderService.update(rma.orderId, {
+      refundedAmount: (order.refundedAmount || 0) + rma.amount
+    });
+    await loyaltyService.reverseForRefund(order, rma.amount, rma.reference);
+    await this.settleOrder(rma.orderId, `${rma.reference} refunded Rs. ${rma.amount.toLocaleString()}`);
+    return { ...rma };
+  }
+
+  // Once no return is open, the order is refunded if every line came back, otherwise
+  // it returns to delivered
+  async settleOrder(orderId, reason) {
+    const order = await orderService.getById(orderId);
+    const stillOpen = this.returns.some(r => r.orderId === orderId && OPEN_STATUSES.includes(r.status));
+    if (stillOpen || order.status !== ORDER_STATUS.REFUND_REQUESTED) {
+      return order;
+    }
+
+    const refunded = this.getReturnedQuantities(orderId, { statuses: [RETURN_STATUS.REFUNDED] });
+    const fullyRefunded = (order.items || []).every(item =>
+      (refunded[getLineProductId(item)] || 0) >= (item.quantity || 0)
+    );
+    return orderService.transition(orderId, fullyRefunded ? ORDER_STATUS.REFUNDED : ORDER_STATUS.DELIVERED, {
+      reason,
+      changes: { refundRequested: false }
+    });
+  }
+
+  async getAll({ status = null } = {}) {
+    await this.delay();
+    return this.returns
+      .filter(r => !status || r.status === status)
+      .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt))
+      .map(r => ({ ...r }));
+  }
+
+  async getByOrder(orderId) {
+    await this.delay();
+    return this.returns
+      .filter(r => r.orderId === parseInt(orderId))
+      .map(r => ({ ...r }));
+  }
+
+  async getOpenCount() {
+    return this.returns.filter(r => OPEN_STATUSES.includes(r.status)).length;
+  }
+
+  // Completed refunds in a date range, for revenue and cash-flow reporting
+  async getRefunds({ from = null, to = null } = {}) {
+    return this.returns
+      .filter(r => r.status === RETURN_STATUS.REFUNDED)
+      .filter(r => (!from || new Date(r.refundedAt) >= from) && (!to || new Date(r.refundedAt) <= to))
+      .map(r => ({ ...r }));
+  }
+
+  delay(ms = 300) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export const returnService = new ReturnService();
+export default returnService;
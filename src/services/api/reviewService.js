@@ -0,0 +1,194 @@
+import { orderService } from "@/services/api/orderService";
+import productService from "@/services/api/productService";
+import { ORDER_STATUS } from "@/services/api/orderLifecycle";
+import { authService, customerIdFor, PERMISSIONS } from "@/services/api/authService";
+import { persistentStore } from "@/services/storage/persistentStore";
+
+export const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const REVIEW_STATUS_LABELS = {
+  [REVIEW_STATUS.PENDING]: 'Awaiting moderation',
+  [REVIEW_STATUS.APPROVED]: 'Published',
+  [REVIEW_STATUS.REJECTED]: 'Rejected'
+};
+
+export const MAX_REVIEW_PHOTOS = 3;
+export const MAX_REVIEW_LENGTH = 1000;
+
+// Average and 5-to-1 star distribution of a set of reviews
+export const summarizeRatings = (reviews) => {
+  const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  reviews.forEach(review => { distribution[review.rating] += 1; });
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+  return {
+    count: reviews.length,
+    average: reviews.length > 0 ? Math.round((total / reviews.length) * 10) / 10 : 0,
+    distribution
+  };
+};
+
+const getLineProductId = (item) => item.productId ?? item.id;
+
+const SEED_REVIEWS = [
+  {
+    Id: 1,
+    productId: 3,
+    customerId: 'user123',
+    customerName: 'Ali Raza',
+    orderId: 1,
+    rating: 4,
+    title: 'Crisp and sweet',
+    text: 'Apples were fresh and well packed. One was slightly bruised but the rest were great.',
+    photos: [],
+    status: REVIEW_STATUS.PENDING,
+    createdAt: '2024-01-16T08:30:00Z'
+  }
+];
+
+// Product reviews from verified buyers. Only a customer with a delivered order
+// containing the product can review it, and nothing is published until moderated.
+// Published ratings are copied onto the product so listings can show and sort by them.
+class ReviewService {
+  constructor() {
+    this.reviews = JSON.parse(JSON.stringify(SEED_REVIEWS));
+    this.nextId = 2;
+    persistentStore.register(this, 'reviews', {
+      fields: ['reviews', 'nextId']
+    });
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // The delivered order that lets this customer review the product, newest first
+  async findVerifiedOrder(customerId, productId) {
+    return (await orderService.getAll())
+      .filter(order => order.customerId === customerId && order.status === ORDER_STATUS.DELIVERED)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .find(order => (order.items || []).some(item => getLineProductId(item) === productId)) || null;
+  }
+
+  async getEligibility(productId) {
+    const user = authService.getCurrentUser();
+    const customerId = customerIdFor(user);
+    if (!customerId) {
+      return { canReview: false, reason: 'Sign in to review this product', existing: null };
+    }
+    const existing = this.reviews.find(r => r.productId === productId && r.customerId === customerId) || null;
+    if (existing) {
+      return { canReview: false, reason: 'You have already reviewed this product', existing: { ...existing } };
+    }
+    const order = await this.findVerifiedOrder(customerId, productId);
+    if (!order) {
+      return { canReview: false, reason: 'Only customers who have received this product can review it', existing: null };
+    }
+    return { canReview: true, reason: null, existing: null, orderId: order.id };
+  }
+
+  async create({ productId, rating, title = '', text = '', photos = [] }) {
+    await this.delay();
+    const user = authService.getCurrentUser();
+    authService.assertPermission(PERMISSIONS.ORDERS_VIEW_OWN);
+    const eligibility = await this.getEligibility(productId);
+    if (!eligibility.canReview) {
+      throw new Error(eligibility.reason);
+    }
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new Error('Please choose a rating from 1 to 5 stars');
+    }
+    if (text.length > MAX_REVIEW_LENGTH) {
+      throw new Error(`Reviews can be at most ${MAX_REVIEW_LENGTH} characters`);
+    }
+    if (photos.length > MAX_REVIEW_PHOTOS) {
+      throw new Error(`You can attach up to ${MAX_REVIEW_PHOTOS} photos`);
+    }
+
+    const review = {
+      Id: this.nextId++,
+      productId,
+      customerId: customerIdFor(user),
+      customerName: user.name || 'Customer',
+      orderId: eligibility.orderId,
+      rating,
+      title: title.trim(),
+      text: text.trim(),
+      photos,
+      status: REVIEW_STATUS.PENDING,
+      createdAt: new Date().toISOString()
+    };
+    this.reviews.push(review);
+    return { ...review };
+  }
+
+  // Published reviews for the product page, with the shopper's own review whatever its status
+  async getByProduct(productId) {
+    await this.delay();
+    const customerId = customerIdFor(authService.getCurrentUser());
+    const approved = this.reviews
+      .filter(r => r.productId === productId && r.status === REVIEW_STATUS.APPROVED)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const mine = customerId
+      ? this.reviews.find(r => r.productId === productId && r.customerId === customerId) || null
+      : null;
+
+    return {
+      summary: summarizeRatings(approved),
+      reviews: approved.map(r => ({ ...r })),
+      mine: mine ? { ...mine } : null
+    };
+  }
+
+  async getQueue(status = REVIEW_STATUS.PENDING) {
+    authService.assertPermission(PERMISSIONS.REVIEWS_MODERATE);
+    await this.delay();
+    const products = await productService.getAll();
+    return this.reviews
+      .filter(r => !status || r.status === status)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(r => ({ ...r, productName: products.find(p => p.id === r.productId)?.name || `Product #${r.productId}` }));
+  }
+
+  async moderate(reviewId, status, note = '') {
+    authService.assertPermission(PERMISSIONS.REVIEWS_MODERATE);
+    await this.delay();
+    const review = this.reviews.find(r => r.Id === reviewId);
+    if (!review) {
+      throw new Error('Review not found');
+    }
+    if (status === REVIEW_STATUS.REJECTED && !note.trim()) {
+      throw new Error('Please give a reason for rejecting the review');
+    }
+
+    Object.assign(review, {
+      status,
+      moderationNote: note.trim(),
+      moderatedBy: authService.getCurrentUser()?.name || 'Staff',
+      moderatedAt: new Date().toISOString()
+    });
+    await this.syncProductRating(review.productId);
+    return { ...review };
+  }
+
+  async approve(reviewId) {
+    return this.moderate(reviewId, REVIEW_STATUS.APPROVED);
+  }
+
+  async reject(reviewId, note) {
+    return this.moderate(reviewId, REVIEW_STATUS.REJECTED, note);
+  }
+
+  async syncProductRating(productId) {
+    const summary = summarizeRatings(
+      this.reviews.filter(r => r.productId === productId && r.status === REVIEW_STATUS.APPROVED)
+    );
+    return productService.update(productId, { rating: summary.average, reviewCount: summary.count });
+  }
+}
+
+export const reviewService = new ReviewService();
+export default reviewService;
@@ -0,0 +1,227 @@
+import { persistentStore } from "@/services/storage/persistentStore";
+import { authService, PERMISSIONS } from "@/services/api/authService";
+
+export const TAX_CLASSES = {
+  STANDARD: 'standard',
+  REDUCED: 'reduced',
+  ZERO_RATED: 'zero_rated',
+  EXEMPT: 'exempt'
+};
+
+export const ROUNDING_LEVELS = {
+  LINE: 'line',
+  INVOICE: 'invoice'
+};
+
+// Sales Tax Act 1990 defaults: 18% standard rate, Eighth Schedule reduced rate, and
+// Sixth Schedule exemptions for unprocessed food (fresh produce, meat, rice, flour)
+export const DEFAULT_TAX_SETTINGS = {
+  storeName: 'FreshMart',
+  ntn: '7654321-8',
+  strn: '32-77-8761-234-56',
+  pricesIncludeTax: true,
+  roundingLevel: ROUNDING_LEVELS.LINE,
+  roundingIncrement: 0.01,
+  classes: [
+    { id: TAX_CLASSES.STANDARD, name: 'Standard rate', rate: 18 },
+    { id: TAX_CLASSES.REDUCED, name: 'Reduced rate', rate: 10 },
+    { id: TAX_CLASSES.ZERO_RATED, name: 'Zero-rated', rate: 0 },
+    { id: TAX_CLASSES.EXEMPT, name: 'Exempt', rate: 0 }
+  ],
+  categoryClasses: {
+    Fruits: TAX_CLASSES.EXEMPT,
+    Vegetables: TAX_CLASSES.EXEMPT,
+    Meat: TAX_CLASSES.EXEMPT,
+    Groceries: TAX_CLASSES.STANDARD
+  },
+  // Per-product overrides of the category class
+  productClasses: {
+    1: TAX_CLASSES.EXEMPT, // Basmati rice
+    7: TAX_CLASSES.EXEMPT, // Wheat flour
+    19: TAX_CLASSES.REDUCED // Milk
+  },
+  defaultClass: TAX_CLASSES.STANDARD,
+  deliveryClass: TAX_CLASSES.STANDARD
+};
+
+export const roundTo = (value, increment = 0.01) =>
+  Math.round((value + Number.EPSILON) / increment) * increment;
+
+// Keeps floating point noise out of amounts rounded to paisa or rupees
+const clean = (value, increment) => Number(roundTo(value, increment).toFixed(2));
+
+export const getTaxClass = (item, settings = DEFAULT_TAX_SETTINGS) => {
+  const productId = parseInt(item.productId ?? item.id);
+  return settings.productClasses?.[productId] ||
+    settings.categoryClasses?.[item.category] ||
+    settings.defaultClass;
+};
+
+export const getTaxRate = (taxClass, settings = DEFAULT_TAX_SETTINGS) =>
+  settings.classes.find(c => c.id === taxClass)?.rate ?? 0;
+
+// Promotion savings on each line: line-level deals stay on their product, basket-level
+// discounts and bundles are spread over the lines in proportion to what is left
+const allocateDiscounts = (lines, applied = []) => {
+  const discounts = lines.map(line => applied
+    .filter(entry => entry.productId != null && parseInt(entry.productId) === line.productId)
+    .reduce((sum, entry) => sum + (entry.savings || 0), 0));
+
+  const basketDiscount = applied
+    .filter(entry => entry.productId == null)
+    .reduce((sum, entry) => sum + (entry.savings || 0), 0);
+  const remaining = lines.map((line, index) => Math.max(0, line.price * line.quantity - discounts[index]));
+  const remainingTotal = remaining.reduce((sum, value) => sum + value, 0);
+
+  return discounts.map((discount, index) =>
+    discount + (remainingTotal > 0 ? basketDiscount * remaining[index] / remainingTotal : 0)
+  );
+};
+
+// Tax on a priced basket. Amounts are what the customer pays after promotions; with
+// tax-inclusive pricing the tax is carved out of them, otherwise it is added on top.
+// Shared by the cart, checkout, POS and orders so every total agrees.
+export const calculateTax = (items, settings = DEFAULT_TAX_SETTINGS, { applied = [], deliveryCharge = 0 } = {}) => {
+  const { pricesIncludeTax, roundingLevel, roundingIncrement } = settings;
+  const productLines = (items || []).map(item => ({
+    productId: parseInt(item.productId ?? item.id),
+    name: item.name,
+    category: item.category,
+    price: Number(item.price) || 0,
+    quantity: Number(item.quantity) || 0
+  }));
+  const discounts = allocateDiscounts(productLines, applied);
+
+  const taxable = productLines.map((line, index) => ({
+    ...line,
+    taxClass: getTaxClass(line, settings),
+    amount: Math.max(0, line.price * line.quantity - discounts[index])
+  }));
+  if (deliveryCharge > 0) {
+    taxable.push({ productId: null, name: 'Delivery', quantity: 1, taxClass: settings.deliveryClass, amount: deliveryCharge });
+  }
+
+  const lines = taxable.map(line => {
+    const rate = getTaxRate(line.taxClass, settings);
+    const net = pricesIncludeTax ? line.amount / (1 + rate / 100) : line.amount;
+    const rawTax = pricesIncludeTax ? line.amount - net : net * rate / 100;
+    const tax = roundingLevel === ROUNDING_LEVELS.LINE ? clean(rawTax, roundingIncrement) : rawTax;
+    return {
+      productId: line.productId,
+      name: line.name,
+      quantity: line.quantity,
+      taxClass: line.taxClass,
+      rate,
+      net: pricesIncludeTax ? line.amount - tax : line.amount,
+      tax,
+      gross: pricesIncludeTax ? line.amount : line.amount + tax
+    };
+  });
+
+  const breakdown = settings.classes
+    .map(taxClass => {
+      const classLines = lines.filter(line => line.taxClass === taxClass.id);
+      const tax = clean(classLines.reduce((sum, line) => sum + line.tax, 0), roundingIncrement);
+      const gross = classLines.reduce((sum, line) => sum + line.gross, 0);
+      return {
+        taxClass: taxClass.id,
+        name: taxClass.name,
+        rate: taxClass.rate,
+        net: clean(pricesIncludeTax ? gross - tax : classLines.reduce((sum, line) => sum + line.net, 0), 0.01),
+        tax
+      };
+    })
+    .filter(entry => lines.some(line => line.taxClass === entry.taxClass));
+
+  const taxTotal = clean(breakdown.reduce((sum, entry) => sum + entry.tax, 0), roundingIncrement);
+  const netTotal = clean(breakdown.reduce((sum, entry) => sum + entry.net, 0), 0.01);
+
+  return {
+    pricesIncludeTax,
+    lines: lines.map(line => ({ ...line, net: clean(line.net, 0.01), tax: clean(line.tax, 0.01), gross: clean(line.gross, 0.01) })),
+    breakdown,
+    netTotal,
+    taxTotal,
+    // What the tax adds to the promotion total: nothing when prices already include it
+    taxAdded: pricesIncludeTax ? 0 : taxTotal,
+    grossTotal: clean(netTotal + taxTotal, 0.01),
+    // Snapshot of the registration the invoice is issued under
+    registration: { storeName: settings.storeName, ntn: settings.ntn, strn: settings.strn }
+  };
+};
+
+// Store tax registration and the rules calculateTax runs on
+class TaxService {
+  constructor() {
+    this.settings = JSON.parse(JSON.stringify(DEFAULT_TAX_SETTINGS));
+    persistentStore.register(this, 'tax', {
+      fields: ['settings']
+    });
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async getSettings() {
+    await this.delay();
+    return JSON.parse(JSON.stringify(this.settings));
+  }
+
+  validateSettings(settings) {
+    const errors = [];
+    if (!/^\d{7}-\d$/.test(settings.ntn || '')) {
+      errors.push('NTN must look like 1234567-8');
+    }
+    if (!/^[\d-]{13,17}$/.test(settings.strn || '')) {
+      errors.push('STRN must be the 13-digit sales tax registration number');
+    }
+    if (!Object.values(ROUNDING_LEVELS).includes(settings.roundingLevel)) {
+      errors.push('Unknown rounding level');
+    }
+    if (![0.01, 1].includes(Number(settings.roundingIncrement))) {
+      errors.push('Round tax to the nearest paisa or rupee');
+    }
+    (settings.classes || []).forEach(taxClass => {
+      if (!(taxClass.rate >= 0 && taxClass.rate <= 100)) {
+        errors.push(`${taxClass.name} rate must be between 0 and 100`);
+      }
+    });
+    const classIds = (settings.classes || []).map(c => c.id);
+    [
+      settings.defaultClass,
+      settings.deliveryClass,
+      ...Object.values(settings.categoryClasses || {}),
+      ...Object.values(settings.productClasses || {})
+    ].forEach(taxClass => {
+      if (!classIds.includes(taxClass)) {
+        errors.push(`Unknown tax class: ${taxClass}`);
+      }
+    });
+    return [...new Set(errors)];
+  }
+
+  async updateSettings(changes) {
+    authService.assertPermission(PERMISSIONS.TAX_MANAGE);
+    await this.delay();
+    const next = {
+      ...this.settings,
+      ...changes,
+      roundingIncrement: Number(changes.roundingIncrement ?? this.settings.roundingIncrement)
+    };
+    const errors = this.validateSettings(next);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+    this.settings = next;
+    return JSON.parse(JSON.stringify(this.settings));
+  }
+
+  async calculate(items, options = {}) {
+    await this.delay(50);
+    return calculateTax(items, this.settings, options);
+  }
+}
+
+export const taxService = new TaxService();
+export default taxService;
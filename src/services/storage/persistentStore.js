@@ -0,0 +1,282 @@
+// Shared persistence adapter for the in-memory API services.
+// Each service registers the fields that make up its state; the store hydrates
+// them from IndexedDB on startup (seeding from mockData on first run) and writes
+// them back after every async service call that changed them.
+
+const DB_NAME = 'freshmart';
+const DB_VERSION = 1;
+const COLLECTIONS_STORE = 'collections';
+const META_STORE = 'meta';
+
+// IndexedDB schema migrations, keyed by the database version that introduces them
+const schemaMigrations = {
+  1: (db) => {
+    db.createObjectStore(COLLECTIONS_STORE, { keyPath: 'name' });
+    db.createObjectStore(META_STORE, { keyPath: 'key' });
+  }
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const isAsyncFunction = (fn) =>
+  typeof fn === 'function' && fn.constructor && fn.constructor.name === 'AsyncFunction';
+
+class PersistentStore {
+  constructor() {
+    this.dbPromise = null;
+    this.collections = new Map();
+    // Fallback when IndexedDB is unavailable (private mode, tests, SSR)
+    this.memory = new Map();
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.isSupported()) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+            schemaMigrations[version]?.(db, request.transaction);
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, falling back to memory:', request.error);
+          resolve(null);
+        };
+        request.onblocked = () => {
+          console.warn('IndexedDB upgrade blocked by another open tab');
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async request(storeName, mode, operation) {
+    const db = await this.open();
+
+    if (!db) {
+      return operation(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const result = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(result?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async readRecord(name) {
+    const db = await this.open();
+    if (!db) {
+      return this.memory.get(name) || null;
+    }
+    return (await this.request(COLLECTIONS_STORE, 'readonly', store => store.get(name))) || null;
+  }
+
+  async writeRecord(record) {
+    const db = await this.open();
+    if (!db) {
+      this.memory.set(record.name, record);
+      return record;
+    }
+    await this.request(COLLECTIONS_STORE, 'readwrite', store => store.put(record));
+    return record;
+  }
+
+  async setMeta(key, value) {
+    const db = await this.open();
+    if (!db) {
+      this.memory.set(`meta:${key}`, value);
+      return;
+    }
+    await this.request(META_STORE, 'readwrite', store => store.put({ key, value }));
+  }
+
+  async getMeta(key) {
+    const db = await this.open();
+    if (!db) {
+      return this.memory.get(`meta:${key}`) ?? null;
+    }
+    const record = await this.request(META_STORE, 'readonly', store => store.get(key));
+    return record ? record.value : null;
+  }
+
+  // Register a service so its state survives reloads.
+  // Options:
+  //   fields     - property names on target that hold state (class services)
+  //   snapshot   - () => state object (module-scoped services)
+  //   restore    - (state) => void, inverse of snapshot
+  //   version    - data version of this collection, bump when the shape changes
+  //   migrations - { [version]: (data) => data } applied on hydrate for older data
+  register(target, name, options = {}) {
+    const snapshot = options.snapshot || (() =>
+      options.fields.reduce((state, field) => ({ ...state, [field]: target[field] }), {}));
+    const restore = options.restore || ((state) => {
+      options.fields.forEach(field => {
+        if (state[field] !== undefined) {
+          target[field] = state[field];
+        }
+      });
+    });
+
+    const collection = {
+      name,
+      version: options.version || 1,
+      migrations: options.migrations || {},
+      snapshot,
+      restore,
+      seed: clone(snapshot()),
+      lastSaved: null,
+      writeQueue: Promise.resolve()
+    };
+
+    this.collections.set(name, collection);
+    collection.ready = this.hydrate(collection);
+    this.wrapMethods(target, collection);
+
+    return collection.ready;
+  }
+
+  async hydrate(collection) {
+    try {
+      const record = await this.readRecord(collection.name);
+
+      if (!record) {
+        // First run: seed from the mock data the service was constructed with
+        await this.save(collection);
+        await this.setMeta(`seededAt:${collection.name}`, new Date().toISOString());
+        return;
+      }
+
+      let data = record.data;
+      for (let version = (record.version || 1) + 1; version <= collection.version; version++) {
+        if (collection.migrations[version]) {
+          data = collection.migrations[version](data);
+        }
+      }
+
+      collection.restore(data);
+
+      if ((record.version || 1) !== collection.version) {
+        await this.save(collection);
+      } else {
+        collection.lastSaved = JSON.stringify(data);
+      }
+    } catch (error) {
+      console.error(`Failed to hydrate ${collection.name}, using seed data:`, error);
+    }
+  }
+
+  // Every async method waits for hydration before running and persists afterwards
+  wrapMethods(target, collection) {
+    const store = this;
+    const methods = new Map();
+    let owner = target;
+    while (owner && owner !== Object.prototype) {
+      Object.getOwnPropertyNames(owner).forEach(key => {
+        // Read descriptors so getters are not invoked while scanning
+        const { value } = Object.getOwnPropertyDescriptor(owner, key);
+        if (!methods.has(key) && key !== 'constructor' && isAsyncFunction(value)) {
+          methods.set(key, value);
+        }
+      });
+      owner = Object.getPrototypeOf(owner);
+    }
+
+    methods.forEach((original, key) => {
+      target[key] = async function (...args) {
+        await collection.ready;
+        try {
+          return await original.apply(this, args);
+        } finally {
+          await store.commit(collection.name);
+        }
+      };
+    });
+  }
+
+  async commit(name) {
+    const collection = this.collections.get(name);
+    if (!collection) {
+      return;
+    }
+
+    const serialized = JSON.stringify(collection.snapshot());
+    if (serialized === collection.lastSaved) {
+      return;
+    }
+
+    await this.save(collection, serialized);
+  }
+
+  save(collection, serialized = JSON.stringify(collection.snapshot())) {
+    collection.writeQueue = collection.writeQueue
+      .then(() => this.writeRecord({
+        name: collection.name,
+        version: collection.version,
+        data: JSON.parse(serialized),
+        updatedAt: new Date().toISOString()
+      }))
+      .then(() => {
+        collection.lastSaved = serialized;
+      })
+      .catch(error => {
+        console.error(`Failed to persist ${collection.name}:`, error);
+      });
+
+    return collection.writeQueue;
+  }
+
+  // Restore every registered service to its mock seed and overwrite stored data
+  async resetDemoData() {
+    const names = [...this.collections.keys()];
+
+    for (const name of names) {
+      const collection = this.collections.get(name);
+      await collection.ready;
+      collection.restore(clone(collection.seed));
+      await this.save(collection);
+    }
+
+    await this.setMeta('resetAt', new Date().toISOString());
+    return { success: true, collections: names };
+  }
+
+  async getStatus() {
+    const collections = await Promise.all(
+      [...this.collections.values()].map(async (collection) => {
+        await collection.ready;
+        const record = await this.readRecord(collection.name);
+        return {
+          name: collection.name,
+          version: collection.version,
+          updatedAt: record?.updatedAt || null
+        };
+      })
+    );
+
+    return {
+      backend: (await this.open()) ? 'indexeddb' : 'memory',
+      schemaVersion: DB_VERSION,
+      resetAt: await this.getMeta('resetAt'),
+      collections
+    };
+  }
+}
+
+export const persistentStore = new PersistentStore();
+export default persistentStore;
@@ -0,0 +1,83 @@
+import axios from "axios";
+
+// Transport selection for the API services.
+// In "memory" mode (default) services keep working against their local arrays.
+// In "http" mode the methods a service maps to routes are sent to a REST backend
+// (see server/mockServer.js for an offline implementation of the same routes).
+export const API_MODES = {
+  MEMORY: 'memory',
+  HTTP: 'http'
+};
+
+export const apiConfig = {
+  mode: import.meta.env.VITE_API_MODE === API_MODES.HTTP ? API_MODES.HTTP : API_MODES.MEMORY,
+  baseURL: import.meta.env.VITE_API_BASE_URL || 'http://localhost:4000/api',
+  timeout: parseInt(import.meta.env.VITE_API_TIMEOUT) || 10000
+};
+
+// Standard REST routes for a resource collection
+export const crudRoutes = (path) => ({
+  getAll: () => ({ method: 'get', url: path }),
+  getById: (id) => ({ method: 'get', url: `${path}/${id}` }),
+  create: (data) => ({ method: 'post', url: path, data }),
+  update: (id, data) => ({ method: 'put', url: `${path}/${id}`, data }),
+  delete: (id) => ({ method: 'delete', url: `${path}/${id}` })
+});
+
+class ApiTransport {
+  constructor(config) {
+    this.config = config;
+    this.client = null;
+  }
+
+  isHttp() {
+    return this.config.mode === API_MODES.HTTP;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = axios.create({
+        baseURL: this.config.baseURL,
+        timeout: this.config.timeout,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    return this.client;
+  }
+
+  async request({ method = 'get', url, params, data, transform }) {
+    try {
+      const response = await this.getClient().request({ method, url, params, data });
+      return transform ? transform(response.data) : response.data;
+    } catch (error) {
+      // Surface the server's message so callers see the same errors as in memory mode
+      const message = error.response?.data?.error || error.message || 'Request failed';
+      throw new Error(message);
+    }
+  }
+
+  // Store a record a service has built itself: POST when it has no id yet, PATCH after.
+  // Creates that book stock, payments or loyalty stay in the service and only send
+  // the finished record, so http mode never skips that work.
+  saveRecord(path, record, idField = 'id') {
+    return record[idField]
+      ? this.request({ method: 'patch', url: `${path}/${record[idField]}`, data: record })
+      : this.request({ method: 'post', url: path, data: record });
+  }
+
+  // Route the given service methods through HTTP when http mode is active.
+  // routes: { [methodName]: (...args) => ({ method, url, params, data, transform }) }
+  // Methods without a route keep their in-memory implementation.
+  register(target, routes) {
+    if (!this.isHttp()) {
+      return;
+    }
+
+    Object.entries(routes).forEach(([methodName, buildRequest]) => {
+      target[methodName] = async (...args) => this.request(buildRequest(...args));
+    });
+  }
+}
+
+export const apiTransport = new ApiTransport(apiConfig);
+export default apiTransport;
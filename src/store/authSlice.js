@@ -0,0 +1,114 @@
+import { createAsyncThunk, createSlice } from "@reduxjs/toolkit";
+import { authService, hasPermission, canAccessPath, ROLES } from "@/services/api/authService";
+
+const initialState = {
+  user: null,
+  token: null,
+  expiresAt: null,
+  // idle -> restoring -> ready; guards wait for a persisted session to be re-validated
+  status: 'idle',
+  loading: false,
+  error: null
+};
+
+export const loginUser = createAsyncThunk(
+  'auth/login',
+  async ({ email, password }, { rejectWithValue }) => {
+    try {
+      return await authService.login(email, password);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Login failed');
+    }
+  }
+);
+
+export const logoutUser = createAsyncThunk(
+  'auth/logout',
+  async (_, { getState }) => {
+    const { token } = getState().auth;
+    await authService.logout(token);
+    return true;
+  }
+);
+
+export const restoreSession = createAsyncThunk(
+  'auth/restoreSession',
+  async (_, { getState, rejectWithValue }) => {
+    const { token } = getState().auth;
+    if (!token) {
+      return null;
+    }
+    try {
+      return await authService.validateSession(token);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const authSlice = createSlice({
+  name: 'auth',
+  initialState,
+  reducers: {
+    clearAuthError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(loginUser.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(loginUser.fulfilled, (state, action) => {
+        state.loading = false;
+        state.status = 'ready';
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        state.expiresAt = action.payload.expiresAt;
+      })
+      .addCase(loginUser.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(logoutUser.fulfilled, (state) => {
+        state.user = null;
+        state.token = null;
+        state.expiresAt = null;
+        state.status = 'ready';
+      })
+      .addCase(restoreSession.pending, (state) => {
+        state.status = 'restoring';
+      })
+      .addCase(restoreSession.fulfilled, (state, action) => {
+        state.status = 'ready';
+        if (action.payload) {
+          state.user = action.payload.user;
+          state.expiresAt = action.payload.expiresAt;
+        }
+      })
+      .addCase(restoreSession.rejected, (state, action) => {
+        state.status = 'ready';
+        state.user = null;
+        state.token = null;
+        state.expiresAt = null;
+        state.error = action.payload;
+      });
+  }
+});
+
+export const { clearAuthError } = authSlice.actions;
+
+// Selectors
+export const selectCurrentUser = (state) => state.auth.user;
+export const selectIsAuthenticated = (state) => Boolean(state.auth.user && state.auth.token);
+export const selectUserRole = (state) => state.auth.user?.role || ROLES.GUEST;
+export const selectAuthStatus = (state) => state.auth.status;
+export const selectAuthLoading = (state) => state.auth.loading;
+export const selectAuthError = (state) => state.auth.error;
+export const selectHasPermission = (permission) => (state) =>
+  hasPermission(selectUserRole(state), permission);
+export const selectCanAccessPath = (path) => (state) =>
+  canAccessPath(selectUserRole(state), path);
+
+export default authSlice.reducer;
@@ -3,6 +3,9 @@ import { toast } from "react-toastify";
 import React from "react";
 import Error from "@/components/ui/Error";
 import ProductService from "@/services/api/productService";
+import { CHANNELS, DEFAULT_DELIVERY_CHARGE, evaluatePromotions, promotionService } from "@/services/api/promotionService";
+import { calculateTax, DEFAULT_TAX_SETTINGS, taxService } from "@/services/api/taxService";
+import { countItems, normalizeQuantity, roundQuantity } from "@/services/api/measureUnits";
 
 const productService = ProductService;
 
@@ -15,17 +18,81 @@ const initialState = {
   error: null,
   priceValidationCache: {},
   lastValidated: null,
+  promotions: [],
+  couponCode: '',
+  customerSegments: [],
+  customerUsage: {},
   dealsSummary: {
     totalSavings: 0,
-    appliedDeals: []
-  }
+    appliedDeals: [],
+    freeDelivery: false,
+    deliveryCharge: DEFAULT_DELIVERY_CHARGE,
+    coupon: null
+  },
+  taxSettings: DEFAULT_TAX_SETTINGS,
+  taxSummary: null
 };
-// Deal types enum
-const DEAL_TYPES = {
-  BOGO: 'BOGO',
-  BUNDLE: 'Bundle'
+
+// Pricing hierarchy: Base Price > Variation Override > Seasonal Discount
+export const getEffectivePrice = (item) => {
+  let effectivePrice = item.basePrice || item.price;
+  if (item.variationPrice && item.variationPrice > 0) {
+    effectivePrice = item.variationPrice;
+  }
+  if (item.seasonalDiscount && item.seasonalDiscountActive) {
+    if (item.seasonalDiscountType === 'Percentage') {
+      effectivePrice = effectivePrice * (1 - item.seasonalDiscount / 100);
+    } else {
+      effectivePrice = Math.max(0, effectivePrice - item.seasonalDiscount);
+    }
+  }
+  return effectivePrice;
 };
 
+// Load the promotions that apply online, plus what the engine needs to know about the shopper
+export const loadPromotions = createAsyncThunk(
+  'cart/loadPromotions',
+  async (_, { rejectWithValue }) => {
+    try {
+      const [promotions, customerSegments, customerUsage] = await Promise.all([
+        promotionService.getActivePromotions(CHANNELS.ONLINE),
+        promotionService.getCustomerSegments(),
+        promotionService.getCustomerUsage()
+      ]);
+      return { promotions, customerSegments, customerUsage };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const loadTaxSettings = createAsyncThunk(
+  'cart/loadTaxSettings',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await taxService.getSettings();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const applyCouponCode = createAsyncThunk(
+  'cart/applyCouponCode',
+  async (code, { getState, rejectWithValue }) => {
+    try {
+      const { cart } = getState();
+      return await promotionService.validateCoupon(
+        code,
+        cart.items.map(item => ({ ...item, price: getEffectivePrice(item) })),
+        { channel: CHANNELS.ONLINE, customerId: promotionService.getCurrentCustomerId() }
+      );
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 // Async thunks for real-time validation
 export const validateCartPrices = createAsyncThunk(
   'cart/validatePrices',
@@ -129,10 +196,12 @@ const cartSlice = createSlice({
 addToCart: (state, action) => {
       const product = action.payload;
       const existingItem = state.items.find(item => item.id === product.id);
+      // Product pages pass a chosen quantity, e.g. 1.5 kg; cards add one unit
+      const addQuantity = normalizeQuantity(product.quantity || 1, product.unit) || 1;
       
       if (existingItem) {
         // Respect stock limits
-        const newQuantity = Math.min(existingItem.quantity + 1, product.stock);
+        const newQuantity = Math.min(roundQuantity(existingItem.quantity + addQuantity, product.unit), product.stock);
         if (newQuantity > existingItem.quantity) {
           existingItem.quantity = newQuantity;
           existingItem.updatedAt = Date.now();
@@ -147,7 +216,7 @@ addToCart: (state, action) => {
         // Add new item with pricing hierarchy mapping
         const cartItem = {
           ...product,
-          quantity: 1,
+          quantity: Math.min(addQuantity, product.stock),
           addedAt: Date.now(),
           updatedAt: Date.now(),
           image: product.image || product.imageUrl || '/placeholder-image.jpg',
@@ -182,8 +251,8 @@ const { productId, quantity } = action.payload;
       } else {
         const item = state.items.find(item => item.id === productId);
         if (item) {
-          // Validate against stock
-          const validQuantity = Math.min(quantity, item.stock);
+          // Validate against stock, in the unit's increments (0.25 kg, whole pieces)
+          const validQuantity = Math.min(normalizeQuantity(quantity, item.unit), item.stock);
           item.quantity = validQuantity;
           item.updatedAt = Date.now();
           // Note: isUpdating flag should be managed at component level
@@ -193,97 +262,63 @@ const { productId, quantity } = action.payload;
       
       cartSlice.caseReducers.calculateTotals(state);
     },
+    // What to do with a line that is out of stock when the order is picked
+    setSubstitution: (state, action) => {
+      const { productId, substitution } = action.payload;
+      const item = state.items.find(item => item.id === productId);
+      if (item) {
+        item.substitution = substitution;
+      }
+    },
+
     clearCart: (state) => {
       state.items = [];
       state.total = 0;
       state.itemCount = 0;
+      state.couponCode = '';
+      cartSlice.caseReducers.calculateTotals(state);
+    },
+
+    removeCouponCode: (state) => {
+      state.couponCode = '';
+      cartSlice.caseReducers.calculateTotals(state);
     },
     
 calculateTotals: (state) => {
-      // First calculate deals and savings
+      // Promotions are evaluated on the effective (pricing hierarchy) price of each item
       cartSlice.caseReducers.calculateDeals(state);
-      
-      // Calculate totals with pricing hierarchy: Base Price > Variation Override > Seasonal Discount
-      const subtotal = state.items.reduce((total, item) => {
-        // Step 1: Start with base price
-        let effectivePrice = item.basePrice || item.price;
-        
-        // Step 2: Apply variation override if exists (higher precedence than base)
-        if (item.variationPrice && item.variationPrice > 0) {
-          effectivePrice = item.variationPrice;
-        }
-        
-        // Step 3: Apply seasonal discount (highest precedence)
-        if (item.seasonalDiscount && item.seasonalDiscountActive) {
-          if (item.seasonalDiscountType === 'Percentage') {
-            effectivePrice = effectivePrice * (1 - item.seasonalDiscount / 100);
-          } else {
-            effectivePrice = Math.max(0, effectivePrice - item.seasonalDiscount);
-          }
-        }
-        
-        const itemTotal = effectivePrice * item.quantity;
-        const itemDeals = state.dealsSummary.appliedDeals.filter(deal => deal.productId === item.id);
-        const itemSavings = itemDeals.reduce((savings, deal) => savings + deal.savings, 0);
-        return total + itemTotal - itemSavings;
-      }, 0);
-      
-      state.total = subtotal;
-      state.itemCount = state.items.reduce((total, item) => total + item.quantity, 0);
+
+      const subtotal = state.items.reduce((total, item) => total + getEffectivePrice(item) * item.quantity, 0);
+      state.total = subtotal - state.dealsSummary.totalSavings;
+      state.itemCount = countItems(state.items);
+
+      // Tax runs on what is left after promotions, delivery included
+      state.taxSummary = calculateTax(
+        state.items.map(item => ({ ...item, price: getEffectivePrice(item) })),
+        state.taxSettings || DEFAULT_TAX_SETTINGS,
+        { applied: state.dealsSummary.appliedDeals, deliveryCharge: state.dealsSummary.deliveryCharge }
+      );
     },
     
     calculateDeals: (state) => {
-      const appliedDeals = [];
-      let totalSavings = 0;
-      
-      state.items.forEach(item => {
-        if (!item.dealType || !item.dealValue) return;
-        
-        let itemSavings = 0;
-        
-        if (item.dealType === DEAL_TYPES.BOGO && item.quantity >= 2) {
-          // Buy One Get One - every 2nd item is free
-          const freeItems = Math.floor(item.quantity / 2);
-          itemSavings = freeItems * item.price;
-          
-          appliedDeals.push({
-            id: `${item.id}-bogo`,
-            productId: item.id,
-            productName: item.name,
-            type: DEAL_TYPES.BOGO,
-            description: 'Buy 1 Get 1 Free',
-            freeItems,
-            savings: itemSavings,
-            appliedQuantity: item.quantity
-          });
-        } else if (item.dealType === DEAL_TYPES.BUNDLE && item.dealValue && item.quantity >= 3) {
-          // Bundle deals like "3 for 2"
-          const [buyQty, payQty] = item.dealValue.split('for').map(x => parseInt(x.trim()));
-          if (buyQty && payQty && item.quantity >= buyQty) {
-            const bundleSets = Math.floor(item.quantity / buyQty);
-            const freeItems = bundleSets * (buyQty - payQty);
-            itemSavings = freeItems * item.price;
-            
-            appliedDeals.push({
-              id: `${item.id}-bundle`,
-              productId: item.id,
-              productName: item.name,
-              type: DEAL_TYPES.BUNDLE,
-              description: `${item.dealValue} Deal`,
-              freeItems,
-              savings: itemSavings,
-              appliedQuantity: item.quantity,
-              bundleSets
-            });
-          }
+      const evaluation = evaluatePromotions(
+        state.items.map(item => ({ ...item, price: getEffectivePrice(item) })),
+        state.promotions || [],
+        {
+          channel: CHANNELS.ONLINE,
+          couponCode: state.couponCode,
+          segments: state.customerSegments || [],
+          customerUsage: state.customerUsage || {},
+          deliveryCharge: DEFAULT_DELIVERY_CHARGE
         }
-        
-        totalSavings += itemSavings;
-      });
-      
+      );
+
       state.dealsSummary = {
-        totalSavings,
-        appliedDeals
+        totalSavings: evaluation.discountTotal,
+        appliedDeals: evaluation.applied,
+        freeDelivery: evaluation.freeDelivery,
+        deliveryCharge: evaluation.deliveryCharge,
+        coupon: evaluation.coupon
       };
     },
     
@@ -343,6 +378,24 @@ calculateTotals: (state) => {
   },
   extraReducers: (builder) => {
     builder
+      .addCase(loadPromotions.fulfilled, (state, action) => {
+        state.promotions = action.payload.promotions;
+        state.customerSegments = action.payload.customerSegments;
+        state.customerUsage = action.payload.customerUsage;
+        cartSlice.caseReducers.calculateTotals(state);
+      })
+      .addCase(loadTaxSettings.fulfilled, (state, action) => {
+        state.taxSettings = action.payload;
+        cartSlice.caseReducers.calculateTotals(state);
+      })
+      .addCase(applyCouponCode.fulfilled, (state, action) => {
+        state.couponCode = action.payload;
+        cartSlice.caseReducers.calculateTotals(state);
+        toast.success(`Coupon ${action.payload} applied`);
+      })
+      .addCase(applyCouponCode.rejected, (state, action) => {
+        toast.error(action.payload);
+      })
       .addCase(validateCartPrices.pending, (state) => {
         state.isLoading = true;
       })
@@ -401,7 +454,7 @@ calculateTotals: (state) => {
         } else {
           const item = state.items.find(item => item.id === productId);
           if (item) {
-            item.quantity = quantity;
+            item.quantity = normalizeQuantity(quantity, item.unit);
             item.updatedAt = Date.now();
             // Update with current product data including pricing hierarchy
             item.price = currentProduct.price;
@@ -427,7 +480,9 @@ export const {
   addToCart,
   removeFromCart,
   updateQuantity,
+  setSubstitution,
   clearCart,
+  removeCouponCode,
   calculateTotals,
   setError,
   clearError
@@ -441,6 +496,9 @@ export const selectCartLoading = (state) => state.cart.isLoading;
 export const selectCartError = (state) => state.cart.error;
 export const selectCartDeals = (state) => state.cart.dealsSummary;
 export const selectCartSavings = (state) => state.cart.dealsSummary.totalSavings;
+export const selectCartCouponCode = (state) => state.cart.couponCode || '';
+export const selectCartTax = (state) => state.cart.taxSummary;
+export const selectCartTaxSettings = (state) => state.cart.taxSettings || DEFAULT_TAX_SETTINGS;
 export const selectIsProductInCart = (productId) => (state) => 
   state.cart.items.some(item => item.id === productId);
 export const selectProductQuantityInCart = (productId) => (state) => {
@@ -3,14 +3,24 @@ import { persistReducer, persistStore } from "redux-persist";
 import storage from "redux-persist/lib/storage";
 import cartReducer from "@/store/cartSlice";
 import notificationReducer from "@/store/notificationSlice";
+import authReducer from "@/store/authSlice";
 const persistConfig = {
   key: 'root',
   storage,
+  blacklist: ['auth']
+};
+
+// Only the session credentials survive a reload; status is re-derived on startup
+const authPersistConfig = {
+  key: 'auth',
+  storage,
+  whitelist: ['user', 'token', 'expiresAt']
 };
 
 const rootReducer = combineReducers({
   cart: cartReducer,
-  notifications: notificationReducer
+  notifications: notificationReducer,
+  auth: persistReducer(authPersistConfig, authReducer)
 });
 
 const persistedReducer = persistReducer(persistConfig, rootReducer);